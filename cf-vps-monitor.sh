@@ -100,7 +100,94 @@ while True:
 EOF
 }
 
-# 2. 生成主监控脚本 (Bash)
+# 2. 生成 Python 网站检查脚本 (从面板获取分配给本服务器的网站检查，执行后上报结果)
+create_site_checker() {
+    cat > "$INSTALL_DIR/site_checker.py" << 'EOF'
+import json
+import os
+import socket
+import sys
+import time
+import urllib.error
+import urllib.request
+
+# API Key 通过环境变量传入，避免出现在其他用户可见的进程参数中
+WORKER_URL, SERVER_ID = sys.argv[1:3]
+API_KEY = os.environ["VPS_MONITOR_API_KEY"]
+POLL_INTERVAL = 60  # 拉取检查列表的间隔(秒)
+CHECKS_URL = WORKER_URL + "/api/agent/checks/" + SERVER_ID
+
+last_run = {}
+
+class NoRedirect(urllib.request.HTTPRedirectHandler):
+    def redirect_request(self, req, fp, code, msg, headers, newurl):
+        return None
+
+def api_request(method, payload=None):
+    data = json.dumps(payload).encode() if payload is not None else None
+    req = urllib.request.Request(CHECKS_URL, data=data, method=method,
+                                 headers={"X-API-Key": API_KEY, "Content-Type": "application/json"})
+    with urllib.request.urlopen(req, timeout=15) as resp:
+        return json.load(resp)
+
+def is_accepted(code, ranges):
+    return any(start <= code <= end for start, end in ranges)
+
+def check_http(check):
+    handlers = [] if check["follow_redirects"] else [NoRedirect()]
+    opener = urllib.request.build_opener(*handlers)
+    body = check["body"].encode() if check.get("body") else None
+    req = urllib.request.Request(check["target"], data=body, method=check["method"], headers=check["headers"])
+    req.add_header("User-Agent", req.get_header("User-agent") or "cf-vps-monitor-agent")
+    start = time.time()
+    try:
+        with opener.open(req, timeout=check["timeout_seconds"]) as resp:
+            code = resp.status
+    except urllib.error.HTTPError as e:
+        code = e.code
+    elapsed = int((time.time() - start) * 1000)
+    status = "UP" if is_accepted(code, check["accepted_status_codes"]) else "DOWN"
+    return {"status": status, "status_code": code, "response_time_ms": elapsed}
+
+def check_tcp(check):
+    host, port = check["target"].rsplit(":", 1)
+    start = time.time()
+    conn = socket.create_connection((host.strip("[]"), int(port)), timeout=check["timeout_seconds"])
+    conn.close()
+    return {"status": "UP", "status_code": None, "response_time_ms": int((time.time() - start) * 1000)}
+
+def run_check(check):
+    start = time.time()
+    try:
+        result = check_http(check) if check["type"] == "http" else check_tcp(check)
+    except (socket.timeout, TimeoutError):
+        result = {"status": "TIMEOUT", "status_code": None, "detail": None}
+    except Exception as e:
+        reason = getattr(e, "reason", e)
+        status = "TIMEOUT" if isinstance(reason, (socket.timeout, TimeoutError)) else "ERROR"
+        result = {"status": status, "status_code": None, "detail": str(reason)[:200]}
+    result.setdefault("response_time_ms", int((time.time() - start) * 1000))
+    result["id"] = check["id"]
+    return result
+
+while True:
+    try:
+        checks = api_request("GET").get("checks", [])
+        now = time.time()
+        due = [c for c in checks if now - last_run.get(c["id"], 0) >= c["interval_seconds"] - 5]
+        results = []
+        for check in due:
+            last_run[check["id"]] = now
+            results.append(run_check(check))
+        if results:
+            api_request("POST", {"results": results})
+    except Exception:
+        pass
+    time.sleep(POLL_INTERVAL)
+EOF
+}
+
+# 3. 生成主监控脚本 (Bash)
 create_monitor_script() {
     local url=$1
     local key=$2
@@ -122,6 +209,9 @@ check_ping_daemon() {
     if ! pgrep -f "ping_daemon.py" > /dev/null; then
         nohup python3 "\$WORKDIR/ping_daemon.py" > /dev/null 2>&1 &
     fi
+    if ! pgrep -f "site_checker.py" > /dev/null; then
+        VPS_MONITOR_API_KEY="\$API_KEY" nohup python3 "\$WORKDIR/site_checker.py" "\$WORKER_URL" "\$SERVER_ID" > /dev/null 2>&1 &
+    fi
 }
 
 # 读取 Ping 数据
@@ -207,6 +297,7 @@ report_metrics() {
 
 log "监控脚本启动"
 nohup python3 "\$WORKDIR/ping_daemon.py" > /dev/null 2>&1 &
+VPS_MONITOR_API_KEY="\$API_KEY" nohup python3 "\$WORKDIR/site_checker.py" "\$WORKER_URL" "\$SERVER_ID" > /dev/null 2>&1 &
 
 while true; do
   report_metrics
@@ -215,7 +306,7 @@ done
 EOF
 }
 
-# 3. 生成 Systemd 服务文件
+# 4. 生成 Systemd 服务文件
 create_service_file() {
     cat > "/etc/systemd/system/$SERVICE_NAME.service" << EOF
 [Unit]
@@ -266,6 +357,7 @@ install_service() {
     systemctl stop $SERVICE_NAME >/dev/null 2>&1
     systemctl disable $SERVICE_NAME >/dev/null 2>&1
     pkill -f "ping_daemon.py" >/dev/null 2>&1
+    pkill -f "site_checker.py" >/dev/null 2>&1
     rm -rf "$INSTALL_DIR"
     mkdir -p "$INSTALL_DIR"
 
@@ -285,6 +377,7 @@ install_service() {
     # 生成文件
     echo -e "${SKYBLUE}> 写入脚本文件...${PLAIN}"
     create_ping_daemon
+    create_site_checker
     create_monitor_script "$input_url" "$input_key" "$input_id" "$input_interval"
     create_service_file
 
@@ -309,6 +402,7 @@ start_service() {
 stop_service() {
     systemctl stop $SERVICE_NAME
     pkill -f "ping_daemon.py"
+    pkill -f "site_checker.py"
     echo -e "${YELLOW}服务已停止 (后台 Python 进程已清理)${PLAIN}"
 }
 
@@ -316,6 +410,7 @@ stop_service() {
 restart_service() {
     systemctl stop $SERVICE_NAME
     pkill -f "ping_daemon.py"
+    pkill -f "site_checker.py"
     sleep 1
     systemctl start $SERVICE_NAME
     echo -e "${GREEN}服务已重启${PLAIN}"
@@ -331,6 +426,11 @@ check_status() {
     else
         echo -e "Ping守护进程: ${RED}未运行${PLAIN}"
     fi
+    if pgrep -f "site_checker.py" > /dev/null; then
+        echo -e "网站检查进程: ${GREEN}运行中${PLAIN}"
+    else
+        echo -e "网站检查进程: ${RED}未运行${PLAIN}"
+    fi
     echo -e "${SKYBLUE}--- 实时数据文件 ---${PLAIN}"
     if [ -f "/tmp/vps_monitor_ping.json" ]; then
          cat /tmp/vps_monitor_ping.json
@@ -376,6 +476,7 @@ uninstall_service() {
         rm -f "/etc/systemd/system/$SERVICE_NAME.service"
         systemctl daemon-reload
         pkill -f "ping_daemon.py"
+        pkill -f "site_checker.py"
         rm -rf "$INSTALL_DIR"
         echo -e "${GREEN}服务已彻底卸载${PLAIN}"
     else
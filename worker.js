@@ -1,14 +1,24 @@
 // 合并前后端的单一Worker解决方案
+import { connect } from 'cloudflare:sockets';
 
 // D1 Table Schemas (for reference and creation)
 const D1_SCHEMAS = {
   admin_credentials: `
     CREATE TABLE IF NOT EXISTS admin_credentials (
       username TEXT PRIMARY KEY,
-      password TEXT NOT NULL
+      password TEXT NOT NULL,
+      must_change_password INTEGER DEFAULT 0
     );
     INSERT OR IGNORE INTO admin_credentials (username, password) VALUES ('admin', 'admin');
   `,
+  admin_sessions: `
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+  `,
   servers: `
     CREATE TABLE IF NOT EXISTS servers (
       id TEXT PRIMARY KEY,
@@ -17,7 +27,10 @@ const D1_SCHEMAS = {
       api_key TEXT NOT NULL UNIQUE,
       created_at INTEGER NOT NULL,
       sort_order INTEGER,
-      last_notified_down_at INTEGER DEFAULT NULL
+      last_notified_down_at INTEGER DEFAULT NULL,
+      notification_channels TEXT DEFAULT NULL, -- 通知路由 (JSON 数组)，NULL 表示使用默认路由
+      stale_threshold_seconds INTEGER DEFAULT NULL, -- 离线判定阈值，NULL 表示使用全局设置
+      notification_repeat_seconds INTEGER DEFAULT NULL -- 重复通知间隔，NULL 表示使用全局设置，0 表示不重复
     );
   `,
   metrics: `
@@ -33,6 +46,78 @@ const D1_SCHEMAS = {
       FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE CASCADE
     );
   `,
+  metrics_history: `
+    CREATE TABLE IF NOT EXISTS metrics_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      server_id TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      cpu TEXT,
+      memory TEXT,
+      disk TEXT,
+      network TEXT,
+      ping TEXT,
+      uptime INTEGER,
+      FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_metrics_history_server_id_timestamp ON metrics_history (server_id, timestamp DESC);
+    CREATE INDEX IF NOT EXISTS idx_metrics_history_timestamp ON metrics_history (timestamp);
+  `,
+  alert_rules: `
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      metric TEXT NOT NULL,
+      operator TEXT NOT NULL DEFAULT '>',
+      threshold REAL NOT NULL,
+      duration_seconds INTEGER NOT NULL DEFAULT 0,
+      server_ids TEXT, -- JSON 数组，NULL 表示适用于所有服务器
+      enabled INTEGER DEFAULT 1,
+      created_at INTEGER NOT NULL
+    );
+  `,
+  notification_channels: `
+    CREATE TABLE IF NOT EXISTS notification_channels (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      config TEXT NOT NULL, -- JSON，具体字段由渠道类型决定
+      group_name TEXT, -- 可选分组，通知路由可按分组选择渠道
+      enabled INTEGER DEFAULT 1,
+      created_at INTEGER NOT NULL
+    );
+  `,
+  maintenance_windows: `
+    CREATE TABLE IF NOT EXISTS maintenance_windows (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      scope_type TEXT NOT NULL DEFAULT 'all', -- all / server / site
+      scope_id TEXT, -- scope_type 为 server 或 site 时对应的 ID
+      schedule_type TEXT NOT NULL, -- once / weekly / cron
+      start_at INTEGER, -- once: 开始时间 (Unix 秒)
+      end_at INTEGER, -- once: 结束时间 (Unix 秒)
+      weekdays TEXT, -- weekly: JSON 数组，0 表示周日
+      start_time TEXT, -- weekly: HH:MM
+      cron_expression TEXT, -- cron: 5 段 cron 表达式，匹配的分钟为窗口开始时间
+      duration_minutes INTEGER, -- weekly / cron: 窗口持续分钟数
+      timezone_offset_minutes INTEGER DEFAULT 0, -- weekly / cron 使用的时区偏移
+      enabled INTEGER DEFAULT 1,
+      created_at INTEGER NOT NULL
+    );
+  `,
+  alert_states: `
+    CREATE TABLE IF NOT EXISTS alert_states (
+      rule_id TEXT NOT NULL,
+      server_id TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'OK', -- OK / PENDING / FIRING
+      pending_since INTEGER,
+      fired_at INTEGER,
+      last_value REAL,
+      updated_at INTEGER,
+      PRIMARY KEY (rule_id, server_id),
+      FOREIGN KEY(rule_id) REFERENCES alert_rules(id) ON DELETE CASCADE,
+      FOREIGN KEY(server_id) REFERENCES servers(id) ON DELETE CASCADE
+    );
+  `,
   monitored_sites: `
     CREATE TABLE IF NOT EXISTS monitored_sites (
       id TEXT PRIMARY KEY,
@@ -44,7 +129,42 @@ const D1_SCHEMAS = {
       last_status_code INTEGER,
       last_response_time_ms INTEGER,
       sort_order INTEGER,
-      last_notified_down_at INTEGER DEFAULT NULL
+      last_notified_down_at INTEGER DEFAULT NULL,
+      notification_channels TEXT DEFAULT NULL, -- 通知路由 (JSON 数组)，NULL 表示使用默认路由
+      notification_repeat_seconds INTEGER DEFAULT NULL, -- 重复通知间隔，NULL 表示使用全局设置，0 表示不重复
+      failure_threshold INTEGER DEFAULT 1, -- 连续失败多少次才确认故障
+      recovery_threshold INTEGER DEFAULT 1, -- 连续成功多少次才确认恢复
+      consecutive_failures INTEGER DEFAULT 0,
+      consecutive_successes INTEGER DEFAULT 0,
+      monitor_type TEXT NOT NULL DEFAULT 'http', -- http / tcp / dns / heartbeat，tcp 时 url 为 host:port，dns 时为域名，heartbeat 时为推送路径
+      check_interval_seconds INTEGER DEFAULT NULL, -- 检查间隔，NULL 表示使用全局设置
+      degraded_threshold_ms INTEGER DEFAULT NULL, -- 响应时间超过该值时标记为 DEGRADED，NULL 表示不检查
+      consecutive_degraded INTEGER DEFAULT 0,
+      agent_server_ids TEXT DEFAULT NULL, -- 同时由这些服务器的 Agent 检查 (JSON 数组)
+      agent_quorum INTEGER DEFAULT NULL, -- 判定故障所需的故障位置数，NULL 表示过半数
+      heartbeat_period_seconds INTEGER DEFAULT 86400, -- 心跳周期
+      heartbeat_grace_seconds INTEGER DEFAULT 3600, -- 心跳宽限时间
+      last_ping_at INTEGER DEFAULT NULL,
+      last_ping_status TEXT DEFAULT NULL, -- up / down (由任务上报)
+      last_ping_message TEXT DEFAULT NULL,
+      last_ping_duration_ms INTEGER DEFAULT NULL,
+      dns_record_type TEXT DEFAULT 'A', -- A / AAAA / CNAME / MX / TXT
+      dns_expected_value TEXT DEFAULT NULL, -- 期望的解析结果，每行一条
+      dns_last_answer TEXT DEFAULT NULL, -- 最近一次记录的解析结果 (未设置期望值时作为比较基准)
+      dns_observed_answer TEXT DEFAULT NULL, -- 最近一次检查实际解析到的结果，与基准不同时供管理员确认后接受
+      check_method TEXT DEFAULT 'HEAD', -- GET / HEAD / POST
+      check_headers TEXT DEFAULT NULL, -- 请求头 (JSON 对象)
+      check_body TEXT DEFAULT NULL, -- POST 请求体
+      auth_username TEXT DEFAULT NULL, -- Basic Auth
+      auth_password TEXT DEFAULT NULL,
+      timeout_seconds INTEGER DEFAULT 15,
+      redirect_policy TEXT DEFAULT 'follow', -- follow / manual
+      accepted_status_codes TEXT DEFAULT NULL, -- 如 "200-299,301"，NULL 表示 200-499
+      assertions TEXT DEFAULT NULL, -- 内容断言 (JSON 数组)
+      cert_expires_at INTEGER DEFAULT NULL, -- HTTPS 证书到期时间 (Unix 秒)
+      cert_checked_at INTEGER DEFAULT NULL,
+      cert_error TEXT DEFAULT NULL,
+      cert_notified_days INTEGER DEFAULT NULL -- 已发送到期提醒的最小阈值 (天)
     );
   `,
   site_status_history: `
@@ -55,9 +175,48 @@ const D1_SCHEMAS = {
       status TEXT NOT NULL,
       status_code INTEGER,
       response_time_ms INTEGER,
+      detail TEXT, -- 失败原因，如断言失败说明
       FOREIGN KEY(site_id) REFERENCES monitored_sites(id) ON DELETE CASCADE
     );
     CREATE INDEX IF NOT EXISTS idx_site_status_history_site_id_timestamp ON site_status_history (site_id, timestamp DESC);
+    CREATE INDEX IF NOT EXISTS idx_site_status_history_timestamp ON site_status_history (timestamp);
+  `,
+  site_hourly_stats: `
+    CREATE TABLE IF NOT EXISTS site_hourly_stats (
+      site_id TEXT NOT NULL,
+      hour INTEGER NOT NULL, -- 整点的 Unix 秒
+      up_checks INTEGER NOT NULL DEFAULT 0,
+      down_checks INTEGER NOT NULL DEFAULT 0,
+      avg_response_ms INTEGER DEFAULT NULL, -- 仅统计正常检查的响应时间
+      p95_response_ms INTEGER DEFAULT NULL,
+      PRIMARY KEY (site_id, hour),
+      FOREIGN KEY(site_id) REFERENCES monitored_sites(id) ON DELETE CASCADE
+    );
+  `,
+  site_daily_stats: `
+    CREATE TABLE IF NOT EXISTS site_daily_stats (
+      site_id TEXT NOT NULL,
+      day INTEGER NOT NULL, -- UTC 当天 0 点的 Unix 秒
+      up_checks INTEGER NOT NULL DEFAULT 0,
+      down_checks INTEGER NOT NULL DEFAULT 0,
+      avg_response_ms INTEGER DEFAULT NULL, -- 当天结束后由汇总任务填写
+      p95_response_ms INTEGER DEFAULT NULL,
+      PRIMARY KEY (site_id, day),
+      FOREIGN KEY(site_id) REFERENCES monitored_sites(id) ON DELETE CASCADE
+    );
+  `,
+  site_location_status: `
+    CREATE TABLE IF NOT EXISTS site_location_status (
+      site_id TEXT NOT NULL,
+      location TEXT NOT NULL, -- 'worker' 或服务器 ID
+      status TEXT NOT NULL,
+      status_code INTEGER,
+      response_time_ms INTEGER,
+      detail TEXT,
+      checked_at INTEGER NOT NULL,
+      PRIMARY KEY (site_id, location),
+      FOREIGN KEY(site_id) REFERENCES monitored_sites(id) ON DELETE CASCADE
+    );
   `,
   telegram_config: `
     CREATE TABLE IF NOT EXISTS telegram_config (
@@ -75,30 +234,110 @@ const D1_SCHEMAS = {
       value TEXT
     );
     INSERT OR IGNORE INTO app_config (key, value) VALUES ('vps_report_interval_seconds', '60');
+    INSERT OR IGNORE INTO app_config (key, value) VALUES ('metrics_retention_days', '7');
   `
 };
 
+// 为已有的表补充新增的列，新列只需追加到末尾
+const SCHEMA_ALTER_STATEMENTS = [
+  "ALTER TABLE monitored_sites ADD COLUMN last_notified_down_at INTEGER DEFAULT NULL",
+  "ALTER TABLE servers ADD COLUMN last_notified_down_at INTEGER DEFAULT NULL",
+  "ALTER TABLE metrics ADD COLUMN uptime INTEGER DEFAULT NULL",
+  "ALTER TABLE metrics ADD COLUMN ping TEXT", // 新增 ping 字段
+  "ALTER TABLE admin_credentials ADD COLUMN must_change_password INTEGER DEFAULT 0",
+  "ALTER TABLE servers ADD COLUMN notification_channels TEXT DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN notification_channels TEXT DEFAULT NULL",
+  "ALTER TABLE notification_channels ADD COLUMN group_name TEXT",
+  "ALTER TABLE servers ADD COLUMN stale_threshold_seconds INTEGER DEFAULT NULL",
+  "ALTER TABLE servers ADD COLUMN notification_repeat_seconds INTEGER DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN notification_repeat_seconds INTEGER DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN failure_threshold INTEGER DEFAULT 1",
+  "ALTER TABLE monitored_sites ADD COLUMN recovery_threshold INTEGER DEFAULT 1",
+  "ALTER TABLE monitored_sites ADD COLUMN consecutive_failures INTEGER DEFAULT 0",
+  "ALTER TABLE monitored_sites ADD COLUMN consecutive_successes INTEGER DEFAULT 0",
+  "ALTER TABLE monitored_sites ADD COLUMN check_method TEXT DEFAULT 'HEAD'",
+  "ALTER TABLE monitored_sites ADD COLUMN check_headers TEXT DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN check_body TEXT DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN auth_username TEXT DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN auth_password TEXT DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN timeout_seconds INTEGER DEFAULT 15",
+  "ALTER TABLE monitored_sites ADD COLUMN redirect_policy TEXT DEFAULT 'follow'",
+  "ALTER TABLE monitored_sites ADD COLUMN accepted_status_codes TEXT DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN assertions TEXT DEFAULT NULL",
+  "ALTER TABLE site_status_history ADD COLUMN detail TEXT",
+  "ALTER TABLE monitored_sites ADD COLUMN cert_expires_at INTEGER DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN cert_checked_at INTEGER DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN cert_error TEXT DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN cert_notified_days INTEGER DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN monitor_type TEXT NOT NULL DEFAULT 'http'",
+  "ALTER TABLE monitored_sites ADD COLUMN dns_record_type TEXT DEFAULT 'A'",
+  "ALTER TABLE monitored_sites ADD COLUMN dns_expected_value TEXT DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN dns_last_answer TEXT DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN heartbeat_period_seconds INTEGER DEFAULT 86400",
+  "ALTER TABLE monitored_sites ADD COLUMN heartbeat_grace_seconds INTEGER DEFAULT 3600",
+  "ALTER TABLE monitored_sites ADD COLUMN last_ping_at INTEGER DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN last_ping_status TEXT DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN last_ping_message TEXT DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN last_ping_duration_ms INTEGER DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN check_interval_seconds INTEGER DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN agent_server_ids TEXT DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN agent_quorum INTEGER DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN degraded_threshold_ms INTEGER DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN consecutive_degraded INTEGER DEFAULT 0",
+  "ALTER TABLE site_daily_stats ADD COLUMN avg_response_ms INTEGER DEFAULT NULL",
+  "ALTER TABLE site_daily_stats ADD COLUMN p95_response_ms INTEGER DEFAULT NULL",
+  "ALTER TABLE monitored_sites ADD COLUMN dns_observed_answer TEXT DEFAULT NULL"
+];
+
+// 数据库结构版本由 D1_SCHEMAS 和 SCHEMA_ALTER_STATEMENTS 的内容计算得出，任何修改都会使版本变化，
+// 因此新增的 ALTER 不需要手动改版本号也会在已有部署上执行；版本一致时跳过迁移
+const SCHEMA_VERSION_KEY = 'schema_version';
+let schemaVersionPromise = null;
+let schemaVersionVerified = false;
+
+function getSchemaVersion() {
+  if (!schemaVersionPromise) {
+    const source = new TextEncoder().encode(JSON.stringify([D1_SCHEMAS, SCHEMA_ALTER_STATEMENTS]));
+    schemaVersionPromise = crypto.subtle.digest('SHA-256', source)
+      .then(digest => Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join(''));
+  }
+  return schemaVersionPromise;
+}
+
+async function getAppliedSchemaVersion(db) {
+  try {
+    const result = await db.prepare('SELECT value FROM app_config WHERE key = ?').bind(SCHEMA_VERSION_KEY).first();
+    return result ? result.value : null;
+  } catch (error) {
+    return null; // app_config 表尚不存在
+  }
+}
+
 // Helper to ensure all tables exist
 async function ensureTablesExist(db) {
+  if (schemaVersionVerified) {
+    return;
+  }
+  const schemaVersion = await getSchemaVersion();
+  if (await getAppliedSchemaVersion(db) === schemaVersion) {
+    schemaVersionVerified = true;
+    return;
+  }
+
   console.log("Ensuring all database tables exist...");
   const createTableStatements = Object.values(D1_SCHEMAS).map(sql => db.prepare(sql));
+  let migrationFailed = false;
   try {
     await db.batch(createTableStatements);
     console.log("Database tables verified/created successfully.");
   } catch (error) {
     console.error("Error during initial table creation:", error);
+    migrationFailed = true;
   }
 
   // Attempt to add new columns to existing tables if they are missing
   console.log("Attempting to apply schema alterations for new columns...");
-  const alterStatements = [
-    "ALTER TABLE monitored_sites ADD COLUMN last_notified_down_at INTEGER DEFAULT NULL",
-    "ALTER TABLE servers ADD COLUMN last_notified_down_at INTEGER DEFAULT NULL",
-    "ALTER TABLE metrics ADD COLUMN uptime INTEGER DEFAULT NULL",
-    "ALTER TABLE metrics ADD COLUMN ping TEXT" // 新增 ping 字段
-  ];
-
-  for (const alterSql of alterStatements) {
+  for (const alterSql of SCHEMA_ALTER_STATEMENTS) {
     try {
       await db.exec(alterSql);
       console.log(`Successfully executed: ${alterSql}`);
@@ -109,12 +348,213 @@ async function ensureTablesExist(db) {
         // Table doesn't exist yet, ignore
       } else {
         console.error(`Error executing ALTER statement "${alterSql}":`, e);
+        migrationFailed = true;
       }
     }
   }
+
+  // 全部成功后记录版本，之后的请求和定时任务跳过迁移；失败时下次继续重试
+  if (!migrationFailed) {
+    try {
+      await db.prepare('REPLACE INTO app_config (key, value) VALUES (?, ?)').bind(SCHEMA_VERSION_KEY, schemaVersion).run();
+      schemaVersionVerified = true;
+      console.log(`Database schema migrated to version ${schemaVersion.slice(0, 12)}.`);
+    } catch (error) {
+      console.error("Error recording schema version:", error);
+    }
+  }
+}
+
+
+// --- Authentication Helpers ---
+
+const SESSION_TTL_SECONDS = 24 * 60 * 60; // 24 hours
+let sessionSigningKey = null;
+
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(str) {
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((str.length + 3) % 4);
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function generateRandomId(byteLength = 16) {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+// 获取会话签名密钥：优先使用环境变量 SESSION_SECRET，否则使用存储在 app_config 中的随机密钥
+async function getSessionSigningKey(env) {
+  if (sessionSigningKey) {
+    return sessionSigningKey;
+  }
+
+  let secret = env.SESSION_SECRET;
+  if (!secret) {
+    await env.DB.prepare('INSERT OR IGNORE INTO app_config (key, value) VALUES (?, ?)')
+                .bind('session_secret', generateRandomId(32))
+                .run();
+    const result = await env.DB.prepare('SELECT value FROM app_config WHERE key = ?').bind('session_secret').first();
+    secret = result.value;
+  }
+
+  sessionSigningKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+  return sessionSigningKey;
+}
+
+// 创建会话并返回签名令牌 (payload.signature)
+async function createSessionToken(env, username) {
+  const sessionId = generateRandomId();
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + SESSION_TTL_SECONDS;
+
+  const insertSession = () => env.DB.prepare('INSERT INTO admin_sessions (id, username, created_at, expires_at) VALUES (?, ?, ?, ?)')
+                                   .bind(sessionId, username, issuedAt, expiresAt)
+                                   .run();
+  try {
+    await insertSession();
+  } catch (dbError) {
+    if (!dbError.message.includes('no such table')) {
+      throw dbError;
+    }
+    await env.DB.exec(D1_SCHEMAS.admin_sessions);
+    await insertSession();
+  }
+
+  const payload = base64UrlEncode(new TextEncoder().encode(JSON.stringify({ sid: sessionId, sub: username, iat: issuedAt, exp: expiresAt })));
+  const key = await getSessionSigningKey(env);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload));
+  return { token: `${payload}.${base64UrlEncode(new Uint8Array(signature))}`, expiresAt };
+}
+
+// 校验令牌签名、有效期以及会话是否已被注销，成功时返回会话信息，否则返回 null
+async function verifySessionToken(env, token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+  const parts = token.split('.');
+  if (parts.length !== 2) {
+    return null;
+  }
+
+  try {
+    const key = await getSessionSigningKey(env);
+    const isValid = await crypto.subtle.verify('HMAC', key, base64UrlDecode(parts[1]), new TextEncoder().encode(parts[0]));
+    if (!isValid) {
+      return null;
+    }
+
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[0])));
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    if (!payload.sid || !payload.exp || payload.exp <= nowSeconds) {
+      return null;
+    }
+
+    const session = await env.DB.prepare(`
+      SELECT s.id, s.username, s.expires_at, c.must_change_password
+      FROM admin_sessions s
+      JOIN admin_credentials c ON c.username = s.username
+      WHERE s.id = ?
+    `).bind(payload.sid).first();
+    if (!session || session.username !== payload.sub || session.expires_at <= nowSeconds) {
+      return null;
+    }
+    return session;
+  } catch (error) {
+    console.error("Session verification error:", error);
+    return null;
+  }
+}
+
+// --- Password Hashing (PBKDF2 via WebCrypto) ---
+
+const DEFAULT_ADMIN_PASSWORD = 'admin';
+const PASSWORD_HASH_PREFIX = 'pbkdf2';
+const PASSWORD_HASH_ITERATIONS = 100000; // Workers 运行时支持的最大迭代次数
+
+function isPasswordHash(storedPassword) {
+  return typeof storedPassword === 'string' && storedPassword.startsWith(PASSWORD_HASH_PREFIX + '$');
+}
+
+async function derivePasswordBits(password, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, keyMaterial, 256);
+  return new Uint8Array(bits);
+}
+
+// 生成加盐哈希，格式: pbkdf2$迭代次数$盐$哈希
+async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await derivePasswordBits(password, salt, PASSWORD_HASH_ITERATIONS);
+  return [PASSWORD_HASH_PREFIX, PASSWORD_HASH_ITERATIONS, base64UrlEncode(salt), base64UrlEncode(hash)].join('$');
+}
+
+// 校验密码，兼容尚未迁移的明文密码
+async function verifyPassword(password, storedPassword) {
+  if (typeof password !== 'string' || !storedPassword) {
+    return false;
+  }
+  if (!isPasswordHash(storedPassword)) {
+    return password === storedPassword;
+  }
+
+  const [, iterations, salt, expectedHash] = storedPassword.split('$');
+  const actual = await derivePasswordBits(password, base64UrlDecode(salt), parseInt(iterations, 10));
+  const expected = base64UrlDecode(expectedHash);
+  if (actual.length !== expected.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < actual.length; i++) {
+    diff |= actual[i] ^ expected[i];
+  }
+  return diff === 0;
+}
+
+function getBearerToken(request) {
+  const authHeader = request.headers.get('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  return authHeader.substring('Bearer '.length).trim();
+}
+
+async function authenticateRequest(request, env) {
+  return verifySessionToken(env, getBearerToken(request));
 }
 
 
+// 历史监控数据查询：各指标对应 metrics_history 中 JSON 列的取值表达式
+const METRICS_HISTORY_FIELDS = {
+  cpu: "json_extract(cpu, '$.usage_percent')",
+  memory: "json_extract(memory, '$.usage_percent')",
+  disk: "json_extract(disk, '$.usage_percent')",
+  upload_speed: "json_extract(network, '$.upload_speed')",
+  download_speed: "json_extract(network, '$.download_speed')",
+  ping_cu: "json_extract(ping, '$.cu')",
+  ping_ct: "json_extract(ping, '$.ct')",
+  ping_cm: "json_extract(ping, '$.cm')"
+};
+const METRICS_HISTORY_MAX_POINTS = 500;
+const METRICS_HISTORY_DEFAULT_POINTS = 120;
+const METRICS_HISTORY_MIN_STEP_SECONDS = 10;
+
 // 处理API请求
 async function handleApiRequest(request, env, ctx) {
   const url = new URL(request.url);
@@ -135,14 +575,14 @@ async function handleApiRequest(request, env, ctx) {
   if (path === '/api/auth/login' && method === 'POST') {
     try {
       const { username, password } = await request.json();
-      let stmt = env.DB.prepare('SELECT password FROM admin_credentials WHERE username = ?');
+      let stmt = env.DB.prepare('SELECT password, must_change_password FROM admin_credentials WHERE username = ?');
       let result = await stmt.bind(username).first();
 
       let storedPassword = null;
       if (result) {
         storedPassword = result.password;
       } else if (username === 'admin') {
-        const defaultPassword = 'admin';
+        const defaultPassword = DEFAULT_ADMIN_PASSWORD;
         try {
           await env.DB.prepare('INSERT OR IGNORE INTO admin_credentials (username, password) VALUES (?, ?)')
                       .bind('admin', defaultPassword)
@@ -158,9 +598,19 @@ async function handleApiRequest(request, env, ctx) {
         }
       }
 
-      if (storedPassword && password === storedPassword) {
-        const token = btoa(username + ':' + Date.now());
-        return new Response(JSON.stringify({ token }), {
+      if (storedPassword && await verifyPassword(password, storedPassword)) {
+        // 仍在使用默认密码时强制修改；明文密码在首次成功登录时迁移为哈希
+        const storedMustChange = !!(result && result.must_change_password);
+        const mustChangePassword = password === DEFAULT_ADMIN_PASSWORD || storedMustChange;
+        if (!isPasswordHash(storedPassword) || mustChangePassword !== storedMustChange) {
+          const passwordHash = isPasswordHash(storedPassword) ? storedPassword : await hashPassword(password);
+          await env.DB.prepare('UPDATE admin_credentials SET password = ?, must_change_password = ? WHERE username = ?')
+                      .bind(passwordHash, mustChangePassword ? 1 : 0, username)
+                      .run();
+        }
+
+        const { token, expiresAt } = await createSessionToken(env, username);
+        return new Response(JSON.stringify({ token, expires_at: expiresAt, must_change_password: mustChangePassword }), {
           headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
       }
@@ -180,12 +630,53 @@ async function handleApiRequest(request, env, ctx) {
   
   // 处理登录状态检查
   if (path === '/api/auth/status' && method === 'GET') {
-    const authHeader = request.headers.get('Authorization');
-    const authenticated = authHeader && authHeader.startsWith('Bearer ');
-    return new Response(JSON.stringify({ authenticated }), {
+    const session = await authenticateRequest(request, env);
+    const responseData = session
+      ? { authenticated: true, username: session.username, expires_at: session.expires_at, must_change_password: !!session.must_change_password }
+      : { authenticated: false };
+    return new Response(JSON.stringify(responseData), {
       headers: { 'Content-Type': 'application/json', ...corsHeaders }
     });
   }
+
+  // 处理退出登录 (注销当前会话)
+  if (path === '/api/auth/logout' && method === 'POST') {
+    try {
+      const session = await authenticateRequest(request, env);
+      if (session) {
+        await env.DB.prepare('DELETE FROM admin_sessions WHERE id = ?').bind(session.id).run();
+      }
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Logout error:", error);
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
+
+  // 所有管理API及密码修改都需要有效的会话令牌
+  let adminSession = null;
+  if (path.startsWith('/api/admin/') || path === '/api/auth/change-password') {
+    adminSession = await authenticateRequest(request, env);
+    if (!adminSession) {
+      return new Response(JSON.stringify({ error: 'Unauthorized', message: '未登录或登录已过期' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    // 默认密码修改前，除修改密码外的管理操作一律拒绝
+    if (adminSession.must_change_password && path !== '/api/auth/change-password') {
+      return new Response(JSON.stringify({ error: 'Password change required', message: '请先修改默认密码' }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
   
   // 处理获取服务器列表 (Public)
   if (path === '/api/servers' && method === 'GET') {
@@ -219,7 +710,7 @@ async function handleApiRequest(request, env, ctx) {
   if (path.startsWith('/api/status/') && method === 'GET') {
     try {
       const serverId = path.split('/').pop();
-      const serverStmt = env.DB.prepare('SELECT id, name, description FROM servers WHERE id = ?');
+      const serverStmt = env.DB.prepare('SELECT id, name, description, stale_threshold_seconds FROM servers WHERE id = ?');
       const serverData = await serverStmt.bind(serverId).first();
 
       if (!serverData) {
@@ -251,9 +742,15 @@ async function handleApiRequest(request, env, ctx) {
          }
       }
 
+      const maintenance = await getActiveMaintenance(env.DB);
+      const monitoringSettings = await getMonitoringSettings(env.DB);
+      const staleThresholdSeconds = serverData.stale_threshold_seconds || monitoringSettings.staleThresholdSeconds;
+      delete serverData.stale_threshold_seconds;
       const responseData = {
         server: serverData,
-        metrics: metricsData
+        metrics: metricsData,
+        maintenance: isUnderMaintenance(maintenance, 'server', serverId),
+        stale_threshold_seconds: staleThresholdSeconds
       };
       return new Response(JSON.stringify(responseData), {
         headers: { 'Content-Type': 'application/json', ...corsHeaders }
@@ -275,21 +772,104 @@ async function handleApiRequest(request, env, ctx) {
     }
   }
   
+  // 处理获取服务器历史监控数据 (Public)
+  // GET /api/servers/:id/metrics?from=&to=&step= (Unix 秒)，按 step 秒分桶聚合 avg/max/min
+  if (path.match(/^\/api\/servers\/[^\/]+\/metrics$/) && method === 'GET') {
+    try {
+      const serverId = path.split('/')[3];
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const to = url.searchParams.has('to') ? parseInt(url.searchParams.get('to'), 10) : nowSeconds;
+      const from = url.searchParams.has('from') ? parseInt(url.searchParams.get('from'), 10) : to - 60 * 60;
+
+      if (isNaN(from) || isNaN(to) || from >= to) {
+        return new Response(JSON.stringify({ error: 'Invalid time range', message: 'from 必须早于 to (Unix 秒)' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+
+      // 限制返回的数据点数量，步长过小时自动放大
+      const range = to - from;
+      const minStep = Math.max(METRICS_HISTORY_MIN_STEP_SECONDS, Math.ceil(range / METRICS_HISTORY_MAX_POINTS));
+      let step = url.searchParams.has('step') ? parseInt(url.searchParams.get('step'), 10) : Math.ceil(range / METRICS_HISTORY_DEFAULT_POINTS);
+      if (isNaN(step) || step < minStep) {
+        step = minStep;
+      }
+
+      const serverData = await env.DB.prepare('SELECT id FROM servers WHERE id = ?').bind(serverId).first();
+      if (!serverData) {
+        return new Response(JSON.stringify({ error: 'Server not found' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+
+      const aggregateColumns = Object.entries(METRICS_HISTORY_FIELDS).map(([field, expr]) =>
+        `AVG(${expr}) AS ${field}_avg, MAX(${expr}) AS ${field}_max, MIN(${expr}) AS ${field}_min`
+      ).join(', ');
+      const stmt = env.DB.prepare(`
+        SELECT CAST(timestamp / ? AS INTEGER) * ? AS bucket, COUNT(*) AS samples, ${aggregateColumns}
+        FROM metrics_history
+        WHERE server_id = ? AND timestamp >= ? AND timestamp <= ?
+        GROUP BY bucket
+        ORDER BY bucket ASC
+      `);
+      const { results } = await stmt.bind(step, step, serverId, from, to).all();
+
+      const roundValue = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : null);
+      const toSeries = (row, field) => ({ avg: roundValue(row[`${field}_avg`]), max: roundValue(row[`${field}_max`]), min: roundValue(row[`${field}_min`]) });
+      const points = (results || []).map(row => ({
+        timestamp: row.bucket,
+        samples: row.samples,
+        cpu: toSeries(row, 'cpu'),
+        memory: toSeries(row, 'memory'),
+        disk: toSeries(row, 'disk'),
+        upload_speed: toSeries(row, 'upload_speed'),
+        download_speed: toSeries(row, 'download_speed'),
+        ping: {
+          cu: toSeries(row, 'ping_cu'),
+          ct: toSeries(row, 'ping_ct'),
+          cm: toSeries(row, 'ping_cm')
+        }
+      }));
+
+      return new Response(JSON.stringify({ server_id: serverId, from, to, step, points }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Get metrics history error:", error);
+      if (error.message.includes('no such table')) {
+         try {
+           await env.DB.exec(D1_SCHEMAS.metrics_history);
+           return new Response(JSON.stringify({ points: [] }), {
+             headers: { 'Content-Type': 'application/json', ...corsHeaders }
+           });
+         } catch (createError) {}
+      }
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
+  
   // 处理管理API - 获取所有服务器
   if (path === '/api/admin/servers' && method === 'GET') {
     try {
       const stmt = env.DB.prepare(`
         SELECT 
           s.id, s.name, s.description, s.created_at, s.sort_order,
-          s.last_notified_down_at,
+          s.last_notified_down_at, s.notification_channels,
+          s.stale_threshold_seconds, s.notification_repeat_seconds,
           m.timestamp as last_report
         FROM servers s
         LEFT JOIN metrics m ON s.id = m.server_id
         ORDER BY s.sort_order ASC NULLS LAST, s.name ASC
       `);
       const { results } = await stmt.all();
+      const servers = (results || []).map(server => ({ ...server, notification_channels: parseStoredNotificationRoute(server.notification_channels) }));
 
-      return new Response(JSON.stringify({ servers: results || [] }), {
+      return new Response(JSON.stringify({ servers }), {
         headers: { 'Content-Type': 'application/json', ...corsHeaders }
       });
     } catch (error) {
@@ -312,7 +892,7 @@ async function handleApiRequest(request, env, ctx) {
   // 处理管理API - 添加新服务器
   if (path === '/api/admin/servers' && method === 'POST') {
     try {
-      const { name, description } = await request.json();
+      const { name, description, notification_channels, stale_threshold_seconds, notification_repeat_seconds } = await request.json();
 
       if (!name) {
         return new Response(JSON.stringify({ error: 'Server name is required' }), {
@@ -320,6 +900,21 @@ async function handleApiRequest(request, env, ctx) {
           headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
       }
+      const { route, error: routeError } = parseNotificationRoute(notification_channels);
+      if (routeError) {
+        return new Response(JSON.stringify({ error: 'Invalid notification route', message: routeError }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+      const staleThreshold = parseSecondsSetting(stale_threshold_seconds, false);
+      const repeatInterval = parseSecondsSetting(notification_repeat_seconds, true);
+      if (staleThreshold.error || repeatInterval.error) {
+        return new Response(JSON.stringify({ error: 'Invalid threshold', message: staleThreshold.error || repeatInterval.error }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
 
       const serverId = Math.random().toString(36).substring(2, 10);
       const apiKey = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
@@ -330,9 +925,10 @@ async function handleApiRequest(request, env, ctx) {
       const nextSortOrder = (maxOrderResult && typeof maxOrderResult.max_order === 'number') ? maxOrderResult.max_order + 1 : 0;
 
       const stmt = env.DB.prepare(
-        'INSERT INTO servers (id, name, description, api_key, created_at, sort_order) VALUES (?, ?, ?, ?, ?, ?)'
+        'INSERT INTO servers (id, name, description, api_key, created_at, sort_order, notification_channels, stale_threshold_seconds, notification_repeat_seconds) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'
       );
-      await stmt.bind(serverId, name, description || '', apiKey, createdAt, nextSortOrder).run();
+      await stmt.bind(serverId, name, description || '', apiKey, createdAt, nextSortOrder, serializeNotificationRoute(route),
+                      staleThreshold.seconds, repeatInterval.seconds).run();
 
       const serverData = {
         id: serverId,
@@ -340,7 +936,10 @@ async function handleApiRequest(request, env, ctx) {
         description: description || '',
         api_key: apiKey,
         created_at: createdAt,
-        sort_order: nextSortOrder
+        sort_order: nextSortOrder,
+        notification_channels: route,
+        stale_threshold_seconds: staleThreshold.seconds,
+        notification_repeat_seconds: repeatInterval.seconds
       };
       return new Response(JSON.stringify({ server: serverData }), {
         headers: { 'Content-Type': 'application/json', ...corsHeaders }
@@ -397,7 +996,7 @@ async function handleApiRequest(request, env, ctx) {
   if (path.match(/\/api\/admin\/servers\/[^\/]+$/) && method === 'PUT') {
     try {
       const serverId = path.split('/').pop();
-      const { name, description } = await request.json();
+      const { name, description, notification_channels, stale_threshold_seconds, notification_repeat_seconds } = await request.json();
 
       if (!name) {
         return new Response(JSON.stringify({ error: 'Server name is required' }), {
@@ -417,6 +1016,31 @@ async function handleApiRequest(request, env, ctx) {
         setClauses.push("description = ?");
         bindings.push(description || '');
       }
+      if (notification_channels !== undefined) {
+        const { route, error: routeError } = parseNotificationRoute(notification_channels);
+        if (routeError) {
+          return new Response(JSON.stringify({ error: 'Invalid notification route', message: routeError }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+        setClauses.push("notification_channels = ?");
+        bindings.push(serializeNotificationRoute(route));
+      }
+      for (const [column, value, allowZero] of [['stale_threshold_seconds', stale_threshold_seconds, false], ['notification_repeat_seconds', notification_repeat_seconds, true]]) {
+        if (value === undefined) {
+          continue;
+        }
+        const { seconds, error: secondsError } = parseSecondsSetting(value, allowZero);
+        if (secondsError) {
+          return new Response(JSON.stringify({ error: 'Invalid threshold', message: secondsError }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+        setClauses.push(`${column} = ?`);
+        bindings.push(seconds);
+      }
 
       if (setClauses.length === 0) {
         return new Response(JSON.stringify({ error: 'No fields to update provided' }), {
@@ -464,7 +1088,7 @@ async function handleApiRequest(request, env, ctx) {
         });
       }
 
-      const serverStmt = env.DB.prepare('SELECT api_key FROM servers WHERE id = ?');
+      const serverStmt = env.DB.prepare('SELECT id, name, api_key, notification_channels FROM servers WHERE id = ?');
       const serverData = await serverStmt.bind(serverId).first();
 
       if (!serverData) {
@@ -489,12 +1113,8 @@ async function handleApiRequest(request, env, ctx) {
         });
       }
 
-      // 保存监控数据到D1 (包含 ping)
-      const metricsStmt = env.DB.prepare(`
-        REPLACE INTO metrics (server_id, timestamp, cpu, memory, disk, network, uptime, ping) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-      await metricsStmt.bind(
+      // 保存监控数据到D1 (包含 ping)：metrics 保存最新一条，metrics_history 保存历史记录
+      const metricsValues = [
         serverId,
         reportData.timestamp,
         JSON.stringify(reportData.cpu),
@@ -503,7 +1123,24 @@ async function handleApiRequest(request, env, ctx) {
         JSON.stringify(reportData.network),
         reportData.uptime,
         JSON.stringify(reportData.ping || {}) // 存储 ping 数据
-      ).run();
+      ];
+      const metricsStmt = env.DB.prepare(`
+        REPLACE INTO metrics (server_id, timestamp, cpu, memory, disk, network, uptime, ping) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const historyStmt = env.DB.prepare(`
+        INSERT INTO metrics_history (server_id, timestamp, cpu, memory, disk, network, uptime, ping)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      await env.DB.batch([
+        metricsStmt.bind(...metricsValues),
+        historyStmt.bind(...metricsValues)
+      ]);
+
+      // 根据告警规则评估本次上报数据
+      if (ctx && typeof ctx.waitUntil === 'function') {
+        ctx.waitUntil(evaluateAlertRules(env.DB, ctx, serverData, reportData));
+      }
       return new Response(JSON.stringify({ success: true }), {
         headers: { 'Content-Type': 'application/json', ...corsHeaders }
       });
@@ -511,7 +1148,7 @@ async function handleApiRequest(request, env, ctx) {
       console.error("Report API error:", error);
        if (error.message.includes('no such table')) {
          try {
-           await env.DB.exec(D1_SCHEMAS.servers + D1_SCHEMAS.metrics);
+           await env.DB.exec(D1_SCHEMAS.servers + D1_SCHEMAS.metrics + D1_SCHEMAS.metrics_history);
             return new Response(JSON.stringify({ error: 'Database table created or server not found, please retry or verify server ID/API Key', message: '数据库表已创建或服务器不存在，请重试或验证服务器ID/API密钥' }), {
               status: 503, headers: { 'Content-Type': 'application/json', ...corsHeaders }
             });
@@ -523,47 +1160,138 @@ async function handleApiRequest(request, env, ctx) {
       });
     }
   }
-  
-  // 处理管理API - 获取服务器的API密钥
-  if (path.match(/\/api\/admin\/servers\/[^\/]+\/key$/) && method === 'GET') {
+  // 处理心跳API - 定时任务完成后访问推送地址，可附带 status=up|down、duration (秒) 和 msg
+  if (path.match(/^\/api\/push\/[^\/]+$/) && (method === 'GET' || method === 'POST')) {
     try {
-      const serverId = path.split('/')[4];
-      const stmt = env.DB.prepare('SELECT api_key FROM servers WHERE id = ?');
-      const result = await stmt.bind(serverId).first();
-
-      if (!result) {
-        return new Response(JSON.stringify({ error: 'Server not found' }), {
-          status: 404,
-          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      const site = await env.DB.prepare("SELECT id FROM monitored_sites WHERE url = ? AND monitor_type = 'heartbeat'").bind(path).first();
+      if (!site) {
+        return new Response(JSON.stringify({ error: 'Heartbeat monitor not found' }), {
+          status: 404, headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
       }
+      const pingStatus = (url.searchParams.get('status') || 'up').toLowerCase();
+      const duration = url.searchParams.get('duration');
+      const durationSeconds = duration === null || duration === '' ? null : Number(duration);
+      if (!['up', 'down'].includes(pingStatus) || (durationSeconds !== null && !(durationSeconds >= 0))) {
+        return new Response(JSON.stringify({ error: 'Invalid parameters', message: 'status 只能是 up 或 down，duration 必须是非负数 (秒)' }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+      const message = (url.searchParams.get('msg') || '').slice(0, MAX_HEARTBEAT_MESSAGE_LENGTH) || null;
 
-      return new Response(JSON.stringify({ api_key: result.api_key }), {
+      await env.DB.prepare('UPDATE monitored_sites SET last_ping_at = ?, last_ping_status = ?, last_ping_message = ?, last_ping_duration_ms = ? WHERE id = ?')
+        .bind(Math.floor(Date.now() / 1000), pingStatus, message, durationSeconds === null ? null : Math.round(durationSeconds * 1000), site.id).run();
+      // 只记录心跳，状态和历史由定时检查按检查间隔更新，可用率不受推送频率影响
+      return new Response(JSON.stringify({ success: true }), {
         headers: { 'Content-Type': 'application/json', ...corsHeaders }
       });
     } catch (error) {
-      console.error("Admin get API key error:", error);
+      console.error("Heartbeat push error:", error);
       return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
       });
     }
   }
-
-  // 处理管理API - 服务器排序
-  if (path.match(/\/api\/admin\/servers\/[^\/]+\/reorder$/) && method === 'POST') {
+  // 处理Agent API - 获取分配给该服务器的网站检查 (GET)，上报检查结果 (POST)
+  if (path.match(/^\/api\/agent\/checks\/[^\/]+$/) && (method === 'GET' || method === 'POST')) {
     try {
-      const serverId = path.split('/')[4];
-      const { direction } = await request.json();
+      const serverId = path.split('/').pop();
+      const apiKey = request.headers.get('X-API-Key');
+      const serverData = apiKey ? await env.DB.prepare('SELECT id, api_key FROM servers WHERE id = ?').bind(serverId).first() : null;
+      if (!serverData || serverData.api_key !== apiKey) {
+        return new Response(JSON.stringify({ error: 'Invalid server ID or API key' }), {
+          status: 401, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
 
-      if (!direction || (direction !== 'up' && direction !== 'down')) {
-        return new Response(JSON.stringify({ error: 'Invalid direction' }), {
-          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      const settings = await getMonitoringSettings(env.DB);
+      const assignedSites = await getAgentAssignedSites(env.DB, serverId);
+      if (method === 'GET') {
+        const checks = assignedSites.map(site => buildAgentCheck(site, settings));
+        return new Response(JSON.stringify({ checks }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
       }
 
-      const results = await env.DB.batch([
-        env.DB.prepare('SELECT id, sort_order FROM servers ORDER BY sort_order ASC NULLS LAST, name ASC')
+      const { results } = await request.json();
+      if (!Array.isArray(results)) {
+        return new Response(JSON.stringify({ error: 'Invalid data format', message: 'results 必须是数组' }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+      const assignedIds = new Set(assignedSites.map(site => site.id));
+      const checkedAt = Math.floor(Date.now() / 1000);
+      const statements = results
+        .filter(result => result && assignedIds.has(result.id) && AGENT_RESULT_STATUSES.includes(result.status))
+        .map(result => env.DB.prepare(
+          'REPLACE INTO site_location_status (site_id, location, status, status_code, response_time_ms, detail, checked_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+        ).bind(result.id, serverId, result.status, Number.isInteger(result.status_code) ? result.status_code : null,
+               Number.isFinite(result.response_time_ms) ? Math.round(result.response_time_ms) : null,
+               typeof result.detail === 'string' ? result.detail.slice(0, 500) : null, checkedAt));
+      if (statements.length > 0) {
+        await env.DB.batch(statements);
+      }
+      return new Response(JSON.stringify({ success: true, accepted: statements.length }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Agent checks API error:", error);
+      if (error.message.includes('no such table')) {
+        try {
+          await env.DB.exec(D1_SCHEMAS.site_location_status);
+          return new Response(JSON.stringify({ error: 'Database table created, please retry', message: '数据库表已创建，请重试' }), {
+            status: 503, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        } catch (createError) {}
+      }
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
+
+
+  
+  // 处理管理API - 获取服务器的API密钥
+  if (path.match(/\/api\/admin\/servers\/[^\/]+\/key$/) && method === 'GET') {
+    try {
+      const serverId = path.split('/')[4];
+      const stmt = env.DB.prepare('SELECT api_key FROM servers WHERE id = ?');
+      const result = await stmt.bind(serverId).first();
+
+      if (!result) {
+        return new Response(JSON.stringify({ error: 'Server not found' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+
+      return new Response(JSON.stringify({ api_key: result.api_key }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Admin get API key error:", error);
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
+
+  // 处理管理API - 服务器排序
+  if (path.match(/\/api\/admin\/servers\/[^\/]+\/reorder$/) && method === 'POST') {
+    try {
+      const serverId = path.split('/')[4];
+      const { direction } = await request.json();
+
+      if (!direction || (direction !== 'up' && direction !== 'down')) {
+        return new Response(JSON.stringify({ error: 'Invalid direction' }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+
+      const results = await env.DB.batch([
+        env.DB.prepare('SELECT id, sort_order FROM servers ORDER BY sort_order ASC NULLS LAST, name ASC')
       ]);
       const allServers = results[0].results;
       const currentIndex = allServers.findIndex(s => s.id === serverId);
@@ -631,7 +1359,7 @@ async function handleApiRequest(request, env, ctx) {
   // 处理密码修改API
   if (path === '/api/auth/change-password' && method === 'POST') {
     try {
-      const adminUsername = 'admin';
+      const adminUsername = adminSession.username;
       const { current_password, new_password } = await request.json();
 
       if (!current_password || !new_password) {
@@ -641,6 +1369,13 @@ async function handleApiRequest(request, env, ctx) {
         });
       }
 
+      if (new_password.length < 6 || new_password === DEFAULT_ADMIN_PASSWORD) {
+        return new Response(JSON.stringify({ error: 'New password is too weak', message: '新密码至少需要6位，且不能使用默认密码' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+
       let stmt = env.DB.prepare('SELECT password FROM admin_credentials WHERE username = ?');
       let result = await stmt.bind(adminUsername).first();
 
@@ -651,15 +1386,18 @@ async function handleApiRequest(request, env, ctx) {
         });
       }
 
-      if (result.password !== current_password) {
+      if (!await verifyPassword(current_password, result.password)) {
         return new Response(JSON.stringify({ error: 'Current password is incorrect', message: '当前密码不正确' }), {
           status: 400,
           headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
       }
 
-      stmt = env.DB.prepare('UPDATE admin_credentials SET password = ? WHERE username = ?');
-      await stmt.bind(new_password, adminUsername).run();
+      // 修改密码后注销该用户的其他所有会话
+      await env.DB.batch([
+        env.DB.prepare('UPDATE admin_credentials SET password = ?, must_change_password = 0 WHERE username = ?').bind(await hashPassword(new_password), adminUsername),
+        env.DB.prepare('DELETE FROM admin_sessions WHERE username = ? AND id != ?').bind(adminUsername, adminSession.id)
+      ]);
 
       return new Response(JSON.stringify({ success: true }), {
         headers: { 'Content-Type': 'application/json', ...corsHeaders }
@@ -678,9 +1416,18 @@ async function handleApiRequest(request, env, ctx) {
   // 处理管理API - 获取监控站点列表
   if (path === '/api/admin/sites' && method === 'GET') {
     try {
-      const stmt = env.DB.prepare('SELECT id, name, url, added_at, last_checked, last_status, last_status_code, last_response_time_ms, sort_order, last_notified_down_at FROM monitored_sites ORDER BY sort_order ASC NULLS LAST, name ASC, url ASC');
+      const stmt = env.DB.prepare(`SELECT id, name, url, added_at, last_checked, last_status, last_status_code, last_response_time_ms, sort_order, last_notified_down_at, notification_channels, notification_repeat_seconds, failure_threshold, recovery_threshold, consecutive_failures, consecutive_successes, ${SITE_CHECK_COLUMNS.join(', ')}, dns_last_answer, dns_observed_answer, last_ping_at, cert_expires_at, cert_checked_at, cert_error FROM monitored_sites ORDER BY sort_order ASC NULLS LAST, name ASC, url ASC`);
       const { results } = await stmt.all();
-      return new Response(JSON.stringify({ sites: results || [] }), {
+      const locationsBySite = await getSiteLocationStatuses(env.DB, results || []);
+      const sites = (results || []).map(site => ({
+        ...site,
+        notification_channels: parseStoredNotificationRoute(site.notification_channels),
+        check_headers: site.check_headers ? JSON.parse(site.check_headers) : null,
+        assertions: site.assertions ? JSON.parse(site.assertions) : null,
+        agent_server_ids: site.agent_server_ids ? JSON.parse(site.agent_server_ids) : null,
+        locations: locationsBySite.get(site.id) || null
+      }));
+      return new Response(JSON.stringify({ sites }), {
         headers: { 'Content-Type': 'application/json', ...corsHeaders }
       });
     } catch (error) {
@@ -702,13 +1449,45 @@ async function handleApiRequest(request, env, ctx) {
   // 处理管理API - 添加监控站点
   if (path === '/api/admin/sites' && method === 'POST') {
     try {
-      const { url, name } = await request.json();
+      const body = await request.json();
+      const { url, name, notification_channels, notification_repeat_seconds, failure_threshold, recovery_threshold } = body;
 
-      if (!url || !isValidHttpUrl(url)) {
+      if (body.monitor_type !== 'heartbeat' && (!url || typeof url !== 'string')) {
         return new Response(JSON.stringify({ error: 'Valid URL is required', message: '请输入有效的URL' }), {
           status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
       }
+      const { route, error: routeError } = parseNotificationRoute(notification_channels);
+      if (routeError) {
+        return new Response(JSON.stringify({ error: 'Invalid notification route', message: routeError }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+      const repeatInterval = parseSecondsSetting(notification_repeat_seconds, true);
+      const failureThreshold = parseConfirmationCount(failure_threshold);
+      const recoveryThreshold = parseConfirmationCount(recovery_threshold);
+      const thresholdError = repeatInterval.error || failureThreshold.error || recoveryThreshold.error;
+      if (thresholdError) {
+        return new Response(JSON.stringify({ error: 'Invalid threshold', message: thresholdError }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+      const { options: checkOptions, error: checkOptionsError } = parseSiteCheckOptions(body);
+      if (checkOptionsError) {
+        return new Response(JSON.stringify({ error: 'Invalid check options', message: checkOptionsError }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+      const checkConfig = { ...DEFAULT_SITE_CHECK_OPTIONS, ...checkOptions };
+      // 心跳监控的地址为自动生成的推送路径
+      const siteUrl = checkConfig.monitor_type === 'heartbeat' ? generateHeartbeatPushPath() : url;
+      const targetError = SITE_MONITOR_TYPES[checkConfig.monitor_type].validateTarget(siteUrl)
+        || (checkConfig.agent_server_ids && !SITE_AGENT_MONITOR_TYPES.includes(checkConfig.monitor_type) ? '只有 HTTP(S) 和 TCP 监控可以由 Agent 检查' : null);
+      if (targetError) {
+        return new Response(JSON.stringify({ error: 'Valid URL is required', message: targetError }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
 
       const siteId = Math.random().toString(36).substring(2, 12);
       const addedAt = Math.floor(Date.now() / 1000);
@@ -717,27 +1496,34 @@ async function handleApiRequest(request, env, ctx) {
       const nextSortOrder = (maxOrderResult && typeof maxOrderResult.max_order === 'number') ? maxOrderResult.max_order + 1 : 0;
 
       const stmt = env.DB.prepare(
-        'INSERT INTO monitored_sites (id, url, name, added_at, last_status, sort_order) VALUES (?, ?, ?, ?, ?, ?)'
+        `INSERT INTO monitored_sites (id, url, name, added_at, last_status, sort_order, notification_channels, notification_repeat_seconds, failure_threshold, recovery_threshold, ${SITE_CHECK_COLUMNS.join(', ')})
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${SITE_CHECK_COLUMNS.map(() => '?').join(', ')})`
       );
-      await stmt.bind(siteId, url, name || '', addedAt, 'PENDING', nextSortOrder).run();
+      await stmt.bind(siteId, siteUrl, name || '', addedAt, 'PENDING', nextSortOrder, serializeNotificationRoute(route), repeatInterval.seconds,
+                      failureThreshold.count, recoveryThreshold.count, ...SITE_CHECK_COLUMNS.map(column => serializeSiteCheckOption(column, checkConfig[column]))).run();
 
       const siteData = {
         id: siteId,
-        url,
+        url: siteUrl,
         name: name || '',
         added_at: addedAt,
         last_status: 'PENDING',
-        sort_order: nextSortOrder
+        sort_order: nextSortOrder,
+        notification_channels: route,
+        notification_repeat_seconds: repeatInterval.seconds,
+        failure_threshold: failureThreshold.count,
+        recovery_threshold: recoveryThreshold.count,
+        ...checkConfig
       };
       
       const newSiteForCheck = {
         id: siteId,
-        url: url,
+        url: siteUrl,
         name: name || ''
       };
       if (ctx && typeof ctx.waitUntil === 'function') {
         ctx.waitUntil(checkWebsiteStatus(newSiteForCheck, env.DB, ctx));
-        console.log(`Scheduled immediate health check for new site: ${siteId} (${url})`);
+        console.log(`Scheduled immediate health check for new site: ${siteId} (${siteUrl})`);
       } else {
         checkWebsiteStatus(newSiteForCheck, env.DB, ctx).catch(e => console.error("Error during direct immediate site check:", e));
       }
@@ -770,24 +1556,89 @@ async function handleApiRequest(request, env, ctx) {
   if (path.match(/\/api\/admin\/sites\/[^\/]+$/) && method === 'PUT') {
     try {
       const siteId = path.split('/').pop();
-      const { url, name } = await request.json();
+      const body = await request.json();
+      const { url, name, notification_channels, notification_repeat_seconds, failure_threshold, recovery_threshold } = body;
 
       let setClauses = [];
       let bindings = [];
 
-      if (url !== undefined) {
-        if (!isValidHttpUrl(url)) {
-          return new Response(JSON.stringify({ error: 'Valid URL is required if provided' }), {
+      const { options: checkOptions, error: checkOptionsError } = parseSiteCheckOptions(body);
+      if (checkOptionsError) {
+        return new Response(JSON.stringify({ error: 'Invalid check options', message: checkOptionsError }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+      let targetUrl = url;
+      if (url !== undefined || checkOptions.monitor_type !== undefined) {
+        // 地址或类型变更时按变更后的类型校验地址
+        const currentSite = await env.DB.prepare('SELECT url, monitor_type FROM monitored_sites WHERE id = ?').bind(siteId).first();
+        if (!currentSite) {
+          return new Response(JSON.stringify({ error: 'Site not found or no changes made' }), {
+            status: 404, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+        const monitorType = checkOptions.monitor_type || currentSite.monitor_type || 'http';
+        if (monitorType === 'heartbeat' && url === undefined && SITE_MONITOR_TYPES.heartbeat.validateTarget(currentSite.url)) {
+          targetUrl = generateHeartbeatPushPath();
+        }
+        const targetError = typeof (targetUrl ?? currentSite.url) === 'string' ? SITE_MONITOR_TYPES[monitorType].validateTarget(targetUrl ?? currentSite.url) : '请输入有效的URL';
+        if (targetError) {
+          return new Response(JSON.stringify({ error: 'Valid URL is required if provided', message: targetError }), {
             status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
           });
         }
+      }
+      if (targetUrl !== undefined) {
         setClauses.push("url = ?");
-        bindings.push(url);
+        bindings.push(targetUrl);
+        // 网址变更后重新查询证书
+        setClauses.push("cert_expires_at = NULL", "cert_checked_at = NULL", "cert_error = NULL", "cert_notified_days = NULL");
       }
       if (name !== undefined) {
         setClauses.push("name = ?");
         bindings.push(name || '');
       }
+      if (notification_channels !== undefined) {
+        const { route, error: routeError } = parseNotificationRoute(notification_channels);
+        if (routeError) {
+          return new Response(JSON.stringify({ error: 'Invalid notification route', message: routeError }), {
+            status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+        setClauses.push("notification_channels = ?");
+        bindings.push(serializeNotificationRoute(route));
+      }
+      if (notification_repeat_seconds !== undefined) {
+        const { seconds, error: secondsError } = parseSecondsSetting(notification_repeat_seconds, true);
+        if (secondsError) {
+          return new Response(JSON.stringify({ error: 'Invalid threshold', message: secondsError }), {
+            status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+        setClauses.push("notification_repeat_seconds = ?");
+        bindings.push(seconds);
+      }
+      for (const [column, value] of [['failure_threshold', failure_threshold], ['recovery_threshold', recovery_threshold]]) {
+        if (value === undefined) {
+          continue;
+        }
+        const { count, error: countError } = parseConfirmationCount(value);
+        if (countError) {
+          return new Response(JSON.stringify({ error: 'Invalid threshold', message: countError }), {
+            status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+        setClauses.push(`${column} = ?`);
+        bindings.push(count);
+      }
+      for (const [column, value] of Object.entries(checkOptions)) {
+        setClauses.push(`${column} = ?`);
+        bindings.push(serializeSiteCheckOption(column, value));
+      }
+      if (url !== undefined || checkOptions.monitor_type !== undefined || checkOptions.dns_record_type !== undefined || checkOptions.dns_expected_value !== undefined) {
+        // DNS 监控配置变更后以下次解析结果作为新的比较基准
+        setClauses.push("dns_last_answer = NULL", "dns_observed_answer = NULL");
+      }
       
       if (setClauses.length === 0) {
         return new Response(JSON.stringify({ error: 'No fields to update provided' }), {
@@ -809,8 +1660,14 @@ async function handleApiRequest(request, env, ctx) {
         });
       }
       
-      const updatedSiteStmt = env.DB.prepare('SELECT id, url, name, added_at, last_checked, last_status, last_status_code, last_response_time_ms, sort_order FROM monitored_sites WHERE id = ?');
+      const updatedSiteStmt = env.DB.prepare(`SELECT id, url, name, added_at, last_checked, last_status, last_status_code, last_response_time_ms, sort_order, notification_channels, notification_repeat_seconds, failure_threshold, recovery_threshold, consecutive_failures, consecutive_successes, ${SITE_CHECK_COLUMNS.join(', ')}, dns_last_answer FROM monitored_sites WHERE id = ?`);
       const updatedSite = await updatedSiteStmt.bind(siteId).first();
+      if (updatedSite) {
+        updatedSite.notification_channels = parseStoredNotificationRoute(updatedSite.notification_channels);
+        updatedSite.check_headers = updatedSite.check_headers ? JSON.parse(updatedSite.check_headers) : null;
+        updatedSite.assertions = updatedSite.assertions ? JSON.parse(updatedSite.assertions) : null;
+        updatedSite.agent_server_ids = updatedSite.agent_server_ids ? JSON.parse(updatedSite.agent_server_ids) : null;
+      }
 
       return new Response(JSON.stringify({ site: updatedSite }), {
         headers: { 'Content-Type': 'application/json', ...corsHeaders }
@@ -851,6 +1708,36 @@ async function handleApiRequest(request, env, ctx) {
     }
   }
 
+  // 处理管理API - 接受 DNS 监控最近一次解析到的结果作为新的比较基准
+  // 请求体中的 answer 为管理员看到的结果，与最近一次检查不一致时拒绝，避免接受未经确认的变更
+  if (path.match(/\/api\/admin\/sites\/[^\/]+\/dns-baseline$/) && method === 'POST') {
+    try {
+      const siteId = path.split('/')[4];
+      const { answer } = await request.json();
+      const site = await env.DB.prepare("SELECT dns_observed_answer FROM monitored_sites WHERE id = ? AND monitor_type = 'dns'").bind(siteId).first();
+      if (!site) {
+        return new Response(JSON.stringify({ error: 'DNS monitor not found' }), {
+          status: 404, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+      if (!site.dns_observed_answer || answer !== site.dns_observed_answer) {
+        return new Response(JSON.stringify({ error: 'Answer changed', message: '解析结果已变化，请刷新后重新确认' }), {
+          status: 409, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+      await env.DB.prepare('UPDATE monitored_sites SET dns_last_answer = ? WHERE id = ?').bind(site.dns_observed_answer, siteId).run();
+
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Admin reset DNS baseline error:", error);
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
+
   // 处理管理API - 网站排序
   if (path.match(/\/api\/admin\/sites\/[^\/]+\/reorder$/) && method === 'POST') {
     try {
@@ -930,9 +1817,16 @@ async function handleApiRequest(request, env, ctx) {
   // 处理公共API - 获取所有监控站点状态 (URL removed)
   if (path === '/api/sites/status' && method === 'GET') {
      try {
-      const stmt = env.DB.prepare('SELECT id, name, last_checked, last_status, last_status_code, last_response_time_ms FROM monitored_sites ORDER BY sort_order ASC NULLS LAST, name ASC, id ASC');
+      const stmt = env.DB.prepare('SELECT id, name, last_checked, last_status, last_status_code, last_response_time_ms, cert_expires_at, monitor_type, agent_server_ids FROM monitored_sites ORDER BY sort_order ASC NULLS LAST, name ASC, id ASC');
       const { results } = await stmt.all();
-      return new Response(JSON.stringify({ sites: results || [] }), {
+      const maintenance = await getActiveMaintenance(env.DB);
+      const locationsBySite = await getSiteLocationStatuses(env.DB, results || []);
+      const sites = (results || []).map(({ monitor_type, agent_server_ids, ...site }) => ({
+        ...site,
+        maintenance: isUnderMaintenance(maintenance, 'site', site.id),
+        locations: locationsBySite.get(site.id) || null
+      }));
+      return new Response(JSON.stringify({ sites }), {
         headers: { 'Content-Type': 'application/json', ...corsHeaders }
       });
     } catch (error) {
@@ -954,8 +1848,8 @@ async function handleApiRequest(request, env, ctx) {
   // --- End Website Monitoring API ---
 
   // --- App Config Settings API (for VPS report interval) ---
-  // GET /api/admin/settings/vps-report-interval
-  if (path === '/api/admin/settings/vps-report-interval' && method === 'GET') {
+  // GET /api/admin/settings/vps-report-interval (公共首页使用 /api/settings/vps-report-interval)
+  if ((path === '/api/admin/settings/vps-report-interval' || path === '/api/settings/vps-report-interval') && method === 'GET') {
     try {
       const stmt = env.DB.prepare('SELECT value FROM app_config WHERE key = ?');
       const result = await stmt.bind('vps_report_interval_seconds').first();
@@ -1002,6 +1896,143 @@ async function handleApiRequest(request, env, ctx) {
       });
     }
   }
+  // GET /api/admin/settings/metrics-retention
+  if (path === '/api/admin/settings/metrics-retention' && method === 'GET') {
+    try {
+      const stmt = env.DB.prepare('SELECT value FROM app_config WHERE key = ?');
+      const result = await stmt.bind('metrics_retention_days').first();
+      const days = result ? parseInt(result.value, 10) : DEFAULT_METRICS_RETENTION_DAYS;
+
+      return new Response(JSON.stringify({ days: days }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Get metrics retention error:", error);
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
+
+  // POST /api/admin/settings/metrics-retention
+  if (path === '/api/admin/settings/metrics-retention' && method === 'POST') {
+    try {
+      const { days } = await request.json();
+      if (typeof days !== 'number' || days <= 0 || !Number.isInteger(days)) {
+        return new Response(JSON.stringify({ error: 'Invalid retention value. Must be a positive integer (days).' }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+
+      const stmt = env.DB.prepare('REPLACE INTO app_config (key, value) VALUES (?, ?)');
+      await stmt.bind('metrics_retention_days', days.toString()).run();
+      return new Response(JSON.stringify({ success: true, days: days }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Update metrics retention error:", error);
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
+
+  // GET /api/admin/settings - 获取全部监控相关设置
+  if (path === '/api/admin/settings' && method === 'GET') {
+    try {
+      const settings = await getMonitoringSettings(env.DB);
+      return new Response(JSON.stringify(formatMonitoringSettings(settings)), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Get settings error:", error);
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
+
+  // POST /api/admin/settings - 更新部分设置，vps_stale_threshold_seconds 为 null 表示按上报间隔自动计算
+  if (path === '/api/admin/settings' && method === 'POST') {
+    try {
+      const body = await request.json();
+      const statements = [];
+      for (const [key, parseSetting] of Object.entries(MONITORING_SETTING_PARSERS)) {
+        if (body[key] === undefined) {
+          continue;
+        }
+        const { value, error: valueError } = parseSetting(body[key]);
+        if (valueError) {
+          return new Response(JSON.stringify({ error: 'Invalid setting', message: `${key}: ${valueError}` }), {
+            status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+        statements.push(value === null
+          ? env.DB.prepare('DELETE FROM app_config WHERE key = ?').bind(key)
+          : env.DB.prepare('REPLACE INTO app_config (key, value) VALUES (?, ?)').bind(key, value));
+      }
+      if (statements.length === 0) {
+        return new Response(JSON.stringify({ error: 'No fields to update provided' }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+
+      await env.DB.batch(statements);
+      const settings = await getMonitoringSettings(env.DB);
+      return new Response(JSON.stringify({ success: true, ...formatMonitoringSettings(settings) }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Update settings error:", error);
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
+
+  // GET /api/admin/settings/notification-route
+  if (path === '/api/admin/settings/notification-route' && method === 'GET') {
+    try {
+      const stmt = env.DB.prepare('SELECT value FROM app_config WHERE key = ?');
+      const result = await stmt.bind('default_notification_route').first();
+
+      return new Response(JSON.stringify({ route: result ? parseStoredNotificationRoute(result.value) : null }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Get default notification route error:", error);
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
+
+  // POST /api/admin/settings/notification-route (route 为 null 表示发送到全部渠道)
+  if (path === '/api/admin/settings/notification-route' && method === 'POST') {
+    try {
+      const body = await request.json();
+      const { route, error: routeError } = parseNotificationRoute(body.route);
+      if (routeError) {
+        return new Response(JSON.stringify({ error: 'Invalid notification route', message: routeError }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+
+      if (route === null) {
+        await env.DB.prepare('DELETE FROM app_config WHERE key = ?').bind('default_notification_route').run();
+      } else {
+        await env.DB.prepare('REPLACE INTO app_config (key, value) VALUES (?, ?)').bind('default_notification_route', serializeNotificationRoute(route)).run();
+      }
+      return new Response(JSON.stringify({ success: true, route }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Update default notification route error:", error);
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
   // --- End App Config Settings API ---
 
 
@@ -1062,26 +2093,22 @@ async function handleApiRequest(request, env, ctx) {
   }
   // --- End Telegram Settings API ---
 
-  // 处理公共API - 获取特定监控站点的24小时历史状态
-  if (path.match(/\/api\/sites\/[^\/]+\/history$/) && method === 'GET') {
+  // --- Notification Channels API ---
+  // 处理管理API - 获取通知渠道列表
+  if (path === '/api/admin/notification-channels' && method === 'GET') {
     try {
-      const siteId = path.split('/')[3];
-      const nowSeconds = Math.floor(Date.now() / 1000);
-      const twentyFourHoursAgoSeconds = nowSeconds - (24 * 60 * 60);
-      const stmt = env.DB.prepare(
-        'SELECT timestamp, status, status_code, response_time_ms FROM site_status_history WHERE site_id = ? AND timestamp >= ? ORDER BY timestamp DESC'
-      );
-      const { results } = await stmt.bind(siteId, twentyFourHoursAgoSeconds).all();
-
-      return new Response(JSON.stringify({ history: results || [] }), {
+      const stmt = env.DB.prepare('SELECT id, name, type, config, group_name, enabled, created_at FROM notification_channels ORDER BY created_at ASC');
+      const { results } = await stmt.all();
+      const channels = (results || []).map(channel => ({ ...channel, config: JSON.parse(channel.config || '{}') }));
+      return new Response(JSON.stringify({ channels }), {
         headers: { 'Content-Type': 'application/json', ...corsHeaders }
       });
     } catch (error) {
-      console.error("Get site history error:", error);
+      console.error("Admin get notification channels error:", error);
       if (error.message.includes('no such table')) {
          try {
-           await env.DB.exec(D1_SCHEMAS.site_status_history);
-           return new Response(JSON.stringify({ history: [] }), {
+           await env.DB.exec(D1_SCHEMAS.notification_channels);
+           return new Response(JSON.stringify({ channels: [] }), {
              headers: { 'Content-Type': 'application/json', ...corsHeaders }
            });
          } catch (createError) {}
@@ -1092,1220 +2119,4943 @@ async function handleApiRequest(request, env, ctx) {
     }
   }
 
+  // 处理管理API - 添加通知渠道
+  if (path === '/api/admin/notification-channels' && method === 'POST') {
+    try {
+      const { channel, error: validationError } = parseNotificationChannelInput(await request.json());
+      if (validationError) {
+        return new Response(JSON.stringify({ error: 'Invalid notification channel', message: validationError }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
 
-  // 未找到匹配的API路由
-  return new Response(JSON.stringify({ error: 'API endpoint not found' }), {
-    status: 404,
-    headers: { 'Content-Type': 'application/json', ...corsHeaders }
-  });
-}
-
-
-// --- Scheduled Task for Website Monitoring ---
-
-// Helper function to send Telegram notification
-async function sendTelegramNotification(db, message) {
-  try {
-    const configStmt = db.prepare('SELECT bot_token, chat_id, enable_notifications FROM telegram_config WHERE id = 1');
-    const config = await configStmt.first();
+      const channelId = Math.random().toString(36).substring(2, 12);
+      const createdAt = Math.floor(Date.now() / 1000);
+      const stmt = env.DB.prepare(
+        'INSERT INTO notification_channels (id, name, type, config, group_name, enabled, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+      );
+      await stmt.bind(channelId, channel.name, channel.type, JSON.stringify(channel.config), channel.group_name, channel.enabled, createdAt).run();
 
-    if (!config || !config.enable_notifications || !config.bot_token || !config.chat_id) {
-      console.log("Telegram notifications are disabled or not configured.");
-      return;
+      return new Response(JSON.stringify({ channel: { id: channelId, ...channel, created_at: createdAt } }), {
+        status: 201, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Admin add notification channel error:", error);
+      if (error.message.includes('no such table')) {
+         try {
+           await env.DB.exec(D1_SCHEMAS.notification_channels);
+            return new Response(JSON.stringify({ error: 'Database table created, please retry', message: '数据库表已创建，请重试添加操作' }), {
+              status: 503, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            });
+         } catch (createError) {}
+      }
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
     }
+  }
 
-    const telegramApiUrl = `https://api.telegram.org/bot${config.bot_token}/sendMessage`;
-    const response = await fetch(telegramApiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: config.chat_id,
-        text: message,
-        parse_mode: 'Markdown'
-      })
-    });
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error(`Failed to send Telegram notification: ${response.status}`, errorData);
-    } else {
-      console.log("Telegram notification sent successfully.");
-    }
-  } catch (error) {
-    console.error("Error sending Telegram notification:", error);
-  }
-}
-
+  // 处理管理API - 更新通知渠道
+  if (path.match(/\/api\/admin\/notification-channels\/[^\/]+$/) && method === 'PUT') {
+    try {
+      const channelId = path.split('/').pop();
+      const { channel, error: validationError } = parseNotificationChannelInput(await request.json());
+      if (validationError) {
+        return new Response(JSON.stringify({ error: 'Invalid notification channel', message: validationError }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
 
-async function checkWebsiteStatus(site, db, ctx) {
-  const { id, url, name } = site;
-  const startTime = Date.now();
-  let newStatus = 'PENDING';
-  let newStatusCode = null;
-  let newResponseTime = null;
-  let previousStatus = 'PENDING';
-  let siteLastNotifiedDownAt = null;
+      const stmt = env.DB.prepare('UPDATE notification_channels SET name = ?, type = ?, config = ?, group_name = ?, enabled = ? WHERE id = ?');
+      const info = await stmt.bind(channel.name, channel.type, JSON.stringify(channel.config), channel.group_name, channel.enabled, channelId).run();
+      if (info.meta.changes === 0) {
+        return new Response(JSON.stringify({ error: 'Notification channel not found' }), {
+          status: 404, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
 
-  try {
-    const siteDetailsStmt = db.prepare('SELECT last_status, last_notified_down_at FROM monitored_sites WHERE id = ?');
-    const siteDetailsResult = await siteDetailsStmt.bind(id).first();
-    if (siteDetailsResult) {
-      previousStatus = siteDetailsResult.last_status || 'PENDING';
-      siteLastNotifiedDownAt = siteDetailsResult.last_notified_down_at;
+      return new Response(JSON.stringify({ channel: { id: channelId, ...channel } }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Admin update notification channel error:", error);
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
     }
-  } catch (e) {
-    console.error(`获取网站 ${id} 详情错误:`, e);
   }
-  const NOTIFICATION_INTERVAL_SECONDS = 1 * 60 * 60; // 1 hour
 
+  // 处理管理API - 删除通知渠道
+  if (path.match(/\/api\/admin\/notification-channels\/[^\/]+$/) && method === 'DELETE') {
+    try {
+      const channelId = path.split('/').pop();
+      const info = await env.DB.prepare('DELETE FROM notification_channels WHERE id = ?').bind(channelId).run();
+      if (info.meta.changes === 0) {
+        return new Response(JSON.stringify({ error: 'Notification channel not found' }), {
+          status: 404, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
 
-  try {
-    const response = await fetch(url, { method: 'HEAD', redirect: 'follow', signal: AbortSignal.timeout(15000) });
-    newResponseTime = Date.now() - startTime;
-    newStatusCode = response.status;
-
-    if (response.ok || (response.status >= 300 && response.status < 500)) { // 2xx, 3xx, and 4xx are considered UP
-      newStatus = 'UP';
-    } else {
-      newStatus = 'DOWN';
-    }
-  } catch (error) {
-    newResponseTime = Date.now() - startTime;
-    if (error.name === 'TimeoutError') {
-      newStatus = 'TIMEOUT';
-    } else {
-      newStatus = 'ERROR';
-      console.error(`检查网站 ${id} (${url}) 错误:`, error.message);
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Admin delete notification channel error:", error);
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
     }
   }
 
-  const checkTime = Math.floor(Date.now() / 1000);
-  const siteDisplayName = name || url;
-  let newSiteLastNotifiedDownAt = siteLastNotifiedDownAt;
+  // 处理管理API - 向通知渠道发送测试消息
+  if (path.match(/\/api\/admin\/notification-channels\/[^\/]+\/test$/) && method === 'POST') {
+    try {
+      const channelId = path.split('/')[4];
+      const channel = await env.DB.prepare('SELECT id, name, type, config FROM notification_channels WHERE id = ?').bind(channelId).first();
+      if (!channel) {
+        return new Response(JSON.stringify({ error: 'Notification channel not found' }), {
+          status: 404, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
 
-  if (['DOWN', 'TIMEOUT', 'ERROR'].includes(newStatus)) {
-    const isFirstTimeDown = !['DOWN', 'TIMEOUT', 'ERROR'].includes(previousStatus);
-    if (isFirstTimeDown) {
-      const message = `🔴 网站故障: *${siteDisplayName}* 当前状态 ${newStatus.toLowerCase()} (状态码: ${newStatusCode || '无'}).\n网址: ${url}`;
-      ctx.waitUntil(sendTelegramNotification(db, message));
-      newSiteLastNotifiedDownAt = checkTime;
-      console.log(`网站 ${siteDisplayName} 刚刚故障。已发送初始通知。last_notified_down_at 已更新。`);
-    } else {
-      const shouldResend = siteLastNotifiedDownAt === null || (checkTime - siteLastNotifiedDownAt > NOTIFICATION_INTERVAL_SECONDS);
-      if (shouldResend) {
-        const message = `🔴 网站持续故障: *${siteDisplayName}* 状态 ${newStatus.toLowerCase()} (状态码: ${newStatusCode || '无'}).\n网址: ${url}`;
-        ctx.waitUntil(sendTelegramNotification(db, message));
-        newSiteLastNotifiedDownAt = checkTime;
-        console.log(`网站 ${siteDisplayName} 持续故障。已发送重复通知。last_notified_down_at 已更新。`);
-      } else {
-        console.log(`网站 ${siteDisplayName} 持续故障，但1小时通知间隔未到。`);
+      try {
+        await deliverChannelNotification(channel, buildNotification({
+          event: 'test',
+          name: channel.name,
+          status: 'TEST',
+          message: `✅ 通知渠道「${channel.name}」已在此监控面板激活。这是一条测试消息。`
+        }));
+      } catch (sendError) {
+        return new Response(JSON.stringify({ error: 'Test notification failed', message: sendError.message }), {
+          status: 502, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
       }
+
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Admin test notification channel error:", error);
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
     }
-  } else if (newStatus === 'UP' && ['DOWN', 'TIMEOUT', 'ERROR'].includes(previousStatus)) {
-    const message = `✅ 网站恢复: *${siteDisplayName}* 已恢复在线!\n网址: ${url}`;
-    ctx.waitUntil(sendTelegramNotification(db, message));
-    newSiteLastNotifiedDownAt = null; 
-    console.log(`网站 ${siteDisplayName} 已恢复。已发送通知。last_notified_down_at 已清除。`);
   }
+  // --- End Notification Channels API ---
 
-  // Update D1
-  try {
-    const updateSiteStmt = db.prepare(
-      'UPDATE monitored_sites SET last_checked = ?, last_status = ?, last_status_code = ?, last_response_time_ms = ?, last_notified_down_at = ? WHERE id = ?'
-    );
-    const recordHistoryStmt = db.prepare(
-      'INSERT INTO site_status_history (site_id, timestamp, status, status_code, response_time_ms) VALUES (?, ?, ?, ?, ?)'
-    );
-    await db.batch([
-      updateSiteStmt.bind(checkTime, newStatus, newStatusCode, newResponseTime, newSiteLastNotifiedDownAt, id),
-      recordHistoryStmt.bind(id, checkTime, newStatus, newStatusCode, newResponseTime)
-    ]);
-    console.log(`已检查网站 ${id} (${url}): ${newStatus} (${newStatusCode || '无'}), ${newResponseTime}ms。历史已记录。通知时间戳已更新。`);
-  } catch (dbError) {
-    console.error(`更新网站 ${id} (${url}) 状态或记录历史到D1失败:`, dbError);
+  // --- Alert Rules API ---
+  // 处理管理API - 获取告警规则列表
+  if (path === '/api/admin/alert-rules' && method === 'GET') {
+    try {
+      const stmt = env.DB.prepare(`
+        SELECT r.id, r.name, r.metric, r.operator, r.threshold, r.duration_seconds, r.server_ids, r.enabled, r.created_at,
+          (SELECT COUNT(*) FROM alert_states s WHERE s.rule_id = r.id AND s.status = 'FIRING') AS firing_count
+        FROM alert_rules r
+        ORDER BY r.created_at ASC
+      `);
+      const { results } = await stmt.all();
+      const rules = (results || []).map(rule => ({ ...rule, server_ids: rule.server_ids ? JSON.parse(rule.server_ids) : null }));
+      return new Response(JSON.stringify({ rules }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Admin get alert rules error:", error);
+      if (error.message.includes('no such table')) {
+         try {
+           await env.DB.exec(D1_SCHEMAS.alert_rules + D1_SCHEMAS.alert_states);
+           return new Response(JSON.stringify({ rules: [] }), {
+             headers: { 'Content-Type': 'application/json', ...corsHeaders }
+           });
+         } catch (createError) {}
+      }
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
   }
-}
 
-// Combine fetch and scheduled handlers into a single default export
-export default {
-  async fetch(request, env, ctx) {
-    ctx.waitUntil(ensureTablesExist(env.DB));
-    const url = new URL(request.url);
-    const path = url.pathname;
+  // 处理管理API - 添加告警规则
+  if (path === '/api/admin/alert-rules' && method === 'POST') {
+    try {
+      const { rule, error: validationError } = parseAlertRuleInput(await request.json());
+      if (validationError) {
+        return new Response(JSON.stringify({ error: 'Invalid alert rule', message: validationError }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
 
-    // API requests
-    if (path.startsWith('/api/')) {
-      return handleApiRequest(request, env, ctx);
-    }
+      const ruleId = Math.random().toString(36).substring(2, 12);
+      const createdAt = Math.floor(Date.now() / 1000);
+      const stmt = env.DB.prepare(
+        'INSERT INTO alert_rules (id, name, metric, operator, threshold, duration_seconds, server_ids, enabled, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'
+      );
+      await stmt.bind(ruleId, rule.name, rule.metric, rule.operator, rule.threshold, rule.duration_seconds,
+                      rule.server_ids ? JSON.stringify(rule.server_ids) : null, rule.enabled, createdAt).run();
 
-    // Install script
-    if (path === '/install.sh') {
-      return handleInstallScript(request, url, env);
+      return new Response(JSON.stringify({ rule: { id: ruleId, ...rule, created_at: createdAt } }), {
+        status: 201, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Admin add alert rule error:", error);
+      if (error.message.includes('no such table')) {
+         try {
+           await env.DB.exec(D1_SCHEMAS.alert_rules + D1_SCHEMAS.alert_states);
+            return new Response(JSON.stringify({ error: 'Database table created, please retry', message: '数据库表已创建，请重试添加操作' }), {
+              status: 503, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            });
+         } catch (createError) {}
+      }
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
     }
+  }
 
-    // Frontend static files
-    return handleFrontendRequest(request, path);
-  },
-
-  async scheduled(event, env, ctx) {
-    console.log(`Cron Trigger: ${event.cron} - Running website status checks...`);
-    ctx.waitUntil(
-      (async () => {
-        try {
-      await ensureTablesExist(env.DB);
-
-      // --- Part 1: Website Monitoring ---
-      console.log("Starting scheduled website checks...");
-      const siteStmt = env.DB.prepare('SELECT id, url, name FROM monitored_sites');
-      const { results: sitesToCheck } = await siteStmt.all();
+  // 处理管理API - 更新告警规则 (条件变更后重置其告警状态，只改名称时保留)
+  if (path.match(/\/api\/admin\/alert-rules\/[^\/]+$/) && method === 'PUT') {
+    try {
+      const ruleId = path.split('/').pop();
+      const { rule, error: validationError } = parseAlertRuleInput(await request.json());
+      if (validationError) {
+        return new Response(JSON.stringify({ error: 'Invalid alert rule', message: validationError }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
 
-      if (sitesToCheck && sitesToCheck.length > 0) {
-        console.log(`Found ${sitesToCheck.length} sites to check.`);
-        const sitePromises = [];
-        const siteConcurrencyLimit = 10;
-        for (const site of sitesToCheck) {
-          sitePromises.push(checkWebsiteStatus(site, env.DB, ctx));
-          if (sitePromises.length >= siteConcurrencyLimit) {
-            await Promise.all(sitePromises);
-            sitePromises.length = 0;
-          }
-        }
-        if (sitePromises.length > 0) {
-          await Promise.all(sitePromises);
-        }
-        console.log("Website status checks completed.");
-      } else {
-        console.log("No sites configured for monitoring.");
+      const currentRule = await env.DB.prepare('SELECT * FROM alert_rules WHERE id = ?').bind(ruleId).first();
+      if (!currentRule) {
+        return new Response(JSON.stringify({ error: 'Alert rule not found' }), {
+          status: 404, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
       }
 
-      // --- Part 2: VPS Monitoring & Notifications ---
-      console.log("开始计划的VPS状态检查以发送通知...");
-      const serverConfigStmt = env.DB.prepare('SELECT bot_token, chat_id, enable_notifications FROM telegram_config WHERE id = 1');
-      const telegramConfig = await serverConfigStmt.first();
-      if (!telegramConfig || !telegramConfig.enable_notifications || !telegramConfig.bot_token || !telegramConfig.chat_id) {
-        console.log("VPS的Telegram通知已禁用或未配置。跳过VPS检查。");
-        return;
+      const serverIds = rule.server_ids ? JSON.stringify(rule.server_ids) : null;
+      const conditionChanged = currentRule.metric !== rule.metric || currentRule.operator !== rule.operator ||
+        currentRule.threshold !== rule.threshold || currentRule.duration_seconds !== rule.duration_seconds ||
+        currentRule.server_ids !== serverIds || currentRule.enabled !== rule.enabled;
+      if (conditionChanged) {
+        await resolveFiringAlertStates(env.DB, ctx, currentRule, '规则已修改');
       }
-      
-      const serverStmt = env.DB.prepare(`
-        SELECT s.id, s.name, s.last_notified_down_at, m.timestamp as last_report
-        FROM servers s
-        LEFT JOIN metrics m ON s.id = m.server_id
-      `);
-      const { results: serversToCheck } = await serverStmt.all();
-      if (!serversToCheck || serversToCheck.length === 0) {
-        console.log("未找到用于VPS状态检查的服务器。");
-        return;
+      const statements = [
+        env.DB.prepare(
+          'UPDATE alert_rules SET name = ?, metric = ?, operator = ?, threshold = ?, duration_seconds = ?, server_ids = ?, enabled = ? WHERE id = ?'
+        ).bind(rule.name, rule.metric, rule.operator, rule.threshold, rule.duration_seconds, serverIds, rule.enabled, ruleId)
+      ];
+      if (conditionChanged) {
+        statements.push(env.DB.prepare('DELETE FROM alert_states WHERE rule_id = ?').bind(ruleId));
       }
+      await env.DB.batch(statements);
 
-      console.log(`找到 ${serversToCheck.length} 台服务器进行VPS状态检查。`);
-      const nowSeconds = Math.floor(Date.now() / 1000);
-      const staleThresholdSeconds = 5 * 60; // 5 minutes
-      const NOTIFICATION_INTERVAL_SECONDS = 1 * 60 * 60; // 1 hour
-
-      for (const server of serversToCheck) {
-        const isStale = !server.last_report || (nowSeconds - server.last_report > staleThresholdSeconds);
-        const serverDisplayName = server.name || server.id;
-        const lastReportTimeStr = server.last_report ? new Date(server.last_report * 1000).toLocaleString('zh-CN') : '从未';
+      return new Response(JSON.stringify({ rule: { id: ruleId, ...rule } }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Admin update alert rule error:", error);
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
 
-        if (isStale) {
-          const shouldSendNotification = server.last_notified_down_at === null || (nowSeconds - server.last_notified_down_at > NOTIFICATION_INTERVAL_SECONDS);
-          if (shouldSendNotification) {
-            const message = `🔴 VPS 故障: 服务器 *${serverDisplayName}* 似乎已离线。最后报告: ${lastReportTimeStr}.`;
-            ctx.waitUntil(sendTelegramNotification(env.DB, message));
-            const updateStmt = env.DB.prepare('UPDATE servers SET last_notified_down_at = ? WHERE id = ?');
-            ctx.waitUntil(updateStmt.bind(nowSeconds, server.id).run());
-            console.log(`VPS ${serverDisplayName} 状态陈旧。已发送通知。last_notified_down_at 已更新。`);
-          } else {
-            console.log(`VPS ${serverDisplayName} 状态陈旧，但1小时通知间隔未到。`);
-          }
-        } else {
-          if (server.last_notified_down_at !== null) {
-            const message = `✅ VPS 恢复: 服务器 *${serverDisplayName}* 已恢复在线并正在报告。当前报告: ${lastReportTimeStr}.`;
-            ctx.waitUntil(sendTelegramNotification(env.DB, message));
-            const updateStmt = env.DB.prepare('UPDATE servers SET last_notified_down_at = NULL WHERE id = ?');
-            ctx.waitUntil(updateStmt.bind(server.id).run());
-            console.log(`VPS ${serverDisplayName} 已恢复。已发送通知。last_notified_down_at 已清除。`);
-          } else {
-             console.log(`VPS ${serverDisplayName} 在线并正在报告。无需通知。`);
-          }
-        }
+  // 处理管理API - 删除告警规则
+  if (path.match(/\/api\/admin\/alert-rules\/[^\/]+$/) && method === 'DELETE') {
+    try {
+      const ruleId = path.split('/').pop();
+      const currentRule = await env.DB.prepare('SELECT * FROM alert_rules WHERE id = ?').bind(ruleId).first();
+      if (currentRule) {
+        await resolveFiringAlertStates(env.DB, ctx, currentRule, '规则已删除');
       }
-      console.log("VPS状态检查以发送通知已完成。");
+      const results = await env.DB.batch([
+        env.DB.prepare('DELETE FROM alert_states WHERE rule_id = ?').bind(ruleId),
+        env.DB.prepare('DELETE FROM alert_rules WHERE id = ?').bind(ruleId)
+      ]);
+      if (results[1].meta.changes === 0) {
+        return new Response(JSON.stringify({ error: 'Alert rule not found' }), {
+          status: 404, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
     } catch (error) {
-      console.error("计划任务期间发生错误:", error);
+      console.error("Admin delete alert rule error:", error);
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
     }
-  })()
-);
-}
-};
-// --- Utility Functions ---
-
-function isValidHttpUrl(string) {
-  let url;
-  try {
-    url = new URL(string);
-  } catch (_) {
-    return false;
   }
-  return url.protocol === "http:" || url.protocol === "https:";
-}
+  // --- End Alert Rules API ---
 
+  // --- Maintenance Windows API ---
+  // 处理管理API - 获取维护窗口列表
+  if (path === '/api/admin/maintenance-windows' && method === 'GET') {
+    try {
+      const { results } = await env.DB.prepare('SELECT * FROM maintenance_windows ORDER BY created_at ASC').all();
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const windows = (results || []).map(maintenanceWindow => ({
+        ...maintenanceWindow,
+        weekdays: maintenanceWindow.weekdays ? JSON.parse(maintenanceWindow.weekdays) : null,
+        active: !!maintenanceWindow.enabled && isMaintenanceWindowActive(maintenanceWindow, nowSeconds)
+      }));
+      return new Response(JSON.stringify({ windows }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Admin get maintenance windows error:", error);
+      if (error.message.includes('no such table')) {
+         try {
+           await env.DB.exec(D1_SCHEMAS.maintenance_windows);
+           return new Response(JSON.stringify({ windows: [] }), {
+             headers: { 'Content-Type': 'application/json', ...corsHeaders }
+           });
+         } catch (createError) {}
+      }
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
 
-// --- Original Handlers (Install Script, Frontend) ---
+  // 处理管理API - 添加维护窗口
+  if (path === '/api/admin/maintenance-windows' && method === 'POST') {
+    try {
+      const { maintenanceWindow, error: validationError } = parseMaintenanceWindowInput(await request.json());
+      if (validationError) {
+        return new Response(JSON.stringify({ error: 'Invalid maintenance window', message: validationError }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
 
-// 处理安装脚本
-// 处理安装脚本
-// 处理安装脚本
-async function handleInstallScript(request, url, env) {
-  const baseUrl = url.origin;
-  let vpsReportInterval = '60';
+      const windowId = Math.random().toString(36).substring(2, 12);
+      const createdAt = Math.floor(Date.now() / 1000);
+      const w = maintenanceWindow;
+      await env.DB.prepare(`
+        INSERT INTO maintenance_windows (id, name, scope_type, scope_id, schedule_type, start_at, end_at, weekdays, start_time,
+          cron_expression, duration_minutes, timezone_offset_minutes, enabled, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(windowId, w.name, w.scope_type, w.scope_id, w.schedule_type, w.start_at, w.end_at,
+              w.weekdays ? JSON.stringify(w.weekdays) : null, w.start_time, w.cron_expression, w.duration_minutes,
+              w.timezone_offset_minutes, w.enabled, createdAt).run();
+
+      return new Response(JSON.stringify({ window: { id: windowId, ...w, created_at: createdAt } }), {
+        status: 201, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Admin add maintenance window error:", error);
+      if (error.message.includes('no such table')) {
+         try {
+           await env.DB.exec(D1_SCHEMAS.maintenance_windows);
+            return new Response(JSON.stringify({ error: 'Database table created, please retry', message: '数据库表已创建，请重试添加操作' }), {
+              status: 503, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            });
+         } catch (createError) {}
+      }
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
 
-  try {
-    if (D1_SCHEMAS && D1_SCHEMAS.app_config) {
-        await env.DB.exec(D1_SCHEMAS.app_config);
+  // 处理管理API - 更新维护窗口
+  if (path.match(/\/api\/admin\/maintenance-windows\/[^\/]+$/) && method === 'PUT') {
+    try {
+      const windowId = path.split('/').pop();
+      const { maintenanceWindow, error: validationError } = parseMaintenanceWindowInput(await request.json());
+      if (validationError) {
+        return new Response(JSON.stringify({ error: 'Invalid maintenance window', message: validationError }), {
+          status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+
+      const w = maintenanceWindow;
+      const info = await env.DB.prepare(`
+        UPDATE maintenance_windows SET name = ?, scope_type = ?, scope_id = ?, schedule_type = ?, start_at = ?, end_at = ?, weekdays = ?,
+          start_time = ?, cron_expression = ?, duration_minutes = ?, timezone_offset_minutes = ?, enabled = ?
+        WHERE id = ?
+      `).bind(w.name, w.scope_type, w.scope_id, w.schedule_type, w.start_at, w.end_at,
+              w.weekdays ? JSON.stringify(w.weekdays) : null, w.start_time, w.cron_expression, w.duration_minutes,
+              w.timezone_offset_minutes, w.enabled, windowId).run();
+      if (info.meta.changes === 0) {
+        return new Response(JSON.stringify({ error: 'Maintenance window not found' }), {
+          status: 404, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+
+      return new Response(JSON.stringify({ window: { id: windowId, ...w } }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Admin update maintenance window error:", error);
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
     }
-    
-    const stmt = env.DB.prepare('SELECT value FROM app_config WHERE key = ?');
-    const result = await stmt.bind('vps_report_interval_seconds').first();
-    if (result && result.value) {
-      const parsedInterval = parseInt(result.value, 10);
-      if (!isNaN(parsedInterval) && parsedInterval > 0) {
-        vpsReportInterval = parsedInterval.toString();
+  }
+
+  // 处理管理API - 删除维护窗口
+  if (path.match(/\/api\/admin\/maintenance-windows\/[^\/]+$/) && method === 'DELETE') {
+    try {
+      const windowId = path.split('/').pop();
+      const info = await env.DB.prepare('DELETE FROM maintenance_windows WHERE id = ?').bind(windowId).run();
+      if (info.meta.changes === 0) {
+        return new Response(JSON.stringify({ error: 'Maintenance window not found' }), {
+          status: 404, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
       }
+
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Admin delete maintenance window error:", error);
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
     }
-  } catch (e) {
-    console.error("Error fetching VPS report interval for install script:", e);
   }
-  
-  const script = `#!/bin/bash
-# VPS监控脚本 - 安装程序
+  // --- End Maintenance Windows API ---
 
-# 默认值
-API_KEY=""
-SERVER_ID=""
-WORKER_URL="${baseUrl}"
-INSTALL_DIR="/opt/vps-monitor"
-SERVICE_NAME="vps-monitor"
+  // 处理公共API - 获取特定监控站点的可用率 (24小时/7天/30天/90天) 及每日统计
+  if (path.match(/\/api\/sites\/[^\/]+\/uptime$/) && method === 'GET') {
+    try {
+      const siteId = path.split('/')[3];
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const today = getUtcDayStart(nowSeconds);
+      const { results } = await env.DB.prepare(
+        'SELECT day, up_checks, down_checks FROM site_daily_stats WHERE site_id = ? AND day > ? ORDER BY day DESC'
+      ).bind(siteId, today - SITE_UPTIME_DAYS * 86400).all();
+      const recent = await env.DB.prepare(`
+        SELECT SUM(CASE WHEN status IN (${SITE_UP_STATUSES.map(() => '?').join(', ')}) THEN 1 ELSE 0 END) AS up_checks,
+               SUM(CASE WHEN status IN (${SITE_DOWN_STATUSES.map(() => '?').join(', ')}) THEN 1 ELSE 0 END) AS down_checks
+        FROM site_status_history WHERE site_id = ? AND timestamp >= ?
+      `).bind(...SITE_UP_STATUSES, ...SITE_DOWN_STATUSES, siteId, nowSeconds - 86400).first();
+
+      const daily = (results || []).map(row => ({ ...row, uptime: calculateUptimePercent(row.up_checks, row.down_checks) }));
+      const sumDays = (days) => {
+        const rows = daily.filter(row => row.day > today - days * 86400);
+        return calculateUptimePercent(rows.reduce((sum, row) => sum + row.up_checks, 0), rows.reduce((sum, row) => sum + row.down_checks, 0));
+      };
+      const uptime = {
+        '24h': calculateUptimePercent(recent ? recent.up_checks : 0, recent ? recent.down_checks : 0),
+        '7d': sumDays(7),
+        '30d': sumDays(30),
+        '90d': sumDays(SITE_UPTIME_DAYS)
+      };
+      return new Response(JSON.stringify({ uptime, daily }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Get site uptime error:", error);
+      if (error.message.includes('no such table')) {
+         try {
+           await env.DB.exec(D1_SCHEMAS.site_daily_stats);
+           return new Response(JSON.stringify({ uptime: { '24h': null, '7d': null, '30d': null, '90d': null }, daily: [] }), {
+             headers: { 'Content-Type': 'application/json', ...corsHeaders }
+           });
+         } catch (createError) {}
+      }
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
 
-# 解析参数
-while [[ $# -gt 0 ]]; do
-  case $1 in
-    -k|--key)
-      API_KEY="$2"
-      shift 2
-      ;;
-    -s|--server)
-      SERVER_ID="$2"
-      shift 2
-      ;;
-    -u|--url)
-      WORKER_URL="$2"
-      shift 2
-      ;;
-    -d|--dir)
-      INSTALL_DIR="$2"
-      shift 2
-      ;;
-    *)
-      echo "未知参数: $1"
-      exit 1
-      ;;
-  esac
-done
+  // 处理公共API - 获取特定监控站点的响应时间图表数据
+  // GET /api/sites/:id/response-times?range=24h|7d|30d，按 step 秒分桶返回平均值和 P95，无数据的桶为 null
+  if (path.match(/\/api\/sites\/[^\/]+\/response-times$/) && method === 'GET') {
+    try {
+      const siteId = path.split('/')[3];
+      const range = SITE_RESPONSE_TIME_RANGES[url.searchParams.get('range')] ? url.searchParams.get('range') : '24h';
+      const { seconds, step } = SITE_RESPONSE_TIME_RANGES[range];
+      const site = await env.DB.prepare('SELECT id, degraded_threshold_ms FROM monitored_sites WHERE id = ?').bind(siteId).first();
+      if (!site) {
+        return new Response(JSON.stringify({ error: 'Site not found' }), {
+          status: 404, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
 
-# 检查必要参数
-if [ -z "$API_KEY" ] || [ -z "$SERVER_ID" ]; then
-  echo "错误: API密钥和服务器ID是必需的"
-  echo "用法: $0 -k API_KEY -s SERVER_ID [-u WORKER_URL] [-d INSTALL_DIR]"
-  exit 1
-fi
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const to = Math.floor(nowSeconds / step) * step;
+      const from = to - seconds + step;
+      const buckets = new Map();
+      // 已汇总的整点读取小时统计，其余部分 (及 24 小时范围) 直接汇总原始历史
+      let rawFrom = from;
+      if (step === 3600) {
+        const cursor = await getSiteRollupCursor(env.DB);
+        if (cursor !== null && cursor > from) {
+          rawFrom = Math.min(cursor, to + step);
+          const { results } = await env.DB.prepare(
+            'SELECT hour AS bucket, up_checks, down_checks, avg_response_ms, p95_response_ms FROM site_hourly_stats WHERE site_id = ? AND hour >= ? AND hour < ?'
+          ).bind(siteId, from, rawFrom).all();
+          (results || []).forEach(row => buckets.set(row.bucket, row));
+        }
+      }
+      if (rawFrom <= to) {
+        (await aggregateSiteStatusHistory(env.DB, rawFrom, to + step, step, siteId)).forEach(row => buckets.set(row.bucket, row));
+      }
 
-# 检查权限
-if [ "$(id -u)" -ne 0 ]; then
-  echo "错误: 此脚本需要root权限"
-  exit 1
-fi
+      const points = [];
+      for (let bucket = from; bucket <= to; bucket += step) {
+        const row = buckets.get(bucket);
+        points.push({
+          timestamp: bucket,
+          up_checks: row ? row.up_checks : 0,
+          down_checks: row ? row.down_checks : 0,
+          avg_response_ms: row ? row.avg_response_ms : null,
+          p95_response_ms: row ? row.p95_response_ms : null
+        });
+      }
+      return new Response(JSON.stringify({ site_id: siteId, range, step, degraded_threshold_ms: site.degraded_threshold_ms, points }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Get site response times error:", error);
+      if (error.message.includes('no such table')) {
+         try {
+           await env.DB.exec(D1_SCHEMAS.site_hourly_stats);
+           return new Response(JSON.stringify({ points: [] }), {
+             headers: { 'Content-Type': 'application/json', ...corsHeaders }
+           });
+         } catch (createError) {}
+      }
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
 
-echo "=== VPS监控脚本安装程序 ==="
-echo "安装目录: $INSTALL_DIR"
-echo "Worker URL: $WORKER_URL"
+  // 处理公共API - 获取特定监控站点的24小时历史状态
+  if (path.match(/\/api\/sites\/[^\/]+\/history$/) && method === 'GET') {
+    try {
+      const siteId = path.split('/')[3];
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const twentyFourHoursAgoSeconds = nowSeconds - (24 * 60 * 60);
+      const stmt = env.DB.prepare(
+        'SELECT timestamp, status, status_code, response_time_ms, detail FROM site_status_history WHERE site_id = ? AND timestamp >= ? ORDER BY timestamp DESC'
+      );
+      const { results } = await stmt.bind(siteId, twentyFourHoursAgoSeconds).all();
 
-# 创建安装目录
-mkdir -p "$INSTALL_DIR"
-cd "$INSTALL_DIR" || exit 1
+      return new Response(JSON.stringify({ history: results || [] }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } catch (error) {
+      console.error("Get site history error:", error);
+      if (error.message.includes('no such table')) {
+         try {
+           await env.DB.exec(D1_SCHEMAS.site_status_history);
+           return new Response(JSON.stringify({ history: [] }), {
+             headers: { 'Content-Type': 'application/json', ...corsHeaders }
+           });
+         } catch (createError) {}
+      }
+      return new Response(JSON.stringify({ error: 'Internal server error', message: error.message }), {
+        status: 500, headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  }
 
-# ==========================================
-# 1. 创建 Python TCPing 守护进程脚本
-# ==========================================
-cat > "$INSTALL_DIR/ping_daemon.py" << 'PYTHONEOF'
-import socket
-import time
-import json
-import threading
-import sys
-from collections import deque
 
-# 配置目标
-TARGETS = {
-    "cu": "www.tynews.com.cn",
-    "ct": "www.chinaccs.cn",
-    "cm": "sx.10086.cn"
+  // 未找到匹配的API路由
+  return new Response(JSON.stringify({ error: 'API endpoint not found' }), {
+    status: 404,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
 }
-PORT = 80
-HISTORY_LEN = 100
-INTERVAL = 2  # 每次Ping的间隔(秒)
-OUTPUT_FILE = "/tmp/vps_monitor_ping.json"
 
-# 存储历史记录 (True=通, False=丢)
-history = {
-    "cu": deque(maxlen=HISTORY_LEN),
-    "ct": deque(maxlen=HISTORY_LEN),
-    "cm": deque(maxlen=HISTORY_LEN)
-}
 
-def tcp_ping(host, port):
-    try:
-        s = socket.socket(socket.AF_INET, socket.SOCK_STREAM)
-        s.settimeout(1.5)
-        start = time.time()
-        s.connect((host, port))
-        s.close()
-        return True
-    except:
-        return False
+// --- Scheduled Task for Website Monitoring ---
 
-def worker(carrier, host):
-    while True:
-        result = tcp_ping(host, PORT)
-        history[carrier].append(result)
-        time.sleep(INTERVAL)
+const DEFAULT_METRICS_RETENTION_DAYS = 7;
+const METRICS_HISTORY_PRUNE_BATCH_SIZE = 5000;
+const MAX_METRICS_HISTORY_PRUNE_BATCHES = 10;
+const DEFAULT_SITE_HISTORY_RETENTION_DAYS = 7;
+const MIN_SITE_HISTORY_RETENTION_DAYS = 2; // 24h 记录和汇总任务都依赖原始历史
+const DEFAULT_NOTIFICATION_REPEAT_SECONDS = 60 * 60; // 1 hour
+const MIN_STALE_THRESHOLD_SECONDS = 5 * 60;
+
+// 解析可选的秒数设置：null 或空字符串表示使用默认值，返回 { seconds } 或 { error }
+function parseSecondsSetting(value, allowZero) {
+  if (value === undefined || value === null || value === '') {
+    return { seconds: null };
+  }
+  if (!Number.isInteger(value) || value < (allowZero ? 0 : 1)) {
+    return { error: allowZero ? '必须是大于或等于 0 的整数' : '必须是正整数' };
+  }
+  return { seconds: value };
+}
 
-def data_writer():
-    while True:
-        data = {}
-        for carrier, q in history.items():
-            if len(q) == 0:
-                data[carrier] = 0
-            else:
-                # 计算丢包率 (失败次数 / 总次数 * 100)
-                lost_count = list(q).count(False)
-                loss_rate = int((lost_count / len(q)) * 100)
-                data[carrier] = loss_rate
-        
-        try:
-            with open(OUTPUT_FILE, 'w') as f:
-                json.dump(data, f)
-        except:
-            pass
-        time.sleep(5)
+// 秒数类设置的解析器，nullable 为 true 时 null 表示删除该设置 (恢复默认)
+function secondsSettingParser(allowZero, nullable) {
+  return (value) => {
+    const { seconds, error } = parseSecondsSetting(value, allowZero);
+    if (error || (seconds === null && !nullable)) {
+      return { error: error || '不能为空' };
+    }
+    return { value: seconds === null ? null : String(seconds) };
+  };
+}
 
-# 启动线程
-for carrier, host in TARGETS.items():
-    t = threading.Thread(target=worker, args=(carrier, host))
-    t.daemon = True
-    t.start()
+// /api/admin/settings 可修改的设置项：返回 { value } (null 表示删除) 或 { error }
+const MONITORING_SETTING_PARSERS = {
+  vps_report_interval_seconds: secondsSettingParser(false, false),
+  metrics_retention_days: secondsSettingParser(false, false),
+  site_history_retention_days: (value) => {
+    const { seconds: days, error } = parseSecondsSetting(value, false);
+    if (error || (days !== null && days < MIN_SITE_HISTORY_RETENTION_DAYS)) {
+      return { error: error || `不能小于 ${MIN_SITE_HISTORY_RETENTION_DAYS} 天` };
+    }
+    return { value: days === null ? null : String(days) };
+  },
+  vps_stale_threshold_seconds: secondsSettingParser(false, true),
+  notification_repeat_interval_seconds: secondsSettingParser(true, false),
+  site_check_interval_seconds: (value) => {
+    const { seconds, error } = parseSecondsSetting(value, false);
+    if (error || (seconds !== null && seconds < MIN_SITE_CHECK_INTERVAL_SECONDS)) {
+      return { error: error || `不能小于 ${MIN_SITE_CHECK_INTERVAL_SECONDS} 秒` };
+    }
+    return { value: seconds === null ? null : String(seconds) };
+  },
+  site_check_concurrency: (value) => {
+    if (value === null || value === '') {
+      return { value: null };
+    }
+    return Number.isInteger(value) && value >= 1 && value <= MAX_SITE_CHECK_CONCURRENCY
+      ? { value: String(value) }
+      : { error: `必须是 1 到 ${MAX_SITE_CHECK_CONCURRENCY} 之间的整数` };
+  },
+  dns_resolver_url: (value) => {
+    if (value === null || value === '') {
+      return { value: null };
+    }
+    return typeof value === 'string' && isValidHttpUrl(value) ? { value } : { error: '必须是有效的 DNS-over-HTTPS 地址' };
+  },
+  cert_source: (value) => {
+    if (value === null || value === '') {
+      return { value: null };
+    }
+    return value === 'disabled' || CERTIFICATE_SOURCES[value] ? { value } : { error: '不支持的证书来源' };
+  },
+  cert_source_url: (value) => {
+    if (value === null || value === '') {
+      return { value: null };
+    }
+    return typeof value === 'string' && isValidHttpUrl(value) && value.includes('{host}')
+      ? { value }
+      : { error: '必须是包含 {host} 占位符的 http(s) 地址' };
+  },
+  cert_warning_days: (value) => {
+    if (value === null || value === '') {
+      return { value: null };
+    }
+    const days = parseCertWarningDays(Array.isArray(value) ? value.join(',') : String(value));
+    return days ? { value: days.join(',') } : { error: '必须是逗号分隔的正整数，例如 30,14,7,1' };
+  }
+};
 
-# 启动写入线程
-writer = threading.Thread(target=data_writer)
-writer.daemon = True
-writer.start()
+// 读取监控相关的全局设置；未设置离线阈值时取上报间隔的 3 倍，且不少于 5 分钟
+async function getMonitoringSettings(db) {
+  const { results } = await db.prepare(
+    `SELECT key, value FROM app_config WHERE key IN (${Object.keys(MONITORING_SETTING_PARSERS).map(() => '?').join(', ')})`
+  ).bind(...Object.keys(MONITORING_SETTING_PARSERS)).all();
+  const raw = {};
+  const values = {};
+  for (const row of results || []) {
+    raw[row.key] = row.value;
+    const parsed = parseInt(row.value, 10);
+    if (!isNaN(parsed) && parsed >= 0) {
+      values[row.key] = parsed;
+    }
+  }
+  const reportIntervalSeconds = values.vps_report_interval_seconds > 0 ? values.vps_report_interval_seconds : 60;
+  const staleThresholdOverride = values.vps_stale_threshold_seconds > 0 ? values.vps_stale_threshold_seconds : null;
+  return {
+    reportIntervalSeconds,
+    metricsRetentionDays: values.metrics_retention_days > 0 ? values.metrics_retention_days : DEFAULT_METRICS_RETENTION_DAYS,
+    siteHistoryRetentionDays: values.site_history_retention_days >= MIN_SITE_HISTORY_RETENTION_DAYS ? values.site_history_retention_days : DEFAULT_SITE_HISTORY_RETENTION_DAYS,
+    staleThresholdOverride,
+    staleThresholdSeconds: staleThresholdOverride || Math.max(MIN_STALE_THRESHOLD_SECONDS, reportIntervalSeconds * 3),
+    notificationRepeatSeconds: values.notification_repeat_interval_seconds !== undefined ? values.notification_repeat_interval_seconds : DEFAULT_NOTIFICATION_REPEAT_SECONDS,
+    siteCheckIntervalSeconds: values.site_check_interval_seconds >= MIN_SITE_CHECK_INTERVAL_SECONDS ? values.site_check_interval_seconds : DEFAULT_SITE_CHECK_INTERVAL_SECONDS,
+    siteCheckConcurrency: values.site_check_concurrency > 0 ? Math.min(values.site_check_concurrency, MAX_SITE_CHECK_CONCURRENCY) : DEFAULT_SITE_CHECK_CONCURRENCY,
+    dnsResolverUrl: raw.dns_resolver_url || DEFAULT_DNS_RESOLVER_URL,
+    certSource: raw.cert_source || DEFAULT_CERT_SOURCE,
+    certSourceUrl: raw.cert_source_url || null,
+    certWarningDays: (raw.cert_warning_days && parseCertWarningDays(raw.cert_warning_days)) || DEFAULT_CERT_WARNING_DAYS
+  };
+}
 
-# 保持主线程运行
-while True:
-    time.sleep(60)
-PYTHONEOF
+function formatMonitoringSettings(settings) {
+  return {
+    vps_report_interval_seconds: settings.reportIntervalSeconds,
+    metrics_retention_days: settings.metricsRetentionDays,
+    site_history_retention_days: settings.siteHistoryRetentionDays,
+    vps_stale_threshold_seconds: settings.staleThresholdOverride,
+    effective_vps_stale_threshold_seconds: settings.staleThresholdSeconds,
+    notification_repeat_interval_seconds: settings.notificationRepeatSeconds,
+    site_check_interval_seconds: settings.siteCheckIntervalSeconds,
+    site_check_concurrency: settings.siteCheckConcurrency,
+    dns_resolver_url: settings.dnsResolverUrl,
+    cert_source: settings.certSource,
+    cert_source_url: settings.certSourceUrl,
+    cert_warning_days: settings.certWarningDays
+  };
+}
 
-# ==========================================
-# 2. 创建主监控脚本 monitor.sh
-# ==========================================
-cat > "$INSTALL_DIR/monitor.sh" << 'EOF'
-#!/bin/bash
+// 判断持续故障时是否应再次通知；repeatSeconds 为 0 表示只通知一次
+function isNotificationRepeatDue(lastNotifiedAt, nowSeconds, repeatSeconds) {
+  if (lastNotifiedAt === null || lastNotifiedAt === undefined) {
+    return true;
+  }
+  return repeatSeconds > 0 && nowSeconds - lastNotifiedAt > repeatSeconds;
+}
 
-# 获取脚本所在目录，防止 Systemd 启动时路径错误
-WORKDIR=$(dirname "$(readlink -f "$0")")
-cd "$WORKDIR" || exit 1
+function formatRepeatInterval(repeatSeconds) {
+  return repeatSeconds > 0 ? formatAlertDuration(repeatSeconds) : '不重复';
+}
 
-# 配置
-API_KEY="__API_KEY__"
-SERVER_ID="__SERVER_ID__"
-WORKER_URL="__WORKER_URL__"
-INTERVAL=${vpsReportInterval}
+// 按 app_config 中的保留天数清理 VPS 历史监控数据
+async function cleanupMetricsHistory(db) {
+  let retentionDays = DEFAULT_METRICS_RETENTION_DAYS;
+  const result = await db.prepare('SELECT value FROM app_config WHERE key = ?').bind('metrics_retention_days').first();
+  if (result && result.value) {
+    const parsedDays = parseInt(result.value, 10);
+    if (!isNaN(parsedDays) && parsedDays > 0) {
+      retentionDays = parsedDays;
+    }
+  }
 
-# 确保 Python 守护进程在运行
-check_ping_daemon() {
-    if ! pgrep -f "ping_daemon.py" > /dev/null; then
-        nohup python3 "$WORKDIR/ping_daemon.py" > /dev/null 2>&1 &
-    fi
+  // 分批删除，避免单条 DELETE 在定时任务中一次删除过多数据
+  const cutoff = Math.floor(Date.now() / 1000) - retentionDays * 24 * 60 * 60;
+  let deleted = 0;
+  for (let i = 0; i < MAX_METRICS_HISTORY_PRUNE_BATCHES; i++) {
+    const info = await db.prepare(
+      'DELETE FROM metrics_history WHERE id IN (SELECT id FROM metrics_history WHERE timestamp < ? LIMIT ?)'
+    ).bind(cutoff, METRICS_HISTORY_PRUNE_BATCH_SIZE).run();
+    const changes = (info.meta ? info.meta.changes : info.changes) || 0;
+    deleted += changes;
+    if (changes < METRICS_HISTORY_PRUNE_BATCH_SIZE) {
+      break;
+    }
+  }
+  if (deleted > 0) {
+    console.log(`已清理 ${deleted} 条超过 ${retentionDays} 天的VPS历史数据。`);
+  }
 }
 
-# 读取 Ping 数据
-get_ping_data() {
-    if [ -f "/tmp/vps_monitor_ping.json" ]; then
-        cat "/tmp/vps_monitor_ping.json"
-    else
-        echo '{"cu":0,"ct":0,"cm":0}'
-    fi
-}
+// --- Site History Rollups ---
+
+const SITE_HOURLY_STATS_RETENTION_DAYS = 90;
+const SITE_DAILY_STATS_RETENTION_DAYS = 400;
+const SITE_ROLLUP_DELAY_SECONDS = 5 * 60; // 整点后稍等片刻，避免跨整点的检查尚未写入
+const MAX_SITE_ROLLUP_HOURS_PER_RUN = 24;
+const SITE_HISTORY_PRUNE_BATCH_SIZE = 5000;
+const MAX_SITE_HISTORY_PRUNE_BATCHES = 10;
+const SITE_ROLLUP_CURSOR_KEY = 'site_history_rolled_up_until';
+// 响应时间图表的时间范围：24 小时内直接按原始历史分桶，更长范围使用小时汇总
+const SITE_RESPONSE_TIME_RANGES = {
+  '24h': { seconds: 86400, step: 900 },
+  '7d': { seconds: 7 * 86400, step: 3600 },
+  '30d': { seconds: 30 * 86400, step: 3600 }
+};
 
-# 日志函数
-log() {
-  echo "$(date '+%Y-%m-%d %H:%M:%S') - $1"
+async function getSiteRollupCursor(db) {
+  const cursorRow = await db.prepare('SELECT value FROM app_config WHERE key = ?').bind(SITE_ROLLUP_CURSOR_KEY).first();
+  const cursor = cursorRow ? parseInt(cursorRow.value, 10) : NaN;
+  return isNaN(cursor) ? null : cursor;
 }
 
-# 获取正常运行时间 (uptime)
-get_uptime() {
-  cat /proc/uptime | awk '{print $1}' | cut -d. -f1
+// 按 bucketSeconds 汇总 [start, end) 内的原始历史；平均值和 P95 只统计正常检查的响应时间。siteId 为空时汇总所有网站
+async function aggregateSiteStatusHistory(db, start, end, bucketSeconds, siteId = null) {
+  const siteFilter = siteId ? 'site_id = ? AND ' : '';
+  const siteParams = siteId ? [siteId] : [];
+  const upPlaceholders = SITE_UP_STATUSES.map(() => '?').join(', ');
+  const downPlaceholders = SITE_DOWN_STATUSES.map(() => '?').join(', ');
+  const bucket = `(timestamp / ${bucketSeconds}) * ${bucketSeconds}`;
+  const { results: counts } = await db.prepare(`
+    SELECT site_id, ${bucket} AS bucket,
+           SUM(CASE WHEN status IN (${upPlaceholders}) THEN 1 ELSE 0 END) AS up_checks,
+           SUM(CASE WHEN status IN (${downPlaceholders}) THEN 1 ELSE 0 END) AS down_checks,
+           AVG(CASE WHEN status IN (${upPlaceholders}) THEN response_time_ms END) AS avg_response_ms
+    FROM site_status_history WHERE ${siteFilter}timestamp >= ? AND timestamp < ?
+    GROUP BY site_id, bucket
+  `).bind(...SITE_UP_STATUSES, ...SITE_DOWN_STATUSES, ...SITE_UP_STATUSES, ...siteParams, start, end).all();
+  const { results: percentiles } = await db.prepare(`
+    SELECT site_id, bucket, response_time_ms FROM (
+      SELECT site_id, ${bucket} AS bucket, response_time_ms,
+             ROW_NUMBER() OVER (PARTITION BY site_id, ${bucket} ORDER BY response_time_ms) AS row_num,
+             COUNT(*) OVER (PARTITION BY site_id, ${bucket}) AS total
+      FROM site_status_history
+      WHERE ${siteFilter}timestamp >= ? AND timestamp < ? AND response_time_ms IS NOT NULL AND status IN (${upPlaceholders})
+    ) WHERE row_num = (total * 95 + 99) / 100
+  `).bind(...siteParams, start, end, ...SITE_UP_STATUSES).all();
+
+  const p95ByBucket = new Map((percentiles || []).map(row => [`${row.site_id}:${row.bucket}`, row.response_time_ms]));
+  return (counts || []).map(row => ({
+    site_id: row.site_id,
+    bucket: row.bucket,
+    up_checks: row.up_checks || 0,
+    down_checks: row.down_checks || 0,
+    avg_response_ms: row.avg_response_ms === null ? null : Math.round(row.avg_response_ms),
+    p95_response_ms: p95ByBucket.get(`${row.site_id}:${row.bucket}`) ?? null
+  }));
 }
 
-# 获取CPU使用率 (注意引号转义)
-get_cpu_usage() {
-  cpu_usage=$(top -bn1 | grep "Cpu(s)" | sed "s/.*, *\\([0-9.]*\\)%* id.*/\\1/" | awk '{print 100 - $1}')
-  cpu_load=$(cat /proc/loadavg | awk '{print $1","$2","$3}')
-  echo "{\\"usage_percent\\":$cpu_usage,\\"load_avg\\":[$cpu_load]}"
+// 将已结束的整点汇总到 site_hourly_stats，已结束的 UTC 日重新计算 site_daily_stats
+// (覆盖检查时累计的计数并补上响应时间)。进度保存在 app_config 中，返回已汇总到的时间点
+async function rollupSiteStatusHistory(db) {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const rollupLimit = Math.floor((nowSeconds - SITE_ROLLUP_DELAY_SECONDS) / 3600) * 3600;
+  let cursor = await getSiteRollupCursor(db);
+  if (cursor === null) {
+    const oldest = await db.prepare('SELECT MIN(timestamp) AS oldest FROM site_status_history').first();
+    cursor = oldest && oldest.oldest !== null ? Math.floor(oldest.oldest / 3600) * 3600 : rollupLimit;
+  }
+  const end = Math.min(rollupLimit, cursor + MAX_SITE_ROLLUP_HOURS_PER_RUN * 3600);
+  if (end <= cursor) {
+    return cursor;
+  }
+
+  const statements = (await aggregateSiteStatusHistory(db, cursor, end, 3600)).map(row => db.prepare(
+    'REPLACE INTO site_hourly_stats (site_id, hour, up_checks, down_checks, avg_response_ms, p95_response_ms) VALUES (?, ?, ?, ?, ?, ?)'
+  ).bind(row.site_id, row.bucket, row.up_checks, row.down_checks, row.avg_response_ms, row.p95_response_ms));
+  let completedDays = 0;
+  for (let day = getUtcDayStart(cursor); day + 86400 <= end; day += 86400) {
+    completedDays++;
+    for (const row of await aggregateSiteStatusHistory(db, day, day + 86400, 86400)) {
+      statements.push(db.prepare(
+        'REPLACE INTO site_daily_stats (site_id, day, up_checks, down_checks, avg_response_ms, p95_response_ms) VALUES (?, ?, ?, ?, ?, ?)'
+      ).bind(row.site_id, row.bucket, row.up_checks, row.down_checks, row.avg_response_ms, row.p95_response_ms));
+    }
+  }
+  // 汇总表很小，只在有新的整点汇总时清理，避免每分钟扫描
+  statements.push(db.prepare('DELETE FROM site_hourly_stats WHERE hour < ?').bind(nowSeconds - SITE_HOURLY_STATS_RETENTION_DAYS * 86400));
+  statements.push(db.prepare('DELETE FROM site_daily_stats WHERE day < ?').bind(nowSeconds - SITE_DAILY_STATS_RETENTION_DAYS * 86400));
+  statements.push(db.prepare('REPLACE INTO app_config (key, value) VALUES (?, ?)').bind(SITE_ROLLUP_CURSOR_KEY, String(end)));
+  for (let i = 0; i < statements.length; i += 100) {
+    await db.batch(statements.slice(i, i + 100));
+  }
+  console.log(`已汇总 ${new Date(cursor * 1000).toISOString()} 至 ${new Date(end * 1000).toISOString()} 的网站历史 (${completedDays} 个完整日)。`);
+  return end;
 }
 
-# 获取内存使用情况
-get_memory_usage() {
-  total=$(free -k | grep Mem | awk '{print $2}')
-  used=$(free -k | grep Mem | awk '{print $3}')
-  free=$(free -k | grep Mem | awk '{print $4}')
-  usage_percent=$(echo "scale=1; $used * 100 / $total" | bc)
-  echo "{\\"total\\":$total,\\"used\\":$used,\\"free\\":$free,\\"usage_percent\\":$usage_percent}"
+// 分批清理超出保留期的网站原始历史；尚未完成日汇总的记录不会被清理
+async function cleanupSiteStatusHistory(db, settings, rolledUpUntil) {
+  const cutoff = Math.min(Math.floor(Date.now() / 1000) - settings.siteHistoryRetentionDays * 86400, getUtcDayStart(rolledUpUntil));
+  let deleted = 0;
+  for (let i = 0; i < MAX_SITE_HISTORY_PRUNE_BATCHES; i++) {
+    const info = await db.prepare(
+      'DELETE FROM site_status_history WHERE id IN (SELECT id FROM site_status_history WHERE timestamp < ? LIMIT ?)'
+    ).bind(cutoff, SITE_HISTORY_PRUNE_BATCH_SIZE).run();
+    const changes = (info.meta ? info.meta.changes : info.changes) || 0;
+    deleted += changes;
+    if (changes < SITE_HISTORY_PRUNE_BATCH_SIZE) {
+      break;
+    }
+  }
+  if (deleted > 0) {
+    console.log(`已清理 ${deleted} 条超过 ${settings.siteHistoryRetentionDays} 天的网站历史记录。`);
+  }
 }
 
-# 获取硬盘使用情况
-get_disk_usage() {
-  disk_info=$(df -k / | tail -1)
-  total=$(echo "$disk_info" | awk '{print $2 / 1024 / 1024}')
-  used=$(echo "$disk_info" | awk '{print $3 / 1024 / 1024}')
-  free=$(echo "$disk_info" | awk '{print $4 / 1024 / 1024}')
-  usage_percent=$(echo "$disk_info" | awk '{print $5}' | tr -d '%')
-  echo "{\\"total\\":$total,\\"used\\":$used,\\"free\\":$free,\\"usage_percent\\":$usage_percent}"
+// Helper function to send Telegram notification
+async function sendTelegramNotification(db, message) {
+  try {
+    const configStmt = db.prepare('SELECT bot_token, chat_id, enable_notifications FROM telegram_config WHERE id = 1');
+    const config = await configStmt.first();
+
+    if (!config || !config.enable_notifications || !config.bot_token || !config.chat_id) {
+      console.log("Telegram notifications are disabled or not configured.");
+      return;
+    }
+
+    const telegramApiUrl = `https://api.telegram.org/bot${config.bot_token}/sendMessage`;
+    const response = await fetch(telegramApiUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chat_id: config.chat_id,
+        text: message,
+        parse_mode: 'Markdown'
+      })
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      console.error(`Failed to send Telegram notification: ${response.status}`, errorData);
+    } else {
+      console.log("Telegram notification sent successfully.");
+    }
+  } catch (error) {
+    console.error("Error sending Telegram notification:", error);
+  }
 }
 
-# 获取网络使用情况
-get_network_usage() {
-  # 检查是否安装了ifstat
-  if ! command -v ifstat &> /dev/null; then
-    log "ifstat未安装，无法获取网络速度"
-    echo "{\\"upload_speed\\":0,\\"download_speed\\":0,\\"total_upload\\":0,\\"total_download\\":0}"
-    return
-  fi
-  
-  # 获取网络接口
-  interface=$(ip route | grep default | awk '{print $5}')
-  
-  # 获取网络速度（KB/s）
-  network_speed=$(ifstat -i "$interface" 1 1 | tail -1)
-  download_speed=$(echo "$network_speed" | awk '{print $1 * 1024}')
-  upload_speed=$(echo "$network_speed" | awk '{print $2 * 1024}')
-  
-  # 获取总流量
-  rx_bytes=$(cat /proc/net/dev | grep "$interface" | awk '{print $2}')
-  tx_bytes=$(cat /proc/net/dev | grep "$interface" | awk '{print $10}')
-  
-  echo "{\\"upload_speed\\":$upload_speed,\\"download_speed\\":$download_speed,\\"total_upload\\":$tx_bytes,\\"total_download\\":$rx_bytes}"
+// --- Notification Channels ---
+
+// 通用 Webhook 的默认请求体模板
+const DEFAULT_WEBHOOK_BODY_TEMPLATE = '{"event":"{{event}}","name":"{{name}}","status":"{{status}}","url":"{{url}}","timestamp":{{timestamp}},"message":"{{message}}"}';
+
+// 用事件字段替换模板中的 {{变量}}，变量值按 JSON 字符串转义，未知变量替换为空
+function renderNotificationTemplate(template, notification) {
+  const variables = {
+    event: notification.event,
+    name: notification.name,
+    status: notification.status,
+    url: notification.url,
+    timestamp: notification.timestamp,
+    time: new Date(notification.timestamp * 1000).toISOString(),
+    message: notification.text
+  };
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    const value = variables[key];
+    return value === undefined || value === null ? '' : JSON.stringify(String(value)).slice(1, -1);
+  });
 }
 
-# 上报数据
-report_metrics() {
-  # 检查守护进程
-  check_ping_daemon
+// 各事件的标题与级别，级别决定富文本渠道中的颜色
+const NOTIFICATION_EVENTS = {
+  site_down: { title: '网站故障', level: 'down' },
+  site_recovered: { title: '网站恢复', level: 'up' },
+  site_degraded: { title: '网站响应缓慢', level: 'warning' },
+  site_latency_recovered: { title: '网站响应恢复', level: 'up' },
+  vps_offline: { title: 'VPS 离线', level: 'down' },
+  vps_recovered: { title: 'VPS 恢复', level: 'up' },
+  alert_firing: { title: '告警触发', level: 'down' },
+  alert_resolved: { title: '告警恢复', level: 'up' },
+  cert_expiring: { title: '证书即将过期', level: 'down' },
+  test: { title: '测试通知', level: 'info' }
+};
 
-  timestamp=$(date +%s)
-  cpu=$(get_cpu_usage)
-  memory=$(get_memory_usage)
-  disk=$(get_disk_usage)
-  network=$(get_network_usage)
-  ping=$(get_ping_data)
-  uptime=$(get_uptime)
-  
-  # 组装 JSON (关键：加入了 uptime，并保持双重转义 \\")
-  data="{\\"timestamp\\":$timestamp,\\"cpu\\":$cpu,\\"memory\\":$memory,\\"disk\\":$disk,\\"network\\":$network,\\"ping\\":$ping,\\"uptime\\":$uptime}"
-  
-  # log "上报数据: $data"
-  
-  response=$(curl -s -X POST "$WORKER_URL/api/report/$SERVER_ID" \
-    -H "Content-Type: application/json" \
-    -H "X-API-Key: $API_KEY" \
-    -d "$data")
-  
-  if [[ "$response" == *"success"* ]]; then
-    log "数据上报成功"
-  else
-    log "数据上报失败: $response"
-  fi
+const NOTIFICATION_LEVEL_COLORS = {
+  down: '#dc3545',
+  warning: '#fd7e14',
+  up: '#198754',
+  info: '#0d6efd'
+};
+
+function getNotificationEventMeta(notification) {
+  return NOTIFICATION_EVENTS[notification.event] || { title: notification.event, level: 'info' };
 }
 
-# 安装依赖
-install_dependencies() {
-  log "检查并安装依赖..."
-  
-  # 检测包管理器
-  if command -v apt-get &> /dev/null; then
-    PKG_MANAGER="apt-get"
-  elif command -v yum &> /dev/null; then
-    PKG_MANAGER="yum"
-  else
-    log "不支持的系统，无法自动安装依赖"
-    return 1
-  fi
-  
-  # 安装依赖 (增加 python3)
-  $PKG_MANAGER update -y
-  $PKG_MANAGER install -y bc curl ifstat python3
-  
-  log "依赖安装完成"
-  return 0
+function parseWebhookUrlConfig(config, expectedLabel) {
+  if (!config.webhook_url || !isValidHttpUrl(config.webhook_url)) {
+    return { error: `${expectedLabel} Webhook URL 无效` };
+  }
+  return { config: { webhook_url: config.webhook_url } };
 }
 
-# 主函数
-main() {
-  log "VPS监控脚本启动"
-  
-  # 安装依赖
-  install_dependencies
-  
-  # 启动 Python 守护进程
-  nohup python3 "$WORKDIR/ping_daemon.py" > /dev/null 2>&1 &
-  
-  # 主循环
-  while true; do
-    report_metrics
-    sleep $INTERVAL
-  done
+function postJson(url, payload) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(10000)
+  });
 }
 
-# 启动主函数
-main
-EOF
+// 国内推送平台出错时通常仍返回 HTTP 200，需要检查返回体中的业务状态码
+async function ensureApiSuccess(response, codeKey, successCode, messageKey) {
+  if (!response.ok) {
+    return response;
+  }
+  const data = await response.clone().json().catch(() => null);
+  if (data && data[codeKey] !== undefined && data[codeKey] !== successCode) {
+    throw new Error(`${data[messageKey] || 'API error'} (${codeKey}: ${data[codeKey]})`);
+  }
+  return response;
+}
 
-# 替换配置
-sed -i "s|__API_KEY__|$API_KEY|g" "$INSTALL_DIR/monitor.sh"
-sed -i "s|__SERVER_ID__|$SERVER_ID|g" "$INSTALL_DIR/monitor.sh"
-sed -i "s|__WORKER_URL__|$WORKER_URL|g" "$INSTALL_DIR/monitor.sh"
-sed -i "s|^INTERVAL=.*|INTERVAL=${vpsReportInterval}|g" "$INSTALL_DIR/monitor.sh"
-sed -i "s|__INSTALL_DIR__|$INSTALL_DIR|g" "$INSTALL_DIR/monitor.sh"
+async function hmacSha256Base64(key, message) {
+  const cryptoKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(message));
+  return btoa(String.fromCharCode(...new Uint8Array(signature)));
+}
 
-# 设置执行权限
-chmod +x "$INSTALL_DIR/monitor.sh"
+// 国内 IM 渠道使用的 Markdown 正文
+function formatNotificationMarkdown(notification, colorize) {
+  const meta = getNotificationEventMeta(notification);
+  const title = colorize ? colorize(`${meta.title}: ${notification.name}`, meta.level) : `${meta.title}: ${notification.name}`;
+  const timeStr = new Date(notification.timestamp * 1000).toLocaleString('zh-CN');
+  return `### ${title}\n${notification.text}\n\n> 状态: ${notification.status} | ${timeStr}`;
+}
 
-# 创建systemd服务
-cat > "/etc/systemd/system/$SERVICE_NAME.service" << EOF
-[Unit]
-Description=VPS Monitor Service
-After=network.target
+// 邮件 HTTP API 提供商的默认地址，api_url 可覆盖 (例如指向本地测试服务)
+const EMAIL_PROVIDERS = {
+  mailchannels: 'https://api.mailchannels.net/tx/v1/send',
+  resend: 'https://api.resend.com/emails',
+  sendgrid: 'https://api.sendgrid.com/v3/mail/send'
+};
 
-[Service]
-ExecStart=$INSTALL_DIR/monitor.sh
-Restart=always
-User=root
-Group=root
-Environment=PATH=/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
 
-[Install]
-WantedBy=multi-user.target
-EOF
+function buildNotificationEmail(notification) {
+  const meta = getNotificationEventMeta(notification);
+  const subject = `[${meta.title}] ${notification.name}`;
+  const timeStr = new Date(notification.timestamp * 1000).toLocaleString('zh-CN');
+  const text = `${meta.title}: ${notification.name}\n\n${notification.text}\n\n状态: ${notification.status}\n时间: ${timeStr}` +
+    (notification.url ? `\n网址: ${notification.url}` : '');
+  const html = `<div style="font-family:sans-serif;max-width:600px">
+<div style="background:${NOTIFICATION_LEVEL_COLORS[meta.level]};color:#fff;padding:12px 16px;font-size:18px;font-weight:bold">${escapeHtml(meta.title)}: ${escapeHtml(notification.name)}</div>
+<div style="padding:16px;border:1px solid #dee2e6;border-top:none">
+<p style="white-space:pre-line;margin-top:0">${escapeHtml(notification.text)}</p>
+<p style="color:#6c757d;margin-bottom:0">状态: <strong>${escapeHtml(notification.status)}</strong><br>时间: ${escapeHtml(timeStr)}` +
+    (notification.url ? `<br>网址: <a href="${escapeHtml(notification.url)}">${escapeHtml(notification.url)}</a>` : '') + `</p>
+</div>
+</div>`;
+  return { subject, text, html };
+}
 
-# 启动服务
-systemctl daemon-reload
-systemctl enable "$SERVICE_NAME"
-systemctl start "$SERVICE_NAME"
+function requireConfigString(config, key, errorMessage) {
+  const value = typeof config[key] === 'string' ? config[key].trim() : '';
+  return value ? { value } : { error: errorMessage };
+}
 
-echo "=== 安装完成 ==="
-echo "服务已启动并设置为开机自启"
-echo "查看服务状态: systemctl status $SERVICE_NAME"
-echo "查看服务日志: journalctl -u $SERVICE_NAME -f"
-`;
-  return new Response(script, {
-    headers: {
-      'Content-Type': 'text/plain',
-      'Content-Disposition': 'attachment; filename="install.sh"'
+// 通知渠道类型：parseConfig 校验并规范化配置，send 发送一条通知并返回 fetch 的 Response
+const NOTIFICATION_CHANNEL_TYPES = {
+  webhook: {
+    label: 'Webhook (JSON)',
+    parseConfig(config) {
+      if (!config.url || !isValidHttpUrl(config.url)) {
+        return { error: 'Webhook URL 无效' };
+      }
+      const headers = config.headers || {};
+      if (typeof headers !== 'object' || Array.isArray(headers) || Object.values(headers).some(v => typeof v !== 'string')) {
+        return { error: '请求头必须是值为字符串的 JSON 对象' };
+      }
+      const bodyTemplate = (typeof config.body_template === 'string' && config.body_template.trim()) ? config.body_template : DEFAULT_WEBHOOK_BODY_TEMPLATE;
+      try {
+        JSON.parse(renderNotificationTemplate(bodyTemplate, { event: 'test', name: 'test', status: 'UP', url: '', timestamp: 0, text: '' }));
+      } catch (e) {
+        return { error: '请求体模板渲染后不是有效的 JSON' };
+      }
+      return { config: { url: config.url, headers, body_template: bodyTemplate } };
+    },
+    send(config, notification) {
+      return fetch(config.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...config.headers },
+        body: renderNotificationTemplate(config.body_template || DEFAULT_WEBHOOK_BODY_TEMPLATE, notification),
+        signal: AbortSignal.timeout(10000)
+      });
     }
-  });
+  },
+  slack: {
+    label: 'Slack',
+    parseConfig: (config) => parseWebhookUrlConfig(config, 'Slack'),
+    send(config, notification) {
+      const meta = getNotificationEventMeta(notification);
+      const blocks = [
+        { type: 'section', text: { type: 'mrkdwn', text: `*${meta.title}: ${notification.name}*\n${notification.text}` } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `状态: *${notification.status}* | ${new Date(notification.timestamp * 1000).toISOString()}` }] }
+      ];
+      return postJson(config.webhook_url, {
+        text: `${meta.title}: ${notification.name}`,
+        attachments: [{ color: NOTIFICATION_LEVEL_COLORS[meta.level], blocks }]
+      });
+    }
+  },
+  discord: {
+    label: 'Discord',
+    parseConfig: (config) => parseWebhookUrlConfig(config, 'Discord'),
+    send(config, notification) {
+      const meta = getNotificationEventMeta(notification);
+      const embed = {
+        title: `${meta.title}: ${notification.name}`,
+        description: notification.text,
+        color: parseInt(NOTIFICATION_LEVEL_COLORS[meta.level].slice(1), 16),
+        fields: [{ name: '状态', value: String(notification.status), inline: true }],
+        timestamp: new Date(notification.timestamp * 1000).toISOString()
+      };
+      if (notification.url) {
+        embed.url = notification.url;
+      }
+      return postJson(config.webhook_url, { embeds: [embed] });
+    }
+  },
+  teams: {
+    label: 'Microsoft Teams',
+    parseConfig: (config) => parseWebhookUrlConfig(config, 'Teams'),
+    send(config, notification) {
+      const meta = getNotificationEventMeta(notification);
+      const card = {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: [
+          { type: 'TextBlock', text: `${meta.title}: ${notification.name}`, weight: 'Bolder', size: 'Medium', wrap: true,
+            color: { down: 'Attention', warning: 'Warning', up: 'Good', info: 'Accent' }[meta.level] },
+          { type: 'TextBlock', text: notification.text, wrap: true },
+          { type: 'FactSet', facts: [
+            { title: '状态', value: String(notification.status) },
+            { title: '时间', value: new Date(notification.timestamp * 1000).toISOString() }
+          ] }
+        ]
+      };
+      if (notification.url) {
+        card.actions = [{ type: 'Action.OpenUrl', title: '打开', url: notification.url }];
+      }
+      return postJson(config.webhook_url, {
+        type: 'message',
+        attachments: [{ contentType: 'application/vnd.microsoft.card.adaptive', content: card }]
+      });
+    }
+  },
+  wecom: {
+    label: '企业微信群机器人',
+    parseConfig: (config) => parseWebhookUrlConfig(config, '企业微信'),
+    async send(config, notification) {
+      const content = formatNotificationMarkdown(notification, (text, level) => `<font color="${level === 'down' || level === 'warning' ? 'warning' : 'info'}">${text}</font>`);
+      const response = await postJson(config.webhook_url, { msgtype: 'markdown', markdown: { content } });
+      return ensureApiSuccess(response, 'errcode', 0, 'errmsg');
+    }
+  },
+  dingtalk: {
+    label: '钉钉机器人',
+    parseConfig(config) {
+      const parsed = parseWebhookUrlConfig(config, '钉钉');
+      if (parsed.error) return parsed;
+      return { config: { ...parsed.config, secret: typeof config.secret === 'string' ? config.secret.trim() : '' } };
+    },
+    async send(config, notification) {
+      let url = config.webhook_url;
+      if (config.secret) {
+        // 加签: HMAC-SHA256(secret, timestamp + "\n" + secret)
+        const timestamp = Date.now();
+        const sign = await hmacSha256Base64(config.secret, `${timestamp}\n${config.secret}`);
+        url += `${url.includes('?') ? '&' : '?'}timestamp=${timestamp}&sign=${encodeURIComponent(sign)}`;
+      }
+      const meta = getNotificationEventMeta(notification);
+      const text = formatNotificationMarkdown(notification, (title, level) => `<font color="${NOTIFICATION_LEVEL_COLORS[level]}">${title}</font>`);
+      const response = await postJson(url, { msgtype: 'markdown', markdown: { title: `${meta.title}: ${notification.name}`, text } });
+      return ensureApiSuccess(response, 'errcode', 0, 'errmsg');
+    }
+  },
+  feishu: {
+    label: '飞书 / Lark 机器人',
+    parseConfig(config) {
+      const parsed = parseWebhookUrlConfig(config, '飞书');
+      if (parsed.error) return parsed;
+      return { config: { ...parsed.config, secret: typeof config.secret === 'string' ? config.secret.trim() : '' } };
+    },
+    async send(config, notification) {
+      const meta = getNotificationEventMeta(notification);
+      const payload = {
+        msg_type: 'interactive',
+        card: {
+          header: {
+            title: { tag: 'plain_text', content: `${meta.title}: ${notification.name}` },
+            template: { down: 'red', warning: 'orange', up: 'green', info: 'blue' }[meta.level]
+          },
+          elements: [
+            { tag: 'div', text: { tag: 'lark_md', content: notification.text } },
+            { tag: 'note', elements: [{ tag: 'plain_text', content: `状态: ${notification.status} | ${new Date(notification.timestamp * 1000).toLocaleString('zh-CN')}` }] }
+          ]
+        }
+      };
+      if (config.secret) {
+        // 签名校验: 以 timestamp + "\n" + secret 作为密钥对空串做 HMAC-SHA256
+        const timestamp = Math.floor(Date.now() / 1000);
+        payload.timestamp = String(timestamp);
+        payload.sign = await hmacSha256Base64(`${timestamp}\n${config.secret}`, '');
+      }
+      const response = await postJson(config.webhook_url, payload);
+      return ensureApiSuccess(response, 'code', 0, 'msg');
+    }
+  },
+  serverchan: {
+    label: 'Server酱',
+    parseConfig(config) {
+      const sendkey = requireConfigString(config, 'sendkey', 'SendKey 不能为空');
+      return sendkey.error ? { error: sendkey.error } : { config: { sendkey: sendkey.value } };
+    },
+    async send(config, notification) {
+      const meta = getNotificationEventMeta(notification);
+      // Server酱³ 的 SendKey 形如 sctp{uid}t...，使用独立的推送域名
+      const sctpMatch = config.sendkey.match(/^sctp(\d+)t/);
+      const url = sctpMatch
+        ? `https://${sctpMatch[1]}.push.ft07.com/send/${config.sendkey}.send`
+        : `https://sctapi.ftqq.com/${config.sendkey}.send`;
+      const response = await postJson(url, { title: `${meta.title}: ${notification.name}`, desp: formatNotificationMarkdown(notification) });
+      return ensureApiSuccess(response, 'code', 0, 'message');
+    }
+  },
+  pushplus: {
+    label: 'PushPlus',
+    parseConfig(config) {
+      const token = requireConfigString(config, 'token', 'PushPlus Token 不能为空');
+      if (token.error) return { error: token.error };
+      return { config: { token: token.value, topic: typeof config.topic === 'string' ? config.topic.trim() : '' } };
+    },
+    async send(config, notification) {
+      const meta = getNotificationEventMeta(notification);
+      const payload = {
+        token: config.token,
+        title: `${meta.title}: ${notification.name}`,
+        content: formatNotificationMarkdown(notification),
+        template: 'markdown'
+      };
+      if (config.topic) {
+        payload.topic = config.topic;
+      }
+      const response = await postJson('https://www.pushplus.plus/send', payload);
+      return ensureApiSuccess(response, 'code', 200, 'msg');
+    }
+  },
+  bark: {
+    label: 'Bark',
+    parseConfig(config) {
+      const deviceKey = requireConfigString(config, 'device_key', 'Bark Device Key 不能为空');
+      if (deviceKey.error) return { error: deviceKey.error };
+      const serverUrl = typeof config.server_url === 'string' && config.server_url.trim() ? config.server_url.trim().replace(/\/+$/, '') : 'https://api.day.app';
+      if (!isValidHttpUrl(serverUrl)) {
+        return { error: 'Bark 服务器地址无效' };
+      }
+      return { config: { server_url: serverUrl, device_key: deviceKey.value } };
+    },
+    async send(config, notification) {
+      const meta = getNotificationEventMeta(notification);
+      const payload = {
+        device_key: config.device_key,
+        title: `${meta.title}: ${notification.name}`,
+        body: notification.text,
+        group: 'VPS Monitor'
+      };
+      if (notification.url) {
+        payload.url = notification.url;
+      }
+      if (meta.level === 'down') {
+        payload.level = 'timeSensitive';
+      }
+      const response = await postJson(`${config.server_url}/push`, payload);
+      return ensureApiSuccess(response, 'code', 200, 'message');
+    }
+  },
+  email: {
+    label: '邮件 (HTTP API)',
+    parseConfig(config) {
+      const provider = config.provider || 'mailchannels';
+      if (!EMAIL_PROVIDERS[provider]) {
+        return { error: '不支持的邮件服务提供商' };
+      }
+      const apiUrl = typeof config.api_url === 'string' ? config.api_url.trim() : '';
+      if (apiUrl && !isValidHttpUrl(apiUrl)) {
+        return { error: '邮件 API 地址无效' };
+      }
+      const apiKey = typeof config.api_key === 'string' ? config.api_key.trim() : '';
+      if (!apiKey && provider !== 'mailchannels') {
+        return { error: 'API Key 不能为空' };
+      }
+      const emailPattern = /^[^\s@]+@[^\s@]+$/;
+      const fromEmail = typeof config.from_email === 'string' ? config.from_email.trim() : '';
+      if (!emailPattern.test(fromEmail)) {
+        return { error: '发件人邮箱无效' };
+      }
+      const recipients = (Array.isArray(config.recipients) ? config.recipients : String(config.recipients || '').split(/[\s,;]+/))
+        .map(address => String(address).trim())
+        .filter(Boolean);
+      if (recipients.length === 0) {
+        return { error: '至少需要一个收件人' };
+      }
+      const invalidRecipient = recipients.find(address => !emailPattern.test(address));
+      if (invalidRecipient) {
+        return { error: `收件人邮箱无效: ${invalidRecipient}` };
+      }
+      return {
+        config: {
+          provider,
+          api_url: apiUrl,
+          api_key: apiKey,
+          from_email: fromEmail,
+          from_name: typeof config.from_name === 'string' ? config.from_name.trim() : '',
+          recipients
+        }
+      };
+    },
+    send(config, notification) {
+      const { subject, text, html } = buildNotificationEmail(notification);
+      const url = config.api_url || EMAIL_PROVIDERS[config.provider];
+      const headers = { 'Content-Type': 'application/json' };
+      let payload;
+      if (config.provider === 'resend') {
+        headers['Authorization'] = `Bearer ${config.api_key}`;
+        payload = {
+          from: config.from_name ? `${config.from_name} <${config.from_email}>` : config.from_email,
+          to: config.recipients,
+          subject,
+          text,
+          html
+        };
+      } else {
+        // MailChannels 与 SendGrid 使用相同的 personalizations 结构
+        if (config.provider === 'sendgrid') {
+          headers['Authorization'] = `Bearer ${config.api_key}`;
+        } else if (config.api_key) {
+          headers['X-Api-Key'] = config.api_key;
+        }
+        const from = { email: config.from_email };
+        if (config.from_name) {
+          from.name = config.from_name;
+        }
+        payload = {
+          personalizations: [{ to: config.recipients.map(email => ({ email })) }],
+          from,
+          subject,
+          content: [
+            { type: 'text/plain', value: text },
+            { type: 'text/html', value: html }
+          ]
+        };
+      }
+      return fetch(url, { method: 'POST', headers, body: JSON.stringify(payload), signal: AbortSignal.timeout(10000) });
+    }
+  }
+};
+
+// 校验并规范化通知渠道请求体，返回 { channel } 或 { error }
+function parseNotificationChannelInput(body) {
+  const { name, type, config, group_name, enabled } = body || {};
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return { error: '渠道名称不能为空' };
+  }
+  if (group_name !== undefined && group_name !== null && typeof group_name !== 'string') {
+    return { error: '分组名称必须是字符串' };
+  }
+  const channelType = NOTIFICATION_CHANNEL_TYPES[type];
+  if (!channelType) {
+    return { error: '不支持的渠道类型' };
+  }
+  const parsed = channelType.parseConfig(config && typeof config === 'object' ? config : {});
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+  return {
+    channel: {
+      name: name.trim(),
+      type,
+      config: parsed.config,
+      group_name: group_name && group_name.trim() ? group_name.trim() : null,
+      enabled: (enabled === false || enabled === 0) ? 0 : 1
+    }
+  };
 }
 
-// 处理前端请求
-function handleFrontendRequest(request, path) {
-  // 默认页面
-  if (path === '/' || path === '') {
-    return new Response(getIndexHtml(), {
-      headers: { 'Content-Type': 'text/html' }
-    });
+// 通过单个渠道发送通知，失败时抛出错误
+async function deliverChannelNotification(channel, notification) {
+  const channelType = NOTIFICATION_CHANNEL_TYPES[channel.type];
+  if (!channelType) {
+    throw new Error(`Unknown notification channel type: ${channel.type}`);
   }
-  
-  // 登录页面
-  if (path === '/login' || path === '/login.html') {
-    return new Response(getLoginHtml(), {
-      headers: { 'Content-Type': 'text/html' }
-    });
+  const config = typeof channel.config === 'string' ? JSON.parse(channel.config) : channel.config;
+  const response = await channelType.send(config, notification);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
   }
-  
-  // 管理页面
-  if (path === '/admin' || path === '/admin.html') {
-    return new Response(getAdminHtml(), {
-      headers: { 'Content-Type': 'text/html' }
-    });
+}
+
+// event: { event, name, status, url, timestamp, message }，message 为 Telegram 使用的 Markdown 文本
+function buildNotification(event) {
+  return {
+    url: '',
+    timestamp: Math.floor(Date.now() / 1000),
+    ...event,
+    text: event.message.replace(/\*/g, '')
+  };
+}
+
+// 通知路由: 由 'telegram'、渠道 ID 或 'group:<分组名>' 组成的数组
+// null 表示使用默认路由 (未设置默认路由时发送到全部渠道)，空数组表示不发送通知
+function parseNotificationRoute(value) {
+  if (value === undefined || value === null) {
+    return { route: null };
   }
-  
-  // CSS文件
-  if (path === '/css/style.css') {
-    return new Response(getStyleCss(), {
-      headers: { 'Content-Type': 'text/css' }
-    });
+  if (!Array.isArray(value) || value.some(target => typeof target !== 'string' || !target)) {
+    return { error: '通知路由必须是渠道标识数组或 null' };
   }
-  
-  // JavaScript文件
-  if (path === '/js/main.js') {
-    return new Response(getMainJs(), {
-      headers: { 'Content-Type': 'application/javascript' }
-    });
+  return { route: [...new Set(value)] };
+}
+
+function parseStoredNotificationRoute(value) {
+  if (!value) {
+    return null;
   }
-  
-  if (path === '/js/login.js') {
-    return new Response(getLoginJs(), {
-      headers: { 'Content-Type': 'application/javascript' }
-    });
+  try {
+    const route = JSON.parse(value);
+    return Array.isArray(route) ? route : null;
+  } catch (e) {
+    return null;
   }
-  
-  if (path === '/js/admin.js') {
-    return new Response(getAdminJs(), {
-      headers: { 'Content-Type': 'application/javascript' }
-    });
+}
+
+function serializeNotificationRoute(route) {
+  return route === null ? null : JSON.stringify(route);
+}
+
+// 将通知路由解析为实际的发送目标: { telegram, channels }
+async function resolveNotificationTargets(db, route) {
+  let targets = Array.isArray(route) ? route : parseStoredNotificationRoute(route);
+  if (targets === null) {
+    const defaultRoute = await db.prepare('SELECT value FROM app_config WHERE key = ?').bind('default_notification_route').first();
+    targets = defaultRoute ? parseStoredNotificationRoute(defaultRoute.value) : null;
   }
-  
-  // 404页面
-  return new Response('Not Found', {
-    status: 404,
-    headers: { 'Content-Type': 'text/plain' }
-  });
+
+  const { results } = await db.prepare('SELECT id, name, type, config, group_name FROM notification_channels WHERE enabled = 1').all();
+  const channels = results || [];
+  if (targets === null) {
+    return { telegram: true, channels };
+  }
+
+  const targetSet = new Set(targets);
+  return {
+    telegram: targetSet.has('telegram'),
+    channels: channels.filter(channel => targetSet.has(channel.id) || (channel.group_name && targetSet.has(`group:${channel.group_name}`)))
+  };
 }
 
-// 前端HTML、CSS和JavaScript文件内容
-function getIndexHtml() {
-  return `<!DOCTYPE html>
-<html lang="zh-CN" data-bs-theme="light">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Uptime Status</title>
-    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/css/bootstrap.min.css" rel="stylesheet">
-    <link href="https://cdn.jsdelivr.net/npm/bootstrap-icons@1.8.1/font/bootstrap-icons.css" rel="stylesheet">
-    <link href="/css/style.css" rel="stylesheet">
-    <style>
-        .server-row { cursor: pointer; }
-        .server-details-row td { padding: 1rem; background-color: #f8f9fa; }
-        .server-details-content { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 1rem; }
-        .detail-item { background-color: #e9ecef; padding: 0.75rem; border-radius: 0.25rem; }
-        .detail-item strong { display: block; margin-bottom: 0.25rem; }
-        .history-bar-container { display: inline-flex; flex-direction: row-reverse; align-items: center; justify-content: center; height: 25px; gap: 2px; }
-        .history-bar { width: 8px; height: 100%; border-radius: 1px; }
-        .history-bar-up { background-color: #28a745; } 
-        .history-bar-down { background-color: #dc3545; } 
-        .history-bar-pending { background-color: #6c757d; } 
-        .progress span { color: #000000; }
-        .table > thead > tr > th:nth-child(6), 
-        #siteStatusTableBody tr > td:nth-child(6), 
-        #serverTableBody tr > td:nth-child(6) { text-align: center; }
+// 发送事件通知：按 event.route 发送到 Telegram 及对应的通知渠道
+async function sendNotification(db, event) {
+  const notification = buildNotification(event);
+  let targets = { telegram: true, channels: [] };
+  try {
+    targets = await resolveNotificationTargets(db, event.route);
+  } catch (error) {
+    console.error("解析通知路由失败:", error);
+  }
 
-        /* Dark Theme Adjustments */
-        [data-bs-theme="dark"] body { background-color: #212529 !important; color: #ffffff !important; }
-        [data-bs-theme="dark"] h1, [data-bs-theme="dark"] h2, [data-bs-theme="dark"] h3, [data-bs-theme="dark"] h4, [data-bs-theme="dark"] h5, [data-bs-theme="dark"] h6 { color: #ffffff; }
-        [data-bs-theme="dark"] a:not(.btn):not(.nav-link):not(.dropdown-item):not(.navbar-brand) { color: #87cefa; }
-        [data-bs-theme="dark"] a:not(.btn):not(.nav-link):not(.dropdown-item):not(.navbar-brand):hover { color: #add8e6; }
-        [data-bs-theme="dark"] .navbar-dark { background-color: #343a40 !important; }
-        [data-bs-theme="dark"] .table { color: #ffffff; }
-        [data-bs-theme="dark"] .table-striped > tbody > tr:nth-of-type(odd) > * { var(--bs-table-accent-bg): rgba(255, 255, 255, 0.05); color: #ffffff; }
-        [data-bs-theme="dark"] .table-hover > tbody > tr:hover > * { var(--bs-table-accent-bg): rgba(255, 255, 255, 0.075); color: #ffffff; }
-        [data-bs-theme="dark"] .server-details-row td { background-color: #343a40; border-top: 1px solid #495057; }
-        [data-bs-theme="dark"] .detail-item { background-color: #495057; color: #ffffff; }
-        [data-bs-theme="dark"] .progress { background-color: #495057; }
-        [data-bs-theme="dark"] .progress span { color: #000000 !important; text-shadow: none; }
-        [data-bs-theme="dark"] .footer.bg-light { background-color: #343a40 !important; border-top: 1px solid #495057; }
-        [data-bs-theme="dark"] .footer .text-muted { color: #adb5bd !important; }
-        [data-bs-theme="dark"] .alert-info { background-color: #17a2b8; color: #fff; border-color: #17a2b8; }
-        [data-bs-theme="dark"] .btn-outline-light { color: #f8f9fa; border-color: #f8f9fa; }
-        [data-bs-theme="dark"] .btn-outline-light:hover { color: #212529; background-color: #f8f9fa; }
-        [data-bs-theme="dark"] .card { background-color: #343a40; border: 1px solid #495057; }
-        [data-bs-theme="dark"] .card-header { background-color: #495057; border-bottom: 1px solid #5b6167; }
-        [data-bs-theme="dark"] .modal-content { background-color: #343a40; color: #ffffff; }
-        [data-bs-theme="dark"] .modal-header { border-bottom-color: #495057; }
-        [data-bs-theme="dark"] .modal-footer { border-top-color: #495057; }
-        [data-bs-theme="dark"] .form-control { background-color: #495057; color: #ffffff; border-color: #5b6167; }
-        [data-bs-theme="dark"] .form-control:focus { background-color: #495057; color: #ffffff; border-color: #86b7fe; box-shadow: 0 0 0 0.25rem rgba(13, 110, 253, 0.25); }
-        [data-bs-theme="dark"] .form-label { color: #adb5bd; }
-        [data-bs-theme="dark"] .text-danger { color: #ff8888 !important; }
-        [data-bs-theme="dark"] .text-muted { color: #adb5bd !important; }
-        [data-bs-theme="dark"] span[style*="color: #000"] { color: #ffffff !important; }
-    </style>
-</head>
-<body>
-    <nav class="navbar navbar-expand-lg navbar-dark bg-primary">
-        <div class="container">
-            <a class="navbar-brand" href="/">Uptime Status</a>
-            <button class="navbar-toggler" type="button" data-bs-toggle="collapse" data-bs-target="#navbarNav">
-                <span class="navbar-toggler-icon"></span>
-            </button>
-            <div class="collapse navbar-collapse" id="navbarNav">
-                <ul class="navbar-nav ms-auto align-items-center">
-                    <li class="nav-item">
-                        <button id="themeToggler" class="btn btn-outline-light btn-sm me-2" title="切换主题">
-                             <i class="bi bi-moon-stars-fill"></i>
-                        </button>
-                    </li>
-                    <li class="nav-item">
-                        <a class="nav-link" id="adminAuthLink" href="/login.html">管理员登录</a>
-                    </li>
-                </ul>
-            </div>
-        </div>
-    </nav>
+  const deliveries = [];
+  if (targets.telegram) {
+    deliveries.push(sendTelegramNotification(db, notification.message));
+  }
+  for (const channel of targets.channels) {
+    deliveries.push(
+      deliverChannelNotification(channel, notification)
+        .catch(error => console.error(`通知渠道 ${channel.name} (${channel.type}) 发送失败:`, error.message))
+    );
+  }
 
-    <div class="container mt-4">
-        <div id="noServers" class="alert alert-info d-none">
-            暂无服务器数据，请先登录管理后台添加服务器。
-        </div>
+  await Promise.all(deliveries);
+}
 
-        <div class="table-responsive">
-            <table class="table table-striped table-hover align-middle">
-                <thead>
-                    <tr>
-                        <th>名称</th>
-                        <th>状态</th>
-                        <th>CPU</th>
-                        <th>内存</th>
-                        <th>硬盘</th>
-                        <th class="text-center">线路 (CU|CT|CM)</th>
-                        <th>上传</th>
-                        <th>下载</th>
-                        <th>总上传</th>
-                        <th>总下载</th>
-                        <th>运行时长</th>
-                        <th>最后更新</th>
-                    </tr>
-                </thead>
-                <tbody id="serverTableBody">
-                    <tr>
-                        <td colspan="12" class="text-center">加载中...</td>
-                    </tr>
-                </tbody>
-            </table>
-        </div>
-    </div>
+// 是否配置了任何可用的通知目标
+async function hasNotificationTargets(db) {
+  const telegramConfig = await db.prepare('SELECT bot_token, chat_id, enable_notifications FROM telegram_config WHERE id = 1').first();
+  if (telegramConfig && telegramConfig.enable_notifications && telegramConfig.bot_token && telegramConfig.chat_id) {
+    return true;
+  }
+  const channel = await db.prepare('SELECT id FROM notification_channels WHERE enabled = 1 LIMIT 1').first();
+  return !!channel;
+}
 
-    <div class="container mt-5">
-        <h2>网站在线状态</h2>
-        <div id="noSites" class="alert alert-info d-none">
-            暂无监控网站数据。
-        </div>
-        <div class="table-responsive">
-            <table class="table table-striped table-hover align-middle">
-                <thead>
-                    <tr>
-                        <th>名称</th>
-                        <th>状态</th>
-                        <th>状态码</th>
-                        <th>响应时间 (ms)</th>
-                        <th>最后检查</th>
-                        <th>24h记录</th>
-                    </tr>
-                </thead>
-                <tbody id="siteStatusTableBody">
-                    <tr>
-                        <td colspan="6" class="text-center">加载中...</td>
-                    </tr>
-                </tbody>
-            </table>
-        </div>
-    </div>
-    <template id="serverDetailsTemplate">
-        <tr class="server-details-row d-none">
-            <td colspan="12">
-                <div class="server-details-content">
-                    </div>
-            </td>
-        </tr>
-    </template>
+const MAX_SITE_CONFIRMATION_CHECKS = 10;
+// Cron 最短每分钟触发一次，因此检查间隔不能小于 60 秒
+const MIN_SITE_CHECK_INTERVAL_SECONDS = 60;
+const DEFAULT_SITE_CHECK_INTERVAL_SECONDS = 60;
+// 判断是否到期时允许的提前量，避免上次检查耗时导致每隔一次 Cron 才检查
+const SITE_CHECK_INTERVAL_TOLERANCE_SECONDS = 30;
+const DEFAULT_SITE_CHECK_CONCURRENCY = 10;
+const MAX_SITE_CHECK_CONCURRENCY = 50;
+const MAX_SITE_CHECK_TIMEOUT_SECONDS = 60;
+const DEFAULT_ACCEPTED_STATUS_CODES = '200-499';
+
+// 网站检查的类型和 HTTP 请求配置 (monitored_sites 中的列)
+const SITE_CHECK_COLUMNS = ['monitor_type', 'check_method', 'check_headers', 'check_body', 'auth_username', 'auth_password', 'timeout_seconds', 'redirect_policy', 'accepted_status_codes', 'assertions', 'dns_record_type', 'dns_expected_value', 'heartbeat_period_seconds', 'heartbeat_grace_seconds', 'check_interval_seconds', 'agent_server_ids', 'agent_quorum', 'degraded_threshold_ms'];
+const DEFAULT_SITE_CHECK_OPTIONS = {
+  monitor_type: 'http',
+  check_method: 'HEAD',
+  check_headers: null,
+  check_body: null,
+  auth_username: null,
+  auth_password: null,
+  timeout_seconds: 15,
+  redirect_policy: 'follow',
+  accepted_status_codes: null,
+  assertions: null,
+  dns_record_type: 'A',
+  dns_expected_value: null,
+  heartbeat_period_seconds: 86400,
+  heartbeat_grace_seconds: 3600,
+  check_interval_seconds: null,
+  agent_server_ids: null,
+  agent_quorum: null,
+  degraded_threshold_ms: null
+};
 
-    <footer class="footer mt-5 py-3 bg-light">
-        <div class="container text-center">
-        <a href="https://rcrc.eu.org" target="_blank" rel="noopener noreferrer" class="ms-3 text-muted" title="Server Status">Server Status</a>
-        </div>
-    </footer>
+// 视为故障的网站状态
+const SITE_DOWN_STATUSES = ['DOWN', 'TIMEOUT', 'ERROR', 'ASSERTION_FAILED'];
+// 计入可用率的正常状态，响应缓慢 (DEGRADED) 也算可用；PENDING 等其他状态不参与计算
+const SITE_UP_STATUSES = ['UP', 'DEGRADED'];
+// 前台显示的可用率最长统计天数 (按 UTC 日统计)
+const SITE_UPTIME_DAYS = 90;
 
-    <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/js/bootstrap.bundle.min.js"></script>
-    <script src="/js/main.js"></script>
-</body>
-</html>`;
+function getUtcDayStart(timestampSeconds) {
+  return Math.floor(timestampSeconds / 86400) * 86400;
 }
 
-function getLoginHtml() {
-  return `<!DOCTYPE html>
-<html lang="zh-CN" data-bs-theme="light">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Login - Uptime Status</title>
-    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/css/bootstrap.min.css" rel="stylesheet">
-    <link href="https://cdn.jsdelivr.net/npm/bootstrap-icons@1.8.1/font/bootstrap-icons.css" rel="stylesheet">
-    <link href="/css/style.css" rel="stylesheet">
-    <style>
-       /* Same styles as index */
-       /* Dark Theme Adjustments */
-        [data-bs-theme="dark"] body { background-color: #212529; color: #ffffff; }
-        [data-bs-theme="dark"] .card { background-color: #1e1e1e; border: 1px solid #333; color: #e0e0e0; }
-        [data-bs-theme="dark"] .card-header { background-color: #2a2a2a; border-bottom: 1px solid #333; color: #f5f5f5; }
-        [data-bs-theme="dark"] .form-control { background-color: #2a2a2a; color: #e0e0e0; border-color: #333; }
-        [data-bs-theme="dark"] .footer.bg-light { background-color: #343a40 !important; border-top: 1px solid #495057; }
-        [data-bs-theme="dark"] .footer .text-muted { color: #adb5bd !important; }
-    </style>
-</head>
-<body>
-    <nav class="navbar navbar-expand-lg navbar-dark bg-primary">
-        <div class="container">
-            <a class="navbar-brand" href="/">Uptime Status</a>
-            <button class="navbar-toggler" type="button" data-bs-toggle="collapse" data-bs-target="#navbarNav">
-                <span class="navbar-toggler-icon"></span>
-            </button>
-            <div class="collapse navbar-collapse" id="navbarNav">
-                <ul class="navbar-nav ms-auto align-items-center">
-                    <li class="nav-item">
-                        <button id="themeToggler" class="btn btn-outline-light btn-sm me-2" title="切换主题">
-                             <i class="bi bi-moon-stars-fill"></i>
-                        </button>
-                    </li>
-                    <li class="nav-item">
-                        <a class="nav-link" href="/">返回首页</a>
-                    </li>
-                </ul>
-            </div>
-        </div>
-    </nav>
+// 可用率百分比，向下取整保留两位小数 (避免 99.999% 显示为 100%)；无检查记录时返回 null
+function calculateUptimePercent(upChecks, downChecks) {
+  const total = (upChecks || 0) + (downChecks || 0);
+  return total > 0 ? Math.floor((upChecks || 0) / total * 10000) / 100 : null;
+}
 
-    <div class="container mt-5">
-        <div class="row justify-content-center">
-            <div class="col-md-6 col-lg-4">
-                <div class="card">
-                    <div class="card-header">
-                        <h4 class="card-title mb-0">管理员登录</h4>
-                    </div>
-                    <div class="card-body">
-                        <div id="loginAlert" class="alert alert-danger d-none"></div>
-                        <form id="loginForm">
-                            <div class="mb-3">
-                                <label for="username" class="form-label">用户名</label>
-                                <input type="text" class="form-control" id="username" required>
-                            </div>
-                            <div class="mb-3">
-                                <label for="password" class="form-label">密码</label>
-                                <input type="password" class="form-control" id="password" required>
-                            </div>
-                            <div class="d-grid">
-                                <button type="submit" class="btn btn-primary">登录</button>
-                            </div>
-                        </form>
-                    </div>
-                </div>
-            </div>
-        </div>
-    </div>
+// 内容断言类型: 包含/不包含关键字、正则匹配、JSON 路径等于指定值
+const SITE_ASSERTION_TYPES = ['contains', 'not_contains', 'regex', 'json_path'];
+const MAX_SITE_ASSERTIONS = 10;
+const MAX_SITE_ASSERTION_REGEX_LENGTH = 200;
+// 关键字和正则只检查响应体的前 64KB；JSON 断言需要完整的响应体，最多读取 1MB
+const MAX_SITE_ASSERTION_BODY_LENGTH = 64 * 1024;
+const MAX_SITE_ASSERTION_JSON_BODY_LENGTH = 1024 * 1024;
+
+// 检查正则中是否有不定次数的量词作用于本身含有这类量词的分组，如 (a+)+、(\w*)*、(a{1,}){2,}，
+// 这类写法在不匹配时会灾难性回溯。只能识别常见写法，不能保证其他正则的执行时间
+function hasNestedRegexQuantifier(pattern) {
+  const groupHasQuantifier = [];
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+      continue;
+    }
+    if (inClass) {
+      inClass = char !== ']';
+      continue;
+    }
+    if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groupHasQuantifier.push(false);
+    } else if (char === ')') {
+      const innerQuantified = groupHasQuantifier.pop();
+      if (innerQuantified && /^(?:[*+]|\{\d*,\d*\})/.test(pattern.slice(i + 1))) {
+        return true;
+      }
+      if (innerQuantified && groupHasQuantifier.length > 0) {
+        groupHasQuantifier[groupHasQuantifier.length - 1] = true;
+      }
+    } else if (groupHasQuantifier.length > 0 && /^(?:[*+]|\{\d*,\d*\})/.test(pattern.slice(i))) {
+      groupHasQuantifier[groupHasQuantifier.length - 1] = true;
+    }
+  }
+  return false;
+}
 
-    <footer class="footer mt-5 py-3 bg-light">
-        <div class="container text-center">
-            <span class="text-muted">&copy; Uptime Status</span>
-        </div>
-    </footer>
+// 解析可接受的状态码，如 "200-299,301,4xx"，无效时返回 null
+function parseStatusCodeRanges(value) {
+  const ranges = [];
+  for (const part of String(value).split(',').map(p => p.trim()).filter(Boolean)) {
+    let match;
+    if ((match = part.match(/^([1-5])xx$/i))) {
+      ranges.push([Number(match[1]) * 100, Number(match[1]) * 100 + 99]);
+    } else if ((match = part.match(/^(\d{3})(?:-(\d{3}))?$/))) {
+      const start = Number(match[1]);
+      const end = match[2] ? Number(match[2]) : start;
+      if (start < 100 || end > 599 || start > end) {
+        return null;
+      }
+      ranges.push([start, end]);
+    } else {
+      return null;
+    }
+  }
+  return ranges.length > 0 ? ranges : null;
+}
 
-    <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/js/bootstrap.bundle.min.js"></script>
-    <script src="/js/login.js"></script>
-</body>
-</html>`;
+function isAcceptedStatusCode(statusCode, acceptedStatusCodes) {
+  const ranges = parseStatusCodeRanges(acceptedStatusCodes || DEFAULT_ACCEPTED_STATUS_CODES) || parseStatusCodeRanges(DEFAULT_ACCEPTED_STATUS_CODES);
+  return ranges.some(([start, end]) => statusCode >= start && statusCode <= end);
 }
 
-function getAdminHtml() {
-  return `<!DOCTYPE html>
-<html lang="zh-CN" data-bs-theme="light">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Manage - Uptime Status</title>
-    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/css/bootstrap.min.css" rel="stylesheet">
-    <link href="https://cdn.jsdelivr.net/npm/bootstrap-icons@1.8.1/font/bootstrap-icons.css" rel="stylesheet">
-    <link href="/css/style.css" rel="stylesheet">
-</head>
-<body>
-    <nav class="navbar navbar-expand-lg navbar-dark bg-primary">
-        <div class="container">
-            <a class="navbar-brand" href="/">Uptime Status</a>
-            <button class="navbar-toggler" type="button" data-bs-toggle="collapse" data-bs-target="#navbarNav">
-                <span class="navbar-toggler-icon"></span>
-            </button>
-            <div class="collapse navbar-collapse" id="navbarNav">
-                <ul class="navbar-nav me-auto">
-                    <li class="nav-item">
-                         <a class="nav-link" href="/">返回首页</a>
-                    </li>
-                </ul>
-                <ul class="navbar-nav align-items-center">
-                    <li class="nav-item">
-                        <button id="themeToggler" class="btn btn-outline-light btn-sm me-2" title="切换主题">
-                            <i class="bi bi-moon-stars-fill"></i>
-                        </button>
-                    </li>
-                    <li class="nav-item">
-                        <button id="changePasswordBtn" class="btn btn-outline-light btn-sm me-2">修改密码</button>
-                    </li>
-                    <li class="nav-item">
-                        <button id="logoutBtn" class="btn btn-outline-light btn-sm">退出登录</button>
-                    </li>
-                </ul>
-            </div>
-        </div>
-    </nav>
+// 校验请求体中提供的网站检查配置，只返回提供了的字段: { options } 或 { error }
+function parseSiteCheckOptions(body) {
+  const options = {};
+  const optionalString = (value) => (value === null || value === '' ? null : value);
 
-    <div class="container mt-4">
-        <div class="d-flex align-items-center mb-4">
-            <h2 class="mb-0 me-3">服务器管理</h2>
-            <form id="globalSettingsFormPartial" class="row gx-2 gy-2 align-items-center me-auto">
-                <div class="col-auto">
-                     <label for="vpsReportInterval" class="col-form-label col-form-label-sm">VPS数据更新频率 (秒):</label>
-                </div>
-                <div class="col-auto">
-                    <input type="number" class="form-control form-control-sm" id="vpsReportInterval" placeholder="例如: 60" min="1" style="width: 100px;">
-                </div>
-                <div class="col-auto">
-                    <button type="button" id="saveVpsReportIntervalBtn" class="btn btn-info btn-sm">保存频率</button>
-                </div>
-            </form>
+  if (body.monitor_type !== undefined) {
+    const monitorType = body.monitor_type || 'http';
+    if (!SITE_MONITOR_TYPES[monitorType]) {
+      return { error: `不支持的监控类型，可选: ${Object.keys(SITE_MONITOR_TYPES).join(', ')}` };
+    }
+    options.monitor_type = monitorType;
+  }
+  if (body.check_method !== undefined) {
+    const method = String(body.check_method || 'HEAD').toUpperCase();
+    if (!['GET', 'HEAD', 'POST'].includes(method)) {
+      return { error: '请求方法只支持 GET、HEAD 和 POST' };
+    }
+    options.check_method = method;
+  }
+  if (body.check_headers !== undefined) {
+    const headers = body.check_headers;
+    if (headers !== null && (typeof headers !== 'object' || Array.isArray(headers) || Object.values(headers).some(v => typeof v !== 'string'))) {
+      return { error: '请求头必须是值为字符串的 JSON 对象' };
+    }
+    options.check_headers = headers && Object.keys(headers).length > 0 ? headers : null;
+  }
+  for (const key of ['check_body', 'auth_username', 'auth_password']) {
+    if (body[key] !== undefined) {
+      if (body[key] !== null && typeof body[key] !== 'string') {
+        return { error: `${key} 必须是字符串` };
+      }
+      options[key] = optionalString(body[key]);
+    }
+  }
+  if (body.timeout_seconds !== undefined) {
+    const timeout = body.timeout_seconds === null || body.timeout_seconds === '' ? DEFAULT_SITE_CHECK_OPTIONS.timeout_seconds : body.timeout_seconds;
+    if (!Number.isInteger(timeout) || timeout < 1 || timeout > MAX_SITE_CHECK_TIMEOUT_SECONDS) {
+      return { error: `超时时间必须是 1 到 ${MAX_SITE_CHECK_TIMEOUT_SECONDS} 之间的整数 (秒)` };
+    }
+    options.timeout_seconds = timeout;
+  }
+  if (body.redirect_policy !== undefined) {
+    const policy = body.redirect_policy || 'follow';
+    if (!['follow', 'manual'].includes(policy)) {
+      return { error: '重定向策略只支持 follow 和 manual' };
+    }
+    options.redirect_policy = policy;
+  }
+  if (body.accepted_status_codes !== undefined) {
+    const codes = optionalString(body.accepted_status_codes);
+    if (codes !== null && (typeof codes !== 'string' || !parseStatusCodeRanges(codes))) {
+      return { error: '可接受状态码格式无效，例如: 200-299,301,4xx' };
+    }
+    options.accepted_status_codes = codes === null ? null : codes.replace(/\s+/g, '');
+  }
+  if (body.assertions !== undefined) {
+    const { assertions, error: assertionsError } = parseSiteAssertions(body.assertions);
+    if (assertionsError) {
+      return { error: assertionsError };
+    }
+    options.assertions = assertions;
+  }
+  if (body.dns_record_type !== undefined) {
+    const recordType = String(body.dns_record_type || 'A').toUpperCase();
+    if (!DNS_RECORD_TYPES[recordType]) {
+      return { error: `DNS 记录类型只支持 ${Object.keys(DNS_RECORD_TYPES).join('、')}` };
+    }
+    options.dns_record_type = recordType;
+  }
+  if (body.dns_expected_value !== undefined) {
+    const expected = Array.isArray(body.dns_expected_value) ? body.dns_expected_value.join('\n') : body.dns_expected_value;
+    if (expected !== null && typeof expected !== 'string') {
+      return { error: 'DNS 期望值必须是字符串' };
+    }
+    const lines = (expected || '').split('\n').map(line => line.trim()).filter(Boolean);
+    options.dns_expected_value = lines.length > 0 ? lines.join('\n') : null;
+  }
+  for (const [key, minSeconds] of [['heartbeat_period_seconds', MIN_HEARTBEAT_PERIOD_SECONDS], ['heartbeat_grace_seconds', 0]]) {
+    if (body[key] === undefined) {
+      continue;
+    }
+    const { seconds, error } = parseSecondsSetting(body[key], true);
+    if (error || (seconds !== null && seconds < minSeconds)) {
+      return { error: `${key} 必须是不小于 ${minSeconds} 的整数 (秒)` };
+    }
+    options[key] = seconds === null ? DEFAULT_SITE_CHECK_OPTIONS[key] : seconds;
+  }
+  if (body.check_interval_seconds !== undefined) {
+    const { seconds, error } = parseSecondsSetting(body.check_interval_seconds, false);
+    if (error || (seconds !== null && seconds < MIN_SITE_CHECK_INTERVAL_SECONDS)) {
+      return { error: `检查间隔必须是不小于 ${MIN_SITE_CHECK_INTERVAL_SECONDS} 的整数 (秒)，留空使用全局设置` };
+    }
+    options.check_interval_seconds = seconds;
+  }
+  if (body.agent_server_ids !== undefined) {
+    const serverIds = body.agent_server_ids;
+    if (serverIds !== null && (!Array.isArray(serverIds) || serverIds.length > MAX_SITE_AGENT_LOCATIONS || serverIds.some(serverId => typeof serverId !== 'string' || !serverId))) {
+      return { error: `检测位置必须是服务器 ID 数组，最多 ${MAX_SITE_AGENT_LOCATIONS} 个` };
+    }
+    options.agent_server_ids = serverIds && serverIds.length > 0 ? [...new Set(serverIds)] : null;
+  }
+  if (body.agent_quorum !== undefined) {
+    const quorum = body.agent_quorum === '' ? null : body.agent_quorum;
+    if (quorum !== null && (!Number.isInteger(quorum) || quorum < 1 || quorum > MAX_SITE_AGENT_LOCATIONS + 1)) {
+      return { error: '故障位置数必须是正整数，留空表示过半数' };
+    }
+    options.agent_quorum = quorum;
+  }
+  if (body.degraded_threshold_ms !== undefined) {
+    const threshold = body.degraded_threshold_ms === '' ? null : body.degraded_threshold_ms;
+    if (threshold !== null && (!Number.isInteger(threshold) || threshold < 1)) {
+      return { error: '响应时间阈值必须是正整数 (毫秒)，留空表示不检查' };
+    }
+    options.degraded_threshold_ms = threshold;
+  }
+  return { options };
+}
 
-            <button id="addServerBtn" class="btn btn-primary">
-                <i class="bi bi-plus-circle"></i> 添加服务器
-            </button>
-        </div>
-        <div id="serverAlert" class="alert d-none"></div>
-        <div class="card">
-            <div class="card-body">
-                <div class="table-responsive">
-                    <table class="table table-striped table-hover">
-                        <thead>
-                            <tr>
-                                <th>排序</th>
-                                <th>ID</th>
-                                <th>名称</th>
-                                <th>描述</th>
-                                <th>状态</th>
-                                <th>最后更新</th>
-                                <th>API密钥</th>
-                                <th>VPS脚本</th>
-                                <th>操作</th>
-                            </tr>
-                        </thead>
-                        <tbody id="serverTableBody">
-                            <tr>
-                                <td colspan="10" class="text-center">加载中...</td>
-                            </tr>
-                        </tbody>
-                    </table>
-                </div>
-            </div>
-        </div>
-    </div>
+// 校验内容断言列表，返回 { assertions } 或 { error }；空列表存为 null
+function parseSiteAssertions(value) {
+  if (value === null) {
+    return { assertions: null };
+  }
+  if (!Array.isArray(value) || value.length > MAX_SITE_ASSERTIONS) {
+    return { error: `内容断言必须是数组，最多 ${MAX_SITE_ASSERTIONS} 条` };
+  }
+  const assertions = [];
+  for (const assertion of value) {
+    if (!assertion || !SITE_ASSERTION_TYPES.includes(assertion.type)) {
+      return { error: '不支持的内容断言类型' };
+    }
+    if (assertion.type === 'json_path') {
+      if (typeof assertion.path !== 'string' || !assertion.path.trim()) {
+        return { error: 'JSON 断言需要填写路径，例如 status 或 data.items[0].state' };
+      }
+      if (assertion.value === undefined) {
+        return { error: `JSON 断言 ${assertion.path} 需要填写期望值` };
+      }
+      assertions.push({ type: 'json_path', path: assertion.path.trim(), value: assertion.value });
+      continue;
+    }
+    if (typeof assertion.value !== 'string' || assertion.value === '') {
+      return { error: '关键字或正则表达式不能为空' };
+    }
+    if (assertion.type === 'regex') {
+      if (assertion.value.length > MAX_SITE_ASSERTION_REGEX_LENGTH) {
+        return { error: `正则表达式不能超过 ${MAX_SITE_ASSERTION_REGEX_LENGTH} 个字符` };
+      }
+      if (hasNestedRegexQuantifier(assertion.value)) {
+        return { error: '正则表达式不能对含有量词的分组再使用量词，例如 (a+)+' };
+      }
+      try {
+        new RegExp(assertion.value, assertion.flags || '');
+      } catch (e) {
+        return { error: `正则表达式无效: ${e.message}` };
+      }
+      assertions.push({ type: 'regex', value: assertion.value, flags: assertion.flags || '' });
+      continue;
+    }
+    assertions.push({ type: assertion.type, value: assertion.value });
+  }
+  return { assertions: assertions.length > 0 ? assertions : null };
+}
 
-    <div class="container mt-5">
-        <div class="d-flex justify-content-between align-items-center mb-4">
-            <h2>网站监控管理</h2>
-            <button id="addSiteBtn" class="btn btn-success">
-                <i class="bi bi-plus-circle"></i> 添加监控网站
-            </button>
-        </div>
+// 按 "data.items[0].status" 形式的路径读取 JSON 值，可带 "$." 前缀
+function getJsonPathValue(data, path) {
+  const tokens = String(path).replace(/^\$\.?/, '').match(/[^.[\]]+|\[\d+\]/g) || [];
+  let current = data;
+  for (const token of tokens) {
+    if (current === null || typeof current !== 'object') {
+      return undefined;
+    }
+    current = current[token.startsWith('[') ? Number(token.slice(1, -1)) : token];
+  }
+  return current;
+}
 
-        <div id="siteAlert" class="alert d-none"></div>
+// 依次检查内容断言，全部通过返回 null，否则返回失败原因；body 为 readResponseTextPrefix 的结果
+function evaluateSiteAssertions(assertions, body) {
+  const bodyText = body.text.slice(0, MAX_SITE_ASSERTION_BODY_LENGTH);
+  let json;
+  for (const assertion of assertions) {
+    if (assertion.type === 'contains' && !bodyText.includes(assertion.value)) {
+      return `未找到关键字 "${assertion.value}"`;
+    }
+    if (assertion.type === 'not_contains' && bodyText.includes(assertion.value)) {
+      return `包含关键字 "${assertion.value}"`;
+    }
+    if (assertion.type === 'regex' && !new RegExp(assertion.value, assertion.flags || '').test(bodyText)) {
+      return `未匹配正则 /${assertion.value}/${assertion.flags || ''}`;
+    }
+    if (assertion.type === 'json_path') {
+      if (json === undefined) {
+        if (body.truncated) {
+          return `响应体超过 ${MAX_SITE_ASSERTION_JSON_BODY_LENGTH / 1024 / 1024}MB，无法解析 JSON`;
+        }
+        try {
+          json = JSON.parse(body.text);
+        } catch (e) {
+          return '响应不是有效的 JSON';
+        }
+      }
+      const actual = getJsonPathValue(json, assertion.path);
+      const matches = JSON.stringify(actual) === JSON.stringify(assertion.value) ||
+        (actual !== null && typeof actual !== 'object' && actual !== undefined && String(actual) === String(assertion.value));
+      if (!matches) {
+        return `${assertion.path} 为 ${actual === undefined ? '(不存在)' : JSON.stringify(actual)}，期望 ${JSON.stringify(assertion.value)}`;
+      }
+    }
+  }
+  return null;
+}
 
-        <div class="card">
-            <div class="card-body">
-                <div class="table-responsive">
-                    <table class="table table-striped table-hover">
-                        <thead>
-                            <tr>
-                                <th>排序</th>
-                                <th>名称</th>
-                                <th>URL</th>
-                                <th>状态</th>
-                                <th>状态码</th>
-                                <th>响应时间 (ms)</th>
-                                <th>最后检查</th>
-                                <th>操作</th>
-                            </tr>
-                        </thead>
-                        <tbody id="siteTableBody">
-                            <tr>
-                                <td colspan="10" class="text-center">加载中...</td>
-                            </tr>
-                        </tbody>
-                    </table>
-                </div>
-            </div>
-        </div>
-    </div>
-    <div class="container mt-5">
-        <div class="d-flex justify-content-between align-items-center mb-4">
-            <h2>Telegram 通知设置</h2>
-        </div>
-        <div id="telegramSettingsAlert" class="alert d-none"></div>
-        <div class="card">
-            <div class="card-body">
-                <form id="telegramSettingsForm">
-                    <div class="mb-3">
-                        <label for="telegramBotToken" class="form-label">Bot Token</label>
-                        <input type="text" class="form-control" id="telegramBotToken" placeholder="请输入 Telegram Bot Token">
-                    </div>
-                    <div class="mb-3">
-                        <label for="telegramChatId" class="form-label">Chat ID</label>
-                        <input type="text" class="form-control" id="telegramChatId" placeholder="请输入接收通知的 Chat ID">
-                    </div>
-                    <div class="form-check mb-3">
-                        <input class="form-check-input" type="checkbox" id="enableTelegramNotifications">
-                        <label class="form-check-label" for="enableTelegramNotifications">
-                            启用通知
-                        </label>
-                    </div>
-                    <button type="button" id="saveTelegramSettingsBtn" class="btn btn-info">保存Telegram设置</button>
-                </form>
-            </div>
-        </div>
-    </div>
-    <div class="modal fade" id="serverModal" tabindex="-1">
-        <div class="modal-dialog">
-            <div class="modal-content">
-                <div class="modal-header">
-                    <h5 class="modal-title" id="serverModalTitle">添加服务器</h5>
-                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                </div>
-                <div class="modal-body">
-                    <form id="serverForm">
-                        <input type="hidden" id="serverId">
-                        <div class="mb-3">
-                            <label for="serverName" class="form-label">服务器名称</label>
-                            <input type="text" class="form-control" id="serverName" required>
-                        </div>
-                        <div class="mb-3">
-                            <label for="serverDescription" class="form-label">描述（可选）</label>
-                            <textarea class="form-control" id="serverDescription" rows="2"></textarea>
-                        </div>
+function serializeSiteCheckOption(column, value) {
+  return (column === 'check_headers' || column === 'assertions' || column === 'agent_server_ids') && value ? JSON.stringify(value) : value;
+}
 
-                        <div id="serverIdDisplayGroup" class="mb-3 d-none">
-                            <label for="serverIdDisplay" class="form-label">服务器ID</label>
-                            <div class="input-group">
-                                <input type="text" class="form-control" id="serverIdDisplay" readonly>
-                                <button class="btn btn-outline-secondary" type="button" id="copyServerIdBtn">
-                                    <i class="bi bi-clipboard"></i>
-                                </button>
-                            </div>
-                        </div>
+// 按网站配置构造检查请求的 fetch 参数
+function buildSiteCheckRequestInit(checkConfig, needsBody) {
+  // 内容断言需要读取响应体，HEAD 请求自动改为 GET
+  const method = (checkConfig.check_method === 'HEAD' || !checkConfig.check_method) && needsBody ? 'GET' : (checkConfig.check_method || 'HEAD');
+  const headers = {};
+  if (checkConfig.check_headers) {
+    try {
+      Object.assign(headers, JSON.parse(checkConfig.check_headers));
+    } catch (e) {
+      console.error('网站检查请求头解析失败:', e.message);
+    }
+  }
+  if (checkConfig.auth_username || checkConfig.auth_password) {
+    const credentials = new TextEncoder().encode(`${checkConfig.auth_username || ''}:${checkConfig.auth_password || ''}`);
+    headers['Authorization'] = 'Basic ' + btoa(String.fromCharCode(...credentials));
+  }
+  const init = {
+    method,
+    headers,
+    redirect: checkConfig.redirect_policy === 'manual' ? 'manual' : 'follow',
+    signal: AbortSignal.timeout((checkConfig.timeout_seconds || DEFAULT_SITE_CHECK_OPTIONS.timeout_seconds) * 1000)
+  };
+  if (method === 'POST' && checkConfig.check_body) {
+    init.body = checkConfig.check_body;
+  }
+  return init;
+}
 
-                        <div id="workerUrlDisplayGroup" class="mb-3 d-none">
-                            <label for="workerUrlDisplay" class="form-label">Worker 地址</label>
-                            <div class="input-group">
-                                <input type="text" class="form-control" id="workerUrlDisplay" readonly>
-                                <button class="btn btn-outline-secondary" type="button" id="copyWorkerUrlBtn">
-                                    <i class="bi bi-clipboard"></i>
-                                </button>
-                            </div>
-                        </div>
+// 校验连续失败/恢复确认次数，未提供时为 1 (即不需要确认)
+function parseConfirmationCount(value) {
+  if (value === undefined || value === null || value === '') {
+    return { count: 1 };
+  }
+  if (!Number.isInteger(value) || value < 1 || value > MAX_SITE_CONFIRMATION_CHECKS) {
+    return { error: `连续检查次数必须是 1 到 ${MAX_SITE_CONFIRMATION_CHECKS} 之间的整数` };
+  }
+  return { count: value };
+}
 
-                        <div id="apiKeyGroup" class="mb-3 d-none">
-                            <label for="apiKey" class="form-label">API密钥</label>
-                            <div class="input-group">
-                                <input type="text" class="form-control" id="apiKey" readonly>
-                                <button class="btn btn-outline-secondary" type="button" id="copyApiKeyBtn">
-                                    <i class="bi bi-clipboard"></i>
-                                </button>
-                            </div>
-                        </div>
-                    </form>
-                </div>
-                <div class="modal-footer">
-                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">关闭</button>
-                    <button type="button" class="btn btn-primary" id="saveServerBtn">保存</button>
-                </div>
-            </div>
-        </div>
-    </div>
+// 根据原始检查结果和连续次数计算确认后的状态：故障需连续失败 failureThreshold 次，恢复需连续成功 recoveryThreshold 次；
+// 响应缓慢同样需连续 failureThreshold 次才确认，响应恢复正常则立即生效
+function resolveConfirmedSiteStatus(previousStatus, checkStatus, counters) {
+  const wasDown = SITE_DOWN_STATUSES.includes(previousStatus);
+  if (SITE_DOWN_STATUSES.includes(checkStatus)) {
+    return (wasDown || counters.consecutiveFailures >= counters.failureThreshold) ? checkStatus : previousStatus;
+  }
+  if (wasDown && counters.consecutiveSuccesses < counters.recoveryThreshold) {
+    return previousStatus;
+  }
+  if (checkStatus === 'DEGRADED' && !wasDown && previousStatus !== 'DEGRADED' && counters.consecutiveDegraded < counters.failureThreshold) {
+    return 'UP';
+  }
+  return checkStatus;
+}
 
-    <div class="modal fade" id="siteModal" tabindex="-1">
-        <div class="modal-dialog">
-            <div class="modal-content">
-                <div class="modal-header">
-                    <h5 class="modal-title" id="siteModalTitle">添加监控网站</h5>
-                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                </div>
-                <div class="modal-body">
-                    <form id="siteForm">
-                        <input type="hidden" id="siteId">
-                        <div class="mb-3">
-                            <label for="siteName" class="form-label">网站名称（可选）</label>
-                            <input type="text" class="form-control" id="siteName">
-                        </div>
-                        <div class="mb-3">
-                            <label for="siteUrl" class="form-label">网站URL</label>
-                            <input type="url" class="form-control" id="siteUrl" placeholder="https://example.com" required>
-                        </div>
-                    </form>
-                </div>
-                <div class="modal-footer">
-                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">关闭</button>
-                    <button type="button" class="btn btn-primary" id="saveSiteBtn">保存</button>
-                </div>
-            </div>
-        </div>
-    </div>
+// 解析 TCP 监控地址 host:port (IPv6 需加方括号)，无效时返回 null
+function parseTcpTarget(target) {
+  const match = String(target).trim().match(/^(\[[0-9a-fA-F:.]+\]|[A-Za-z0-9.-]+):(\d{1,5})$/);
+  if (!match) {
+    return null;
+  }
+  const port = Number(match[2]);
+  if (port < 1 || port > 65535) {
+    return null;
+  }
+  return { hostname: match[1].replace(/^\[|\]$/g, ''), port };
+}
 
-    <div class="modal fade" id="deleteModal" tabindex="-1">
-        <div class="modal-dialog">
-            <div class="modal-content">
-                <div class="modal-header">
-                    <h5 class="modal-title">确认删除</h5>
-                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                </div>
-                <div class="modal-body">
-                    <p>确定要删除服务器 "<span id="deleteServerName"></span>" 吗？</p>
-                    <p class="text-danger">此操作不可逆，所有相关的监控数据也将被删除。</p>
-                </div>
-                <div class="modal-footer">
-                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">取消</button>
-                    <button type="button" class="btn btn-danger" id="confirmDeleteBtn">删除</button>
-                </div>
-            </div>
-        </div>
-    </div>
+// 只读取响应体的前 maxBytes 字节，超出部分直接丢弃，返回 { text, truncated }
+async function readResponseTextPrefix(response, maxBytes) {
+  if (!response.body) {
+    return { text: '', truncated: false };
+  }
+  const reader = response.body.getReader();
+  const chunks = [];
+  let length = 0;
+  while (length <= maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    length += value.byteLength;
+  }
+  await reader.cancel();
+  const bytes = new Uint8Array(Math.min(length, maxBytes));
+  let offset = 0;
+  for (const chunk of chunks) {
+    const part = chunk.subarray(0, bytes.length - offset);
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return { text: new TextDecoder().decode(bytes), truncated: length > maxBytes };
+}
 
-     <div class="modal fade" id="deleteSiteModal" tabindex="-1">
-        <div class="modal-dialog">
-            <div class="modal-content">
-                <div class="modal-header">
-                    <h5 class="modal-title">确认删除网站监控</h5>
-                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                </div>
-                <div class="modal-body">
-                    <p>确定要停止监控网站 "<span id="deleteSiteName"></span>" (<span id="deleteSiteUrl"></span>) 吗？</p>
-                    <p class="text-danger">此操作不可逆。</p>
-                </div>
-                <div class="modal-footer">
-                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">取消</button>
-                    <button type="button" class="btn btn-danger" id="confirmDeleteSiteBtn">删除</button>
-                </div>
-            </div>
-        </div>
-    </div>
+// HTTP(S) 检查：按网站配置发送请求，校验状态码和内容断言
+async function checkHttpTarget(url, checkConfig) {
+  const startTime = Date.now();
+  let assertions = null;
+  if (checkConfig.assertions) {
+    try {
+      assertions = JSON.parse(checkConfig.assertions);
+    } catch (e) {
+      console.error(`网站 ${url} 内容断言解析失败:`, e.message);
+    }
+  }
+  const response = await fetch(url, buildSiteCheckRequestInit(checkConfig, !!assertions));
+  const result = { status: 'UP', statusCode: response.status, responseTimeMs: Date.now() - startTime, detail: null };
+
+  // 默认 2xx、3xx 和 4xx 视为正常，可按网站配置可接受的状态码
+  if (!isAcceptedStatusCode(response.status, checkConfig.accepted_status_codes)) {
+    result.status = 'DOWN';
+  } else if (assertions) {
+    const maxBodyLength = assertions.some(assertion => assertion.type === 'json_path') ? MAX_SITE_ASSERTION_JSON_BODY_LENGTH : MAX_SITE_ASSERTION_BODY_LENGTH;
+    result.detail = evaluateSiteAssertions(assertions, await readResponseTextPrefix(response, maxBodyLength));
+    result.status = result.detail ? 'ASSERTION_FAILED' : 'UP';
+  }
+  if (response.body && !response.bodyUsed) {
+    await response.body.cancel();
+  }
+  return result;
+}
 
-    <div class="modal fade" id="passwordModal" tabindex="-1">
-        <div class="modal-dialog">
-            <div class="modal-content">
-                <div class="modal-header">
-                    <h5 class="modal-title">修改密码</h5>
-                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-                </div>
+// TCP 检查：连接建立即视为正常，连接耗时记为响应时间
+async function checkTcpTarget(target, checkConfig) {
+  const startTime = Date.now();
+  const socket = connect(parseTcpTarget(target));
+  let timeoutId;
+  try {
+    await Promise.race([
+      socket.opened,
+      new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new DOMException('TCP 连接超时', 'TimeoutError')), (checkConfig.timeout_seconds || DEFAULT_SITE_CHECK_OPTIONS.timeout_seconds) * 1000);
+      })
+    ]);
+    return { status: 'UP', statusCode: null, responseTimeMs: Date.now() - startTime, detail: null };
+  } finally {
+    clearTimeout(timeoutId);
+    Promise.resolve(socket.close()).catch(() => {});
+  }
+}
+
+const DEFAULT_DNS_RESOLVER_URL = 'https://cloudflare-dns.com/dns-query';
+// DNS 记录类型及其类型编号 (用于从应答中过滤出所查询类型的记录)
+const DNS_RECORD_TYPES = { A: 1, AAAA: 28, CNAME: 5, MX: 15, TXT: 16 };
+
+function isValidDomainName(value) {
+  return /^(?=.{1,253}\.?$)(?:[A-Za-z0-9_](?:[A-Za-z0-9_-]{0,61}[A-Za-z0-9_])?\.)+[A-Za-z0-9-]{2,63}\.?$/.test(String(value).trim());
+}
+
+// 规范化单条记录，便于比较：域名去掉末尾的点并转小写，TXT 合并引号分段
+function normalizeDnsRecord(recordType, data) {
+  const value = String(data).trim();
+  if (recordType === 'TXT') {
+    const segments = value.match(/"((?:[^"\\]|\\.)*)"/g);
+    return segments ? segments.map(segment => segment.slice(1, -1).replace(/\\(.)/g, '$1')).join('') : value;
+  }
+  return value.toLowerCase().replace(/\.$/, '');
+}
+
+// 排序去重后的解析结果，按行保存
+function formatDnsAnswer(recordType, records) {
+  return [...new Set(records.map(record => normalizeDnsRecord(recordType, record)))].sort().join('\n');
+}
+
+// DNS 检查：通过 DoH (JSON 格式) 查询记录，与期望值或上次记录的结果比较
+async function checkDnsTarget(domain, checkConfig, settings) {
+  const startTime = Date.now();
+  const recordType = checkConfig.dns_record_type || 'A';
+  const queryUrl = new URL(settings.dnsResolverUrl);
+  queryUrl.searchParams.set('name', domain.trim());
+  queryUrl.searchParams.set('type', recordType);
+  const response = await fetch(queryUrl.toString(), {
+    headers: { 'Accept': 'application/dns-json' },
+    signal: AbortSignal.timeout((checkConfig.timeout_seconds || DEFAULT_SITE_CHECK_OPTIONS.timeout_seconds) * 1000)
+  });
+  const responseTimeMs = Date.now() - startTime;
+  if (!response.ok) {
+    throw new Error(`DNS 解析服务器返回 HTTP ${response.status}`);
+  }
+  const data = await response.json();
+  const records = (data.Answer || []).filter(answer => answer.type === DNS_RECORD_TYPES[recordType]).map(answer => answer.data);
+  if (records.length === 0) {
+    const rcode = { 2: 'SERVFAIL', 3: 'NXDOMAIN', 5: 'REFUSED' }[data.Status] || (data.Status ? `RCODE ${data.Status}` : '无记录');
+    return { status: 'DOWN', statusCode: null, responseTimeMs, detail: `未解析到 ${recordType} 记录 (${rcode})` };
+  }
+
+  const answer = formatDnsAnswer(recordType, records);
+  const result = { status: 'UP', statusCode: null, responseTimeMs, detail: answer.split('\n').join(', '), dnsAnswer: answer, dnsObservedAnswer: answer };
+  if (checkConfig.dns_expected_value) {
+    const expected = formatDnsAnswer(recordType, checkConfig.dns_expected_value.split('\n'));
+    if (answer !== expected) {
+      result.status = 'ASSERTION_FAILED';
+      result.detail = `解析结果 ${result.detail} 与期望值 ${expected.split('\n').join(', ')} 不符`;
+    }
+  } else if (checkConfig.dns_last_answer && answer !== checkConfig.dns_last_answer) {
+    // 未设置期望值时与上次记录的结果比较；变更后保持告警，直到在后台接受 dnsObservedAnswer 或编辑该监控重新记录基准
+    result.status = 'ASSERTION_FAILED';
+    result.detail = `解析结果由 ${checkConfig.dns_last_answer.split('\n').join(', ')} 变为 ${result.detail}`;
+    result.dnsAnswer = null;
+  }
+  return result;
+}
+
+const MIN_HEARTBEAT_PERIOD_SECONDS = 60;
+const MAX_HEARTBEAT_MESSAGE_LENGTH = 500;
+
+function generateHeartbeatPushPath() {
+  return `/api/push/${generateRandomId(24)}`;
+}
+
+// 推送路径相当于密钥，日志中只保留前几位
+function maskHeartbeatPushPath(pushPath) {
+  return String(pushPath).replace(/^(\/api\/push\/.{4}).*$/, '$1****');
+}
+
+// 心跳检查：不主动探测，只根据最近一次推送判断；超过周期加宽限时间未收到推送即视为故障
+async function checkHeartbeatTarget(pushPath, checkConfig) {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const period = checkConfig.heartbeat_period_seconds || DEFAULT_SITE_CHECK_OPTIONS.heartbeat_period_seconds;
+  const grace = checkConfig.heartbeat_grace_seconds ?? DEFAULT_SITE_CHECK_OPTIONS.heartbeat_grace_seconds;
+  const lastPingAt = checkConfig.last_ping_at;
+  if (nowSeconds > (lastPingAt || checkConfig.added_at || nowSeconds) + period + grace) {
+    const detail = lastPingAt ? `已超过 ${formatAlertDuration(Math.floor((nowSeconds - lastPingAt) / 60) * 60)} 未收到心跳` : '从未收到心跳';
+    return { status: 'DOWN', statusCode: null, responseTimeMs: null, detail };
+  }
+  if (!lastPingAt) {
+    return { status: 'PENDING', statusCode: null, responseTimeMs: null, detail: null };
+  }
+  if (checkConfig.last_ping_status === 'down') {
+    return { status: 'DOWN', statusCode: null, responseTimeMs: checkConfig.last_ping_duration_ms, detail: checkConfig.last_ping_message || '任务报告失败' };
+  }
+  return { status: 'UP', statusCode: null, responseTimeMs: checkConfig.last_ping_duration_ms, detail: checkConfig.last_ping_message };
+}
+
+// 监控类型：validateTarget 返回错误信息或 null，check 返回 { status, statusCode, responseTimeMs, detail }，DNS 检查另返回 dnsAnswer 和 dnsObservedAnswer
+const SITE_MONITOR_TYPES = {
+  http: {
+    label: 'HTTP(S)',
+    validateTarget: (target) => (isValidHttpUrl(target) ? null : '请输入有效的URL'),
+    check: checkHttpTarget
+  },
+  tcp: {
+    label: 'TCP 端口',
+    validateTarget: (target) => (parseTcpTarget(target) ? null : '请输入 host:port 格式的地址，端口为 1-65535'),
+    check: checkTcpTarget
+  },
+  dns: {
+    label: 'DNS 记录',
+    validateTarget: (target) => (isValidDomainName(target) ? null : '请输入有效的域名'),
+    check: checkDnsTarget
+  },
+  heartbeat: {
+    label: '心跳',
+    validateTarget: (target) => (/^\/api\/push\/[A-Za-z0-9_-]{16,}$/.test(target) ? null : '推送路径格式无效'),
+    check: checkHeartbeatTarget
+  }
+};
+
+// 响应缓慢阈值只适用于主动检查的监控类型；心跳的响应时间来自推送的任务耗时，不做判断
+const SITE_LATENCY_MONITOR_TYPES = ['http', 'tcp', 'dns'];
+
+// --- Agent Location Checks ---
+
+const MAX_SITE_AGENT_LOCATIONS = 20;
+// 只有 HTTP(S) 和 TCP 监控可以分配给 Agent
+const SITE_AGENT_MONITOR_TYPES = ['http', 'tcp'];
+const AGENT_RESULT_STATUSES = ['UP', 'DOWN', 'TIMEOUT', 'ERROR'];
+const WORKER_LOCATION = 'worker';
+const WORKER_LOCATION_LABEL = 'Cloudflare';
+
+function parseAgentServerIds(value) {
+  try {
+    const serverIds = value ? JSON.parse(value) : [];
+    return Array.isArray(serverIds) ? serverIds : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// 位置结果超过该时长未更新即不参与判定 (Agent 离线或停止上报)
+function getLocationResultMaxAge(checkConfig, settings) {
+  return Math.max(300, (checkConfig.check_interval_seconds || settings.siteCheckIntervalSeconds) * 3);
+}
+
+async function getAgentAssignedSites(db, serverId) {
+  const { results } = await db.prepare(`
+    SELECT id, url, ${SITE_CHECK_COLUMNS.join(', ')} FROM monitored_sites
+    WHERE agent_server_ids IS NOT NULL AND monitor_type IN (${SITE_AGENT_MONITOR_TYPES.map(() => '?').join(', ')})
+  `).bind(...SITE_AGENT_MONITOR_TYPES).all();
+  return (results || []).filter(site => parseAgentServerIds(site.agent_server_ids).includes(serverId));
+}
+
+// Agent 执行的检查只包含请求方法、请求头、超时、重定向和可接受状态码，不支持内容断言
+function buildAgentCheck(site, settings) {
+  const init = buildSiteCheckRequestInit(site, false);
+  return {
+    id: site.id,
+    type: site.monitor_type,
+    target: site.url,
+    interval_seconds: site.check_interval_seconds || settings.siteCheckIntervalSeconds,
+    timeout_seconds: site.timeout_seconds || DEFAULT_SITE_CHECK_OPTIONS.timeout_seconds,
+    method: init.method,
+    headers: init.headers,
+    body: init.body || null,
+    follow_redirects: init.redirect === 'follow',
+    accepted_status_codes: parseStatusCodeRanges(site.accepted_status_codes || DEFAULT_ACCEPTED_STATUS_CODES)
+  };
+}
+
+// 按网站读取各位置最近一次的检查结果 (只包含当前分配的位置)，返回 Map<siteId, locations>
+async function getSiteLocationStatuses(db, sites) {
+  const locationsBySite = new Map();
+  if (!sites.some(site => site.agent_server_ids)) {
+    return locationsBySite;
+  }
+  const { results } = await db.prepare(`
+    SELECT l.site_id, l.location, l.status, l.status_code, l.response_time_ms, l.detail, l.checked_at, s.name AS server_name
+    FROM site_location_status l LEFT JOIN servers s ON s.id = l.location
+  `).all();
+  for (const site of sites) {
+    const serverIds = parseAgentServerIds(site.agent_server_ids);
+    if (serverIds.length === 0 || !SITE_AGENT_MONITOR_TYPES.includes(site.monitor_type || 'http')) {
+      continue;
+    }
+    locationsBySite.set(site.id, (results || [])
+      .filter(row => row.site_id === site.id && (row.location === WORKER_LOCATION || serverIds.includes(row.location)))
+      .sort((a, b) => (b.location === WORKER_LOCATION) - (a.location === WORKER_LOCATION))
+      .map(({ site_id, server_name, ...row }) => ({ ...row, name: row.location === WORKER_LOCATION ? WORKER_LOCATION_LABEL : (server_name || row.location) })));
+  }
+  return locationsBySite;
+}
+
+// 记录 Worker 自身的检查结果，并与各 Agent 的结果汇总：达到故障位置数时才视为故障
+async function resolveSiteLocationStatus(db, siteId, checkConfig, settings, workerResult) {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  await db.prepare(
+    'REPLACE INTO site_location_status (site_id, location, status, status_code, response_time_ms, detail, checked_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+  ).bind(siteId, WORKER_LOCATION, workerResult.status, workerResult.statusCode, workerResult.responseTimeMs, workerResult.detail, nowSeconds).run();
+  // Agent 不执行内容断言等检查，无法给出的状态 (如 ASSERTION_FAILED) 不参与投票，直接以 Worker 的结果为准
+  if (!AGENT_RESULT_STATUSES.includes(workerResult.status)) {
+    return workerResult;
+  }
+
+  const serverIds = parseAgentServerIds(checkConfig.agent_server_ids);
+  const { results } = await db.prepare(`
+    SELECT l.location, l.status, l.status_code, l.response_time_ms, l.detail, s.name AS server_name
+    FROM site_location_status l LEFT JOIN servers s ON s.id = l.location
+    WHERE l.site_id = ? AND l.checked_at >= ?
+  `).bind(siteId, nowSeconds - getLocationResultMaxAge(checkConfig, settings)).all();
+  const locations = (results || []).filter(row => row.location === WORKER_LOCATION || serverIds.includes(row.location));
+  const downLocations = locations.filter(row => SITE_DOWN_STATUSES.includes(row.status));
+  // 未设置时取过半数；在线的位置不足时以在线位置数为准
+  const required = Math.min(checkConfig.agent_quorum || Math.floor(locations.length / 2) + 1, locations.length);
+  if (downLocations.length === 0) {
+    return workerResult;
+  }
+  const summary = downLocations.map(row => {
+    const name = row.location === WORKER_LOCATION ? WORKER_LOCATION_LABEL : (row.server_name || row.location);
+    return `${name} (${row.detail || row.status})`;
+  }).join(', ');
+  if (downLocations.length >= required) {
+    const status = SITE_DOWN_STATUSES.includes(workerResult.status) ? workerResult.status : downLocations[0].status;
+    return { ...workerResult, status, detail: `${downLocations.length}/${locations.length} 个位置故障: ${summary}` };
+  }
+  // 未达到故障位置数时视为正常；Worker 本身失败时改用正常位置的状态码和响应时间，避免超时耗时计入响应时间统计
+  const detail = `${downLocations.length}/${locations.length} 个位置故障，未达到 ${required} 个: ${summary}`;
+  if (!SITE_DOWN_STATUSES.includes(workerResult.status)) {
+    return { ...workerResult, status: 'UP', detail };
+  }
+  const healthyLocation = locations.find(row => !SITE_DOWN_STATUSES.includes(row.status));
+  return {
+    ...workerResult,
+    status: 'UP',
+    statusCode: healthyLocation ? healthyLocation.status_code : null,
+    responseTimeMs: healthyLocation ? healthyLocation.response_time_ms : null,
+    detail
+  };
+}
+
+async function checkWebsiteStatus(site, db, ctx, maintenance = null, settings = null) {
+  const { id, url, name } = site;
+  const startTime = Date.now();
+  let newStatus = 'PENDING';
+  let newStatusCode = null;
+  let newResponseTime = null;
+  let newStatusDetail = null;
+  let newDnsAnswer = null;
+  let newDnsObservedAnswer = null;
+  let previousStatus = 'PENDING';
+  let siteLastNotifiedDownAt = null;
+  let siteNotificationRoute = null;
+  let siteRepeatSeconds = null;
+  const counters = { failureThreshold: 1, recoveryThreshold: 1, consecutiveFailures: 0, consecutiveSuccesses: 0, consecutiveDegraded: 0 };
+  let checkConfig = DEFAULT_SITE_CHECK_OPTIONS;
+
+  try {
+    const siteDetailsStmt = db.prepare(`
+      SELECT last_status, last_notified_down_at, notification_channels, notification_repeat_seconds,
+             failure_threshold, recovery_threshold, consecutive_failures, consecutive_successes, consecutive_degraded,
+             ${SITE_CHECK_COLUMNS.join(', ')}, dns_last_answer,
+             added_at, last_ping_at, last_ping_status, last_ping_message, last_ping_duration_ms
+      FROM monitored_sites WHERE id = ?
+    `);
+    const siteDetailsResult = await siteDetailsStmt.bind(id).first();
+    if (siteDetailsResult) {
+      previousStatus = siteDetailsResult.last_status || 'PENDING';
+      siteLastNotifiedDownAt = siteDetailsResult.last_notified_down_at;
+      siteNotificationRoute = siteDetailsResult.notification_channels;
+      siteRepeatSeconds = siteDetailsResult.notification_repeat_seconds;
+      counters.failureThreshold = siteDetailsResult.failure_threshold || 1;
+      counters.recoveryThreshold = siteDetailsResult.recovery_threshold || 1;
+      counters.consecutiveFailures = siteDetailsResult.consecutive_failures || 0;
+      counters.consecutiveSuccesses = siteDetailsResult.consecutive_successes || 0;
+      counters.consecutiveDegraded = siteDetailsResult.consecutive_degraded || 0;
+      checkConfig = siteDetailsResult;
+    }
+  } catch (e) {
+    console.error(`获取网站 ${id} 详情错误:`, e);
+  }
+  if (!settings) {
+    settings = await getMonitoringSettings(db);
+  }
+  if (siteRepeatSeconds === null) {
+    siteRepeatSeconds = settings.notificationRepeatSeconds;
+  }
+
+  // 心跳监控的 url 是保密的推送路径，不能出现在通知和日志中
+  const isHeartbeat = checkConfig.monitor_type === 'heartbeat';
+  const logTarget = isHeartbeat ? maskHeartbeatPushPath(url) : url;
+  const notificationUrl = isHeartbeat ? null : url;
+  const targetLine = notificationUrl ? `\n网址: ${notificationUrl}` : '';
+
+  let result;
+  try {
+    const monitorType = SITE_MONITOR_TYPES[checkConfig.monitor_type] || SITE_MONITOR_TYPES.http;
+    result = await monitorType.check(url, checkConfig, settings);
+  } catch (error) {
+    const isTimeout = error.name === 'TimeoutError';
+    result = { status: isTimeout ? 'TIMEOUT' : 'ERROR', statusCode: null, responseTimeMs: Date.now() - startTime, detail: isTimeout ? null : error.message };
+    if (!isTimeout) {
+      console.error(`检查网站 ${id} (${logTarget}) 错误:`, error.message);
+    }
+  }
+  if (checkConfig.agent_server_ids && SITE_AGENT_MONITOR_TYPES.includes(checkConfig.monitor_type)) {
+    try {
+      result = await resolveSiteLocationStatus(db, id, checkConfig, settings, result);
+    } catch (e) {
+      console.error(`汇总网站 ${id} 各位置检查结果失败:`, e);
+    }
+  }
+  // 正常但响应时间超过阈值时标记为响应缓慢
+  const degradedThreshold = checkConfig.degraded_threshold_ms;
+  if (result.status === 'UP' && degradedThreshold && SITE_LATENCY_MONITOR_TYPES.includes(checkConfig.monitor_type || 'http') &&
+      result.responseTimeMs > degradedThreshold) {
+    const degradedDetail = `响应时间 ${result.responseTimeMs} ms 超过阈值 ${degradedThreshold} ms`;
+    result = { ...result, status: 'DEGRADED', detail: result.detail ? `${result.detail}; ${degradedDetail}` : degradedDetail };
+  }
+  newStatus = result.status;
+  newStatusCode = result.statusCode;
+  newResponseTime = result.responseTimeMs;
+  newStatusDetail = result.detail;
+  newDnsAnswer = result.dnsAnswer || null;
+  newDnsObservedAnswer = result.dnsObservedAnswer || null;
+
+  const checkTime = Math.floor(Date.now() / 1000);
+  const siteDisplayName = name || (isHeartbeat ? `心跳监控 ${id}` : url);
+  let newSiteLastNotifiedDownAt = siteLastNotifiedDownAt;
+
+  // newStatus 为本次检查的原始结果 (写入历史)，confirmedStatus 为确认后的状态 (用于通知和 last_status)
+  if (SITE_DOWN_STATUSES.includes(newStatus)) {
+    counters.consecutiveFailures += 1;
+    counters.consecutiveSuccesses = 0;
+    counters.consecutiveDegraded = 0;
+  } else {
+    counters.consecutiveSuccesses += 1;
+    counters.consecutiveFailures = 0;
+    counters.consecutiveDegraded = newStatus === 'DEGRADED' ? counters.consecutiveDegraded + 1 : 0;
+  }
+  const confirmedStatus = resolveConfirmedSiteStatus(previousStatus, newStatus, counters);
+  if (confirmedStatus !== newStatus) {
+    const [count, threshold] = SITE_DOWN_STATUSES.includes(newStatus)
+      ? [counters.consecutiveFailures, counters.failureThreshold]
+      : SITE_DOWN_STATUSES.includes(previousStatus)
+        ? [counters.consecutiveSuccesses, counters.recoveryThreshold]
+        : [counters.consecutiveDegraded, counters.failureThreshold];
+    console.log(`网站 ${siteDisplayName} 本次检查结果 ${newStatus}，等待确认 (${count}/${threshold})，保持状态 ${confirmedStatus}。`);
+  }
+  const inMaintenance = isUnderMaintenance(maintenance || await getActiveMaintenance(db, checkTime), 'site', id);
+
+  if (inMaintenance) {
+    // 维护期间只记录状态，不发送通知；维护结束后若仍故障会重新通知
+    console.log(`网站 ${siteDisplayName} 处于维护窗口中，跳过通知。`);
+  } else if (SITE_DOWN_STATUSES.includes(confirmedStatus)) {
+    const isFirstTimeDown = !SITE_DOWN_STATUSES.includes(previousStatus);
+    const reason = newStatusDetail ? `\n原因: ${newStatusDetail}` : '';
+    if (isFirstTimeDown) {
+      const confirmation = counters.failureThreshold > 1 ? ` (连续 ${counters.consecutiveFailures} 次检查失败)` : '';
+      const message = `🔴 网站故障: *${siteDisplayName}* 当前状态 ${confirmedStatus.toLowerCase()}${confirmation} (状态码: ${newStatusCode || '无'}).${targetLine}${reason}`;
+      ctx.waitUntil(sendNotification(db, { event: 'site_down', name: siteDisplayName, status: confirmedStatus, url: notificationUrl, timestamp: checkTime, route: siteNotificationRoute, message }));
+      newSiteLastNotifiedDownAt = checkTime;
+      console.log(`网站 ${siteDisplayName} 刚刚故障。已发送初始通知。last_notified_down_at 已更新。`);
+    } else {
+      const shouldResend = isNotificationRepeatDue(siteLastNotifiedDownAt, checkTime, siteRepeatSeconds);
+      if (shouldResend) {
+        const message = `🔴 网站持续故障: *${siteDisplayName}* 状态 ${confirmedStatus.toLowerCase()} (状态码: ${newStatusCode || '无'}).${targetLine}${reason}`;
+        ctx.waitUntil(sendNotification(db, { event: 'site_down', name: siteDisplayName, status: confirmedStatus, url: notificationUrl, timestamp: checkTime, route: siteNotificationRoute, message }));
+        newSiteLastNotifiedDownAt = checkTime;
+        console.log(`网站 ${siteDisplayName} 持续故障。已发送重复通知。last_notified_down_at 已更新。`);
+      } else {
+        console.log(`网站 ${siteDisplayName} 持续故障，但通知间隔 (${formatRepeatInterval(siteRepeatSeconds)}) 未到。`);
+      }
+    }
+  } else if (SITE_UP_STATUSES.includes(confirmedStatus) && SITE_DOWN_STATUSES.includes(previousStatus) && siteLastNotifiedDownAt !== null) {
+    const slowNote = confirmedStatus === 'DEGRADED' ? `，但响应缓慢 (${newResponseTime} ms)` : '';
+    const message = `✅ 网站恢复: *${siteDisplayName}* 已恢复在线${slowNote}!${targetLine}`;
+    ctx.waitUntil(sendNotification(db, { event: 'site_recovered', name: siteDisplayName, status: confirmedStatus, url: notificationUrl, timestamp: checkTime, route: siteNotificationRoute, message }));
+    newSiteLastNotifiedDownAt = null; 
+    console.log(`网站 ${siteDisplayName} 已恢复。已发送通知。last_notified_down_at 已清除。`);
+  } else if (confirmedStatus === 'DEGRADED' && previousStatus !== 'DEGRADED' && !SITE_DOWN_STATUSES.includes(previousStatus)) {
+    const confirmation = counters.failureThreshold > 1 ? ` (连续 ${counters.consecutiveDegraded} 次检查)` : '';
+    const message = `🟡 网站响应缓慢: *${siteDisplayName}* 响应时间 ${newResponseTime} ms，超过阈值 ${degradedThreshold} ms${confirmation}.${targetLine}`;
+    ctx.waitUntil(sendNotification(db, { event: 'site_degraded', name: siteDisplayName, status: confirmedStatus, url: notificationUrl, timestamp: checkTime, route: siteNotificationRoute, message }));
+    console.log(`网站 ${siteDisplayName} 响应缓慢。已发送通知。`);
+  } else if (confirmedStatus === 'UP' && previousStatus === 'DEGRADED') {
+    const message = `✅ 网站响应恢复: *${siteDisplayName}* 响应时间已恢复正常 (${newResponseTime} ms).${targetLine}`;
+    ctx.waitUntil(sendNotification(db, { event: 'site_latency_recovered', name: siteDisplayName, status: confirmedStatus, url: notificationUrl, timestamp: checkTime, route: siteNotificationRoute, message }));
+    console.log(`网站 ${siteDisplayName} 响应恢复正常。已发送通知。`);
+  }
+
+  // Update D1
+  try {
+    const updateSiteStmt = db.prepare(
+      'UPDATE monitored_sites SET last_checked = ?, last_status = ?, last_status_code = ?, last_response_time_ms = ?, last_notified_down_at = ?, consecutive_failures = ?, consecutive_successes = ?, consecutive_degraded = ?, dns_last_answer = COALESCE(?, dns_last_answer), dns_observed_answer = ? WHERE id = ?'
+    );
+    const recordHistoryStmt = db.prepare(
+      'INSERT INTO site_status_history (site_id, timestamp, status, status_code, response_time_ms, detail) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    const statements = [
+      updateSiteStmt.bind(checkTime, confirmedStatus, newStatusCode, newResponseTime, newSiteLastNotifiedDownAt,
+                          counters.consecutiveFailures, counters.consecutiveSuccesses, counters.consecutiveDegraded, newDnsAnswer, newDnsObservedAnswer, id),
+      recordHistoryStmt.bind(id, checkTime, newStatus, newStatusCode, newResponseTime, newStatusDetail)
+    ];
+    // 按日累计可用率统计，前台的长期可用率无需扫描原始历史
+    const isUp = SITE_UP_STATUSES.includes(newStatus);
+    if (isUp || SITE_DOWN_STATUSES.includes(newStatus)) {
+      statements.push(db.prepare(`
+        INSERT INTO site_daily_stats (site_id, day, up_checks, down_checks) VALUES (?, ?, ?, ?)
+        ON CONFLICT(site_id, day) DO UPDATE SET up_checks = up_checks + excluded.up_checks, down_checks = down_checks + excluded.down_checks
+      `).bind(id, getUtcDayStart(checkTime), isUp ? 1 : 0, isUp ? 0 : 1));
+    }
+    await db.batch(statements);
+    console.log(`已检查网站 ${id} (${logTarget}): ${newStatus} (${newStatusCode || '无'}), ${newResponseTime}ms，确认状态 ${confirmedStatus}。历史已记录。通知时间戳已更新。`);
+  } catch (dbError) {
+    console.error(`更新网站 ${id} (${logTarget}) 状态或记录历史到D1失败:`, dbError);
+  }
+}
+
+// --- VPS Alert Rules ---
+
+// 告警规则可用的指标 (均为百分比)
+const ALERT_RULE_METRICS = {
+  cpu: { label: 'CPU使用率', extract: (report) => report.cpu && report.cpu.usage_percent },
+  memory: { label: '内存使用率', extract: (report) => report.memory && report.memory.usage_percent },
+  disk: { label: '硬盘使用率', extract: (report) => report.disk && report.disk.usage_percent },
+  ping_cu: { label: '联通丢包率', extract: (report) => report.ping && report.ping.cu },
+  ping_ct: { label: '电信丢包率', extract: (report) => report.ping && report.ping.ct },
+  ping_cm: { label: '移动丢包率', extract: (report) => report.ping && report.ping.cm },
+  ping_max: {
+    label: '任意线路丢包率',
+    extract: (report) => {
+      const losses = report.ping ? ['cu', 'ct', 'cm'].map(key => report.ping[key]).filter(v => typeof v === 'number') : [];
+      return losses.length > 0 ? Math.max(...losses) : undefined;
+    }
+  }
+};
+
+const ALERT_RULE_OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold
+};
+
+// 校验并规范化告警规则请求体，返回 { rule } 或 { error }
+function parseAlertRuleInput(body) {
+  const { name, metric, operator, threshold, duration_seconds, server_ids, enabled } = body || {};
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return { error: '规则名称不能为空' };
+  }
+  if (!ALERT_RULE_METRICS[metric]) {
+    return { error: '不支持的监控指标' };
+  }
+  const ruleOperator = operator || '>';
+  if (!ALERT_RULE_OPERATORS[ruleOperator]) {
+    return { error: '不支持的比较条件' };
+  }
+  if (typeof threshold !== 'number' || isNaN(threshold)) {
+    return { error: '阈值必须是数字' };
+  }
+  const duration = duration_seconds === undefined || duration_seconds === null ? 0 : duration_seconds;
+  if (!Number.isInteger(duration) || duration < 0) {
+    return { error: '持续时间必须是非负整数 (秒)' };
+  }
+  if (server_ids !== undefined && server_ids !== null && (!Array.isArray(server_ids) || server_ids.some(id => typeof id !== 'string'))) {
+    return { error: '服务器列表格式无效' };
+  }
+
+  return {
+    rule: {
+      name: name.trim(),
+      metric,
+      operator: ruleOperator,
+      threshold,
+      duration_seconds: duration,
+      server_ids: Array.isArray(server_ids) && server_ids.length > 0 ? server_ids : null,
+      enabled: (enabled === false || enabled === 0) ? 0 : 1
+    }
+  };
+}
+
+function alertRuleAppliesToServer(rule, serverId) {
+  if (!rule.server_ids) {
+    return true;
+  }
+  try {
+    const serverIds = JSON.parse(rule.server_ids);
+    return !Array.isArray(serverIds) || serverIds.length === 0 || serverIds.includes(serverId);
+  } catch (e) {
+    return true;
+  }
+}
+
+function formatAlertDuration(seconds) {
+  if (seconds % 3600 === 0) return `${seconds / 3600} 小时`;
+  if (seconds % 60 === 0) return `${seconds / 60} 分钟`;
+  return `${seconds} 秒`;
+}
+
+// 规则修改或删除前，为正在触发的告警发送恢复通知，避免状态被清除后接收方收不到恢复
+async function resolveFiringAlertStates(db, ctx, rule, reason) {
+  const { results: firingStates } = await db.prepare(`
+    SELECT s.server_id, sv.name, sv.notification_channels
+    FROM alert_states s LEFT JOIN servers sv ON sv.id = s.server_id
+    WHERE s.rule_id = ? AND s.status = 'FIRING'
+  `).bind(rule.id).all();
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  for (const state of firingStates || []) {
+    const serverDisplayName = state.name || state.server_id;
+    const message = `✅ 告警恢复: 服务器 *${serverDisplayName}* 规则「${rule.name}」${reason}，告警状态已重置`;
+    ctx.waitUntil(sendNotification(db, { event: 'alert_resolved', name: serverDisplayName, status: 'RESOLVED', timestamp: nowSeconds, route: state.notification_channels, message }));
+    console.log(`告警规则 ${rule.name} 在服务器 ${serverDisplayName} 上${reason}，已发送恢复通知。`);
+  }
+}
+
+// 在收到上报时评估告警规则：条件持续满足 duration_seconds 后触发，条件解除后发送恢复通知
+async function evaluateAlertRules(db, ctx, server, reportData) {
+  try {
+    const { results: rules } = await db.prepare('SELECT * FROM alert_rules WHERE enabled = 1').all();
+    if (!rules || rules.length === 0) {
+      return;
+    }
+    if (isUnderMaintenance(await getActiveMaintenance(db), 'server', server.id)) {
+      return;
+    }
+
+    const { results: states } = await db.prepare('SELECT * FROM alert_states WHERE server_id = ?').bind(server.id).all();
+    const stateByRuleId = new Map((states || []).map(state => [state.rule_id, state]));
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const serverDisplayName = server.name || server.id;
+    const stateUpdates = [];
+
+    for (const rule of rules) {
+      const metric = ALERT_RULE_METRICS[rule.metric];
+      const compare = ALERT_RULE_OPERATORS[rule.operator];
+      if (!metric || !compare || !alertRuleAppliesToServer(rule, server.id)) {
+        continue;
+      }
+      const value = metric.extract(reportData);
+      if (typeof value !== 'number' || isNaN(value)) {
+        continue;
+      }
+
+      const state = stateByRuleId.get(rule.id) || { status: 'OK', pending_since: null, fired_at: null };
+      let newStatus = state.status;
+      let pendingSince = state.pending_since;
+      let firedAt = state.fired_at;
+      const conditionText = `${rule.operator} ${rule.threshold}%` + (rule.duration_seconds > 0 ? `，持续 ${formatAlertDuration(rule.duration_seconds)}` : '');
+
+      if (compare(value, rule.threshold)) {
+        if (newStatus === 'OK') {
+          newStatus = 'PENDING';
+          pendingSince = nowSeconds;
+        }
+        if (newStatus === 'PENDING' && nowSeconds - pendingSince >= rule.duration_seconds) {
+          newStatus = 'FIRING';
+          firedAt = nowSeconds;
+          const message = `🔴 告警触发: 服务器 *${serverDisplayName}* 规则「${rule.name}」\n${metric.label} 当前 ${value.toFixed(1)}% (条件: ${conditionText})`;
+          ctx.waitUntil(sendNotification(db, { event: 'alert_firing', name: serverDisplayName, status: 'FIRING', timestamp: nowSeconds, route: server.notification_channels, message }));
+          console.log(`告警规则 ${rule.name} 在服务器 ${serverDisplayName} 上触发。`);
+        }
+      } else {
+        if (newStatus === 'FIRING') {
+          const message = `✅ 告警恢复: 服务器 *${serverDisplayName}* 规则「${rule.name}」已恢复\n${metric.label} 当前 ${value.toFixed(1)}%`;
+          ctx.waitUntil(sendNotification(db, { event: 'alert_resolved', name: serverDisplayName, status: 'RESOLVED', timestamp: nowSeconds, route: server.notification_channels, message }));
+          console.log(`告警规则 ${rule.name} 在服务器 ${serverDisplayName} 上已恢复。`);
+        }
+        newStatus = 'OK';
+        pendingSince = null;
+        firedAt = null;
+      }
+
+      stateUpdates.push(
+        db.prepare('REPLACE INTO alert_states (rule_id, server_id, status, pending_since, fired_at, last_value, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)')
+          .bind(rule.id, server.id, newStatus, pendingSince, firedAt, value, nowSeconds)
+      );
+    }
+
+    if (stateUpdates.length > 0) {
+      await db.batch(stateUpdates);
+    }
+  } catch (error) {
+    console.error(`评估服务器 ${server.id} 的告警规则失败:`, error);
+  }
+}
+
+// --- TLS Certificate Expiry ---
+
+// crt.sh 返回的是证书透明度日志中最新签发的证书，不一定是网站实际部署的证书，因此默认停用
+const DEFAULT_CERT_SOURCE = 'disabled';
+const DEFAULT_CERT_WARNING_DAYS = [30, 14, 7, 1];
+const CERT_CHECK_INTERVAL_SECONDS = 6 * 60 * 60;
+
+// 解析 "30,14,7,1" 形式的提醒阈值，按从大到小排序，无效时返回 null
+function parseCertWarningDays(value) {
+  const parts = String(value).split(',').map(p => p.trim()).filter(Boolean);
+  if (parts.length === 0 || parts.some(p => !/^\d+$/.test(p) || parseInt(p, 10) < 1)) {
+    return null;
+  }
+  return [...new Set(parts.map(p => parseInt(p, 10)))].sort((a, b) => b - a);
+}
+
+// 解析证书日期，未带时区的按 UTC 处理，返回 Unix 秒或 NaN
+function parseCertificateDate(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const text = String(value || '');
+  return Math.floor(Date.parse(/(Z|[+-]\d{2}:?\d{2})$/.test(text) ? text : text + 'Z') / 1000);
+}
+
+function certificateNameMatches(certName, hostname) {
+  const name = certName.trim().toLowerCase();
+  if (name.startsWith('*.')) {
+    return hostname.endsWith(name.slice(1)) && hostname.split('.').length === name.split('.').length;
+  }
+  return name === hostname;
+}
+
+// 证书来源：Workers 无法读取 fetch 的对端证书，因此通过外部接口查询，getExpiry 返回到期时间 (Unix 秒)
+const CERTIFICATE_SOURCES = {
+  crtsh: {
+    label: 'CT 日志 (可能与实际部署的证书不一致)',
+    async getExpiry(hostname) {
+      const response = await fetch(`https://crt.sh/?q=${encodeURIComponent(hostname)}&output=json`, { signal: AbortSignal.timeout(20000) });
+      if (!response.ok) {
+        throw new Error(`crt.sh 返回 HTTP ${response.status}`);
+      }
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      let latestExpiry = null;
+      for (const entry of await response.json()) {
+        const names = String(entry.name_value || entry.common_name || '').split('\n');
+        if (!names.some(name => certificateNameMatches(name, hostname))) {
+          continue;
+        }
+        const notAfter = parseCertificateDate(entry.not_after);
+        if (parseCertificateDate(entry.not_before) <= nowSeconds && (latestExpiry === null || notAfter > latestExpiry)) {
+          latestExpiry = notAfter;
+        }
+      }
+      if (latestExpiry === null) {
+        throw new Error('未在 crt.sh 中找到该域名的证书');
+      }
+      return latestExpiry;
+    }
+  },
+  custom: {
+    label: '自定义 HTTP 接口',
+    // 接口返回 JSON: { "expires_at": Unix 秒或 ISO 时间 }，也接受 not_after / valid_to
+    async getExpiry(hostname, settings) {
+      if (!settings.certSourceUrl) {
+        throw new Error('未配置证书查询接口地址');
+      }
+      const response = await fetch(settings.certSourceUrl.replace('{host}', encodeURIComponent(hostname)), { signal: AbortSignal.timeout(20000) });
+      if (!response.ok) {
+        throw new Error(`证书查询接口返回 HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      const expiresAt = parseCertificateDate(data.expires_at ?? data.not_after ?? data.valid_to);
+      if (!Number.isFinite(expiresAt)) {
+        throw new Error('证书查询接口返回中缺少有效的 expires_at');
+      }
+      return expiresAt;
+    }
+  }
+};
+
+// 返回剩余天数已达到的最小提醒阈值，未达到任何阈值时返回 null
+function getCrossedCertWarningDay(daysLeft, warningDays) {
+  const crossed = warningDays.filter(day => daysLeft <= day);
+  return crossed.length > 0 ? Math.min(...crossed) : null;
+}
+
+// 定时查询 HTTPS 网站的证书到期时间，跨过提醒阈值时发送通知
+async function checkCertificateExpiry(db, ctx, maintenance, settings) {
+  const source = CERTIFICATE_SOURCES[settings.certSource];
+  if (!source) {
+    return;
+  }
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const { results: sites } = await db.prepare(`
+    SELECT id, url, name, notification_channels, cert_expires_at, cert_notified_days
+    FROM monitored_sites
+    WHERE url LIKE 'https://%' AND (cert_checked_at IS NULL OR cert_checked_at < ?)
+  `).bind(nowSeconds - CERT_CHECK_INTERVAL_SECONDS).all();
+
+  const expiryByHost = new Map();
+  const checkSite = async (site) => {
+    const hostname = new URL(site.url).hostname.toLowerCase();
+    const siteDisplayName = site.name || site.url;
+    if (!expiryByHost.has(hostname)) {
+      expiryByHost.set(hostname, source.getExpiry(hostname, settings).then(expiresAt => ({ expiresAt }), error => ({ error: error.message })));
+    }
+    const { expiresAt, error } = await expiryByHost.get(hostname);
+    if (error) {
+      console.error(`查询网站 ${siteDisplayName} 的证书失败:`, error);
+      await db.prepare('UPDATE monitored_sites SET cert_checked_at = ?, cert_error = ? WHERE id = ?').bind(nowSeconds, error, site.id).run();
+      return;
+    }
+
+    const daysLeft = Math.floor((expiresAt - nowSeconds) / 86400);
+    const crossedDay = getCrossedCertWarningDay(daysLeft, settings.certWarningDays);
+    let notifiedDays = site.cert_notified_days;
+    if (crossedDay === null) {
+      notifiedDays = null; // 已续期，重置提醒状态
+    } else if ((notifiedDays === null || crossedDay < notifiedDays) && !isUnderMaintenance(maintenance, 'site', site.id)) {
+      const expiryText = new Date(expiresAt * 1000).toLocaleString('zh-CN');
+      const message = daysLeft < 0
+        ? `🔴 证书已过期: *${siteDisplayName}* 的 HTTPS 证书已于 ${expiryText} 过期。\n网址: ${site.url}`
+        : `⚠️ 证书即将过期: *${siteDisplayName}* 的 HTTPS 证书将在 ${daysLeft} 天后 (${expiryText}) 过期。\n网址: ${site.url}`;
+      ctx.waitUntil(sendNotification(db, { event: 'cert_expiring', name: siteDisplayName, status: daysLeft < 0 ? 'EXPIRED' : 'EXPIRING', url: site.url, timestamp: nowSeconds, route: site.notification_channels, message }));
+      notifiedDays = crossedDay;
+    }
+    await db.prepare('UPDATE monitored_sites SET cert_expires_at = ?, cert_checked_at = ?, cert_error = NULL, cert_notified_days = ? WHERE id = ?')
+      .bind(expiresAt, nowSeconds, notifiedDays, site.id).run();
+    console.log(`网站 ${siteDisplayName} 的证书剩余 ${daysLeft} 天。`);
+  };
+
+  // 与网站检查一样按并发上限分批查询，避免逐个等待慢查询耗尽定时任务的运行时间
+  const certPromises = [];
+  for (const site of sites || []) {
+    certPromises.push(checkSite(site));
+    if (certPromises.length >= settings.siteCheckConcurrency) {
+      await Promise.all(certPromises);
+      certPromises.length = 0;
+    }
+  }
+  if (certPromises.length > 0) {
+    await Promise.all(certPromises);
+  }
+}
+
+// --- Maintenance Windows ---
+
+const MAINTENANCE_MAX_DURATION_MINUTES = 7 * 24 * 60;
+
+// 解析 cron 字段 (支持 *、*/n、a-b、a-b/n 及逗号列表)，返回允许值的 Set，无效时返回 null
+function parseCronField(field, min, max) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      return null;
+    }
+    let [start, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+    if (end === undefined) {
+      end = match[2] ? max : start;
+    }
+    const step = match[2] ? parseInt(match[2], 10) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      return null;
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+// 解析 5 段 cron 表达式 (分 时 日 月 周)，无效时返回 null
+function parseCronExpression(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    return null;
+  }
+  const ranges = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+  const parsed = fields.map((field, index) => parseCronField(field, ranges[index][0], ranges[index][1]));
+  if (parsed.some(values => values === null)) {
+    return null;
+  }
+  if (parsed[4].has(7)) {
+    parsed[4].add(0);
+  }
+  return {
+    minutes: parsed[0],
+    hours: parsed[1],
+    days: parsed[2],
+    months: parsed[3],
+    weekdays: parsed[4],
+    dayRestricted: fields[2] !== '*',
+    weekdayRestricted: fields[4] !== '*'
+  };
+}
+
+// date 已按窗口时区偏移，因此使用 UTC 方法读取
+function cronMatches(cron, date) {
+  if (!cron.minutes.has(date.getUTCMinutes()) || !cron.hours.has(date.getUTCHours()) || !cron.months.has(date.getUTCMonth() + 1)) {
+    return false;
+  }
+  const dayMatch = cron.days.has(date.getUTCDate());
+  const weekdayMatch = cron.weekdays.has(date.getUTCDay());
+  // 与标准 cron 一致: 日期和星期同时受限时满足其一即可
+  if (cron.dayRestricted && cron.weekdayRestricted) {
+    return dayMatch || weekdayMatch;
+  }
+  return dayMatch && weekdayMatch;
+}
+
+function isMaintenanceWindowActive(maintenanceWindow, nowSeconds) {
+  if (maintenanceWindow.schedule_type === 'once') {
+    return maintenanceWindow.start_at <= nowSeconds && nowSeconds < maintenanceWindow.end_at;
+  }
+
+  const localSeconds = nowSeconds + (maintenanceWindow.timezone_offset_minutes || 0) * 60;
+  const durationSeconds = (maintenanceWindow.duration_minutes || 0) * 60;
+
+  if (maintenanceWindow.schedule_type === 'weekly') {
+    let weekdays = [];
+    try {
+      weekdays = JSON.parse(maintenanceWindow.weekdays || '[]');
+    } catch (e) {}
+    const [hours, minutes] = String(maintenanceWindow.start_time || '00:00').split(':').map(Number);
+    const todayStart = Math.floor(localSeconds / 86400) * 86400;
+    // 向前检查足够多天，以覆盖跨越午夜的窗口
+    for (let daysBack = 0; daysBack * 86400 < durationSeconds + 86400; daysBack++) {
+      const dayStart = todayStart - daysBack * 86400;
+      const windowStart = dayStart + hours * 3600 + minutes * 60;
+      if (weekdays.includes(new Date(dayStart * 1000).getUTCDay()) && windowStart <= localSeconds && localSeconds < windowStart + durationSeconds) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  if (maintenanceWindow.schedule_type === 'cron') {
+    const cron = parseCronExpression(maintenanceWindow.cron_expression);
+    if (!cron) {
+      return false;
+    }
+    // 检查持续时间内的每个分钟是否为窗口开始时间
+    for (let start = Math.floor(localSeconds / 60) * 60; start > localSeconds - durationSeconds; start -= 60) {
+      if (cronMatches(cron, new Date(start * 1000))) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+// 校验并规范化维护窗口请求体，返回 { maintenanceWindow } 或 { error }
+function parseMaintenanceWindowInput(body) {
+  const { name, scope_type, scope_id, schedule_type, start_at, end_at, weekdays, start_time,
+          cron_expression, duration_minutes, timezone_offset_minutes, enabled } = body || {};
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return { error: '维护窗口名称不能为空' };
+  }
+  const scopeType = scope_type || 'all';
+  if (!['all', 'server', 'site'].includes(scopeType)) {
+    return { error: '不支持的维护范围' };
+  }
+  if (scopeType !== 'all' && (!scope_id || typeof scope_id !== 'string')) {
+    return { error: '请选择维护的服务器或网站' };
+  }
+  const timezoneOffset = timezone_offset_minutes === undefined || timezone_offset_minutes === null ? 0 : timezone_offset_minutes;
+  if (!Number.isInteger(timezoneOffset) || timezoneOffset < -720 || timezoneOffset > 840) {
+    return { error: '时区偏移无效' };
+  }
+
+  const maintenanceWindow = {
+    name: name.trim(),
+    scope_type: scopeType,
+    scope_id: scopeType === 'all' ? null : scope_id,
+    schedule_type,
+    start_at: null,
+    end_at: null,
+    weekdays: null,
+    start_time: null,
+    cron_expression: null,
+    duration_minutes: null,
+    timezone_offset_minutes: timezoneOffset,
+    enabled: (enabled === false || enabled === 0) ? 0 : 1
+  };
+
+  if (schedule_type === 'once') {
+    if (!Number.isInteger(start_at) || !Number.isInteger(end_at) || end_at <= start_at) {
+      return { error: '结束时间必须晚于开始时间' };
+    }
+    maintenanceWindow.start_at = start_at;
+    maintenanceWindow.end_at = end_at;
+    return { maintenanceWindow };
+  }
+
+  if (schedule_type !== 'weekly' && schedule_type !== 'cron') {
+    return { error: '不支持的计划类型' };
+  }
+  if (!Number.isInteger(duration_minutes) || duration_minutes <= 0 || duration_minutes > MAINTENANCE_MAX_DURATION_MINUTES) {
+    return { error: `持续时间必须是 1 到 ${MAINTENANCE_MAX_DURATION_MINUTES} 之间的整数 (分钟)` };
+  }
+  maintenanceWindow.duration_minutes = duration_minutes;
+
+  if (schedule_type === 'weekly') {
+    if (!Array.isArray(weekdays) || weekdays.length === 0 || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: '请至少选择一个星期' };
+    }
+    const timeMatch = typeof start_time === 'string' && start_time.match(/^(\d{2}):(\d{2})$/);
+    if (!timeMatch || parseInt(timeMatch[1], 10) > 23 || parseInt(timeMatch[2], 10) > 59) {
+      return { error: '开始时间格式应为 HH:MM' };
+    }
+    maintenanceWindow.weekdays = [...new Set(weekdays)].sort();
+    maintenanceWindow.start_time = start_time;
+  } else {
+    if (!parseCronExpression(cron_expression)) {
+      return { error: 'cron 表达式无效，应为 5 段格式: 分 时 日 月 周' };
+    }
+    maintenanceWindow.cron_expression = cron_expression.trim();
+  }
+  return { maintenanceWindow };
+}
+
+// 获取当前生效的维护范围: { all, servers, sites }
+async function getActiveMaintenance(db, nowSeconds = Math.floor(Date.now() / 1000)) {
+  const maintenance = { all: false, servers: new Set(), sites: new Set() };
+  try {
+    const { results } = await db.prepare('SELECT * FROM maintenance_windows WHERE enabled = 1').all();
+    for (const maintenanceWindow of results || []) {
+      if (!isMaintenanceWindowActive(maintenanceWindow, nowSeconds)) {
+        continue;
+      }
+      if (maintenanceWindow.scope_type === 'all') {
+        maintenance.all = true;
+      } else if (maintenanceWindow.scope_type === 'server') {
+        maintenance.servers.add(maintenanceWindow.scope_id);
+      } else if (maintenanceWindow.scope_type === 'site') {
+        maintenance.sites.add(maintenanceWindow.scope_id);
+      }
+    }
+  } catch (error) {
+    console.error("获取维护窗口失败:", error);
+  }
+  return maintenance;
+}
+
+function isUnderMaintenance(maintenance, scopeType, targetId) {
+  return maintenance.all || (scopeType === 'server' ? maintenance.servers : maintenance.sites).has(targetId);
+}
+
+// Combine fetch and scheduled handlers into a single default export
+export default {
+  async fetch(request, env, ctx) {
+    ctx.waitUntil(ensureTablesExist(env.DB));
+    const url = new URL(request.url);
+    const path = url.pathname;
+
+    // API requests
+    if (path.startsWith('/api/')) {
+      return handleApiRequest(request, env, ctx);
+    }
+
+    // Install script
+    if (path === '/install.sh') {
+      return handleInstallScript(request, url, env);
+    }
+
+    // Frontend static files
+    return handleFrontendRequest(request, path);
+  },
+
+  async scheduled(event, env, ctx) {
+    console.log(`Cron Trigger: ${event.cron} - Running website status checks...`);
+    ctx.waitUntil(
+      (async () => {
+        try {
+      await ensureTablesExist(env.DB);
+
+      // 清理已过期的管理会话
+      await env.DB.prepare('DELETE FROM admin_sessions WHERE expires_at <= ?').bind(Math.floor(Date.now() / 1000)).run();
+
+      // 清理超出保留期的VPS历史数据
+      try {
+        await cleanupMetricsHistory(env.DB);
+      } catch (cleanupError) {
+        console.error("清理VPS历史数据失败:", cleanupError);
+      }
+
+      const maintenance = await getActiveMaintenance(env.DB);
+      const monitoringSettings = await getMonitoringSettings(env.DB);
+
+      // 汇总网站历史，并清理超出保留期的原始记录
+      try {
+        const rolledUpUntil = await rollupSiteStatusHistory(env.DB);
+        await cleanupSiteStatusHistory(env.DB, monitoringSettings, rolledUpUntil);
+      } catch (rollupError) {
+        console.error("汇总/清理网站历史失败:", rollupError);
+      }
+
+      // --- Part 1: Website Monitoring ---
+      console.log("Starting scheduled website checks...");
+      // 只检查已到检查间隔的监控，Cron 可以每分钟触发
+      const siteCheckTime = Math.floor(Date.now() / 1000);
+      const siteStmt = env.DB.prepare(`
+        SELECT id, url, name FROM monitored_sites
+        WHERE last_checked IS NULL OR last_checked + COALESCE(check_interval_seconds, ?) - ? <= ?
+      `);
+      const { results: sitesToCheck } = await siteStmt.bind(monitoringSettings.siteCheckIntervalSeconds, SITE_CHECK_INTERVAL_TOLERANCE_SECONDS, siteCheckTime).all();
+
+      if (sitesToCheck && sitesToCheck.length > 0) {
+        console.log(`Found ${sitesToCheck.length} sites due for checking.`);
+        const sitePromises = [];
+        const siteConcurrencyLimit = monitoringSettings.siteCheckConcurrency;
+        for (const site of sitesToCheck) {
+          sitePromises.push(checkWebsiteStatus(site, env.DB, ctx, maintenance, monitoringSettings));
+          if (sitePromises.length >= siteConcurrencyLimit) {
+            await Promise.all(sitePromises);
+            sitePromises.length = 0;
+          }
+        }
+        if (sitePromises.length > 0) {
+          await Promise.all(sitePromises);
+        }
+        console.log("Website status checks completed.");
+      } else {
+        console.log("No sites due for checking.");
+      }
+
+      try {
+        await checkCertificateExpiry(env.DB, ctx, maintenance, monitoringSettings);
+      } catch (certError) {
+        console.error("证书到期检查失败:", certError);
+      }
+
+      // --- Part 2: VPS Monitoring & Notifications ---
+      console.log("开始计划的VPS状态检查以发送通知...");
+      if (!(await hasNotificationTargets(env.DB))) {
+        console.log("未配置任何通知渠道。跳过VPS检查。");
+        return;
+      }
+      
+      const serverStmt = env.DB.prepare(`
+        SELECT s.id, s.name, s.last_notified_down_at, s.notification_channels,
+               s.stale_threshold_seconds, s.notification_repeat_seconds, m.timestamp as last_report
+        FROM servers s
+        LEFT JOIN metrics m ON s.id = m.server_id
+      `);
+      const { results: serversToCheck } = await serverStmt.all();
+      if (!serversToCheck || serversToCheck.length === 0) {
+        console.log("未找到用于VPS状态检查的服务器。");
+        return;
+      }
+
+      console.log(`找到 ${serversToCheck.length} 台服务器进行VPS状态检查。`);
+      const nowSeconds = Math.floor(Date.now() / 1000);
+
+      for (const server of serversToCheck) {
+        if (isUnderMaintenance(maintenance, 'server', server.id)) {
+          console.log(`VPS ${server.name || server.id} 处于维护窗口中，跳过通知。`);
+          continue;
+        }
+        const staleThresholdSeconds = server.stale_threshold_seconds || monitoringSettings.staleThresholdSeconds;
+        const repeatSeconds = server.notification_repeat_seconds !== null ? server.notification_repeat_seconds : monitoringSettings.notificationRepeatSeconds;
+        const isStale = !server.last_report || (nowSeconds - server.last_report > staleThresholdSeconds);
+        const serverDisplayName = server.name || server.id;
+        const lastReportTimeStr = server.last_report ? new Date(server.last_report * 1000).toLocaleString('zh-CN') : '从未';
+
+        if (isStale) {
+          const shouldSendNotification = isNotificationRepeatDue(server.last_notified_down_at, nowSeconds, repeatSeconds);
+          if (shouldSendNotification) {
+            const message = `🔴 VPS 故障: 服务器 *${serverDisplayName}* 似乎已离线。最后报告: ${lastReportTimeStr}.`;
+            ctx.waitUntil(sendNotification(env.DB, { event: 'vps_offline', name: serverDisplayName, status: 'OFFLINE', timestamp: nowSeconds, route: server.notification_channels, message }));
+            const updateStmt = env.DB.prepare('UPDATE servers SET last_notified_down_at = ? WHERE id = ?');
+            ctx.waitUntil(updateStmt.bind(nowSeconds, server.id).run());
+            console.log(`VPS ${serverDisplayName} 状态陈旧。已发送通知。last_notified_down_at 已更新。`);
+          } else {
+            console.log(`VPS ${serverDisplayName} 状态陈旧，但通知间隔 (${formatRepeatInterval(repeatSeconds)}) 未到。`);
+          }
+        } else {
+          if (server.last_notified_down_at !== null) {
+            const message = `✅ VPS 恢复: 服务器 *${serverDisplayName}* 已恢复在线并正在报告。当前报告: ${lastReportTimeStr}.`;
+            ctx.waitUntil(sendNotification(env.DB, { event: 'vps_recovered', name: serverDisplayName, status: 'ONLINE', timestamp: nowSeconds, route: server.notification_channels, message }));
+            const updateStmt = env.DB.prepare('UPDATE servers SET last_notified_down_at = NULL WHERE id = ?');
+            ctx.waitUntil(updateStmt.bind(server.id).run());
+            console.log(`VPS ${serverDisplayName} 已恢复。已发送通知。last_notified_down_at 已清除。`);
+          } else {
+             console.log(`VPS ${serverDisplayName} 在线并正在报告。无需通知。`);
+          }
+        }
+      }
+      console.log("VPS状态检查以发送通知已完成。");
+    } catch (error) {
+      console.error("计划任务期间发生错误:", error);
+    }
+  })()
+);
+}
+};
+// --- Utility Functions ---
+
+function isValidHttpUrl(string) {
+  let url;
+  try {
+    url = new URL(string);
+  } catch (_) {
+    return false;
+  }
+  return url.protocol === "http:" || url.protocol === "https:";
+}
+
+
+// --- Original Handlers (Install Script, Frontend) ---
+
+// 处理安装脚本
+// 处理安装脚本
+// 处理安装脚本
+async function handleInstallScript(request, url, env) {
+  const baseUrl = url.origin;
+  let vpsReportInterval = '60';
+
+  try {
+    if (D1_SCHEMAS && D1_SCHEMAS.app_config) {
+        await env.DB.exec(D1_SCHEMAS.app_config);
+    }
+    
+    const stmt = env.DB.prepare('SELECT value FROM app_config WHERE key = ?');
+    const result = await stmt.bind('vps_report_interval_seconds').first();
+    if (result && result.value) {
+      const parsedInterval = parseInt(result.value, 10);
+      if (!isNaN(parsedInterval) && parsedInterval > 0) {
+        vpsReportInterval = parsedInterval.toString();
+      }
+    }
+  } catch (e) {
+    console.error("Error fetching VPS report interval for install script:", e);
+  }
+  
+  const script = `#!/bin/bash
+# VPS监控脚本 - 安装程序
+
+# 默认值
+API_KEY=""
+SERVER_ID=""
+WORKER_URL="${baseUrl}"
+INSTALL_DIR="/opt/vps-monitor"
+SERVICE_NAME="vps-monitor"
+
+# 解析参数
+while [[ $# -gt 0 ]]; do
+  case $1 in
+    -k|--key)
+      API_KEY="$2"
+      shift 2
+      ;;
+    -s|--server)
+      SERVER_ID="$2"
+      shift 2
+      ;;
+    -u|--url)
+      WORKER_URL="$2"
+      shift 2
+      ;;
+    -d|--dir)
+      INSTALL_DIR="$2"
+      shift 2
+      ;;
+    *)
+      echo "未知参数: $1"
+      exit 1
+      ;;
+  esac
+done
+
+# 检查必要参数
+if [ -z "$API_KEY" ] || [ -z "$SERVER_ID" ]; then
+  echo "错误: API密钥和服务器ID是必需的"
+  echo "用法: $0 -k API_KEY -s SERVER_ID [-u WORKER_URL] [-d INSTALL_DIR]"
+  exit 1
+fi
+
+# 检查权限
+if [ "$(id -u)" -ne 0 ]; then
+  echo "错误: 此脚本需要root权限"
+  exit 1
+fi
+
+echo "=== VPS监控脚本安装程序 ==="
+echo "安装目录: $INSTALL_DIR"
+echo "Worker URL: $WORKER_URL"
+
+# 创建安装目录
+mkdir -p "$INSTALL_DIR"
+cd "$INSTALL_DIR" || exit 1
+
+# ==========================================
+# 1. 创建 Python TCPing 守护进程脚本
+# ==========================================
+cat > "$INSTALL_DIR/ping_daemon.py" << 'PYTHONEOF'
+import socket
+import time
+import json
+import threading
+import sys
+from collections import deque
+
+# 配置目标
+TARGETS = {
+    "cu": "www.tynews.com.cn",
+    "ct": "www.chinaccs.cn",
+    "cm": "sx.10086.cn"
+}
+PORT = 80
+HISTORY_LEN = 100
+INTERVAL = 2  # 每次Ping的间隔(秒)
+OUTPUT_FILE = "/tmp/vps_monitor_ping.json"
+
+# 存储历史记录 (True=通, False=丢)
+history = {
+    "cu": deque(maxlen=HISTORY_LEN),
+    "ct": deque(maxlen=HISTORY_LEN),
+    "cm": deque(maxlen=HISTORY_LEN)
+}
+
+def tcp_ping(host, port):
+    try:
+        s = socket.socket(socket.AF_INET, socket.SOCK_STREAM)
+        s.settimeout(1.5)
+        start = time.time()
+        s.connect((host, port))
+        s.close()
+        return True
+    except:
+        return False
+
+def worker(carrier, host):
+    while True:
+        result = tcp_ping(host, PORT)
+        history[carrier].append(result)
+        time.sleep(INTERVAL)
+
+def data_writer():
+    while True:
+        data = {}
+        for carrier, q in history.items():
+            if len(q) == 0:
+                data[carrier] = 0
+            else:
+                # 计算丢包率 (失败次数 / 总次数 * 100)
+                lost_count = list(q).count(False)
+                loss_rate = int((lost_count / len(q)) * 100)
+                data[carrier] = loss_rate
+        
+        try:
+            with open(OUTPUT_FILE, 'w') as f:
+                json.dump(data, f)
+        except:
+            pass
+        time.sleep(5)
+
+# 启动线程
+for carrier, host in TARGETS.items():
+    t = threading.Thread(target=worker, args=(carrier, host))
+    t.daemon = True
+    t.start()
+
+# 启动写入线程
+writer = threading.Thread(target=data_writer)
+writer.daemon = True
+writer.start()
+
+# 保持主线程运行
+while True:
+    time.sleep(60)
+PYTHONEOF
+
+# ==========================================
+# 2. 创建 Python 网站检查守护进程脚本
+#    从面板获取分配给本服务器的网站检查，执行后上报结果
+# ==========================================
+cat > "$INSTALL_DIR/site_checker.py" << 'PYTHONEOF'
+import json
+import os
+import socket
+import sys
+import time
+import urllib.error
+import urllib.request
+
+# API Key 通过环境变量传入，避免出现在其他用户可见的进程参数中
+WORKER_URL, SERVER_ID = sys.argv[1:3]
+API_KEY = os.environ["VPS_MONITOR_API_KEY"]
+POLL_INTERVAL = 60  # 拉取检查列表的间隔(秒)
+CHECKS_URL = WORKER_URL + "/api/agent/checks/" + SERVER_ID
+
+last_run = {}
+
+class NoRedirect(urllib.request.HTTPRedirectHandler):
+    def redirect_request(self, req, fp, code, msg, headers, newurl):
+        return None
+
+def api_request(method, payload=None):
+    data = json.dumps(payload).encode() if payload is not None else None
+    req = urllib.request.Request(CHECKS_URL, data=data, method=method,
+                                 headers={"X-API-Key": API_KEY, "Content-Type": "application/json"})
+    with urllib.request.urlopen(req, timeout=15) as resp:
+        return json.load(resp)
+
+def is_accepted(code, ranges):
+    return any(start <= code <= end for start, end in ranges)
+
+def check_http(check):
+    handlers = [] if check["follow_redirects"] else [NoRedirect()]
+    opener = urllib.request.build_opener(*handlers)
+    body = check["body"].encode() if check.get("body") else None
+    req = urllib.request.Request(check["target"], data=body, method=check["method"], headers=check["headers"])
+    req.add_header("User-Agent", req.get_header("User-agent") or "cf-vps-monitor-agent")
+    start = time.time()
+    try:
+        with opener.open(req, timeout=check["timeout_seconds"]) as resp:
+            code = resp.status
+    except urllib.error.HTTPError as e:
+        code = e.code
+    elapsed = int((time.time() - start) * 1000)
+    status = "UP" if is_accepted(code, check["accepted_status_codes"]) else "DOWN"
+    return {"status": status, "status_code": code, "response_time_ms": elapsed}
+
+def check_tcp(check):
+    host, port = check["target"].rsplit(":", 1)
+    start = time.time()
+    conn = socket.create_connection((host.strip("[]"), int(port)), timeout=check["timeout_seconds"])
+    conn.close()
+    return {"status": "UP", "status_code": None, "response_time_ms": int((time.time() - start) * 1000)}
+
+def run_check(check):
+    start = time.time()
+    try:
+        result = check_http(check) if check["type"] == "http" else check_tcp(check)
+    except (socket.timeout, TimeoutError):
+        result = {"status": "TIMEOUT", "status_code": None, "detail": None}
+    except Exception as e:
+        reason = getattr(e, "reason", e)
+        status = "TIMEOUT" if isinstance(reason, (socket.timeout, TimeoutError)) else "ERROR"
+        result = {"status": status, "status_code": None, "detail": str(reason)[:200]}
+    result.setdefault("response_time_ms", int((time.time() - start) * 1000))
+    result["id"] = check["id"]
+    return result
+
+while True:
+    try:
+        checks = api_request("GET").get("checks", [])
+        now = time.time()
+        due = [c for c in checks if now - last_run.get(c["id"], 0) >= c["interval_seconds"] - 5]
+        results = []
+        for check in due:
+            last_run[check["id"]] = now
+            results.append(run_check(check))
+        if results:
+            api_request("POST", {"results": results})
+    except Exception:
+        pass
+    time.sleep(POLL_INTERVAL)
+PYTHONEOF
+
+# ==========================================
+# 3. 创建主监控脚本 monitor.sh
+# ==========================================
+cat > "$INSTALL_DIR/monitor.sh" << 'EOF'
+#!/bin/bash
+
+# 获取脚本所在目录，防止 Systemd 启动时路径错误
+WORKDIR=$(dirname "$(readlink -f "$0")")
+cd "$WORKDIR" || exit 1
+
+# 配置
+API_KEY="__API_KEY__"
+SERVER_ID="__SERVER_ID__"
+WORKER_URL="__WORKER_URL__"
+INTERVAL=${vpsReportInterval}
+
+# 确保 Python 守护进程在运行
+check_ping_daemon() {
+    if ! pgrep -f "ping_daemon.py" > /dev/null; then
+        nohup python3 "$WORKDIR/ping_daemon.py" > /dev/null 2>&1 &
+    fi
+    if ! pgrep -f "site_checker.py" > /dev/null; then
+        VPS_MONITOR_API_KEY="$API_KEY" nohup python3 "$WORKDIR/site_checker.py" "$WORKER_URL" "$SERVER_ID" > /dev/null 2>&1 &
+    fi
+}
+
+# 读取 Ping 数据
+get_ping_data() {
+    if [ -f "/tmp/vps_monitor_ping.json" ]; then
+        cat "/tmp/vps_monitor_ping.json"
+    else
+        echo '{"cu":0,"ct":0,"cm":0}'
+    fi
+}
+
+# 日志函数
+log() {
+  echo "$(date '+%Y-%m-%d %H:%M:%S') - $1"
+}
+
+# 获取正常运行时间 (uptime)
+get_uptime() {
+  cat /proc/uptime | awk '{print $1}' | cut -d. -f1
+}
+
+# 获取CPU使用率 (注意引号转义)
+get_cpu_usage() {
+  cpu_usage=$(top -bn1 | grep "Cpu(s)" | sed "s/.*, *\\([0-9.]*\\)%* id.*/\\1/" | awk '{print 100 - $1}')
+  cpu_load=$(cat /proc/loadavg | awk '{print $1","$2","$3}')
+  echo "{\\"usage_percent\\":$cpu_usage,\\"load_avg\\":[$cpu_load]}"
+}
+
+# 获取内存使用情况
+get_memory_usage() {
+  total=$(free -k | grep Mem | awk '{print $2}')
+  used=$(free -k | grep Mem | awk '{print $3}')
+  free=$(free -k | grep Mem | awk '{print $4}')
+  usage_percent=$(echo "scale=1; $used * 100 / $total" | bc)
+  echo "{\\"total\\":$total,\\"used\\":$used,\\"free\\":$free,\\"usage_percent\\":$usage_percent}"
+}
+
+# 获取硬盘使用情况
+get_disk_usage() {
+  disk_info=$(df -k / | tail -1)
+  total=$(echo "$disk_info" | awk '{print $2 / 1024 / 1024}')
+  used=$(echo "$disk_info" | awk '{print $3 / 1024 / 1024}')
+  free=$(echo "$disk_info" | awk '{print $4 / 1024 / 1024}')
+  usage_percent=$(echo "$disk_info" | awk '{print $5}' | tr -d '%')
+  echo "{\\"total\\":$total,\\"used\\":$used,\\"free\\":$free,\\"usage_percent\\":$usage_percent}"
+}
+
+# 获取网络使用情况
+get_network_usage() {
+  # 检查是否安装了ifstat
+  if ! command -v ifstat &> /dev/null; then
+    log "ifstat未安装，无法获取网络速度"
+    echo "{\\"upload_speed\\":0,\\"download_speed\\":0,\\"total_upload\\":0,\\"total_download\\":0}"
+    return
+  fi
+  
+  # 获取网络接口
+  interface=$(ip route | grep default | awk '{print $5}')
+  
+  # 获取网络速度（KB/s）
+  network_speed=$(ifstat -i "$interface" 1 1 | tail -1)
+  download_speed=$(echo "$network_speed" | awk '{print $1 * 1024}')
+  upload_speed=$(echo "$network_speed" | awk '{print $2 * 1024}')
+  
+  # 获取总流量
+  rx_bytes=$(cat /proc/net/dev | grep "$interface" | awk '{print $2}')
+  tx_bytes=$(cat /proc/net/dev | grep "$interface" | awk '{print $10}')
+  
+  echo "{\\"upload_speed\\":$upload_speed,\\"download_speed\\":$download_speed,\\"total_upload\\":$tx_bytes,\\"total_download\\":$rx_bytes}"
+}
+
+# 上报数据
+report_metrics() {
+  # 检查守护进程
+  check_ping_daemon
+
+  timestamp=$(date +%s)
+  cpu=$(get_cpu_usage)
+  memory=$(get_memory_usage)
+  disk=$(get_disk_usage)
+  network=$(get_network_usage)
+  ping=$(get_ping_data)
+  uptime=$(get_uptime)
+  
+  # 组装 JSON (关键：加入了 uptime，并保持双重转义 \\")
+  data="{\\"timestamp\\":$timestamp,\\"cpu\\":$cpu,\\"memory\\":$memory,\\"disk\\":$disk,\\"network\\":$network,\\"ping\\":$ping,\\"uptime\\":$uptime}"
+  
+  # log "上报数据: $data"
+  
+  response=$(curl -s -X POST "$WORKER_URL/api/report/$SERVER_ID" \
+    -H "Content-Type: application/json" \
+    -H "X-API-Key: $API_KEY" \
+    -d "$data")
+  
+  if [[ "$response" == *"success"* ]]; then
+    log "数据上报成功"
+  else
+    log "数据上报失败: $response"
+  fi
+}
+
+# 安装依赖
+install_dependencies() {
+  log "检查并安装依赖..."
+  
+  # 检测包管理器
+  if command -v apt-get &> /dev/null; then
+    PKG_MANAGER="apt-get"
+  elif command -v yum &> /dev/null; then
+    PKG_MANAGER="yum"
+  else
+    log "不支持的系统，无法自动安装依赖"
+    return 1
+  fi
+  
+  # 安装依赖 (增加 python3)
+  $PKG_MANAGER update -y
+  $PKG_MANAGER install -y bc curl ifstat python3
+  
+  log "依赖安装完成"
+  return 0
+}
+
+# 主函数
+main() {
+  log "VPS监控脚本启动"
+  
+  # 安装依赖
+  install_dependencies
+  
+  # 启动 Python 守护进程
+  check_ping_daemon
+  
+  # 主循环
+  while true; do
+    report_metrics
+    sleep $INTERVAL
+  done
+}
+
+# 启动主函数
+main
+EOF
+
+# 替换配置
+sed -i "s|__API_KEY__|$API_KEY|g" "$INSTALL_DIR/monitor.sh"
+sed -i "s|__SERVER_ID__|$SERVER_ID|g" "$INSTALL_DIR/monitor.sh"
+sed -i "s|__WORKER_URL__|$WORKER_URL|g" "$INSTALL_DIR/monitor.sh"
+sed -i "s|^INTERVAL=.*|INTERVAL=${vpsReportInterval}|g" "$INSTALL_DIR/monitor.sh"
+sed -i "s|__INSTALL_DIR__|$INSTALL_DIR|g" "$INSTALL_DIR/monitor.sh"
+
+# 设置执行权限
+chmod +x "$INSTALL_DIR/monitor.sh"
+
+# 创建systemd服务
+cat > "/etc/systemd/system/$SERVICE_NAME.service" << EOF
+[Unit]
+Description=VPS Monitor Service
+After=network.target
+
+[Service]
+ExecStart=$INSTALL_DIR/monitor.sh
+Restart=always
+User=root
+Group=root
+Environment=PATH=/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin
+
+[Install]
+WantedBy=multi-user.target
+EOF
+
+# 启动服务
+systemctl daemon-reload
+systemctl enable "$SERVICE_NAME"
+systemctl start "$SERVICE_NAME"
+
+echo "=== 安装完成 ==="
+echo "服务已启动并设置为开机自启"
+echo "查看服务状态: systemctl status $SERVICE_NAME"
+echo "查看服务日志: journalctl -u $SERVICE_NAME -f"
+`;
+  return new Response(script, {
+    headers: {
+      'Content-Type': 'text/plain',
+      'Content-Disposition': 'attachment; filename="install.sh"'
+    }
+  });
+}
+
+// 处理前端请求
+function handleFrontendRequest(request, path) {
+  // 默认页面
+  if (path === '/' || path === '') {
+    return new Response(getIndexHtml(), {
+      headers: { 'Content-Type': 'text/html' }
+    });
+  }
+  
+  // 登录页面
+  if (path === '/login' || path === '/login.html') {
+    return new Response(getLoginHtml(), {
+      headers: { 'Content-Type': 'text/html' }
+    });
+  }
+  
+  // 服务器详情页面
+  if (path.match(/^\/server\/[^\/]+$/)) {
+    return new Response(getServerDetailHtml(), {
+      headers: { 'Content-Type': 'text/html' }
+    });
+  }
+  
+  // 管理页面
+  if (path === '/admin' || path === '/admin.html') {
+    return new Response(getAdminHtml(), {
+      headers: { 'Content-Type': 'text/html' }
+    });
+  }
+  
+  // CSS文件
+  if (path === '/css/style.css') {
+    return new Response(getStyleCss(), {
+      headers: { 'Content-Type': 'text/css' }
+    });
+  }
+  
+  // JavaScript文件
+  if (path === '/js/main.js') {
+    return new Response(getMainJs(), {
+      headers: { 'Content-Type': 'application/javascript' }
+    });
+  }
+  
+  if (path === '/js/server.js') {
+    return new Response(getServerDetailJs(), {
+      headers: { 'Content-Type': 'application/javascript' }
+    });
+  }
+  
+  if (path === '/js/login.js') {
+    return new Response(getLoginJs(), {
+      headers: { 'Content-Type': 'application/javascript' }
+    });
+  }
+  
+  if (path === '/js/admin.js') {
+    return new Response(getAdminJs(), {
+      headers: { 'Content-Type': 'application/javascript' }
+    });
+  }
+  
+  // 404页面
+  return new Response('Not Found', {
+    status: 404,
+    headers: { 'Content-Type': 'text/plain' }
+  });
+}
+
+// 前端HTML、CSS和JavaScript文件内容
+function getIndexHtml() {
+  return `<!DOCTYPE html>
+<html lang="zh-CN" data-bs-theme="light">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Uptime Status</title>
+    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/css/bootstrap.min.css" rel="stylesheet">
+    <link href="https://cdn.jsdelivr.net/npm/bootstrap-icons@1.8.1/font/bootstrap-icons.css" rel="stylesheet">
+    <link href="/css/style.css" rel="stylesheet">
+    <style>
+        .server-row, .site-row { cursor: pointer; }
+        .server-details-row td { padding: 1rem; background-color: #f8f9fa; }
+        .server-details-content { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 1rem; }
+        .detail-item { background-color: #e9ecef; padding: 0.75rem; border-radius: 0.25rem; }
+        .detail-item strong { display: block; margin-bottom: 0.25rem; }
+        .history-bar-container { display: inline-flex; flex-direction: row-reverse; align-items: center; justify-content: center; height: 25px; gap: 2px; }
+        .history-bar { width: 8px; height: 100%; border-radius: 1px; }
+        .history-bar-up { background-color: #28a745; } 
+        .history-bar-down { background-color: #dc3545; } 
+        .history-bar-pending { background-color: #6c757d; } 
+        .history-bar-partial { background-color: #ffc107; }
+        .history-bar-container.history-bar-daily { gap: 1px; }
+        .history-bar-daily .history-bar { width: 3px; }
+        .progress span { color: #000000; }
+        .table > thead > tr > th:nth-child(6), 
+        #siteStatusTableBody tr > td:nth-child(6), 
+        #serverTableBody tr > td:nth-child(6) { text-align: center; }
+
+        /* Dark Theme Adjustments */
+        [data-bs-theme="dark"] body { background-color: #212529 !important; color: #ffffff !important; }
+        [data-bs-theme="dark"] h1, [data-bs-theme="dark"] h2, [data-bs-theme="dark"] h3, [data-bs-theme="dark"] h4, [data-bs-theme="dark"] h5, [data-bs-theme="dark"] h6 { color: #ffffff; }
+        [data-bs-theme="dark"] a:not(.btn):not(.nav-link):not(.dropdown-item):not(.navbar-brand) { color: #87cefa; }
+        [data-bs-theme="dark"] a:not(.btn):not(.nav-link):not(.dropdown-item):not(.navbar-brand):hover { color: #add8e6; }
+        [data-bs-theme="dark"] .navbar-dark { background-color: #343a40 !important; }
+        [data-bs-theme="dark"] .table { color: #ffffff; }
+        [data-bs-theme="dark"] .table-striped > tbody > tr:nth-of-type(odd) > * { var(--bs-table-accent-bg): rgba(255, 255, 255, 0.05); color: #ffffff; }
+        [data-bs-theme="dark"] .table-hover > tbody > tr:hover > * { var(--bs-table-accent-bg): rgba(255, 255, 255, 0.075); color: #ffffff; }
+        [data-bs-theme="dark"] .server-details-row td { background-color: #343a40; border-top: 1px solid #495057; }
+        [data-bs-theme="dark"] .detail-item { background-color: #495057; color: #ffffff; }
+        [data-bs-theme="dark"] .progress { background-color: #495057; }
+        [data-bs-theme="dark"] .progress span { color: #000000 !important; text-shadow: none; }
+        [data-bs-theme="dark"] .footer.bg-light { background-color: #343a40 !important; border-top: 1px solid #495057; }
+        [data-bs-theme="dark"] .footer .text-muted { color: #adb5bd !important; }
+        [data-bs-theme="dark"] .alert-info { background-color: #17a2b8; color: #fff; border-color: #17a2b8; }
+        [data-bs-theme="dark"] .btn-outline-light { color: #f8f9fa; border-color: #f8f9fa; }
+        [data-bs-theme="dark"] .btn-outline-light:hover { color: #212529; background-color: #f8f9fa; }
+        [data-bs-theme="dark"] .card { background-color: #343a40; border: 1px solid #495057; }
+        [data-bs-theme="dark"] .card-header { background-color: #495057; border-bottom: 1px solid #5b6167; }
+        [data-bs-theme="dark"] .modal-content { background-color: #343a40; color: #ffffff; }
+        [data-bs-theme="dark"] .modal-header { border-bottom-color: #495057; }
+        [data-bs-theme="dark"] .modal-footer { border-top-color: #495057; }
+        [data-bs-theme="dark"] .form-control { background-color: #495057; color: #ffffff; border-color: #5b6167; }
+        [data-bs-theme="dark"] .form-control:focus { background-color: #495057; color: #ffffff; border-color: #86b7fe; box-shadow: 0 0 0 0.25rem rgba(13, 110, 253, 0.25); }
+        [data-bs-theme="dark"] .form-label { color: #adb5bd; }
+        [data-bs-theme="dark"] .text-danger { color: #ff8888 !important; }
+        [data-bs-theme="dark"] .text-muted { color: #adb5bd !important; }
+        [data-bs-theme="dark"] span[style*="color: #000"] { color: #ffffff !important; }
+    </style>
+</head>
+<body>
+    <nav class="navbar navbar-expand-lg navbar-dark bg-primary">
+        <div class="container">
+            <a class="navbar-brand" href="/">Uptime Status</a>
+            <button class="navbar-toggler" type="button" data-bs-toggle="collapse" data-bs-target="#navbarNav">
+                <span class="navbar-toggler-icon"></span>
+            </button>
+            <div class="collapse navbar-collapse" id="navbarNav">
+                <ul class="navbar-nav ms-auto align-items-center">
+                    <li class="nav-item">
+                        <button id="themeToggler" class="btn btn-outline-light btn-sm me-2" title="切换主题">
+                             <i class="bi bi-moon-stars-fill"></i>
+                        </button>
+                    </li>
+                    <li class="nav-item">
+                        <a class="nav-link" id="adminAuthLink" href="/login.html">管理员登录</a>
+                    </li>
+                </ul>
+            </div>
+        </div>
+    </nav>
+
+    <div class="container mt-4">
+        <div id="noServers" class="alert alert-info d-none">
+            暂无服务器数据，请先登录管理后台添加服务器。
+        </div>
+
+        <div class="table-responsive">
+            <table class="table table-striped table-hover align-middle">
+                <thead>
+                    <tr>
+                        <th>名称</th>
+                        <th>状态</th>
+                        <th>CPU</th>
+                        <th>内存</th>
+                        <th>硬盘</th>
+                        <th class="text-center">线路 (CU|CT|CM)</th>
+                        <th>上传</th>
+                        <th>下载</th>
+                        <th>总上传</th>
+                        <th>总下载</th>
+                        <th>运行时长</th>
+                        <th>最后更新</th>
+                    </tr>
+                </thead>
+                <tbody id="serverTableBody">
+                    <tr>
+                        <td colspan="12" class="text-center">加载中...</td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+    </div>
+
+    <div class="container mt-5">
+        <div class="d-flex flex-wrap justify-content-between align-items-center mb-2">
+            <h2 class="mb-0">网站在线状态</h2>
+            <div class="btn-group btn-group-sm" role="group" id="siteHistoryRangeSelector">
+                <button type="button" class="btn btn-outline-primary active" data-range="24h">24小时</button>
+                <button type="button" class="btn btn-outline-primary" data-range="90d">90天</button>
+            </div>
+        </div>
+        <div id="noSites" class="alert alert-info d-none">
+            暂无监控网站数据。
+        </div>
+        <div class="table-responsive">
+            <table class="table table-striped table-hover align-middle">
+                <thead>
+                    <tr>
+                        <th>名称</th>
+                        <th>状态</th>
+                        <th>状态码</th>
+                        <th>响应时间 (ms)</th>
+                        <th>最后检查</th>
+                        <th id="siteHistoryHeader">24h记录</th>
+                        <th>证书</th>
+                    </tr>
+                </thead>
+                <tbody id="siteStatusTableBody">
+                    <tr>
+                        <td colspan="7" class="text-center">加载中...</td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+    </div>
+    <template id="serverDetailsTemplate">
+        <tr class="server-details-row d-none">
+            <td colspan="12">
+                <div class="server-details-content">
+                    </div>
+            </td>
+        </tr>
+    </template>
+
+    <footer class="footer mt-5 py-3 bg-light">
+        <div class="container text-center">
+        <a href="https://rcrc.eu.org" target="_blank" rel="noopener noreferrer" class="ms-3 text-muted" title="Server Status">Server Status</a>
+        </div>
+    </footer>
+
+    <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/js/bootstrap.bundle.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js"></script>
+    <script src="/js/main.js"></script>
+</body>
+</html>`;
+}
+
+function getServerDetailHtml() {
+  return `<!DOCTYPE html>
+<html lang="zh-CN" data-bs-theme="light">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Server Detail - Uptime Status</title>
+    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/css/bootstrap.min.css" rel="stylesheet">
+    <link href="https://cdn.jsdelivr.net/npm/bootstrap-icons@1.8.1/font/bootstrap-icons.css" rel="stylesheet">
+    <link href="/css/style.css" rel="stylesheet">
+    <style>
+        .chart-container { height: 250px; }
+        .summary-item { background-color: #e9ecef; padding: 0.75rem; border-radius: 0.25rem; }
+        .summary-item strong { display: block; margin-bottom: 0.25rem; }
+
+        /* Dark Theme Adjustments */
+        [data-bs-theme="dark"] body { background-color: #212529 !important; color: #ffffff !important; }
+        [data-bs-theme="dark"] .navbar-dark { background-color: #343a40 !important; }
+        [data-bs-theme="dark"] .card { background-color: #343a40; border: 1px solid #495057; }
+        [data-bs-theme="dark"] .card-header { background-color: #495057; border-bottom: 1px solid #5b6167; }
+        [data-bs-theme="dark"] .summary-item { background-color: #495057; color: #ffffff; }
+        [data-bs-theme="dark"] .footer.bg-light { background-color: #343a40 !important; border-top: 1px solid #495057; }
+        [data-bs-theme="dark"] .footer .text-muted { color: #adb5bd !important; }
+        [data-bs-theme="dark"] .text-muted { color: #adb5bd !important; }
+    </style>
+</head>
+<body>
+    <nav class="navbar navbar-expand-lg navbar-dark bg-primary">
+        <div class="container">
+            <a class="navbar-brand" href="/">Uptime Status</a>
+            <button class="navbar-toggler" type="button" data-bs-toggle="collapse" data-bs-target="#navbarNav">
+                <span class="navbar-toggler-icon"></span>
+            </button>
+            <div class="collapse navbar-collapse" id="navbarNav">
+                <ul class="navbar-nav ms-auto align-items-center">
+                    <li class="nav-item">
+                        <button id="themeToggler" class="btn btn-outline-light btn-sm me-2" title="切换主题">
+                             <i class="bi bi-moon-stars-fill"></i>
+                        </button>
+                    </li>
+                    <li class="nav-item">
+                        <a class="nav-link" href="/">返回首页</a>
+                    </li>
+                </ul>
+            </div>
+        </div>
+    </nav>
+
+    <div class="container mt-4">
+        <div id="serverNotFound" class="alert alert-warning d-none">未找到该服务器。</div>
+        <div class="d-flex flex-wrap justify-content-between align-items-center mb-3">
+            <div class="d-flex align-items-center">
+                <h2 class="mb-0 me-3" id="serverName">加载中...</h2>
+                <span id="serverStatusBadge" class="badge bg-secondary">未知</span>
+            </div>
+            <div class="btn-group" role="group" id="rangeSelector">
+                <button type="button" class="btn btn-outline-primary active" data-range="3600">1小时</button>
+                <button type="button" class="btn btn-outline-primary" data-range="86400">24小时</button>
+                <button type="button" class="btn btn-outline-primary" data-range="604800">7天</button>
+                <button type="button" class="btn btn-outline-primary" data-range="2592000">30天</button>
+            </div>
+        </div>
+        <p class="text-muted" id="serverDescription"></p>
+
+        <div class="row g-3 mb-4" id="serverSummary"></div>
+
+        <div class="row">
+            <div class="col-lg-6">
+                <div class="card">
+                    <div class="card-header">CPU (%)</div>
+                    <div class="card-body"><div class="chart-container"><canvas id="cpuChart"></canvas></div></div>
+                </div>
+            </div>
+            <div class="col-lg-6">
+                <div class="card">
+                    <div class="card-header">内存 (%)</div>
+                    <div class="card-body"><div class="chart-container"><canvas id="memoryChart"></canvas></div></div>
+                </div>
+            </div>
+            <div class="col-lg-6">
+                <div class="card">
+                    <div class="card-header">硬盘 (%)</div>
+                    <div class="card-body"><div class="chart-container"><canvas id="diskChart"></canvas></div></div>
+                </div>
+            </div>
+            <div class="col-lg-6">
+                <div class="card">
+                    <div class="card-header">网络速度</div>
+                    <div class="card-body"><div class="chart-container"><canvas id="networkChart"></canvas></div></div>
+                </div>
+            </div>
+            <div class="col-12">
+                <div class="card">
+                    <div class="card-header">三网丢包率 (%)</div>
+                    <div class="card-body"><div class="chart-container"><canvas id="pingChart"></canvas></div></div>
+                </div>
+            </div>
+        </div>
+        <p class="text-muted small" id="lastRefreshed"></p>
+    </div>
+
+    <footer class="footer mt-5 py-3 bg-light">
+        <div class="container text-center">
+            <span class="text-muted">&copy; Uptime Status</span>
+        </div>
+    </footer>
+
+    <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/js/bootstrap.bundle.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js"></script>
+    <script src="/js/server.js"></script>
+</body>
+</html>`;
+}
+
+function getLoginHtml() {
+  return `<!DOCTYPE html>
+<html lang="zh-CN" data-bs-theme="light">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Login - Uptime Status</title>
+    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/css/bootstrap.min.css" rel="stylesheet">
+    <link href="https://cdn.jsdelivr.net/npm/bootstrap-icons@1.8.1/font/bootstrap-icons.css" rel="stylesheet">
+    <link href="/css/style.css" rel="stylesheet">
+    <style>
+       /* Same styles as index */
+       /* Dark Theme Adjustments */
+        [data-bs-theme="dark"] body { background-color: #212529; color: #ffffff; }
+        [data-bs-theme="dark"] .card { background-color: #1e1e1e; border: 1px solid #333; color: #e0e0e0; }
+        [data-bs-theme="dark"] .card-header { background-color: #2a2a2a; border-bottom: 1px solid #333; color: #f5f5f5; }
+        [data-bs-theme="dark"] .form-control { background-color: #2a2a2a; color: #e0e0e0; border-color: #333; }
+        [data-bs-theme="dark"] .footer.bg-light { background-color: #343a40 !important; border-top: 1px solid #495057; }
+        [data-bs-theme="dark"] .footer .text-muted { color: #adb5bd !important; }
+    </style>
+</head>
+<body>
+    <nav class="navbar navbar-expand-lg navbar-dark bg-primary">
+        <div class="container">
+            <a class="navbar-brand" href="/">Uptime Status</a>
+            <button class="navbar-toggler" type="button" data-bs-toggle="collapse" data-bs-target="#navbarNav">
+                <span class="navbar-toggler-icon"></span>
+            </button>
+            <div class="collapse navbar-collapse" id="navbarNav">
+                <ul class="navbar-nav ms-auto align-items-center">
+                    <li class="nav-item">
+                        <button id="themeToggler" class="btn btn-outline-light btn-sm me-2" title="切换主题">
+                             <i class="bi bi-moon-stars-fill"></i>
+                        </button>
+                    </li>
+                    <li class="nav-item">
+                        <a class="nav-link" href="/">返回首页</a>
+                    </li>
+                </ul>
+            </div>
+        </div>
+    </nav>
+
+    <div class="container mt-5">
+        <div class="row justify-content-center">
+            <div class="col-md-6 col-lg-4">
+                <div class="card">
+                    <div class="card-header">
+                        <h4 class="card-title mb-0">管理员登录</h4>
+                    </div>
+                    <div class="card-body">
+                        <div id="loginAlert" class="alert alert-danger d-none"></div>
+                        <form id="loginForm">
+                            <div class="mb-3">
+                                <label for="username" class="form-label">用户名</label>
+                                <input type="text" class="form-control" id="username" required>
+                            </div>
+                            <div class="mb-3">
+                                <label for="password" class="form-label">密码</label>
+                                <input type="password" class="form-control" id="password" required>
+                            </div>
+                            <div class="d-grid">
+                                <button type="submit" class="btn btn-primary">登录</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <footer class="footer mt-5 py-3 bg-light">
+        <div class="container text-center">
+            <span class="text-muted">&copy; Uptime Status</span>
+        </div>
+    </footer>
+
+    <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/js/bootstrap.bundle.min.js"></script>
+    <script src="/js/login.js"></script>
+</body>
+</html>`;
+}
+
+function getAdminHtml() {
+  return `<!DOCTYPE html>
+<html lang="zh-CN" data-bs-theme="light">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Manage - Uptime Status</title>
+    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/css/bootstrap.min.css" rel="stylesheet">
+    <link href="https://cdn.jsdelivr.net/npm/bootstrap-icons@1.8.1/font/bootstrap-icons.css" rel="stylesheet">
+    <link href="/css/style.css" rel="stylesheet">
+</head>
+<body>
+    <nav class="navbar navbar-expand-lg navbar-dark bg-primary">
+        <div class="container">
+            <a class="navbar-brand" href="/">Uptime Status</a>
+            <button class="navbar-toggler" type="button" data-bs-toggle="collapse" data-bs-target="#navbarNav">
+                <span class="navbar-toggler-icon"></span>
+            </button>
+            <div class="collapse navbar-collapse" id="navbarNav">
+                <ul class="navbar-nav me-auto">
+                    <li class="nav-item">
+                         <a class="nav-link" href="/">返回首页</a>
+                    </li>
+                </ul>
+                <ul class="navbar-nav align-items-center">
+                    <li class="nav-item">
+                        <button id="themeToggler" class="btn btn-outline-light btn-sm me-2" title="切换主题">
+                            <i class="bi bi-moon-stars-fill"></i>
+                        </button>
+                    </li>
+                    <li class="nav-item">
+                        <button id="changePasswordBtn" class="btn btn-outline-light btn-sm me-2">修改密码</button>
+                    </li>
+                    <li class="nav-item">
+                        <button id="logoutBtn" class="btn btn-outline-light btn-sm">退出登录</button>
+                    </li>
+                </ul>
+            </div>
+        </div>
+    </nav>
+
+    <div class="container mt-4">
+        <div class="d-flex align-items-center mb-4">
+            <h2 class="mb-0 me-3">服务器管理</h2>
+            <form id="globalSettingsFormPartial" class="row gx-2 gy-2 align-items-center me-auto">
+                <div class="col-auto">
+                     <label for="vpsReportInterval" class="col-form-label col-form-label-sm">VPS数据更新频率 (秒):</label>
+                </div>
+                <div class="col-auto">
+                    <input type="number" class="form-control form-control-sm" id="vpsReportInterval" placeholder="例如: 60" min="1" style="width: 100px;">
+                </div>
+                <div class="col-auto">
+                    <button type="button" id="saveVpsReportIntervalBtn" class="btn btn-info btn-sm">保存频率</button>
+                </div>
+                <div class="col-auto">
+                     <label for="metricsRetentionDays" class="col-form-label col-form-label-sm">历史数据保留 (天):</label>
+                </div>
+                <div class="col-auto">
+                    <input type="number" class="form-control form-control-sm" id="metricsRetentionDays" placeholder="例如: 7" min="1" style="width: 80px;">
+                </div>
+                <div class="col-auto">
+                    <button type="button" id="saveMetricsRetentionBtn" class="btn btn-info btn-sm">保存</button>
+                </div>
+                <div class="col-auto">
+                     <label for="vpsStaleThreshold" class="col-form-label col-form-label-sm">离线判定阈值 (秒):</label>
+                </div>
+                <div class="col-auto">
+                    <input type="number" class="form-control form-control-sm" id="vpsStaleThreshold" placeholder="自动" min="1" style="width: 100px;">
+                </div>
+                <div class="col-auto">
+                    <button type="button" id="saveVpsStaleThresholdBtn" class="btn btn-info btn-sm">保存</button>
+                </div>
+            </form>
+
+            <button id="addServerBtn" class="btn btn-primary">
+                <i class="bi bi-plus-circle"></i> 添加服务器
+            </button>
+        </div>
+        <div id="serverAlert" class="alert d-none"></div>
+        <div class="card">
+            <div class="card-body">
+                <div class="table-responsive">
+                    <table class="table table-striped table-hover">
+                        <thead>
+                            <tr>
+                                <th>排序</th>
+                                <th>ID</th>
+                                <th>名称</th>
+                                <th>描述</th>
+                                <th>状态</th>
+                                <th>最后更新</th>
+                                <th>API密钥</th>
+                                <th>VPS脚本</th>
+                                <th>操作</th>
+                            </tr>
+                        </thead>
+                        <tbody id="serverTableBody">
+                            <tr>
+                                <td colspan="10" class="text-center">加载中...</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <div class="container mt-5">
+        <div class="d-flex justify-content-between align-items-center mb-4">
+            <h2>网站监控管理</h2>
+            <button id="addSiteBtn" class="btn btn-success">
+                <i class="bi bi-plus-circle"></i> 添加监控网站
+            </button>
+        </div>
+
+        <div id="siteAlert" class="alert d-none"></div>
+
+        <div class="card">
+            <div class="card-body">
+                <div class="table-responsive">
+                    <table class="table table-striped table-hover">
+                        <thead>
+                            <tr>
+                                <th>排序</th>
+                                <th>名称</th>
+                                <th>URL</th>
+                                <th>状态</th>
+                                <th>状态码</th>
+                                <th>响应时间 (ms)</th>
+                                <th>证书</th>
+                                <th>最后检查</th>
+                                <th>操作</th>
+                            </tr>
+                        </thead>
+                        <tbody id="siteTableBody">
+                            <tr>
+                                <td colspan="10" class="text-center">加载中...</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+                <hr>
+                <h5>检查频率与历史记录</h5>
+                <p class="text-muted small">每个监控只在距上次检查超过检查间隔后才会检查，编辑监控时可单独设置间隔。Cron 触发器建议设置为每分钟一次。每次检查的原始记录保留指定天数，之前的数据按小时/按天汇总后保留。</p>
+                <div class="row g-2 align-items-end">
+                    <div class="col-md-3">
+                        <label for="siteCheckIntervalMinutes" class="form-label">默认检查间隔 (分钟)</label>
+                        <input type="number" class="form-control" id="siteCheckIntervalMinutes" min="1">
+                    </div>
+                    <div class="col-md-3">
+                        <label for="siteCheckConcurrency" class="form-label">同时检查数量</label>
+                        <input type="number" class="form-control" id="siteCheckConcurrency" min="1" max="50">
+                    </div>
+                    <div class="col-md-3">
+                        <label for="siteHistoryRetentionDays" class="form-label">原始记录保留 (天)</label>
+                        <input type="number" class="form-control" id="siteHistoryRetentionDays" min="2">
+                    </div>
+                    <div class="col-md-2">
+                        <button type="button" id="saveSiteCheckSettingsBtn" class="btn btn-info w-100">保存</button>
+                    </div>
+                </div>
+                <hr>
+                <h5>证书到期监控</h5>
+                <p class="text-muted small">定期查询 HTTPS 网站的证书到期时间，剩余天数跨过提醒阈值时发送通知。默认停用。CT 日志 (crt.sh) 返回的是最新签发的证书，证书续期后未部署时仍会显示正常，建议使用能读取网站实际证书的自定义接口。</p>
+                <div class="row g-2 align-items-end">
+                    <div class="col-md-3">
+                        <label for="certSource" class="form-label">证书来源</label>
+                        <select class="form-select" id="certSource">
+                            <option value="crtsh">CT 日志 (可能与实际部署的证书不一致)</option>
+                            <option value="custom">自定义 HTTP 接口</option>
+                            <option value="disabled">停用</option>
+                        </select>
+                    </div>
+                    <div class="col-md-5">
+                        <label for="certSourceUrl" class="form-label">接口地址</label>
+                        <input type="url" class="form-control" id="certSourceUrl" placeholder="https://example.com/cert?host={host}">
+                    </div>
+                    <div class="col-md-2">
+                        <label for="certWarningDays" class="form-label">提醒阈值 (天)</label>
+                        <input type="text" class="form-control" id="certWarningDays" placeholder="30,14,7,1">
+                    </div>
+                    <div class="col-md-2">
+                        <button type="button" id="saveCertSettingsBtn" class="btn btn-info w-100">保存</button>
+                    </div>
+                </div>
+                <div class="form-text">自定义接口需返回 JSON，例如 {"expires_at": 1767225600}，{host} 会被替换为网站域名。</div>
+                <hr>
+                <h5>DNS 解析服务器</h5>
+                <p class="text-muted small">DNS 记录监控使用的 DNS-over-HTTPS 地址，需支持 JSON 格式 (application/dns-json)。</p>
+                <div class="row g-2 align-items-center">
+                    <div class="col-md-6">
+                        <input type="url" class="form-control" id="dnsResolverUrl" placeholder="https://cloudflare-dns.com/dns-query">
+                    </div>
+                    <div class="col-auto">
+                        <button type="button" id="saveDnsResolverBtn" class="btn btn-info">保存</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    </div>
+    <div class="container mt-5">
+        <div class="d-flex justify-content-between align-items-center mb-4">
+            <h2>VPS 告警规则</h2>
+            <button id="addAlertRuleBtn" class="btn btn-warning">
+                <i class="bi bi-plus-circle"></i> 添加告警规则
+            </button>
+        </div>
+
+        <div id="alertRuleAlert" class="alert d-none"></div>
+
+        <div class="card">
+            <div class="card-body">
+                <div class="table-responsive">
+                    <table class="table table-striped table-hover">
+                        <thead>
+                            <tr>
+                                <th>名称</th>
+                                <th>条件</th>
+                                <th>持续时间</th>
+                                <th>适用服务器</th>
+                                <th>状态</th>
+                                <th>操作</th>
+                            </tr>
+                        </thead>
+                        <tbody id="alertRuleTableBody">
+                            <tr>
+                                <td colspan="6" class="text-center">加载中...</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    </div>
+    <div class="container mt-5">
+        <div class="d-flex justify-content-between align-items-center mb-4">
+            <h2>维护窗口</h2>
+            <button id="addMaintenanceWindowBtn" class="btn btn-secondary">
+                <i class="bi bi-plus-circle"></i> 添加维护窗口
+            </button>
+        </div>
+
+        <div id="maintenanceAlert" class="alert d-none"></div>
+
+        <div class="card">
+            <div class="card-body">
+                <p class="text-muted small">维护期间不发送故障/恢复/告警通知，公开页面显示为“维护中”。</p>
+                <div class="table-responsive">
+                    <table class="table table-striped table-hover">
+                        <thead>
+                            <tr>
+                                <th>名称</th>
+                                <th>范围</th>
+                                <th>计划</th>
+                                <th>状态</th>
+                                <th>操作</th>
+                            </tr>
+                        </thead>
+                        <tbody id="maintenanceTableBody">
+                            <tr>
+                                <td colspan="5" class="text-center">加载中...</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    </div>
+    <div class="container mt-5">
+        <div class="d-flex justify-content-between align-items-center mb-4">
+            <h2>Telegram 通知设置</h2>
+        </div>
+        <div id="telegramSettingsAlert" class="alert d-none"></div>
+        <div class="card">
+            <div class="card-body">
+                <form id="telegramSettingsForm">
+                    <div class="mb-3">
+                        <label for="telegramBotToken" class="form-label">Bot Token</label>
+                        <input type="text" class="form-control" id="telegramBotToken" placeholder="请输入 Telegram Bot Token">
+                    </div>
+                    <div class="mb-3">
+                        <label for="telegramChatId" class="form-label">Chat ID</label>
+                        <input type="text" class="form-control" id="telegramChatId" placeholder="请输入接收通知的 Chat ID">
+                    </div>
+                    <div class="form-check mb-3">
+                        <input class="form-check-input" type="checkbox" id="enableTelegramNotifications">
+                        <label class="form-check-label" for="enableTelegramNotifications">
+                            启用通知
+                        </label>
+                    </div>
+                    <button type="button" id="saveTelegramSettingsBtn" class="btn btn-info">保存Telegram设置</button>
+                </form>
+            </div>
+        </div>
+    </div>
+    <div class="container mt-5">
+        <div class="d-flex justify-content-between align-items-center mb-4">
+            <h2>通知渠道</h2>
+            <button id="addNotificationChannelBtn" class="btn btn-info">
+                <i class="bi bi-plus-circle"></i> 添加通知渠道
+            </button>
+        </div>
+
+        <div id="notificationChannelAlert" class="alert d-none"></div>
+
+        <div class="card">
+            <div class="card-body">
+                <p class="text-muted small">网站故障/恢复、VPS 离线/恢复以及告警规则事件会按服务器或网站设置的通知路由发送；未单独设置的使用下方的默认路由。</p>
+                <div class="table-responsive">
+                    <table class="table table-striped table-hover">
+                        <thead>
+                            <tr>
+                                <th>名称</th>
+                                <th>类型</th>
+                                <th>分组</th>
+                                <th>状态</th>
+                                <th>操作</th>
+                            </tr>
+                        </thead>
+                        <tbody id="notificationChannelTableBody">
+                            <tr>
+                                <td colspan="5" class="text-center">加载中...</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+                <hr>
+                <h5>默认通知路由</h5>
+                <div id="defaultNotificationRoutePicker" class="mb-3"></div>
+                <button type="button" id="saveDefaultNotificationRouteBtn" class="btn btn-info">保存默认路由</button>
+                <hr>
+                <h5>重复通知间隔</h5>
+                <p class="text-muted small">服务器或网站持续故障时再次发送通知的间隔，0 表示只通知一次。服务器和网站可单独设置。</p>
+                <div class="row g-2 align-items-center">
+                    <div class="col-auto">
+                        <div class="input-group">
+                            <input type="number" class="form-control" id="notificationRepeatMinutes" min="0" style="width: 100px;">
+                            <span class="input-group-text">分钟</span>
+                        </div>
+                    </div>
+                    <div class="col-auto">
+                        <button type="button" id="saveNotificationRepeatBtn" class="btn btn-info">保存</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    </div>
+    <div class="modal fade" id="serverModal" tabindex="-1">
+        <div class="modal-dialog">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title" id="serverModalTitle">添加服务器</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                </div>
+                <div class="modal-body">
+                    <form id="serverForm">
+                        <input type="hidden" id="serverId">
+                        <div class="mb-3">
+                            <label for="serverName" class="form-label">服务器名称</label>
+                            <input type="text" class="form-control" id="serverName" required>
+                        </div>
+                        <div class="mb-3">
+                            <label for="serverDescription" class="form-label">描述（可选）</label>
+                            <textarea class="form-control" id="serverDescription" rows="2"></textarea>
+                        </div>
+                        <div class="mb-3">
+                            <label class="form-label">通知路由</label>
+                            <div id="serverNotificationRoutePicker"></div>
+                        </div>
+                        <div class="row g-2 mb-3">
+                            <div class="col-6">
+                                <label for="serverStaleThreshold" class="form-label">离线判定阈值 (秒)</label>
+                                <input type="number" class="form-control" id="serverStaleThreshold" min="1" placeholder="使用全局设置">
+                            </div>
+                            <div class="col-6">
+                                <label for="serverNotificationRepeat" class="form-label">重复通知间隔 (分钟)</label>
+                                <input type="number" class="form-control" id="serverNotificationRepeat" min="0" placeholder="使用全局设置">
+                                <div class="form-text">0 表示不重复</div>
+                            </div>
+                        </div>
+
+                        <div id="serverIdDisplayGroup" class="mb-3 d-none">
+                            <label for="serverIdDisplay" class="form-label">服务器ID</label>
+                            <div class="input-group">
+                                <input type="text" class="form-control" id="serverIdDisplay" readonly>
+                                <button class="btn btn-outline-secondary" type="button" id="copyServerIdBtn">
+                                    <i class="bi bi-clipboard"></i>
+                                </button>
+                            </div>
+                        </div>
+
+                        <div id="workerUrlDisplayGroup" class="mb-3 d-none">
+                            <label for="workerUrlDisplay" class="form-label">Worker 地址</label>
+                            <div class="input-group">
+                                <input type="text" class="form-control" id="workerUrlDisplay" readonly>
+                                <button class="btn btn-outline-secondary" type="button" id="copyWorkerUrlBtn">
+                                    <i class="bi bi-clipboard"></i>
+                                </button>
+                            </div>
+                        </div>
+
+                        <div id="apiKeyGroup" class="mb-3 d-none">
+                            <label for="apiKey" class="form-label">API密钥</label>
+                            <div class="input-group">
+                                <input type="text" class="form-control" id="apiKey" readonly>
+                                <button class="btn btn-outline-secondary" type="button" id="copyApiKeyBtn">
+                                    <i class="bi bi-clipboard"></i>
+                                </button>
+                            </div>
+                        </div>
+                    </form>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">关闭</button>
+                    <button type="button" class="btn btn-primary" id="saveServerBtn">保存</button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <div class="modal fade" id="siteModal" tabindex="-1">
+        <div class="modal-dialog">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title" id="siteModalTitle">添加监控网站</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                </div>
+                <div class="modal-body">
+                    <form id="siteForm">
+                        <input type="hidden" id="siteId">
+                        <div class="mb-3">
+                            <label for="siteName" class="form-label">网站名称（可选）</label>
+                            <input type="text" class="form-control" id="siteName">
+                        </div>
+                        <div class="row g-2 mb-3">
+                            <div class="col-6">
+                                <label for="siteMonitorType" class="form-label">监控类型</label>
+                                <select class="form-select" id="siteMonitorType">
+                                    <option value="http">HTTP(S)</option>
+                                    <option value="tcp">TCP 端口</option>
+                                    <option value="dns">DNS 记录</option>
+                                    <option value="heartbeat">心跳 (Push)</option>
+                                </select>
+                            </div>
+                            <div class="col-6">
+                                <label for="siteTimeoutSeconds" class="form-label">超时 (秒)</label>
+                                <input type="number" class="form-control" id="siteTimeoutSeconds" min="1" max="60" value="15">
+                            </div>
+                        </div>
+                        <div class="mb-3" id="siteUrlGroup">
+                            <label for="siteUrl" class="form-label" id="siteUrlLabel">网站URL</label>
+                            <input type="text" class="form-control" id="siteUrl" placeholder="https://example.com" required>
+                        </div>
+                        <div class="mb-3">
+                            <label class="form-label">通知路由</label>
+                            <div id="siteNotificationRoutePicker"></div>
+                        </div>
+                        <div class="row g-2 mb-3">
+                            <div class="col-6">
+                                <label for="siteFailureThreshold" class="form-label">连续失败几次判定故障</label>
+                                <input type="number" class="form-control" id="siteFailureThreshold" min="1" max="10" value="1">
+                            </div>
+                            <div class="col-6">
+                                <label for="siteRecoveryThreshold" class="form-label">连续成功几次判定恢复</label>
+                                <input type="number" class="form-control" id="siteRecoveryThreshold" min="1" max="10" value="1">
+                            </div>
+                        </div>
+                        <div class="mb-3">
+                            <label for="siteNotificationRepeat" class="form-label">重复通知间隔 (分钟)</label>
+                            <input type="number" class="form-control" id="siteNotificationRepeat" min="0" placeholder="使用全局设置">
+                            <div class="form-text">留空使用全局设置，0 表示不重复</div>
+                        </div>
+                        <div class="mb-3">
+                            <label for="siteCheckInterval" class="form-label">检查间隔 (分钟)</label>
+                            <input type="number" class="form-control" id="siteCheckInterval" min="1" placeholder="使用全局设置">
+                        </div>
+                        <div class="mb-3" id="siteDegradedOptions">
+                            <label for="siteDegradedThreshold" class="form-label">响应缓慢阈值 (ms)</label>
+                            <input type="number" class="form-control" id="siteDegradedThreshold" min="1" placeholder="不检查">
+                            <div class="form-text">正常但响应时间超过该值时标记为响应缓慢并发送通知，同样需达到连续失败次数才确认。</div>
+                        </div>
+                        <div class="mb-3" id="siteAgentOptions">
+                            <label class="form-label">其他检测位置</label>
+                            <div id="siteAgentServerList" class="border rounded p-2"></div>
+                            <div class="input-group input-group-sm mt-2" style="max-width: 320px;">
+                                <span class="input-group-text">故障位置达到</span>
+                                <input type="number" class="form-control" id="siteAgentQuorum" min="1" placeholder="过半数">
+                                <span class="input-group-text">个时告警</span>
+                            </div>
+                            <div class="form-text">除 Cloudflare 外，所选服务器上的 Agent 也会检查该网站 (需重新安装 Agent)。Agent 不执行内容断言。</div>
+                        </div>
+                        <div id="siteHeartbeatOptions" class="d-none">
+                            <div class="row g-2 mb-3">
+                                <div class="col-6">
+                                    <label for="siteHeartbeatPeriod" class="form-label">心跳周期 (分钟)</label>
+                                    <input type="number" class="form-control" id="siteHeartbeatPeriod" min="1" value="1440">
+                                </div>
+                                <div class="col-6">
+                                    <label for="siteHeartbeatGrace" class="form-label">宽限时间 (分钟)</label>
+                                    <input type="number" class="form-control" id="siteHeartbeatGrace" min="0" value="60">
+                                </div>
+                            </div>
+                            <div class="mb-3">
+                                <label for="siteHeartbeatUrl" class="form-label">推送地址</label>
+                                <input type="text" class="form-control font-monospace" id="siteHeartbeatUrl" readonly placeholder="保存后生成">
+                                <div class="form-text">任务完成后访问该地址，例如 curl -fsS "推送地址?status=up&duration=120"。status 为 down 时立即视为故障，duration 为任务耗时 (秒)，msg 为附加说明。</div>
+                            </div>
+                        </div>
+                        <div id="siteDnsOptions" class="d-none">
+                            <div class="row g-2 mb-3">
+                                <div class="col-4">
+                                    <label for="siteDnsRecordType" class="form-label">记录类型</label>
+                                    <select class="form-select" id="siteDnsRecordType">
+                                        <option value="A">A</option>
+                                        <option value="AAAA">AAAA</option>
+                                        <option value="CNAME">CNAME</option>
+                                        <option value="MX">MX</option>
+                                        <option value="TXT">TXT</option>
+                                    </select>
+                                </div>
+                                <div class="col-8">
+                                    <label for="siteDnsExpectedValue" class="form-label">期望值（可选）</label>
+                                    <textarea class="form-control font-monospace" id="siteDnsExpectedValue" rows="2" placeholder="192.0.2.1"></textarea>
+                                </div>
+                            </div>
+                            <div class="form-text mb-3">每行一条记录，MX 写作 "10 mail.example.com"。留空时与上次记录的解析结果比较，保存后重新记录。</div>
+                        </div>
+                        <div id="siteHttpOptions">
+                        <a class="small" data-bs-toggle="collapse" href="#siteCheckOptions" role="button">HTTP 检查设置</a>
+                        <div class="collapse mt-2" id="siteCheckOptions">
+                            <div class="row g-2 mb-3">
+                                <div class="col-6">
+                                    <label for="siteCheckMethod" class="form-label">请求方法</label>
+                                    <select class="form-select" id="siteCheckMethod">
+                                        <option value="HEAD">HEAD</option>
+                                        <option value="GET">GET</option>
+                                        <option value="POST">POST</option>
+                                    </select>
+                                </div>
+                                <div class="col-6">
+                                    <label for="siteRedirectPolicy" class="form-label">重定向</label>
+                                    <select class="form-select" id="siteRedirectPolicy">
+                                        <option value="follow">跟随</option>
+                                        <option value="manual">不跟随</option>
+                                    </select>
+                                </div>
+                            </div>
+                            <div class="mb-3">
+                                <label for="siteAcceptedStatusCodes" class="form-label">可接受的状态码</label>
+                                <input type="text" class="form-control" id="siteAcceptedStatusCodes" placeholder="200-499">
+                                <div class="form-text">逗号分隔，支持范围和 2xx 写法，例如: 200-299,301,403</div>
+                            </div>
+                            <div class="mb-3">
+                                <label for="siteCheckHeaders" class="form-label">请求头 (JSON)</label>
+                                <textarea class="form-control font-monospace" id="siteCheckHeaders" rows="2" placeholder='{"User-Agent": "Mozilla/5.0"}'></textarea>
+                            </div>
+                            <div class="mb-3">
+                                <label for="siteCheckBody" class="form-label">请求体 (仅 POST)</label>
+                                <textarea class="form-control font-monospace" id="siteCheckBody" rows="2"></textarea>
+                            </div>
+                            <div class="row g-2 mb-3">
+                                <div class="col-6">
+                                    <label for="siteAuthUsername" class="form-label">Basic Auth 用户名</label>
+                                    <input type="text" class="form-control" id="siteAuthUsername" autocomplete="off">
+                                </div>
+                                <div class="col-6">
+                                    <label for="siteAuthPassword" class="form-label">Basic Auth 密码</label>
+                                    <input type="password" class="form-control" id="siteAuthPassword" autocomplete="new-password">
+                                </div>
+                            </div>
+                            <div class="mb-3">
+                                <label class="form-label">内容断言</label>
+                                <div id="siteAssertionList"></div>
+                                <button type="button" class="btn btn-sm btn-outline-secondary" id="addSiteAssertionBtn"><i class="bi bi-plus"></i> 添加断言</button>
+                                <div class="form-text">全部断言通过才视为正常；设置断言后 HEAD 请求会自动改为 GET。JSON 期望值按 JSON 解析，例如 "ok"、200、true。</div>
+                            </div>
+                        </div>
+                        </div>
+                    </form>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">关闭</button>
+                    <button type="button" class="btn btn-primary" id="saveSiteBtn">保存</button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <div class="modal fade" id="deleteModal" tabindex="-1">
+        <div class="modal-dialog">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">确认删除</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                </div>
+                <div class="modal-body">
+                    <p>确定要删除服务器 "<span id="deleteServerName"></span>" 吗？</p>
+                    <p class="text-danger">此操作不可逆，所有相关的监控数据也将被删除。</p>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">取消</button>
+                    <button type="button" class="btn btn-danger" id="confirmDeleteBtn">删除</button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+     <div class="modal fade" id="deleteSiteModal" tabindex="-1">
+        <div class="modal-dialog">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">确认删除网站监控</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                </div>
+                <div class="modal-body">
+                    <p>确定要停止监控网站 "<span id="deleteSiteName"></span>" (<span id="deleteSiteUrl"></span>) 吗？</p>
+                    <p class="text-danger">此操作不可逆。</p>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">取消</button>
+                    <button type="button" class="btn btn-danger" id="confirmDeleteSiteBtn">删除</button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <div class="modal fade" id="alertRuleModal" tabindex="-1">
+        <div class="modal-dialog">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title" id="alertRuleModalTitle">添加告警规则</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                </div>
+                <div class="modal-body">
+                    <form id="alertRuleForm">
+                        <input type="hidden" id="alertRuleId">
+                        <div class="mb-3">
+                            <label for="alertRuleName" class="form-label">规则名称</label>
+                            <input type="text" class="form-control" id="alertRuleName" placeholder="例如: CPU 过高" required>
+                        </div>
+                        <div class="row g-2 mb-3">
+                            <div class="col-5">
+                                <label for="alertRuleMetric" class="form-label">指标</label>
+                                <select class="form-select" id="alertRuleMetric">
+                                    <option value="cpu">CPU使用率</option>
+                                    <option value="memory">内存使用率</option>
+                                    <option value="disk">硬盘使用率</option>
+                                    <option value="ping_cu">联通丢包率</option>
+                                    <option value="ping_ct">电信丢包率</option>
+                                    <option value="ping_cm">移动丢包率</option>
+                                    <option value="ping_max">任意线路丢包率</option>
+                                </select>
+                            </div>
+                            <div class="col-3">
+                                <label for="alertRuleOperator" class="form-label">条件</label>
+                                <select class="form-select" id="alertRuleOperator">
+                                    <option value="&gt;">&gt;</option>
+                                    <option value="&gt;=">&gt;=</option>
+                                    <option value="&lt;">&lt;</option>
+                                    <option value="&lt;=">&lt;=</option>
+                                </select>
+                            </div>
+                            <div class="col-4">
+                                <label for="alertRuleThreshold" class="form-label">阈值 (%)</label>
+                                <input type="number" class="form-control" id="alertRuleThreshold" min="0" max="100" step="0.1" required>
+                            </div>
+                        </div>
+                        <div class="mb-3">
+                            <label for="alertRuleDuration" class="form-label">持续时间 (分钟，0 表示立即触发)</label>
+                            <input type="number" class="form-control" id="alertRuleDuration" min="0" value="0">
+                        </div>
+                        <div class="mb-3">
+                            <div class="form-check">
+                                <input class="form-check-input" type="checkbox" id="alertRuleAllServers" checked>
+                                <label class="form-check-label" for="alertRuleAllServers">适用于所有服务器</label>
+                            </div>
+                            <div id="alertRuleServerList" class="border rounded p-2 mt-2 d-none"></div>
+                        </div>
+                        <div class="form-check mb-3">
+                            <input class="form-check-input" type="checkbox" id="alertRuleEnabled" checked>
+                            <label class="form-check-label" for="alertRuleEnabled">启用规则</label>
+                        </div>
+                    </form>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">关闭</button>
+                    <button type="button" class="btn btn-primary" id="saveAlertRuleBtn">保存</button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <div class="modal fade" id="notificationChannelModal" tabindex="-1">
+        <div class="modal-dialog modal-lg">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title" id="notificationChannelModalTitle">添加通知渠道</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                </div>
+                <div class="modal-body">
+                    <form id="notificationChannelForm">
+                        <input type="hidden" id="notificationChannelId">
+                        <div class="row g-2 mb-3">
+                            <div class="col-md-4">
+                                <label for="notificationChannelName" class="form-label">渠道名称</label>
+                                <input type="text" class="form-control" id="notificationChannelName" required>
+                            </div>
+                            <div class="col-md-3">
+                                <label for="notificationChannelGroup" class="form-label">分组 (可选)</label>
+                                <input type="text" class="form-control" id="notificationChannelGroup" placeholder="例如: oncall">
+                            </div>
+                            <div class="col-md-5">
+                                <label for="notificationChannelType" class="form-label">类型</label>
+                                <select class="form-select" id="notificationChannelType">
+                                    <option value="webhook">Webhook (JSON)</option>
+                                    <option value="slack">Slack</option>
+                                    <option value="discord">Discord</option>
+                                    <option value="teams">Microsoft Teams</option>
+                                    <option value="wecom">企业微信群机器人</option>
+                                    <option value="dingtalk">钉钉机器人</option>
+                                    <option value="feishu">飞书 / Lark 机器人</option>
+                                    <option value="serverchan">Server酱</option>
+                                    <option value="pushplus">PushPlus</option>
+                                    <option value="bark">Bark</option>
+                                    <option value="email">邮件 (HTTP API)</option>
+                                </select>
+                            </div>
+                        </div>
+                        <div class="channel-config-fields" data-channel-type="webhook">
+                            <div class="mb-3">
+                                <label class="form-label">Webhook URL</label>
+                                <input type="url" class="form-control" data-config-key="url" placeholder="https://example.com/hooks/monitor">
+                            </div>
+                            <div class="mb-3">
+                                <label class="form-label">请求头 (JSON，可选)</label>
+                                <textarea class="form-control font-monospace" rows="2" data-config-key="headers" data-config-format="json" placeholder='{"Authorization": "Bearer xxx"}'></textarea>
+                            </div>
+                            <div class="mb-3">
+                                <label class="form-label">请求体模板 (JSON，留空使用默认模板)</label>
+                                <textarea class="form-control font-monospace" rows="4" data-config-key="body_template"></textarea>
+                                <div class="form-text">可用变量: {{event}} {{name}} {{status}} {{url}} {{timestamp}} {{time}} {{message}}</div>
+                            </div>
+                        </div>
+                        <div class="channel-config-fields d-none" data-channel-type="slack">
+                            <div class="mb-3">
+                                <label class="form-label">Slack Incoming Webhook URL</label>
+                                <input type="url" class="form-control" data-config-key="webhook_url" placeholder="https://hooks.slack.com/services/...">
+                            </div>
+                        </div>
+                        <div class="channel-config-fields d-none" data-channel-type="discord">
+                            <div class="mb-3">
+                                <label class="form-label">Discord Webhook URL</label>
+                                <input type="url" class="form-control" data-config-key="webhook_url" placeholder="https://discord.com/api/webhooks/...">
+                            </div>
+                        </div>
+                        <div class="channel-config-fields d-none" data-channel-type="teams">
+                            <div class="mb-3">
+                                <label class="form-label">Teams Webhook URL</label>
+                                <input type="url" class="form-control" data-config-key="webhook_url" placeholder="https://xxx.webhook.office.com/...">
+                            </div>
+                        </div>
+                        <div class="channel-config-fields d-none" data-channel-type="wecom">
+                            <div class="mb-3">
+                                <label class="form-label">企业微信机器人 Webhook 地址</label>
+                                <input type="url" class="form-control" data-config-key="webhook_url" placeholder="https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=...">
+                            </div>
+                        </div>
+                        <div class="channel-config-fields d-none" data-channel-type="dingtalk">
+                            <div class="mb-3">
+                                <label class="form-label">钉钉机器人 Webhook 地址</label>
+                                <input type="url" class="form-control" data-config-key="webhook_url" placeholder="https://oapi.dingtalk.com/robot/send?access_token=...">
+                            </div>
+                            <div class="mb-3">
+                                <label class="form-label">加签密钥 (可选)</label>
+                                <input type="text" class="form-control" data-config-key="secret" placeholder="SEC...">
+                            </div>
+                        </div>
+                        <div class="channel-config-fields d-none" data-channel-type="feishu">
+                            <div class="mb-3">
+                                <label class="form-label">飞书 / Lark 机器人 Webhook 地址</label>
+                                <input type="url" class="form-control" data-config-key="webhook_url" placeholder="https://open.feishu.cn/open-apis/bot/v2/hook/...">
+                            </div>
+                            <div class="mb-3">
+                                <label class="form-label">签名校验密钥 (可选)</label>
+                                <input type="text" class="form-control" data-config-key="secret">
+                            </div>
+                        </div>
+                        <div class="channel-config-fields d-none" data-channel-type="serverchan">
+                            <div class="mb-3">
+                                <label class="form-label">SendKey</label>
+                                <input type="text" class="form-control" data-config-key="sendkey" placeholder="SCT... 或 sctp...">
+                            </div>
+                        </div>
+                        <div class="channel-config-fields d-none" data-channel-type="pushplus">
+                            <div class="mb-3">
+                                <label class="form-label">Token</label>
+                                <input type="text" class="form-control" data-config-key="token">
+                            </div>
+                            <div class="mb-3">
+                                <label class="form-label">群组编码 (可选，一对多推送)</label>
+                                <input type="text" class="form-control" data-config-key="topic">
+                            </div>
+                        </div>
+                        <div class="channel-config-fields d-none" data-channel-type="bark">
+                            <div class="mb-3">
+                                <label class="form-label">服务器地址 (可选，默认 https://api.day.app)</label>
+                                <input type="url" class="form-control" data-config-key="server_url" placeholder="https://api.day.app">
+                            </div>
+                            <div class="mb-3">
+                                <label class="form-label">Device Key</label>
+                                <input type="text" class="form-control" data-config-key="device_key">
+                            </div>
+                        </div>
+                        <div class="channel-config-fields d-none" data-channel-type="email">
+                            <div class="row g-2 mb-3">
+                                <div class="col-md-4">
+                                    <label class="form-label">服务提供商</label>
+                                    <select class="form-select" data-config-key="provider">
+                                        <option value="mailchannels">MailChannels</option>
+                                        <option value="resend">Resend</option>
+                                        <option value="sendgrid">SendGrid</option>
+                                    </select>
+                                </div>
+                                <div class="col-md-8">
+                                    <label class="form-label">API 地址 (可选，留空使用提供商默认地址)</label>
+                                    <input type="url" class="form-control" data-config-key="api_url" placeholder="http://localhost:8025/send">
+                                </div>
+                            </div>
+                            <div class="mb-3">
+                                <label class="form-label">API Key</label>
+                                <input type="password" class="form-control" data-config-key="api_key" autocomplete="off">
+                            </div>
+                            <div class="row g-2 mb-3">
+                                <div class="col-md-6">
+                                    <label class="form-label">发件人邮箱</label>
+                                    <input type="email" class="form-control" data-config-key="from_email" placeholder="monitor@example.com">
+                                </div>
+                                <div class="col-md-6">
+                                    <label class="form-label">发件人名称 (可选)</label>
+                                    <input type="text" class="form-control" data-config-key="from_name" placeholder="VPS Monitor">
+                                </div>
+                            </div>
+                            <div class="mb-3">
+                                <label class="form-label">收件人 (多个用逗号或换行分隔)</label>
+                                <textarea class="form-control" rows="2" data-config-key="recipients" placeholder="oncall@example.com, ops@example.com"></textarea>
+                            </div>
+                        </div>
+                        <div class="form-check">
+                            <input class="form-check-input" type="checkbox" id="notificationChannelEnabled" checked>
+                            <label class="form-check-label" for="notificationChannelEnabled">启用渠道</label>
+                        </div>
+                    </form>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">关闭</button>
+                    <button type="button" class="btn btn-primary" id="saveNotificationChannelBtn">保存</button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <div class="modal fade" id="deleteNotificationChannelModal" tabindex="-1">
+        <div class="modal-dialog">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">确认删除通知渠道</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                </div>
+                <div class="modal-body">
+                    <p>确定要删除通知渠道 "<span id="deleteNotificationChannelName"></span>" 吗？</p>
+                    <p class="text-danger">此操作不可逆。</p>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">取消</button>
+                    <button type="button" class="btn btn-danger" id="confirmDeleteNotificationChannelBtn">删除</button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <div class="modal fade" id="maintenanceModal" tabindex="-1">
+        <div class="modal-dialog">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title" id="maintenanceModalTitle">添加维护窗口</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                </div>
+                <div class="modal-body">
+                    <form id="maintenanceForm">
+                        <input type="hidden" id="maintenanceId">
+                        <div class="mb-3">
+                            <label for="maintenanceName" class="form-label">名称</label>
+                            <input type="text" class="form-control" id="maintenanceName" placeholder="例如: 每周系统更新" required>
+                        </div>
+                        <div class="row g-2 mb-3">
+                            <div class="col-5">
+                                <label for="maintenanceScopeType" class="form-label">范围</label>
+                                <select class="form-select" id="maintenanceScopeType">
+                                    <option value="all">全部服务器和网站</option>
+                                    <option value="server">指定服务器</option>
+                                    <option value="site">指定网站</option>
+                                </select>
+                            </div>
+                            <div class="col-7 d-none" id="maintenanceScopeIdGroup">
+                                <label for="maintenanceScopeId" class="form-label">目标</label>
+                                <select class="form-select" id="maintenanceScopeId"></select>
+                            </div>
+                        </div>
+                        <div class="mb-3">
+                            <label for="maintenanceScheduleType" class="form-label">计划类型</label>
+                            <select class="form-select" id="maintenanceScheduleType">
+                                <option value="once">一次性</option>
+                                <option value="weekly">每周</option>
+                                <option value="cron">Cron 表达式</option>
+                            </select>
+                        </div>
+                        <div class="maintenance-schedule-fields" data-schedule-type="once">
+                            <div class="row g-2 mb-3">
+                                <div class="col-6">
+                                    <label for="maintenanceStartAt" class="form-label">开始时间</label>
+                                    <input type="datetime-local" class="form-control" id="maintenanceStartAt">
+                                </div>
+                                <div class="col-6">
+                                    <label for="maintenanceEndAt" class="form-label">结束时间</label>
+                                    <input type="datetime-local" class="form-control" id="maintenanceEndAt">
+                                </div>
+                            </div>
+                        </div>
+                        <div class="maintenance-schedule-fields d-none" data-schedule-type="weekly">
+                            <div class="mb-3">
+                                <label class="form-label d-block">星期</label>
+                                <div id="maintenanceWeekdays"></div>
+                            </div>
+                            <div class="mb-3">
+                                <label for="maintenanceStartTime" class="form-label">开始时间</label>
+                                <input type="time" class="form-control" id="maintenanceStartTime" value="03:00">
+                            </div>
+                        </div>
+                        <div class="maintenance-schedule-fields d-none" data-schedule-type="cron">
+                            <div class="mb-3">
+                                <label for="maintenanceCronExpression" class="form-label">Cron 表达式 (分 时 日 月 周)</label>
+                                <input type="text" class="form-control font-monospace" id="maintenanceCronExpression" placeholder="0 4 * * 1">
+                                <div class="form-text">匹配的时间点为维护开始时间。</div>
+                            </div>
+                        </div>
+                        <div class="mb-3 d-none" id="maintenanceDurationGroup">
+                            <label for="maintenanceDuration" class="form-label">持续时间 (分钟)</label>
+                            <input type="number" class="form-control" id="maintenanceDuration" min="1" value="60">
+                        </div>
+                        <div class="form-text mb-3">时间按浏览器当前时区计算。</div>
+                        <div class="form-check">
+                            <input class="form-check-input" type="checkbox" id="maintenanceEnabled" checked>
+                            <label class="form-check-label" for="maintenanceEnabled">启用</label>
+                        </div>
+                    </form>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">关闭</button>
+                    <button type="button" class="btn btn-primary" id="saveMaintenanceBtn">保存</button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <div class="modal fade" id="deleteMaintenanceModal" tabindex="-1">
+        <div class="modal-dialog">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">确认删除维护窗口</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                </div>
+                <div class="modal-body">
+                    <p>确定要删除维护窗口 "<span id="deleteMaintenanceName"></span>" 吗？</p>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">取消</button>
+                    <button type="button" class="btn btn-danger" id="confirmDeleteMaintenanceBtn">删除</button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <div class="modal fade" id="deleteAlertRuleModal" tabindex="-1">
+        <div class="modal-dialog">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">确认删除告警规则</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                </div>
+                <div class="modal-body">
+                    <p>确定要删除告警规则 "<span id="deleteAlertRuleName"></span>" 吗？</p>
+                    <p class="text-danger">此操作不可逆。</p>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">取消</button>
+                    <button type="button" class="btn btn-danger" id="confirmDeleteAlertRuleBtn">删除</button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <div class="modal fade" id="siteResponseChartModal" tabindex="-1">
+        <div class="modal-dialog modal-lg">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">响应时间 - <span id="siteResponseChartName"></span></h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                </div>
+                <div class="modal-body">
+                    <div class="btn-group btn-group-sm mb-2" role="group" id="siteChartRangeSelector">
+                        <button type="button" class="btn btn-outline-primary active" data-range="24h">24小时</button>
+                        <button type="button" class="btn btn-outline-primary" data-range="7d">7天</button>
+                        <button type="button" class="btn btn-outline-primary" data-range="30d">30天</button>
+                    </div>
+                    <div class="chart-container" style="height: 300px;">
+                        <canvas id="siteResponseChartCanvas"></canvas>
+                    </div>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <div class="modal fade" id="passwordModal" tabindex="-1">
+        <div class="modal-dialog">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title">修改密码</h5>
+                    <button type="button" class="btn-close" id="passwordModalCloseBtn" data-bs-dismiss="modal"></button>
+                </div>
                 <div class="modal-body">
+                    <div id="passwordChangeRequiredNotice" class="alert alert-warning d-none">当前仍在使用默认密码，请先修改密码后再使用管理后台。</div>
                     <div id="passwordAlert" class="alert d-none"></div>
                     <form id="passwordForm">
                         <div class="mb-3">
@@ -2323,135 +7073,1231 @@ function getAdminHtml() {
                     </form>
                 </div>
                 <div class="modal-footer">
-                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">取消</button>
+                    <button type="button" class="btn btn-secondary" id="passwordModalCancelBtn" data-bs-dismiss="modal">取消</button>
                     <button type="button" class="btn btn-primary" id="savePasswordBtn">保存</button>
                 </div>
-            </div>
-        </div>
-    </div>
+            </div>
+        </div>
+    </div>
+
+    <footer class="footer mt-5 py-3 bg-light">
+        <div class="container text-center">
+            <span class="text-muted">&copy; Uptime Status</span>
+        </div>
+    </footer>
+
+    <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/js/bootstrap.bundle.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js"></script>
+    <script src="/js/admin.js"></script>
+</body>
+</html>`;
+}
+
+function getStyleCss() {
+  return `/* 全局样式 */
+body { min-height: 100vh; display: flex; flex-direction: column; }
+.footer { margin-top: auto; }
+.chart-container { position: relative; height: 200px; width: 100%; }
+.card { box-shadow: 0 0.125rem 0.25rem rgba(0, 0, 0, 0.075); margin-bottom: 1.5rem; }
+.card-header { background-color: rgba(0, 0, 0, 0.03); border-bottom: 1px solid rgba(0, 0, 0, 0.125); }
+.progress { height: 0.75rem; }
+.table th { font-weight: 600; }
+.modal-dialog { display: flex; align-items: center; min-height: calc(100% - 1rem); }
+.modal-content { background-color: rgba(255, 255, 255, 0.9); }
+@media (max-width: 768px) { .chart-container { height: 150px; } }
+.bg-light-green { background-color: #90ee90 !important; }
+.bg-orange { background-color: #fd7e14 !important; }
+#serverAlert, #siteAlert, #telegramSettingsAlert, #alertRuleAlert, #notificationChannelAlert, #maintenanceAlert { position: fixed !important; top: 70px; left: 50%; transform: translateX(-50%); z-index: 1055; padding: 0.75rem 1.25rem; border: 1px solid transparent; border-radius: 0.25rem; min-width: 300px; max-width: 90%; text-align: center; box-shadow: 0 0.5rem 1rem rgba(0,0,0,0.15); }
+#serverAlert.d-none, #siteAlert.d-none, #telegramSettingsAlert.d-none, #alertRuleAlert.d-none, #notificationChannelAlert.d-none, #maintenanceAlert.d-none { display: none !important; }
+#serverAlert.alert-success, #siteAlert.alert-success, #telegramSettingsAlert.alert-success, #alertRuleAlert.alert-success, #notificationChannelAlert.alert-success, #maintenanceAlert.alert-success { color: #0f5132; background-color: rgba(209, 231, 221, 0.95) !important; border-color: rgba(190, 221, 208, 0.95) !important; }
+#serverAlert.alert-danger, #siteAlert.alert-danger, #telegramSettingsAlert.alert-danger, #alertRuleAlert.alert-danger, #notificationChannelAlert.alert-danger, #maintenanceAlert.alert-danger { color: #842029; background-color: rgba(248, 215, 218, 0.95) !important; border-color: rgba(245, 198, 203, 0.95) !important; }
+#serverAlert.alert-warning, #siteAlert.alert-warning, #telegramSettingsAlert.alert-warning, #alertRuleAlert.alert-warning, #notificationChannelAlert.alert-warning, #maintenanceAlert.alert-warning { color: #664d03; background-color: rgba(255, 243, 205, 0.95) !important; border-color: rgba(255, 238, 186, 0.95) !important; }
+
+[data-bs-theme="dark"] {
+    body { background-color: #121212; color: #e0e0e0; }
+    .card { background-color: #1e1e1e; border: 1px solid #333; color: #e0e0e0; }
+    .card-header { background-color: #2a2a2a; border-bottom: 1px solid #333; color: #f5f5f5; }
+    .table { color: #e0e0e0; }
+    .table th, .table td { border-color: #333; }
+    .table-striped > tbody > tr:nth-of-type(odd) > * { background-color: rgba(255, 255, 255, 0.05); color: #e0e0e0; }
+    .table-hover > tbody > tr:hover > * { background-color: rgba(255, 255, 255, 0.075); color: #f0f0f0; }
+    .modal-content { background-color: rgba(30, 30, 30, 0.9); color: #e0e0e0; }
+    .modal-header { border-bottom-color: #333; }
+    .modal-footer { border-top-color: #333; }
+    .form-control { background-color: #2a2a2a; color: #e0e0e0; border-color: #333; }
+    .form-control:focus { background-color: #2a2a2a; color: #e0e0e0; border-color: #555; box-shadow: 0 0 0 0.25rem rgba(100, 100, 100, 0.25); }
+    .btn-outline-secondary { color: #adb5bd; border-color: #6c757d; }
+    .btn-outline-secondary:hover { color: #fff; background-color: #6c757d; border-color: #6c757d; }
+    .navbar { background-color: #1e1e1e !important; }
+    .navbar-light .navbar-nav .nav-link { color: #ccc; }
+    .navbar-light .navbar-nav .nav-link:hover { color: #fff; }
+    .navbar-light .navbar-brand { color: #fff; }
+    .footer { background-color: #1e1e1e !important; color: #cccccc; }
+    a { color: #8ab4f8; }
+    a:hover { color: #a9c9fc; }
+    [data-bs-theme="dark"] #serverAlert.alert-success, [data-bs-theme="dark"] #siteAlert.alert-success, [data-bs-theme="dark"] #telegramSettingsAlert.alert-success, [data-bs-theme="dark"] #alertRuleAlert.alert-success, [data-bs-theme="dark"] #notificationChannelAlert.alert-success, [data-bs-theme="dark"] #maintenanceAlert.alert-success { color: #75b798; background-color: rgba(40, 167, 69, 0.85) !important; border-color: rgba(34, 139, 57, 0.85) !important; }
+    [data-bs-theme="dark"] #serverAlert.alert-danger, [data-bs-theme="dark"] #siteAlert.alert-danger, [data-bs-theme="dark"] #telegramSettingsAlert.alert-danger, [data-bs-theme="dark"] #alertRuleAlert.alert-danger, [data-bs-theme="dark"] #notificationChannelAlert.alert-danger, [data-bs-theme="dark"] #maintenanceAlert.alert-danger { color: #ea868f; background-color: rgba(220, 53, 69, 0.85) !important; border-color: rgba(187, 45, 59, 0.85) !important; }
+    [data-bs-theme="dark"] #serverAlert.alert-warning, [data-bs-theme="dark"] #siteAlert.alert-warning, [data-bs-theme="dark"] #telegramSettingsAlert.alert-warning, [data-bs-theme="dark"] #alertRuleAlert.alert-warning, [data-bs-theme="dark"] #notificationChannelAlert.alert-warning, [data-bs-theme="dark"] #maintenanceAlert.alert-warning { color: #ffd373; background-color: rgba(255, 193, 7, 0.85) !important; border-color: rgba(217, 164, 6, 0.85) !important; }
+}
+`;
+}
+
+function getMainJs() {
+  return `// main.js - 首页面的JavaScript逻辑
+
+// Global variables
+let vpsUpdateInterval = null;
+let siteUpdateInterval = null;
+let serverDataCache = {};
+const DEFAULT_VPS_REFRESH_INTERVAL_MS = 60000;
+const DEFAULT_SITE_REFRESH_INTERVAL_MS = 60000;
+let siteHistoryRange = '24h';
+let siteChartRange = '24h';
+let expandedSiteId = null;
+let siteResponseChart = null;
+
+// Function to fetch VPS refresh interval and start periodic VPS data updates
+async function initializeVpsDataUpdates() {
+    let vpsRefreshIntervalMs = DEFAULT_VPS_REFRESH_INTERVAL_MS;
+    try {
+        const response = await fetch('/api/settings/vps-report-interval');
+        if (response.ok) {
+            const data = await response.json();
+            if (data && typeof data.interval === 'number' && data.interval > 0) {
+                vpsRefreshIntervalMs = data.interval * 1000;
+                console.log(\`Using backend-defined VPS refresh interval: \${data.interval}s\`);
+            } else {
+                console.warn('Invalid VPS interval from backend, using default.');
+            }
+        } else {
+            console.warn('Failed to fetch VPS refresh interval from backend, using default.');
+        }
+    } catch (error) {
+        console.error('Error fetching VPS refresh interval, using default:', error);
+    }
+
+    if (vpsUpdateInterval) {
+        clearInterval(vpsUpdateInterval);
+    }
+
+    vpsUpdateInterval = setInterval(() => {
+        loadAllServerStatuses();
+    }, vpsRefreshIntervalMs);
+    console.log(\`VPS data will refresh every \${vpsRefreshIntervalMs / 1000} seconds.\`);
+}
+
+// Function to start periodic site status updates
+function initializeSiteDataUpdates() {
+    const siteRefreshIntervalMs = DEFAULT_SITE_REFRESH_INTERVAL_MS;
+    if (siteUpdateInterval) {
+        clearInterval(siteUpdateInterval);
+    }
+    siteUpdateInterval = setInterval(() => {
+        loadAllSiteStatuses();
+    }, siteRefreshIntervalMs);
+    console.log(\`Site status data will refresh every \${siteRefreshIntervalMs / 1000} seconds.\`);
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeTheme();
+    loadAllServerStatuses();
+    loadAllSiteStatuses();
+    initializeVpsDataUpdates();
+    initializeSiteDataUpdates();
+    document.getElementById('serverTableBody').addEventListener('click', handleRowClick);
+    document.getElementById('siteHistoryRangeSelector').addEventListener('click', handleSiteHistoryRangeClick);
+    document.getElementById('siteStatusTableBody').addEventListener('click', handleSiteRowClick);
+    updateAdminLink();
+});
+
+// --- Theme Management ---
+const THEME_KEY = 'themePreference';
+const LIGHT_THEME = 'light';
+const DARK_THEME = 'dark';
+function initializeTheme() {
+    const themeToggler = document.getElementById('themeToggler');
+    if (!themeToggler) return;
+    const storedTheme = localStorage.getItem(THEME_KEY) || LIGHT_THEME;
+    applyTheme(storedTheme);
+    themeToggler.addEventListener('click', () => {
+        const currentTheme = document.documentElement.getAttribute('data-bs-theme');
+        const newTheme = currentTheme === DARK_THEME ? LIGHT_THEME : DARK_THEME;
+        applyTheme(newTheme);
+        localStorage.setItem(THEME_KEY, newTheme);
+    });
+}
+function applyTheme(theme) {
+    document.documentElement.setAttribute('data-bs-theme', theme);
+    const themeTogglerIcon = document.querySelector('#themeToggler i');
+    if (themeTogglerIcon) {
+        if (theme === DARK_THEME) {
+            themeTogglerIcon.classList.remove('bi-moon-stars-fill');
+            themeTogglerIcon.classList.add('bi-sun-fill');
+        } else {
+            themeTogglerIcon.classList.remove('bi-sun-fill');
+            themeTogglerIcon.classList.add('bi-moon-stars-fill');
+        }
+    }
+}
+// --- End Theme Management ---
+
+async function updateAdminLink() {
+    const adminLink = document.getElementById('adminAuthLink');
+    if (!adminLink) return;
+    try {
+        const token = localStorage.getItem('auth_token');
+        if (!token) {
+            adminLink.textContent = '管理员登录';
+            adminLink.href = '/login.html';
+            return;
+        }
+        const response = await fetch('/api/auth/status', {
+            headers: { 'Authorization': \`Bearer \${token}\` }
+        });
+        if (response.ok) {
+            const data = await response.json();
+            if (data.authenticated) {
+                adminLink.textContent = '管理后台';
+                adminLink.href = '/admin.html';
+            } else {
+                adminLink.textContent = '管理员登录';
+                adminLink.href = '/login.html';
+                localStorage.removeItem('auth_token');
+            }
+        } else {
+            adminLink.textContent = '管理员登录';
+            adminLink.href = '/login.html';
+        }
+    } catch (error) {
+        console.error('Error checking auth status for navbar link:', error);
+        adminLink.textContent = '管理员登录';
+        adminLink.href = '/login.html';
+    }
+}
+
+function handleRowClick(event) {
+    if (event.target.closest('a')) return;
+    const clickedRow = event.target.closest('tr.server-row');
+    if (!clickedRow) return;
+    const serverId = clickedRow.getAttribute('data-server-id');
+    const detailsRow = clickedRow.nextElementSibling;
+    if (detailsRow && detailsRow.classList.contains('server-details-row')) {
+        detailsRow.classList.toggle('d-none');
+        if (!detailsRow.classList.contains('d-none')) {
+            populateDetailsRow(serverId, detailsRow);
+        }
+    }
+}
+
+function populateDetailsRow(serverId, detailsRow) {
+    const serverData = serverDataCache[serverId];
+    const detailsContentDiv = detailsRow.querySelector('.server-details-content');
+    if (!serverData || !serverData.metrics || !detailsContentDiv) {
+        detailsContentDiv.innerHTML = '<p class="text-muted">无详细数据</p>';
+        return;
+    }
+    const metrics = serverData.metrics;
+    let detailsHtml = '';
+    if (metrics.cpu && metrics.cpu.load_avg) {
+        detailsHtml += \`
+            <div class="detail-item">
+                <strong>CPU负载 (1m, 5m, 15m):</strong> \${metrics.cpu.load_avg.join(', ')}
+            </div>
+        \`;
+    }
+    if (metrics.memory) {
+        detailsHtml += \`
+            <div class="detail-item">
+                <strong>内存:</strong>
+                总计: \${formatDataSize(metrics.memory.total * 1024)}<br>
+                已用: \${formatDataSize(metrics.memory.used * 1024)}<br>
+                空闲: \${formatDataSize(metrics.memory.free * 1024)}
+            </div>
+        \`;
+    }
+    if (metrics.disk) {
+         detailsHtml += \`
+            <div class="detail-item">
+                <strong>硬盘 (/):</strong>
+                总计: \${metrics.disk.total.toFixed(2)} GB<br>
+                已用: \${metrics.disk.used.toFixed(2)} GB<br>
+                空闲: \${metrics.disk.free.toFixed(2)} GB
+            </div>
+        \`;
+    }
+    if (metrics.network) {
+        detailsHtml += \`
+            <div class="detail-item">
+                <strong>总流量:</strong>
+                上传: \${formatDataSize(metrics.network.total_upload)}<br>
+                下载: \${formatDataSize(metrics.network.total_download)}
+            </div>
+        \`;
+    }
+    detailsHtml += \`
+        <div class="detail-item">
+            <strong>历史数据:</strong>
+            <a href="/server/\${encodeURIComponent(serverId)}"><i class="bi bi-graph-up"></i> 查看历史图表</a>
+        </div>
+    \`;
+    detailsContentDiv.innerHTML = detailsHtml;
+}
+
+
+async function loadAllServerStatuses() {
+    try {
+        const serversResponse = await fetch('/api/servers');
+        if (!serversResponse.ok) {
+            throw new Error('Failed to get server list');
+        }
+        const serversData = await serversResponse.json();
+        const servers = serversData.servers || [];
+        const noServersAlert = document.getElementById('noServers');
+        const serverTableBody = document.getElementById('serverTableBody');
+
+        if (servers.length === 0) {
+            noServersAlert.classList.remove('d-none');
+            serverTableBody.innerHTML = '<tr><td colspan="12" class="text-center">No server data available. Please log in to the admin panel to add servers.</td></tr>';
+            removeAllDetailRows();
+            return;
+        } else {
+            noServersAlert.classList.add('d-none');
+        }
+
+        const statusPromises = servers.map(server =>
+            fetch(\`/api/status/\${server.id}\`)
+                .then(res => res.ok ? res.json() : Promise.resolve({ server: server, metrics: null, error: true }))
+                .catch(() => Promise.resolve({ server: server, metrics: null, error: true }))
+        );
+
+        const allStatuses = await Promise.all(statusPromises);
+        allStatuses.forEach(data => {
+             serverDataCache[data.server.id] = data;
+        });
+        renderServerTable(allStatuses);
+    } catch (error) {
+        console.error('Error loading server statuses:', error);
+        const serverTableBody = document.getElementById('serverTableBody');
+        serverTableBody.innerHTML = '<tr><td colspan="12" class="text-center text-danger">Failed to load server data. Please refresh the page.</td></tr>';
+         removeAllDetailRows();
+    }
+}
+
+function removeAllDetailRows() {
+    document.querySelectorAll('.server-details-row').forEach(row => row.remove());
+}
+
+
+function getProgressBarHtml(percentage) {
+    if (typeof percentage !== 'number' || isNaN(percentage)) return '-';
+    const percent = Math.max(0, Math.min(100, percentage));
+    let bgColorClass = 'bg-light-green';
+    if (percent >= 80) {
+        bgColorClass = 'bg-danger';
+    } else if (percent >= 50) {
+        bgColorClass = 'bg-warning';
+    }
+
+    return \`
+        <div class="progress" style="height: 25px; font-size: 0.8em; position: relative; background-color: #e9ecef;">
+            <div class="progress-bar \${bgColorClass}" role="progressbar" style="width: \${percent}%;"
+                aria-valuenow="\${percent}" aria-valuemin="0" aria-valuemax="100"></div>
+            <span style="position: absolute; width: 100%; text-align: center; line-height: 25px; font-weight: bold;">
+                \${percent.toFixed(1)}%
+            </span>
+        </div>
+    \`;
+}
+
+
+function renderServerTable(allStatuses) {
+    const tableBody = document.getElementById('serverTableBody');
+    const detailsTemplate = document.getElementById('serverDetailsTemplate');
+
+    const expandedServerIds = new Set();
+    tableBody.querySelectorAll('tr.server-row').forEach(mainRow => {
+        const detailRow = mainRow.nextElementSibling;
+        if (detailRow && detailRow.classList.contains('server-details-row') && !detailRow.classList.contains('d-none')) {
+            const serverId = mainRow.getAttribute('data-server-id');
+            if (serverId) {
+                expandedServerIds.add(serverId);
+            }
+        }
+    });
+
+    tableBody.innerHTML = '';
+
+    allStatuses.forEach(data => {
+        const serverId = data.server.id;
+        const serverName = data.server.name;
+        const metrics = data.metrics;
+        const hasError = data.error;
+
+        let statusBadge = '<span class="badge bg-secondary">未知</span>';
+        let cpuHtml = '-';
+        let memoryHtml = '-';
+        let diskHtml = '-';
+        let uploadSpeed = '-';
+        let downloadSpeed = '-';
+        let totalUpload = '-';
+        let totalDownload = '-';
+        let uptime = '-';
+        let lastUpdate = '-';
+        let pingHtml = '-'; // 新增
+
+        if (hasError) {
+            statusBadge = '<span class="badge bg-warning text-dark">错误</span>';
+        } else if (metrics) {
+            const now = new Date();
+            const lastReportTime = new Date(metrics.timestamp * 1000);
+            const diffSeconds = (now - lastReportTime) / 1000;
+
+            if (data.maintenance) {
+                statusBadge = '<span class="badge bg-info text-dark">维护中</span>';
+            } else if (diffSeconds <= (data.stale_threshold_seconds || 5 * 60)) {
+                statusBadge = '<span class="badge bg-success">在线</span>';
+            } else {
+                statusBadge = '<span class="badge bg-danger">离线</span>';
+            }
+
+            cpuHtml = getProgressBarHtml(metrics.cpu.usage_percent);
+            memoryHtml = getProgressBarHtml(metrics.memory.usage_percent);
+            diskHtml = getProgressBarHtml(metrics.disk.usage_percent);
+            uploadSpeed = formatNetworkSpeed(metrics.network.upload_speed);
+            downloadSpeed = formatNetworkSpeed(metrics.network.download_speed);
+            totalUpload = formatDataSize(metrics.network.total_upload);
+            totalDownload = formatDataSize(metrics.network.total_download);
+            uptime = metrics.uptime ? formatUptime(metrics.uptime) : '-';
+            lastUpdate = lastReportTime.toLocaleString();
+
+            // 渲染丢包率
+             if (metrics.ping) {
+                const getLossClass = (loss) => {
+                    if (loss === undefined || loss === null) return 'text-muted';
+                    if (loss == 0) return 'text-success';
+                    if (loss < 10) return 'text-warning';
+                    return 'text-danger';
+                };
+                const cu = metrics.ping.cu !== undefined ? metrics.ping.cu + '%' : '-';
+                const ct = metrics.ping.ct !== undefined ? metrics.ping.ct + '%' : '-';
+                const cm = metrics.ping.cm !== undefined ? metrics.ping.cm + '%' : '-';
+                
+                pingHtml = \`
+                    <span class="\${getLossClass(metrics.ping.cu)}" title="联通">\${cu}</span> | 
+                    <span class="\${getLossClass(metrics.ping.ct)}" title="电信">\${ct}</span> | 
+                    <span class="\${getLossClass(metrics.ping.cm)}" title="移动">\${cm}</span>
+                \`;
+            }
+        }
+
+        const mainRow = document.createElement('tr');
+        mainRow.classList.add('server-row');
+        mainRow.setAttribute('data-server-id', serverId);
+        mainRow.innerHTML = \`
+            <td><a href="/server/\${encodeURIComponent(serverId)}" title="查看历史图表">\${serverName}</a></td>
+            <td>\${statusBadge}</td>
+            <td>\${cpuHtml}</td>
+            <td>\${memoryHtml}</td>
+            <td>\${diskHtml}</td>
+            <td class="text-center">\${pingHtml}</td>
+            <td><span style="color: #000;">\${uploadSpeed}</span></td>
+            <td><span style="color: #000;">\${downloadSpeed}</span></td>
+            <td><span style="color: #000;">\${totalUpload}</span></td>
+            <td><span style="color: #000;">\${totalDownload}</span></td>
+            <td><span style="color: #000;">\${uptime}</span></td>
+            <td><span style="color: #000;">\${lastUpdate}</span></td>
+        \`;
+        
+        const detailsRowElement = detailsTemplate.content.cloneNode(true).querySelector('tr');
+        tableBody.appendChild(mainRow);
+        tableBody.appendChild(detailsRowElement);
+
+        if (expandedServerIds.has(serverId)) {
+            detailsRowElement.classList.remove('d-none');
+            populateDetailsRow(serverId, detailsRowElement);
+        }
+    });
+}
+
+
+function formatNetworkSpeed(bytesPerSecond) {
+    if (typeof bytesPerSecond !== 'number' || isNaN(bytesPerSecond)) return '-';
+    if (bytesPerSecond < 1024) {
+        return \`\${bytesPerSecond.toFixed(1)} B/s\`;
+    } else if (bytesPerSecond < 1024 * 1024) {
+        return \`\${(bytesPerSecond / 1024).toFixed(1)} KB/s\`;
+    } else if (bytesPerSecond < 1024 * 1024 * 1024) {
+        return \`\${(bytesPerSecond / (1024 * 1024)).toFixed(1)} MB/s\`;
+    } else {
+        return \`\${(bytesPerSecond / (1024 * 1024 * 1024)).toFixed(1)} GB/s\`;
+    }
+}
+
+function formatDataSize(bytes) {
+    if (typeof bytes !== 'number' || isNaN(bytes)) return '-';
+    if (bytes < 1024) {
+        return \`\${bytes.toFixed(1)} B\`;
+    } else if (bytes < 1024 * 1024) {
+        return \`\${(bytes / 1024).toFixed(1)} KB\`;
+    } else if (bytes < 1024 * 1024 * 1024) {
+        return \`\${(bytes / (1024 * 1024)).toFixed(1)} MB\`;
+    } else if (bytes < 1024 * 1024 * 1024 * 1024) {
+        return \`\${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB\`;
+    } else {
+        return \`\${(bytes / (1024 * 1024 * 1024 * 1024)).toFixed(1)} TB\`;
+    }
+}
+
+function formatUptime(totalSeconds) {
+    if (typeof totalSeconds !== 'number' || isNaN(totalSeconds) || totalSeconds < 0) {
+        return '-';
+    }
+    const days = Math.floor(totalSeconds / (3600 * 24));
+    totalSeconds %= (3600 * 24);
+    const hours = Math.floor(totalSeconds / 3600);
+    totalSeconds %= 3600;
+    const minutes = Math.floor(totalSeconds / 60);
+
+    let uptimeString = '';
+    if (days > 0) {
+        uptimeString += \`\${days}天 \`;
+    }
+    if (hours > 0) {
+        uptimeString += \`\${hours}小时 \`;
+    }
+    if (minutes > 0 || (days === 0 && hours === 0)) {
+        uptimeString += \`\${minutes}分钟\`;
+    }
+    return uptimeString.trim() || '0分钟';
+}
+
+
+// --- Website Status Functions ---
+
+async function loadAllSiteStatuses() {
+    try {
+        const response = await fetch('/api/sites/status');
+        if (!response.ok) {
+            throw new Error('Failed to get website status list');
+        }
+        const data = await response.json();
+        const sites = data.sites || [];
+        const noSitesAlert = document.getElementById('noSites');
+        const siteStatusTableBody = document.getElementById('siteStatusTableBody');
+
+        if (sites.length === 0) {
+            noSitesAlert.classList.remove('d-none');
+            siteStatusTableBody.innerHTML = '<tr><td colspan="7" class="text-center">No websites are being monitored.</td></tr>';
+            return;
+        } else {
+            noSitesAlert.classList.add('d-none');
+        }
+        renderSiteStatusTable(sites);
+    } catch (error) {
+        console.error('Error loading website statuses:', error);
+        const siteStatusTableBody = document.getElementById('siteStatusTableBody');
+        siteStatusTableBody.innerHTML = '<tr><td colspan="7" class="text-center text-danger">Failed to load website status data. Please refresh the page.</td></tr>';
+    }
+}
+
+async function renderSiteStatusTable(sites) {
+    const tableBody = document.getElementById('siteStatusTableBody');
+    if (siteResponseChart) {
+        siteResponseChart.destroy();
+        siteResponseChart = null;
+    }
+    tableBody.innerHTML = '';
+
+    for (const site of sites) {
+        const row = document.createElement('tr');
+        row.className = 'site-row';
+        row.setAttribute('data-site-id', site.id);
+        const statusInfo = site.maintenance ? { class: 'bg-info text-dark', text: '维护中' } : getSiteStatusBadge(site.last_status);
+        const lastCheckTime = site.last_checked ? new Date(site.last_checked * 1000).toLocaleString() : '从未';
+        const responseTime = site.last_response_time_ms !== null ? \`\${site.last_response_time_ms} ms\` : '-';
+
+        const historyCell = document.createElement('td');
+        historyCell.innerHTML = \`
+            <div class="history-bar-container\${siteHistoryRange === '90d' ? ' history-bar-daily' : ''}"></div>
+            <div class="site-uptime small text-muted"></div>
+        \`;
+
+        row.innerHTML = \`
+            <td>\${site.name || '-'}</td>
+            <td><span class="badge \${statusInfo.class}">\${statusInfo.text}</span>\${getSiteLocationsHtml(site)}</td>
+            <td>\${site.last_status_code || '-'}</td>
+            <td>\${responseTime}</td>
+            <td>\${lastCheckTime}</td>
+        \`;
+        row.appendChild(historyCell);
+        const certCell = document.createElement('td');
+        certCell.innerHTML = getCertificateBadgeHtml(site);
+        row.appendChild(certCell);
+        tableBody.appendChild(row);
+
+        const detailsRow = document.createElement('tr');
+        detailsRow.className = \`server-details-row site-details-row\${site.id === expandedSiteId ? '' : ' d-none'}\`;
+        detailsRow.innerHTML = \`
+            <td colspan="7">
+                <div class="d-flex justify-content-between align-items-center mb-2">
+                    <strong>响应时间</strong>
+                    <div class="btn-group btn-group-sm site-chart-range" role="group">
+                        \${Object.entries({ '24h': '24小时', '7d': '7天', '30d': '30天' }).map(([range, label]) =>
+                            \`<button type="button" class="btn btn-outline-primary\${range === siteChartRange ? ' active' : ''}" data-range="\${range}">\${label}</button>\`).join('')}
+                    </div>
+                </div>
+                <div class="chart-container"><canvas></canvas></div>
+            </td>
+        \`;
+        tableBody.appendChild(detailsRow);
+        if (site.id === expandedSiteId) {
+            loadSiteResponseChart(site.id, detailsRow.querySelector('canvas'));
+        }
+        if (siteHistoryRange === '24h') {
+            fetchAndRenderSiteHistory(site.id, historyCell.querySelector('.history-bar-container'));
+        }
+        fetchAndRenderSiteUptime(site.id, historyCell);
+    }
+}
+
+// 点击网站行展开/收起响应时间图表，同一时间只展开一个
+function handleSiteRowClick(event) {
+    const rangeButton = event.target.closest('.site-chart-range button[data-range]');
+    if (rangeButton) {
+        siteChartRange = rangeButton.getAttribute('data-range');
+        rangeButton.parentElement.querySelectorAll('button').forEach(btn => btn.classList.toggle('active', btn === rangeButton));
+        loadSiteResponseChart(expandedSiteId, rangeButton.closest('td').querySelector('canvas'));
+        return;
+    }
+    const clickedRow = event.target.closest('tr.site-row');
+    if (!clickedRow) return;
+    const siteId = clickedRow.getAttribute('data-site-id');
+    const detailsRow = clickedRow.nextElementSibling;
+    const isOpening = detailsRow.classList.contains('d-none');
+    document.querySelectorAll('#siteStatusTableBody .site-details-row').forEach(row => row.classList.add('d-none'));
+    if (siteResponseChart) {
+        siteResponseChart.destroy();
+        siteResponseChart = null;
+    }
+    expandedSiteId = isOpening ? siteId : null;
+    if (isOpening) {
+        detailsRow.classList.remove('d-none');
+        loadSiteResponseChart(siteId, detailsRow.querySelector('canvas'));
+    }
+}
+
+async function loadSiteResponseChart(siteId, canvas) {
+    try {
+        const response = await fetch(\`/api/sites/\${siteId}/response-times?range=\${siteChartRange}\`);
+        if (!response.ok) {
+            console.warn(\`Failed to fetch response times for site \${siteId}\`);
+            return;
+        }
+        const data = await response.json();
+        if (siteId !== expandedSiteId || !canvas.isConnected) {
+            return;
+        }
+        if (siteResponseChart) {
+            siteResponseChart.destroy();
+        }
+        siteResponseChart = createSiteResponseChart(canvas, data);
+    } catch (error) {
+        console.error(\`Error fetching/rendering response times for site \${siteId}:\`, error);
+    }
+}
+
+function formatSiteChartLabel(timestamp, step) {
+    const date = new Date(timestamp * 1000);
+    const time = \`\${String(date.getHours()).padStart(2, '0')}:\${String(date.getMinutes()).padStart(2, '0')}\`;
+    return step >= 3600 ? \`\${date.getMonth() + 1}/\${date.getDate()} \${time}\` : time;
+}
+
+// 绘制网站响应时间图表 (平均值、P95，设置了阈值时同时绘制阈值线)
+function createSiteResponseChart(canvas, data) {
+    const points = data.points || [];
+    const datasets = [
+        { label: '平均', data: points.map(point => point.avg_response_ms), color: '#0d6efd' },
+        { label: 'P95', data: points.map(point => point.p95_response_ms), color: '#fd7e14', dashed: true }
+    ];
+    if (data.degraded_threshold_ms) {
+        datasets.push({ label: '缓慢阈值', data: points.map(() => data.degraded_threshold_ms), color: '#dc3545', dashed: true });
+    }
+    return new Chart(canvas, {
+        type: 'line',
+        data: {
+            labels: points.map(point => formatSiteChartLabel(point.timestamp, data.step)),
+            datasets: datasets.map(ds => ({
+                label: ds.label,
+                data: ds.data,
+                borderColor: ds.color,
+                backgroundColor: ds.color,
+                borderDash: ds.dashed ? [4, 4] : [],
+                borderWidth: 1.5,
+                pointRadius: 0,
+                tension: 0.2
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: { mode: 'index', intersect: false },
+            scales: {
+                x: { ticks: { maxTicksLimit: 8, autoSkip: true } },
+                y: { beginAtZero: true, ticks: { callback: (value) => \`\${value} ms\` } }
+            },
+            plugins: {
+                tooltip: { callbacks: { label: (item) => \`\${item.dataset.label}: \${item.parsed.y} ms\` } }
+            }
+        }
+    });
+}
+
+function handleSiteHistoryRangeClick(event) {
+    const button = event.target.closest('button[data-range]');
+    if (!button) return;
+    document.querySelectorAll('#siteHistoryRangeSelector button').forEach(btn => btn.classList.remove('active'));
+    button.classList.add('active');
+    siteHistoryRange = button.getAttribute('data-range');
+    document.getElementById('siteHistoryHeader').textContent = siteHistoryRange === '90d' ? '90天记录' : '24h记录';
+    loadAllSiteStatuses();
+}
+
+function formatUptimePercent(value) {
+    return value === null || value === undefined ? '-' : \`\${value}%\`;
+}
+
+// 可用率摘要，90天视图时同时绘制每日色块 (最右为今天，按 UTC 日统计)
+async function fetchAndRenderSiteUptime(siteId, historyCell) {
+    const uptimeElement = historyCell.querySelector('.site-uptime');
+    try {
+        const response = await fetch(\`/api/sites/\${siteId}/uptime\`);
+        if (!response.ok) {
+            console.warn(\`Failed to fetch uptime for site \${siteId}\`);
+            return;
+        }
+        const data = await response.json();
+        const uptime = data.uptime || {};
+        uptimeElement.textContent = \`24h \${formatUptimePercent(uptime['24h'])} · 7天 \${formatUptimePercent(uptime['7d'])} · 30天 \${formatUptimePercent(uptime['30d'])} · 90天 \${formatUptimePercent(uptime['90d'])}\`;
+        if (siteHistoryRange !== '90d') {
+            return;
+        }
+
+        const dailyByDay = new Map((data.daily || []).map(row => [row.day, row]));
+        const today = Math.floor(Date.now() / 1000 / 86400) * 86400;
+        let historyHtml = '';
+        for (let i = 0; i < 90; i++) {
+            const day = today - i * 86400;
+            const dateText = new Date(day * 1000).toISOString().slice(0, 10);
+            const record = dailyByDay.get(day);
+            let barClass = 'history-bar-pending';
+            let titleText = \`\${dateText}: No record\`;
+            if (record && record.uptime !== null) {
+                if (record.down_checks === 0) {
+                    barClass = 'history-bar-up';
+                } else {
+                    barClass = record.uptime >= 95 ? 'history-bar-partial' : 'history-bar-down';
+                }
+                titleText = \`\${dateText}: \${record.uptime}% (UP \${record.up_checks}, DOWN \${record.down_checks})\`;
+            }
+            historyHtml += \`<div class="history-bar \${barClass}" title="\${titleText}"></div>\`;
+        }
+        historyCell.querySelector('.history-bar-container').innerHTML = historyHtml;
+    } catch (error) {
+        console.error(\`Error fetching/rendering uptime for site \${siteId}:\`, error);
+    }
+}
+
+async function fetchAndRenderSiteHistory(siteId, containerElement) {
+    try {
+        const response = await fetch(\`/api/sites/\${siteId}/history\`);
+        if (!response.ok) {
+            console.warn(\`Failed to fetch history for site \${siteId}\`);
+            containerElement.innerHTML = '<small class="text-muted">Error fetching</small>';
+            return;
+        }
+        const data = await response.json();
+        const fetchedHistory = data.history || [];
+
+        let historyHtml = '';
+        const now = new Date();
+        
+        for (let i = 0; i < 24; i++) {
+            const slotTime = new Date(now);
+            slotTime.setHours(now.getHours() - i);
+
+            const slotStart = new Date(slotTime);
+            slotStart.setMinutes(0, 0, 0);
+
+            const slotEnd = new Date(slotTime);
+            slotEnd.setMinutes(59, 59, 999);
+
+            const slotStartTimestamp = Math.floor(slotStart.getTime() / 1000);
+            const slotEndTimestamp = Math.floor(slotEnd.getTime() / 1000);
+
+            const recordForHour = fetchedHistory.find(
+                r => r.timestamp >= slotStartTimestamp && r.timestamp <= slotEndTimestamp
+            );
+            let barClass = 'history-bar-pending';
+            let titleText = \`\${String(slotStart.getHours()).padStart(2, '0')}:00 - \${String((slotStart.getHours() + 1) % 24).padStart(2, '0')}:00: No record\`;
+            if (recordForHour) {
+                if (recordForHour.status === 'UP') {
+                    barClass = 'history-bar-up';
+                } else if (recordForHour.status === 'DEGRADED') {
+                    barClass = 'history-bar-partial';
+                } else if (['DOWN', 'TIMEOUT', 'ERROR', 'ASSERTION_FAILED'].includes(recordForHour.status)) {
+                    barClass = 'history-bar-down';
+                }
+                const recordDate = new Date(recordForHour.timestamp * 1000);
+                titleText = \`\${recordDate.toLocaleString()}: \${recordForHour.status} (\${recordForHour.status_code || 'N/A'}), \${recordForHour.response_time_ms || '-'}\`;
+                if (recordForHour.detail) {
+                    titleText += \` - \${recordForHour.detail.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;')}\`;
+                }
+            }
+            historyHtml += \`<div class="history-bar \${barClass}" title="\${titleText}"></div>\`;
+        }
+        
+        if (!historyHtml) {
+             containerElement.innerHTML = '<small class="text-muted">No records for last 24h</small>';
+        } else {
+             containerElement.innerHTML = historyHtml;
+        }
+
+    } catch (error) {
+        console.error(\`Error fetching/rendering history for site \${siteId}:\`, error);
+        containerElement.innerHTML = '<small class="text-muted">Error rendering</small>';
+    }
+}
+
+function getSiteLocationsHtml(site) {
+    if (!site.locations || site.locations.length === 0) {
+        return '';
+    }
+    return '<div class="mt-1">' + site.locations.map(location => {
+        const info = getSiteStatusBadge(location.status);
+        const checkedAt = new Date(location.checked_at * 1000).toLocaleString();
+        const title = \`\${location.name}: \${info.text} (\${checkedAt})\${location.detail ? ' - ' + location.detail : ''}\`.replace(/"/g, '&quot;');
+        return \`<span class="badge \${info.class} me-1" title="\${title}">\${location.name}</span>\`;
+    }).join('') + '</div>';
+}
+
+function getCertificateBadgeHtml(site) {
+    if (!site.cert_expires_at) {
+        return site.cert_error ? \`<span class="text-muted" title="\${site.cert_error.replace(/"/g, '&quot;')}">未知</span>\` : '-';
+    }
+    const daysLeft = Math.floor((site.cert_expires_at * 1000 - Date.now()) / 86400000);
+    const expiryText = new Date(site.cert_expires_at * 1000).toLocaleString();
+    if (daysLeft < 0) {
+        return \`<span class="badge bg-danger" title="\${expiryText}">已过期</span>\`;
+    }
+    const badgeClass = daysLeft <= 7 ? 'bg-danger' : (daysLeft <= 30 ? 'bg-warning text-dark' : 'bg-success');
+    return \`<span class="badge \${badgeClass}" title="\${expiryText}">\${daysLeft} 天</span>\`;
+}
+
+function getSiteStatusBadge(status) {
+    switch (status) {
+        case 'UP': return { class: 'bg-success', text: '正常' };
+        case 'DEGRADED': return { class: 'bg-orange text-dark', text: '响应缓慢' };
+        case 'DOWN': return { class: 'bg-danger', text: '故障' };
+        case 'TIMEOUT': return { class: 'bg-warning text-dark', text: '超时' };
+        case 'ERROR': return { class: 'bg-danger', text: '错误' };
+        case 'ASSERTION_FAILED': return { class: 'bg-danger', text: '内容异常' };
+        case 'PENDING': return { class: 'bg-secondary', text: '待检测' };
+        default: return { class: 'bg-secondary', text: '未知' };
+    }
+}
+`;
+}
+
+function getServerDetailJs() {
+  return `// server.js - 服务器详情页面的JavaScript逻辑
+
+const serverId = decodeURIComponent(window.location.pathname.split('/').pop());
+const DEFAULT_REFRESH_INTERVAL_MS = 60000;
+let currentRange = 3600;
+let refreshInterval = null;
+let reportIntervalSeconds = 60;
+const charts = {};
+
+document.addEventListener('DOMContentLoaded', async function() {
+    initializeTheme();
+    initializeCharts();
+    document.getElementById('rangeSelector').addEventListener('click', handleRangeClick);
+    await initializeDataUpdates();
+    loadServerStatus();
+    loadMetricsHistory();
+});
+
+// --- Theme Management ---
+const THEME_KEY = 'themePreference';
+const LIGHT_THEME = 'light';
+const DARK_THEME = 'dark';
+function initializeTheme() {
+    const themeToggler = document.getElementById('themeToggler');
+    if (!themeToggler) return;
+    const storedTheme = localStorage.getItem(THEME_KEY) || LIGHT_THEME;
+    applyTheme(storedTheme);
+    themeToggler.addEventListener('click', () => {
+        const currentTheme = document.documentElement.getAttribute('data-bs-theme');
+        const newTheme = currentTheme === DARK_THEME ? LIGHT_THEME : DARK_THEME;
+        applyTheme(newTheme);
+        localStorage.setItem(THEME_KEY, newTheme);
+    });
+}
+function applyTheme(theme) {
+    document.documentElement.setAttribute('data-bs-theme', theme);
+    const themeTogglerIcon = document.querySelector('#themeToggler i');
+    if (themeTogglerIcon) {
+        if (theme === DARK_THEME) {
+            themeTogglerIcon.classList.remove('bi-moon-stars-fill');
+            themeTogglerIcon.classList.add('bi-sun-fill');
+        } else {
+            themeTogglerIcon.classList.remove('bi-sun-fill');
+            themeTogglerIcon.classList.add('bi-moon-stars-fill');
+        }
+    }
+}
+// --- End Theme Management ---
+
+// 按后台配置的VPS上报间隔自动刷新
+async function initializeDataUpdates() {
+    let refreshIntervalMs = DEFAULT_REFRESH_INTERVAL_MS;
+    try {
+        const response = await fetch('/api/settings/vps-report-interval');
+        if (response.ok) {
+            const data = await response.json();
+            if (data && typeof data.interval === 'number' && data.interval > 0) {
+                reportIntervalSeconds = data.interval;
+                refreshIntervalMs = data.interval * 1000;
+            }
+        }
+    } catch (error) {
+        console.error('Error fetching VPS refresh interval, using default:', error);
+    }
+
+    if (refreshInterval) {
+        clearInterval(refreshInterval);
+    }
+    refreshInterval = setInterval(() => {
+        loadServerStatus();
+        loadMetricsHistory();
+    }, refreshIntervalMs);
+}
+
+function handleRangeClick(event) {
+    const button = event.target.closest('button[data-range]');
+    if (!button) return;
+    document.querySelectorAll('#rangeSelector button').forEach(btn => btn.classList.remove('active'));
+    button.classList.add('active');
+    currentRange = parseInt(button.getAttribute('data-range'), 10);
+    loadMetricsHistory();
+}
+
+function createLineChart(canvasId, datasets, options = {}) {
+    const ctx = document.getElementById(canvasId);
+    return new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: [],
+            datasets: datasets.map(ds => ({
+                label: ds.label,
+                data: [],
+                borderColor: ds.color,
+                backgroundColor: ds.color,
+                borderDash: ds.dashed ? [4, 4] : [],
+                borderWidth: 1.5,
+                pointRadius: 0,
+                tension: 0.2,
+                spanGaps: true
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: { mode: 'index', intersect: false },
+            scales: {
+                x: { ticks: { maxTicksLimit: 8, autoSkip: true } },
+                y: {
+                    beginAtZero: true,
+                    suggestedMax: options.percent ? 100 : undefined,
+                    ticks: options.formatTick ? { callback: options.formatTick } : {}
+                }
+            },
+            plugins: {
+                tooltip: options.formatTick ? {
+                    callbacks: { label: (item) => \`\${item.dataset.label}: \${options.formatTick(item.parsed.y)}\` }
+                } : {}
+            }
+        }
+    });
+}
+
+function initializeCharts() {
+    charts.cpu = createLineChart('cpuChart', [
+        { label: '平均', color: '#0d6efd' },
+        { label: '最大', color: '#dc3545', dashed: true }
+    ], { percent: true });
+    charts.memory = createLineChart('memoryChart', [
+        { label: '平均', color: '#198754' },
+        { label: '最大', color: '#dc3545', dashed: true }
+    ], { percent: true });
+    charts.disk = createLineChart('diskChart', [
+        { label: '平均', color: '#6f42c1' },
+        { label: '最大', color: '#dc3545', dashed: true }
+    ], { percent: true });
+    charts.network = createLineChart('networkChart', [
+        { label: '上传', color: '#fd7e14' },
+        { label: '下载', color: '#0dcaf0' }
+    ], { formatTick: formatNetworkSpeed });
+    charts.ping = createLineChart('pingChart', [
+        { label: '联通 (CU)', color: '#dc3545' },
+        { label: '电信 (CT)', color: '#0d6efd' },
+        { label: '移动 (CM)', color: '#198754' }
+    ], { percent: true });
+}
+
+function formatBucketLabel(timestamp) {
+    const date = new Date(timestamp * 1000);
+    if (currentRange <= 86400) {
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return date.toLocaleString([], { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+}
+
+function updateChart(chart, labels, seriesList) {
+    chart.data.labels = labels;
+    seriesList.forEach((series, index) => {
+        chart.data.datasets[index].data = series;
+    });
+    chart.update('none');
+}
+
+async function loadMetricsHistory() {
+    try {
+        const to = Math.floor(Date.now() / 1000);
+        const from = to - currentRange;
+        const response = await fetch(\`/api/servers/\${encodeURIComponent(serverId)}/metrics?from=\${from}&to=\${to}\`);
+        if (!response.ok) {
+            throw new Error('Failed to get metrics history');
+        }
+        const data = await response.json();
+        const points = data.points || [];
+        const labels = points.map(p => formatBucketLabel(p.timestamp));
+
+        updateChart(charts.cpu, labels, [points.map(p => p.cpu.avg), points.map(p => p.cpu.max)]);
+        updateChart(charts.memory, labels, [points.map(p => p.memory.avg), points.map(p => p.memory.max)]);
+        updateChart(charts.disk, labels, [points.map(p => p.disk.avg), points.map(p => p.disk.max)]);
+        updateChart(charts.network, labels, [points.map(p => p.upload_speed.avg), points.map(p => p.download_speed.avg)]);
+        updateChart(charts.ping, labels, [points.map(p => p.ping.cu.avg), points.map(p => p.ping.ct.avg), points.map(p => p.ping.cm.avg)]);
+        document.getElementById('lastRefreshed').textContent = \`最后刷新: \${new Date().toLocaleString()}\`;
+    } catch (error) {
+        console.error('Error loading metrics history:', error);
+    }
+}
+
+async function loadServerStatus() {
+    try {
+        const response = await fetch(\`/api/status/\${encodeURIComponent(serverId)}\`);
+        if (response.status === 404) {
+            document.getElementById('serverNotFound').classList.remove('d-none');
+            document.getElementById('serverName').textContent = serverId;
+            return;
+        }
+        if (!response.ok) {
+            throw new Error('Failed to get server status');
+        }
+        const data = await response.json();
+        document.getElementById('serverName').textContent = data.server.name;
+        document.getElementById('serverDescription').textContent = data.server.description || '';
+        document.title = \`\${data.server.name} - Uptime Status\`;
+        renderSummary(data.metrics, data.maintenance, data.stale_threshold_seconds);
+    } catch (error) {
+        console.error('Error loading server status:', error);
+    }
+}
 
-    <footer class="footer mt-5 py-3 bg-light">
-        <div class="container text-center">
-            <span class="text-muted">&copy; Uptime Status</span>
+function renderSummary(metrics, maintenance, staleThresholdSeconds) {
+    const statusBadge = document.getElementById('serverStatusBadge');
+    const summary = document.getElementById('serverSummary');
+    if (!metrics) {
+        statusBadge.className = 'badge bg-secondary';
+        statusBadge.textContent = '未知';
+        summary.innerHTML = '<div class="col-12"><p class="text-muted">暂无监控数据</p></div>';
+        return;
+    }
+
+    const lastReportTime = new Date(metrics.timestamp * 1000);
+    const isOnline = (Date.now() - lastReportTime) / 1000 <= (staleThresholdSeconds || Math.max(5 * 60, reportIntervalSeconds * 3));
+    statusBadge.className = isOnline ? 'badge bg-success' : 'badge bg-danger';
+    statusBadge.textContent = isOnline ? '在线' : '离线';
+    if (maintenance) {
+        statusBadge.className = 'badge bg-info text-dark';
+        statusBadge.textContent = '维护中';
+    }
+
+    const items = [
+        ['CPU', metrics.cpu && typeof metrics.cpu.usage_percent === 'number' ? \`\${metrics.cpu.usage_percent.toFixed(1)}%\` : '-'],
+        ['内存', metrics.memory && typeof metrics.memory.usage_percent === 'number' ? \`\${metrics.memory.usage_percent.toFixed(1)}%\` : '-'],
+        ['硬盘', metrics.disk && typeof metrics.disk.usage_percent === 'number' ? \`\${metrics.disk.usage_percent.toFixed(1)}%\` : '-'],
+        ['上传 / 下载', metrics.network ? \`\${formatNetworkSpeed(metrics.network.upload_speed)} / \${formatNetworkSpeed(metrics.network.download_speed)}\` : '-'],
+        ['运行时长', formatUptime(metrics.uptime)],
+        ['最后更新', lastReportTime.toLocaleString()]
+    ];
+    summary.innerHTML = items.map(([label, value]) => \`
+        <div class="col-6 col-md-4 col-lg-2">
+            <div class="summary-item"><strong>\${label}</strong>\${value}</div>
         </div>
-    </footer>
+    \`).join('');
+}
 
-    <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/js/bootstrap.bundle.min.js"></script>
-    <script src="/js/admin.js"></script>
-</body>
-</html>`;
+function formatNetworkSpeed(bytesPerSecond) {
+    if (typeof bytesPerSecond !== 'number' || isNaN(bytesPerSecond)) return '-';
+    if (bytesPerSecond < 1024) {
+        return \`\${bytesPerSecond.toFixed(1)} B/s\`;
+    } else if (bytesPerSecond < 1024 * 1024) {
+        return \`\${(bytesPerSecond / 1024).toFixed(1)} KB/s\`;
+    } else if (bytesPerSecond < 1024 * 1024 * 1024) {
+        return \`\${(bytesPerSecond / (1024 * 1024)).toFixed(1)} MB/s\`;
+    } else {
+        return \`\${(bytesPerSecond / (1024 * 1024 * 1024)).toFixed(1)} GB/s\`;
+    }
 }
 
-function getStyleCss() {
-  return `/* 全局样式 */
-body { min-height: 100vh; display: flex; flex-direction: column; }
-.footer { margin-top: auto; }
-.chart-container { position: relative; height: 200px; width: 100%; }
-.card { box-shadow: 0 0.125rem 0.25rem rgba(0, 0, 0, 0.075); margin-bottom: 1.5rem; }
-.card-header { background-color: rgba(0, 0, 0, 0.03); border-bottom: 1px solid rgba(0, 0, 0, 0.125); }
-.progress { height: 0.75rem; }
-.table th { font-weight: 600; }
-.modal-dialog { display: flex; align-items: center; min-height: calc(100% - 1rem); }
-.modal-content { background-color: rgba(255, 255, 255, 0.9); }
-@media (max-width: 768px) { .chart-container { height: 150px; } }
-.bg-light-green { background-color: #90ee90 !important; }
-#serverAlert, #siteAlert, #telegramSettingsAlert { position: fixed !important; top: 70px; left: 50%; transform: translateX(-50%); z-index: 1055; padding: 0.75rem 1.25rem; border: 1px solid transparent; border-radius: 0.25rem; min-width: 300px; max-width: 90%; text-align: center; box-shadow: 0 0.5rem 1rem rgba(0,0,0,0.15); }
-#serverAlert.d-none, #siteAlert.d-none, #telegramSettingsAlert.d-none { display: none !important; }
-#serverAlert.alert-success, #siteAlert.alert-success, #telegramSettingsAlert.alert-success { color: #0f5132; background-color: rgba(209, 231, 221, 0.95) !important; border-color: rgba(190, 221, 208, 0.95) !important; }
-#serverAlert.alert-danger, #siteAlert.alert-danger, #telegramSettingsAlert.alert-danger { color: #842029; background-color: rgba(248, 215, 218, 0.95) !important; border-color: rgba(245, 198, 203, 0.95) !important; }
-#serverAlert.alert-warning, #siteAlert.alert-warning, #telegramSettingsAlert.alert-warning { color: #664d03; background-color: rgba(255, 243, 205, 0.95) !important; border-color: rgba(255, 238, 186, 0.95) !important; }
+function formatUptime(totalSeconds) {
+    if (typeof totalSeconds !== 'number' || isNaN(totalSeconds) || totalSeconds < 0) {
+        return '-';
+    }
+    const days = Math.floor(totalSeconds / (3600 * 24));
+    totalSeconds %= (3600 * 24);
+    const hours = Math.floor(totalSeconds / 3600);
+    totalSeconds %= 3600;
+    const minutes = Math.floor(totalSeconds / 60);
 
-[data-bs-theme="dark"] {
-    body { background-color: #121212; color: #e0e0e0; }
-    .card { background-color: #1e1e1e; border: 1px solid #333; color: #e0e0e0; }
-    .card-header { background-color: #2a2a2a; border-bottom: 1px solid #333; color: #f5f5f5; }
-    .table { color: #e0e0e0; }
-    .table th, .table td { border-color: #333; }
-    .table-striped > tbody > tr:nth-of-type(odd) > * { background-color: rgba(255, 255, 255, 0.05); color: #e0e0e0; }
-    .table-hover > tbody > tr:hover > * { background-color: rgba(255, 255, 255, 0.075); color: #f0f0f0; }
-    .modal-content { background-color: rgba(30, 30, 30, 0.9); color: #e0e0e0; }
-    .modal-header { border-bottom-color: #333; }
-    .modal-footer { border-top-color: #333; }
-    .form-control { background-color: #2a2a2a; color: #e0e0e0; border-color: #333; }
-    .form-control:focus { background-color: #2a2a2a; color: #e0e0e0; border-color: #555; box-shadow: 0 0 0 0.25rem rgba(100, 100, 100, 0.25); }
-    .btn-outline-secondary { color: #adb5bd; border-color: #6c757d; }
-    .btn-outline-secondary:hover { color: #fff; background-color: #6c757d; border-color: #6c757d; }
-    .navbar { background-color: #1e1e1e !important; }
-    .navbar-light .navbar-nav .nav-link { color: #ccc; }
-    .navbar-light .navbar-nav .nav-link:hover { color: #fff; }
-    .navbar-light .navbar-brand { color: #fff; }
-    .footer { background-color: #1e1e1e !important; color: #cccccc; }
-    a { color: #8ab4f8; }
-    a:hover { color: #a9c9fc; }
-    [data-bs-theme="dark"] #serverAlert.alert-success, [data-bs-theme="dark"] #siteAlert.alert-success, [data-bs-theme="dark"] #telegramSettingsAlert.alert-success { color: #75b798; background-color: rgba(40, 167, 69, 0.85) !important; border-color: rgba(34, 139, 57, 0.85) !important; }
-    [data-bs-theme="dark"] #serverAlert.alert-danger, [data-bs-theme="dark"] #siteAlert.alert-danger, [data-bs-theme="dark"] #telegramSettingsAlert.alert-danger { color: #ea868f; background-color: rgba(220, 53, 69, 0.85) !important; border-color: rgba(187, 45, 59, 0.85) !important; }
-    [data-bs-theme="dark"] #serverAlert.alert-warning, [data-bs-theme="dark"] #siteAlert.alert-warning, [data-bs-theme="dark"] #telegramSettingsAlert.alert-warning { color: #ffd373; background-color: rgba(255, 193, 7, 0.85) !important; border-color: rgba(217, 164, 6, 0.85) !important; }
+    let uptimeString = '';
+    if (days > 0) {
+        uptimeString += \`\${days}天 \`;
+    }
+    if (hours > 0) {
+        uptimeString += \`\${hours}小时 \`;
+    }
+    if (minutes > 0 || (days === 0 && hours === 0)) {
+        uptimeString += \`\${minutes}分钟\`;
+    }
+    return uptimeString.trim() || '0分钟';
 }
 `;
 }
 
-function getMainJs() {
-  return `// main.js - 首页面的JavaScript逻辑
+function getLoginJs() {
+  return `// login.js - 登录页面的JavaScript逻辑
+// --- Theme Management ---
+const THEME_KEY = 'themePreference';
+const LIGHT_THEME = 'light';
+const DARK_THEME = 'dark';
+function initializeTheme() {
+    const themeToggler = document.getElementById('themeToggler');
+    if (!themeToggler) return;
+    const storedTheme = localStorage.getItem(THEME_KEY) || LIGHT_THEME;
+    applyTheme(storedTheme);
+    themeToggler.addEventListener('click', () => {
+        const currentTheme = document.documentElement.getAttribute('data-bs-theme');
+        const newTheme = currentTheme === DARK_THEME ? LIGHT_THEME : DARK_THEME;
+        applyTheme(newTheme);
+        localStorage.setItem(THEME_KEY, newTheme);
+    });
+}
+function applyTheme(theme) {
+    document.title = \`Admin Panel - Theme: \${theme.toUpperCase()}\`;
+    document.documentElement.setAttribute('data-bs-theme', theme);
+    const themeTogglerIcon = document.querySelector('#themeToggler i');
+    if (themeTogglerIcon) {
+        if (theme === DARK_THEME) {
+            themeTogglerIcon.classList.remove('bi-moon-stars-fill');
+            themeTogglerIcon.classList.add('bi-sun-fill');
+        } else {
+            themeTogglerIcon.classList.remove('bi-sun-fill');
+            themeTogglerIcon.classList.add('bi-moon-stars-fill');
+        }
+    }
+}
+// --- End Theme Management ---
 
-// Global variables
-let vpsUpdateInterval = null;
-let siteUpdateInterval = null;
-let serverDataCache = {};
-const DEFAULT_VPS_REFRESH_INTERVAL_MS = 60000;
-const DEFAULT_SITE_REFRESH_INTERVAL_MS = 60000;
+document.addEventListener('DOMContentLoaded', function() {
+    initializeTheme();
+    const loginForm = document.getElementById('loginForm');
+    const loginAlert = document.getElementById('loginAlert');
+    
+    loginForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        const username = document.getElementById('username').value.trim();
+        const password = document.getElementById('password').value.trim();
+        if (!username || !password) {
+            showLoginError('请输入用户名和密码');
+            return;
+        }
+        login(username, password);
+    });
+    checkLoginStatus();
+});
 
-// Function to fetch VPS refresh interval and start periodic VPS data updates
-async function initializeVpsDataUpdates() {
-    let vpsRefreshIntervalMs = DEFAULT_VPS_REFRESH_INTERVAL_MS;
+async function checkLoginStatus() {
     try {
-        const response = await fetch('/api/admin/settings/vps-report-interval');
+        const token = localStorage.getItem('auth_token');
+        if (!token) return;
+        const response = await fetch('/api/auth/status', {
+            headers: { 'Authorization': \`Bearer \${token}\` }
+        });
         if (response.ok) {
             const data = await response.json();
-            if (data && typeof data.interval === 'number' && data.interval > 0) {
-                vpsRefreshIntervalMs = data.interval * 1000;
-                console.log(\`Using backend-defined VPS refresh interval: \${data.interval}s\`);
-            } else {
-                console.warn('Invalid VPS interval from backend, using default.');
+            if (data.authenticated) {
+                window.location.href = 'admin.html';
             }
-        } else {
-            console.warn('Failed to fetch VPS refresh interval from backend, using default.');
         }
     } catch (error) {
-        console.error('Error fetching VPS refresh interval, using default:', error);
-    }
-
-    if (vpsUpdateInterval) {
-        clearInterval(vpsUpdateInterval);
+        console.error('检查登录状态错误:', error);
     }
-
-    vpsUpdateInterval = setInterval(() => {
-        loadAllServerStatuses();
-    }, vpsRefreshIntervalMs);
-    console.log(\`VPS data will refresh every \${vpsRefreshIntervalMs / 1000} seconds.\`);
 }
 
-// Function to start periodic site status updates
-function initializeSiteDataUpdates() {
-    const siteRefreshIntervalMs = DEFAULT_SITE_REFRESH_INTERVAL_MS;
-    if (siteUpdateInterval) {
-        clearInterval(siteUpdateInterval);
+async function login(username, password) {
+    try {
+        const submitBtn = loginForm.querySelector('button[type="submit"]');
+        const originalBtnText = submitBtn.innerHTML;
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> 登录中...';
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        submitBtn.disabled = false;
+        submitBtn.innerHTML = originalBtnText;
+        if (response.ok) {
+            const data = await response.json();
+            localStorage.setItem('auth_token', data.token);
+            window.location.href = 'admin.html';
+        } else {
+            const data = await response.json();
+            showLoginError(data.message || '用户名或密码错误');
+        }
+    } catch (error) {
+        console.error('登录错误:', error);
+        showLoginError('登录请求失败，请稍后重试');
     }
-    siteUpdateInterval = setInterval(() => {
-        loadAllSiteStatuses();
-    }, siteRefreshIntervalMs);
-    console.log(\`Site status data will refresh every \${siteRefreshIntervalMs / 1000} seconds.\`);
 }
 
-document.addEventListener('DOMContentLoaded', function() {
-    initializeTheme();
-    loadAllServerStatuses();
-    loadAllSiteStatuses();
-    initializeVpsDataUpdates();
-    initializeSiteDataUpdates();
-    document.getElementById('serverTableBody').addEventListener('click', handleRowClick);
-    updateAdminLink();
-});
+function showLoginError(message) {
+    const loginAlert = document.getElementById('loginAlert');
+    loginAlert.textContent = message;
+    loginAlert.classList.remove('d-none');
+    setTimeout(() => {
+        loginAlert.classList.add('d-none');
+    }, 5000);
+}`;
+}
 
+function getAdminJs() {
+  return `// admin.js - 管理后台的JavaScript逻辑
 // --- Theme Management ---
 const THEME_KEY = 'themePreference';
 const LIGHT_THEME = 'light';
@@ -2483,1126 +8329,1346 @@ function applyTheme(theme) {
 }
 // --- End Theme Management ---
 
-async function updateAdminLink() {
-    const adminLink = document.getElementById('adminAuthLink');
-    if (!adminLink) return;
+let currentServerId = null;
+let currentSiteId = null;
+let currentAlertRuleId = null;
+let currentMaintenanceId = null;
+let currentNotificationChannelId = null;
+let serverList = [];
+let siteList = [];
+let alertRuleList = [];
+let maintenanceWindowList = [];
+let notificationChannelList = [];
+let defaultNotificationRoute = null;
+let passwordChangeRequired = false;
+let siteChartSiteId = null;
+let siteChartRange = '24h';
+let siteResponseChart = null;
+
+document.addEventListener('DOMContentLoaded', async function() {
+    initializeTheme();
+    initEventListeners();
+    const authStatus = await checkLoginStatus();
+    if (!authStatus) return;
+    if (authStatus.must_change_password) {
+        requirePasswordChange();
+        return;
+    }
+    loadServerList();
+    loadSiteList();
+    loadAlertRules();
+    loadMaintenanceWindows();
+    loadTelegramSettings();
+    loadNotificationChannels();
+    loadGlobalSettings();
+});
+
+async function checkLoginStatus() {
     try {
         const token = localStorage.getItem('auth_token');
         if (!token) {
-            adminLink.textContent = '管理员登录';
-            adminLink.href = '/login.html';
-            return;
+            window.location.href = 'login.html';
+            return null;
         }
         const response = await fetch('/api/auth/status', {
-            headers: { 'Authorization': \`Bearer \${token}\` }
-        });
-        if (response.ok) {
-            const data = await response.json();
-            if (data.authenticated) {
-                adminLink.textContent = '管理后台';
-                adminLink.href = '/admin.html';
-            } else {
-                adminLink.textContent = '管理员登录';
-                adminLink.href = '/login.html';
-                localStorage.removeItem('auth_token');
+            headers: { 'Authorization': \`Bearer \${token}\` }
+        });
+        if (response.ok) {
+            const data = await response.json();
+            if (!data.authenticated) {
+                window.location.href = 'login.html';
+                return null;
             }
+            return data;
         } else {
-            adminLink.textContent = '管理员登录';
-            adminLink.href = '/login.html';
+            window.location.href = 'login.html';
         }
     } catch (error) {
-        console.error('Error checking auth status for navbar link:', error);
-        adminLink.textContent = '管理员登录';
-        adminLink.href = '/login.html';
+        console.error('检查登录状态错误:', error);
+        window.location.href = 'login.html';
     }
+    return null;
 }
 
-function handleRowClick(event) {
-    const clickedRow = event.target.closest('tr.server-row');
-    if (!clickedRow) return;
-    const serverId = clickedRow.getAttribute('data-server-id');
-    const detailsRow = clickedRow.nextElementSibling;
-    if (detailsRow && detailsRow.classList.contains('server-details-row')) {
-        detailsRow.classList.toggle('d-none');
-        if (!detailsRow.classList.contains('d-none')) {
-            populateDetailsRow(serverId, detailsRow);
-        }
-    }
+// 默认密码未修改前，只允许打开修改密码窗口（不可关闭）
+function requirePasswordChange() {
+    passwordChangeRequired = true;
+    document.getElementById('passwordForm').reset();
+    document.getElementById('passwordAlert').classList.add('d-none');
+    document.getElementById('passwordChangeRequiredNotice').classList.remove('d-none');
+    document.getElementById('passwordModalCloseBtn').classList.add('d-none');
+    document.getElementById('passwordModalCancelBtn').classList.add('d-none');
+    new bootstrap.Modal(document.getElementById('passwordModal'), { backdrop: 'static', keyboard: false }).show();
 }
 
-function populateDetailsRow(serverId, detailsRow) {
-    const serverData = serverDataCache[serverId];
-    const detailsContentDiv = detailsRow.querySelector('.server-details-content');
-    if (!serverData || !serverData.metrics || !detailsContentDiv) {
-        detailsContentDiv.innerHTML = '<p class="text-muted">无详细数据</p>';
-        return;
-    }
-    const metrics = serverData.metrics;
-    let detailsHtml = '';
-    if (metrics.cpu && metrics.cpu.load_avg) {
-        detailsHtml += \`
-            <div class="detail-item">
-                <strong>CPU负载 (1m, 5m, 15m):</strong> \${metrics.cpu.load_avg.join(', ')}
-            </div>
-        \`;
+function initEventListeners() {
+    document.getElementById('addServerBtn').addEventListener('click', function() { showServerModal(); });
+    document.getElementById('saveServerBtn').addEventListener('click', function() { saveServer(); });
+    document.getElementById('copyApiKeyBtn').addEventListener('click', function() { copyToClipboard(document.getElementById('apiKey').value, this); });
+    document.getElementById('copyServerIdBtn').addEventListener('click', function() { copyToClipboard(document.getElementById('serverIdDisplay').value, this); });
+    document.getElementById('copyWorkerUrlBtn').addEventListener('click', function() { copyToClipboard(document.getElementById('workerUrlDisplay').value, this); });
+    document.getElementById('confirmDeleteBtn').addEventListener('click', function() { if (currentServerId) deleteServer(currentServerId); });
+    document.getElementById('changePasswordBtn').addEventListener('click', function() { showPasswordModal(); });
+    document.getElementById('savePasswordBtn').addEventListener('click', function() { changePassword(); });
+    document.getElementById('logoutBtn').addEventListener('click', function() { logout(); });
+    document.getElementById('addSiteBtn').addEventListener('click', function() { showSiteModal(); });
+    document.getElementById('addSiteAssertionBtn').addEventListener('click', function() { addSiteAssertionRow(); });
+    document.getElementById('siteMonitorType').addEventListener('change', updateSiteMonitorTypeFields);
+    document.getElementById('saveSiteBtn').addEventListener('click', function() { saveSite(); });
+    document.getElementById('confirmDeleteSiteBtn').addEventListener('click', function() { if (currentSiteId) deleteSite(currentSiteId); });
+    document.getElementById('addAlertRuleBtn').addEventListener('click', function() { showAlertRuleModal(); });
+    document.getElementById('addMaintenanceWindowBtn').addEventListener('click', function() { showMaintenanceModal(); });
+    document.getElementById('saveMaintenanceBtn').addEventListener('click', function() { saveMaintenanceWindow(); });
+    document.getElementById('confirmDeleteMaintenanceBtn').addEventListener('click', function() { if (currentMaintenanceId) deleteMaintenanceWindow(currentMaintenanceId); });
+    document.getElementById('maintenanceScopeType').addEventListener('change', function() { updateMaintenanceScopeOptions(); });
+    document.getElementById('maintenanceScheduleType').addEventListener('change', function() { toggleMaintenanceScheduleFields(this.value); });
+    document.getElementById('saveAlertRuleBtn').addEventListener('click', function() { saveAlertRule(); });
+    document.getElementById('confirmDeleteAlertRuleBtn').addEventListener('click', function() { if (currentAlertRuleId) deleteAlertRule(currentAlertRuleId); });
+    document.getElementById('alertRuleAllServers').addEventListener('change', function() {
+        document.getElementById('alertRuleServerList').classList.toggle('d-none', this.checked);
+    });
+    document.getElementById('saveTelegramSettingsBtn').addEventListener('click', function() { saveTelegramSettings(); });
+    document.getElementById('addNotificationChannelBtn').addEventListener('click', function() { showNotificationChannelModal(); });
+    document.getElementById('saveNotificationChannelBtn').addEventListener('click', function() { saveNotificationChannel(); });
+    document.getElementById('confirmDeleteNotificationChannelBtn').addEventListener('click', function() { if (currentNotificationChannelId) deleteNotificationChannel(currentNotificationChannelId); });
+    document.getElementById('notificationChannelType').addEventListener('change', function() { toggleChannelConfigFields(this.value); });
+    document.getElementById('saveDefaultNotificationRouteBtn').addEventListener('click', function() { saveDefaultNotificationRoute(); });
+    document.getElementById('saveNotificationRepeatBtn').addEventListener('click', function() { saveNotificationRepeatInterval(); });
+    document.getElementById('saveCertSettingsBtn').addEventListener('click', function() { saveCertificateSettings(); });
+    document.getElementById('saveDnsResolverBtn').addEventListener('click', function() { saveDnsResolverUrl(); });
+    document.getElementById('saveSiteCheckSettingsBtn').addEventListener('click', function() { saveSiteCheckSettings(); });
+    document.getElementById('siteChartRangeSelector').addEventListener('click', handleSiteChartRangeClick);
+    document.getElementById('siteResponseChartModal').addEventListener('shown.bs.modal', function() { loadSiteResponseChart(); });
+    document.getElementById('saveVpsStaleThresholdBtn').addEventListener('click', function() { saveVpsStaleThreshold(); });
+    document.getElementById('saveVpsReportIntervalBtn').addEventListener('click', function() { saveVpsReportInterval(); });
+    document.getElementById('saveMetricsRetentionBtn').addEventListener('click', function() { saveMetricsRetention(); });
+}
+
+function copyToClipboard(textToCopy, buttonElement) {
+    navigator.clipboard.writeText(textToCopy).then(() => {
+        const originalHtml = buttonElement.innerHTML;
+        buttonElement.innerHTML = '<i class="bi bi-check-lg"></i>';
+        buttonElement.classList.add('btn-success');
+        buttonElement.classList.remove('btn-outline-secondary');
+        setTimeout(() => {
+            buttonElement.innerHTML = originalHtml;
+            buttonElement.classList.remove('btn-success');
+            buttonElement.classList.add('btn-outline-secondary');
+        }, 2000);
+    }).catch(err => {
+        console.error('Failed to copy text: ', err);
+        const originalHtml = buttonElement.innerHTML;
+        buttonElement.innerHTML = '<i class="bi bi-x-lg"></i>';
+        buttonElement.classList.add('btn-danger');
+        buttonElement.classList.remove('btn-outline-secondary');
+        setTimeout(() => {
+            buttonElement.innerHTML = originalHtml;
+            buttonElement.classList.remove('btn-danger');
+            buttonElement.classList.add('btn-outline-secondary');
+        }, 2000);
+    });
+}
+
+function getAuthHeaders() {
+    const token = localStorage.getItem('auth_token');
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': \`Bearer \${token}\`
+    };
+}
+
+// 请求管理API，会话失效 (401) 时跳转回登录页
+async function adminFetch(url, options) {
+    const response = await fetch(url, options);
+    if (response.status === 401) {
+        localStorage.removeItem('auth_token');
+        window.location.href = 'login.html';
     }
-    if (metrics.memory) {
-        detailsHtml += \`
-            <div class="detail-item">
-                <strong>内存:</strong>
-                总计: \${formatDataSize(metrics.memory.total * 1024)}<br>
-                已用: \${formatDataSize(metrics.memory.used * 1024)}<br>
-                空闲: \${formatDataSize(metrics.memory.free * 1024)}
-            </div>
-        \`;
+    return response;
+}
+
+async function loadServerList() {
+    try {
+        const response = await adminFetch('/api/admin/servers', { headers: getAuthHeaders() });
+        if (!response.ok) throw new Error('获取服务器列表失败');
+        const data = await response.json();
+        serverList = data.servers || [];
+        renderServerTable(serverList);
+    } catch (error) {
+        console.error('加载服务器列表错误:', error);
+        showAlert('danger', '加载服务器列表失败，请刷新页面重试。', 'serverAlert');
     }
-    if (metrics.disk) {
-         detailsHtml += \`
-            <div class="detail-item">
-                <strong>硬盘 (/):</strong>
-                总计: \${metrics.disk.total.toFixed(2)} GB<br>
-                已用: \${metrics.disk.used.toFixed(2)} GB<br>
-                空闲: \${metrics.disk.free.toFixed(2)} GB
-            </div>
-        \`;
+}
+
+function renderServerTable(servers) {
+    const tableBody = document.getElementById('serverTableBody');
+    tableBody.innerHTML = '';
+    if (servers.length === 0) {
+        tableBody.innerHTML = '<tr><td colspan="9" class="text-center">暂无服务器数据</td></tr>';
+        return;
     }
-    if (metrics.network) {
-        detailsHtml += \`
-            <div class="detail-item">
-                <strong>总流量:</strong>
-                上传: \${formatDataSize(metrics.network.total_upload)}<br>
-                下载: \${formatDataSize(metrics.network.total_download)}
-            </div>
+    
+    servers.forEach((server, index) => {
+        const row = document.createElement('tr');
+        let lastUpdateText = '从未';
+        let statusBadge = '<span class="badge bg-secondary">未知</span>';
+        if (server.last_report) {
+            const lastUpdate = new Date(server.last_report * 1000);
+            lastUpdateText = lastUpdate.toLocaleString();
+            const now = new Date();
+            const diffMinutes = (now - lastUpdate) / (1000 * 60);
+            if (diffMinutes <= 5) {
+                statusBadge = '<span class="badge bg-success">在线</span>';
+            } else {
+                statusBadge = '<span class="badge bg-danger">离线</span>';
+            }
+        }
+        
+        row.innerHTML = \`
+            <td>
+                <div class="btn-group">
+                     <button class="btn btn-sm btn-outline-secondary move-server-btn" data-id="\${server.id}" data-direction="up" \${index === 0 ? 'disabled' : ''}><i class="bi bi-arrow-up"></i></button>
+                     <button class="btn btn-sm btn-outline-secondary move-server-btn" data-id="\${server.id}" data-direction="down" \${index === servers.length - 1 ? 'disabled' : ''}><i class="bi bi-arrow-down"></i></button>
+                </div>
+            </td>
+            <td>\${server.id}</td>
+            <td>\${server.name}</td>
+            <td>\${server.description || '-'}</td>
+            <td>\${statusBadge}</td>
+            <td>\${lastUpdateText}</td>
+            <td>
+                <button class="btn btn-sm btn-outline-secondary view-key-btn" data-id="\${server.id}"><i class="bi bi-key"></i> 查看密钥</button>
+            </td>
+            <td>
+                <button class="btn btn-sm btn-outline-info copy-vps-script-btn" data-id="\${server.id}" data-name="\${server.name}" title="复制VPS安装脚本"><i class="bi bi-clipboard-plus"></i> 复制脚本</button>
+            </td>
+            <td>
+                <div class="btn-group">
+                    <button class="btn btn-sm btn-outline-primary edit-server-btn" data-id="\${server.id}"><i class="bi bi-pencil"></i></button>
+                    <button class="btn btn-sm btn-outline-danger delete-server-btn" data-id="\${server.id}" data-name="\${server.name}"><i class="bi bi-trash"></i></button>
+                </div>
+            </td>
         \`;
-    }
-    detailsContentDiv.innerHTML = detailsHtml || '<p class="text-muted">无详细数据</p>';
+        tableBody.appendChild(row);
+    });
+    
+    document.querySelectorAll('.view-key-btn').forEach(btn => btn.addEventListener('click', function() { viewApiKey(this.getAttribute('data-id')); }));
+    document.querySelectorAll('.edit-server-btn').forEach(btn => btn.addEventListener('click', function() { editServer(this.getAttribute('data-id')); }));
+    document.querySelectorAll('.delete-server-btn').forEach(btn => btn.addEventListener('click', function() { showDeleteConfirmation(this.getAttribute('data-id'), this.getAttribute('data-name')); }));
+    document.querySelectorAll('.move-server-btn').forEach(btn => btn.addEventListener('click', function() { moveServer(this.getAttribute('data-id'), this.getAttribute('data-direction')); }));
+    document.querySelectorAll('.copy-vps-script-btn').forEach(btn => btn.addEventListener('click', function() { copyVpsInstallScript(this.getAttribute('data-id'), this.getAttribute('data-name'), this); }));
 }
 
-
-async function loadAllServerStatuses() {
+async function copyVpsInstallScript(serverId, serverName, buttonElement) {
+    const originalButtonHtml = buttonElement.innerHTML;
+    buttonElement.disabled = true;
+    buttonElement.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> 获取中...';
     try {
-        const serversResponse = await fetch('/api/servers');
-        if (!serversResponse.ok) {
-            throw new Error('Failed to get server list');
-        }
-        const serversData = await serversResponse.json();
-        const servers = serversData.servers || [];
-        const noServersAlert = document.getElementById('noServers');
-        const serverTableBody = document.getElementById('serverTableBody');
-
-        if (servers.length === 0) {
-            noServersAlert.classList.remove('d-none');
-            serverTableBody.innerHTML = '<tr><td colspan="12" class="text-center">No server data available. Please log in to the admin panel to add servers.</td></tr>';
-            removeAllDetailRows();
-            return;
-        } else {
-            noServersAlert.classList.add('d-none');
-        }
+        const apiKeyResponse = await adminFetch(\`/api/admin/servers/\${serverId}/key\`, { headers: getAuthHeaders() });
+        if (!apiKeyResponse.ok) throw new Error('获取API密钥失败');
+        const apiKeyData = await apiKeyResponse.json();
+        const apiKey = apiKeyData.api_key;
+        if (!apiKey) throw new Error('未能获取到API密钥');
 
-        const statusPromises = servers.map(server =>
-            fetch(\`/api/status/\${server.id}\`)
-                .then(res => res.ok ? res.json() : Promise.resolve({ server: server, metrics: null, error: true }))
-                .catch(() => Promise.resolve({ server: server, metrics: null, error: true }))
-        );
+        let vpsReportInterval = 60;
+        try {
+            const intervalResponse = await adminFetch('/api/admin/settings/vps-report-interval', { headers: getAuthHeaders() });
+            if (intervalResponse.ok) {
+                const intervalData = await intervalResponse.json();
+                if (intervalData && typeof intervalData.interval === 'number' && intervalData.interval > 0) {
+                    vpsReportInterval = intervalData.interval;
+                }
+            }
+        } catch (e) {}
+        
+        const workerUrl = window.location.origin;
+        const scriptCommand = \`curl -fsSL "\${workerUrl}/install.sh" -o install.sh && chmod +x install.sh && sudo ./install.sh -k \${apiKey} -s \${serverId} -u \${workerUrl}\`;
+        
+        await navigator.clipboard.writeText(scriptCommand);
+        buttonElement.innerHTML = '<i class="bi bi-check-lg"></i> 已复制!';
+        buttonElement.classList.remove('btn-outline-info');
+        buttonElement.classList.add('btn-success');
+        showAlert('success', \`服务器 "\${serverName}" 的安装脚本已复制到剪贴板。\`, 'serverAlert');
+    } catch (error) {
+        console.error('复制VPS安装脚本错误:', error);
+        showAlert('danger', \`复制脚本失败: \${error.message}\`, 'serverAlert');
+        buttonElement.innerHTML = '<i class="bi bi-x-lg"></i> 复制失败';
+        buttonElement.classList.remove('btn-outline-info');
+        buttonElement.classList.add('btn-danger');
+    } finally {
+        setTimeout(() => {
+            buttonElement.disabled = false;
+            buttonElement.innerHTML = originalButtonHtml;
+            buttonElement.classList.remove('btn-success', 'btn-danger');
+            buttonElement.classList.add('btn-outline-info');
+        }, 3000);
+    }
+}
 
-        const allStatuses = await Promise.all(statusPromises);
-        allStatuses.forEach(data => {
-             serverDataCache[data.server.id] = data;
+async function moveServer(serverId, direction) {
+    try {
+        const response = await adminFetch(\`/api/admin/servers/\${serverId}/reorder\`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ direction })
         });
-        renderServerTable(allStatuses);
+        if (!response.ok) throw new Error('移动服务器失败');
+        await loadServerList();
+        showAlert('success', '服务器已成功' + (direction === 'up' ? '上移' : '下移'));
     } catch (error) {
-        console.error('Error loading server statuses:', error);
-        const serverTableBody = document.getElementById('serverTableBody');
-        serverTableBody.innerHTML = '<tr><td colspan="12" class="text-center text-danger">Failed to load server data. Please refresh the page.</td></tr>';
-         removeAllDetailRows();
+        console.error('移动服务器错误:', error);
+        showAlert('danger', \`移动服务器失败: \${error.message}\`, 'serverAlert');
     }
 }
 
-function removeAllDetailRows() {
-    document.querySelectorAll('.server-details-row').forEach(row => row.remove());
+function showServerModal() {
+    document.getElementById('serverForm').reset();
+    document.getElementById('serverId').value = '';
+    document.getElementById('apiKeyGroup').classList.add('d-none');
+    document.getElementById('serverIdDisplayGroup').classList.add('d-none');
+    document.getElementById('workerUrlDisplayGroup').classList.add('d-none');
+    document.getElementById('serverModalTitle').textContent = '添加服务器';
+    renderNotificationRoutePicker(document.getElementById('serverNotificationRoutePicker'), null, '使用默认路由');
+    new bootstrap.Modal(document.getElementById('serverModal')).show();
 }
 
-
-function getProgressBarHtml(percentage) {
-    if (typeof percentage !== 'number' || isNaN(percentage)) return '-';
-    const percent = Math.max(0, Math.min(100, percentage));
-    let bgColorClass = 'bg-light-green';
-    if (percent >= 80) {
-        bgColorClass = 'bg-danger';
-    } else if (percent >= 50) {
-        bgColorClass = 'bg-warning';
-    }
-
-    return \`
-        <div class="progress" style="height: 25px; font-size: 0.8em; position: relative; background-color: #e9ecef;">
-            <div class="progress-bar \${bgColorClass}" role="progressbar" style="width: \${percent}%;"
-                aria-valuenow="\${percent}" aria-valuemin="0" aria-valuemax="100"></div>
-            <span style="position: absolute; width: 100%; text-align: center; line-height: 25px; font-weight: bold;">
-                \${percent.toFixed(1)}%
-            </span>
-        </div>
-    \`;
+function editServer(serverId) {
+    const server = serverList.find(s => s.id === serverId);
+    if (!server) return;
+    document.getElementById('serverId').value = server.id;
+    document.getElementById('serverName').value = server.name;
+    document.getElementById('serverDescription').value = server.description || '';
+    document.getElementById('apiKeyGroup').classList.add('d-none');
+    document.getElementById('serverIdDisplayGroup').classList.add('d-none');
+    document.getElementById('workerUrlDisplayGroup').classList.add('d-none');
+    document.getElementById('serverModalTitle').textContent = '编辑服务器';
+    renderNotificationRoutePicker(document.getElementById('serverNotificationRoutePicker'), server.notification_channels, '使用默认路由');
+    document.getElementById('serverStaleThreshold').value = server.stale_threshold_seconds || '';
+    document.getElementById('serverNotificationRepeat').value = secondsToMinutesInput(server.notification_repeat_seconds);
+    new bootstrap.Modal(document.getElementById('serverModal')).show();
 }
 
-
-function renderServerTable(allStatuses) {
-    const tableBody = document.getElementById('serverTableBody');
-    const detailsTemplate = document.getElementById('serverDetailsTemplate');
-
-    const expandedServerIds = new Set();
-    tableBody.querySelectorAll('tr.server-row').forEach(mainRow => {
-        const detailRow = mainRow.nextElementSibling;
-        if (detailRow && detailRow.classList.contains('server-details-row') && !detailRow.classList.contains('d-none')) {
-            const serverId = mainRow.getAttribute('data-server-id');
-            if (serverId) {
-                expandedServerIds.add(serverId);
-            }
+async function saveServer() {
+    const serverId = document.getElementById('serverId').value;
+    const serverName = document.getElementById('serverName').value.trim();
+    const serverDescription = document.getElementById('serverDescription').value.trim();
+    const notificationChannels = getNotificationRouteFromPicker(document.getElementById('serverNotificationRoutePicker'));
+    const staleThresholdValue = document.getElementById('serverStaleThreshold').value.trim();
+    const serverSettings = {
+        stale_threshold_seconds: staleThresholdValue === '' ? null : parseInt(staleThresholdValue, 10),
+        notification_repeat_seconds: minutesInputToSeconds(document.getElementById('serverNotificationRepeat').value)
+    };
+    if (!serverName) {
+        showAlert('danger', '服务器名称不能为空', 'serverAlert');
+        return;
+    }
+    try {
+        let response;
+        if (serverId) {
+            response = await adminFetch(\`/api/admin/servers/\${serverId}\`, {
+                method: 'PUT',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ name: serverName, description: serverDescription, notification_channels: notificationChannels, ...serverSettings })
+            });
+        } else {
+            response = await adminFetch('/api/admin/servers', {
+                method: 'POST',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ name: serverName, description: serverDescription, notification_channels: notificationChannels, ...serverSettings })
+            });
         }
-    });
-
-    tableBody.innerHTML = '';
-
-    allStatuses.forEach(data => {
-        const serverId = data.server.id;
-        const serverName = data.server.name;
-        const metrics = data.metrics;
-        const hasError = data.error;
-
-        let statusBadge = '<span class="badge bg-secondary">未知</span>';
-        let cpuHtml = '-';
-        let memoryHtml = '-';
-        let diskHtml = '-';
-        let uploadSpeed = '-';
-        let downloadSpeed = '-';
-        let totalUpload = '-';
-        let totalDownload = '-';
-        let uptime = '-';
-        let lastUpdate = '-';
-        let pingHtml = '-'; // 新增
-
-        if (hasError) {
-            statusBadge = '<span class="badge bg-warning text-dark">错误</span>';
-        } else if (metrics) {
-            const now = new Date();
-            const lastReportTime = new Date(metrics.timestamp * 1000);
-            const diffMinutes = (now - lastReportTime) / (1000 * 60);
-
-            if (diffMinutes <= 5) {
-                statusBadge = '<span class="badge bg-success">在线</span>';
-            } else {
-                statusBadge = '<span class="badge bg-danger">离线</span>';
-            }
-
-            cpuHtml = getProgressBarHtml(metrics.cpu.usage_percent);
-            memoryHtml = getProgressBarHtml(metrics.memory.usage_percent);
-            diskHtml = getProgressBarHtml(metrics.disk.usage_percent);
-            uploadSpeed = formatNetworkSpeed(metrics.network.upload_speed);
-            downloadSpeed = formatNetworkSpeed(metrics.network.download_speed);
-            totalUpload = formatDataSize(metrics.network.total_upload);
-            totalDownload = formatDataSize(metrics.network.total_download);
-            uptime = metrics.uptime ? formatUptime(metrics.uptime) : '-';
-            lastUpdate = lastReportTime.toLocaleString();
-
-            // 渲染丢包率
-             if (metrics.ping) {
-                const getLossClass = (loss) => {
-                    if (loss === undefined || loss === null) return 'text-muted';
-                    if (loss == 0) return 'text-success';
-                    if (loss < 10) return 'text-warning';
-                    return 'text-danger';
-                };
-                const cu = metrics.ping.cu !== undefined ? metrics.ping.cu + '%' : '-';
-                const ct = metrics.ping.ct !== undefined ? metrics.ping.ct + '%' : '-';
-                const cm = metrics.ping.cm !== undefined ? metrics.ping.cm + '%' : '-';
-                
-                pingHtml = \`
-                    <span class="\${getLossClass(metrics.ping.cu)}" title="联通">\${cu}</span> | 
-                    <span class="\${getLossClass(metrics.ping.ct)}" title="电信">\${ct}</span> | 
-                    <span class="\${getLossClass(metrics.ping.cm)}" title="移动">\${cm}</span>
-                \`;
-            }
+        if (!response.ok) throw new Error('保存服务器失败');
+        const data = await response.json();
+        bootstrap.Modal.getInstance(document.getElementById('serverModal')).hide();
+        if (!serverId && data.server && data.server.api_key) {
+            showApiKey(data.server);
+        } else {
+            loadServerList();
+            showAlert('success', serverId ? '服务器更新成功' : '服务器添加成功');
         }
+    } catch (error) {
+        console.error('保存服务器错误:', error);
+        showAlert('danger', '保存服务器失败，请稍后重试', 'serverAlert');
+    }
+}
 
-        const mainRow = document.createElement('tr');
-        mainRow.classList.add('server-row');
-        mainRow.setAttribute('data-server-id', serverId);
-        mainRow.innerHTML = \`
-            <td>\${serverName}</td>
-            <td>\${statusBadge}</td>
-            <td>\${cpuHtml}</td>
-            <td>\${memoryHtml}</td>
-            <td>\${diskHtml}</td>
-            <td class="text-center">\${pingHtml}</td>
-            <td><span style="color: #000;">\${uploadSpeed}</span></td>
-            <td><span style="color: #000;">\${downloadSpeed}</span></td>
-            <td><span style="color: #000;">\${totalUpload}</span></td>
-            <td><span style="color: #000;">\${totalDownload}</span></td>
-            <td><span style="color: #000;">\${uptime}</span></td>
-            <td><span style="color: #000;">\${lastUpdate}</span></td>
-        \`;
-        
-        const detailsRowElement = detailsTemplate.content.cloneNode(true).querySelector('tr');
-        tableBody.appendChild(mainRow);
-        tableBody.appendChild(detailsRowElement);
-
-        if (expandedServerIds.has(serverId)) {
-            detailsRowElement.classList.remove('d-none');
-            populateDetailsRow(serverId, detailsRowElement);
+async function viewApiKey(serverId) {
+    try {
+        const response = await adminFetch(\`/api/admin/servers/\${serverId}/key\`, { headers: getAuthHeaders() });
+        if (!response.ok) throw new Error('获取API密钥失败');
+        const data = await response.json();
+        if (data.api_key) {
+            const server = serverList.find(s => s.id === serverId);
+            if (server) showApiKey({ ...server, api_key: data.api_key });
+            else showAlert('danger', '未找到服务器信息', 'serverAlert');
+        } else {
+            showAlert('danger', '获取API密钥失败', 'serverAlert');
         }
-    });
+    } catch (error) {
+        console.error('查看API密钥错误:', error);
+        showAlert('danger', '获取API密钥失败，请稍后重试', 'serverAlert');
+    }
 }
 
+function showApiKey(server) {
+    document.getElementById('serverId').value = server.id;
+    document.getElementById('serverName').value = server.name;
+    document.getElementById('serverDescription').value = server.description || '';
+    document.getElementById('apiKey').value = server.api_key;
+    document.getElementById('apiKeyGroup').classList.remove('d-none');
+    document.getElementById('serverIdDisplay').value = server.id;
+    document.getElementById('serverIdDisplayGroup').classList.remove('d-none');
+    document.getElementById('workerUrlDisplay').value = window.location.origin;
+    document.getElementById('workerUrlDisplayGroup').classList.remove('d-none');
+    document.getElementById('serverModalTitle').textContent = '服务器详细信息与密钥';
+    new bootstrap.Modal(document.getElementById('serverModal')).show();
+}
 
-function formatNetworkSpeed(bytesPerSecond) {
-    if (typeof bytesPerSecond !== 'number' || isNaN(bytesPerSecond)) return '-';
-    if (bytesPerSecond < 1024) {
-        return \`\${bytesPerSecond.toFixed(1)} B/s\`;
-    } else if (bytesPerSecond < 1024 * 1024) {
-        return \`\${(bytesPerSecond / 1024).toFixed(1)} KB/s\`;
-    } else if (bytesPerSecond < 1024 * 1024 * 1024) {
-        return \`\${(bytesPerSecond / (1024 * 1024)).toFixed(1)} MB/s\`;
-    } else {
-        return \`\${(bytesPerSecond / (1024 * 1024 * 1024)).toFixed(1)} GB/s\`;
+function showDeleteConfirmation(serverId, serverName) {
+    currentServerId = serverId;
+    document.getElementById('deleteServerName').textContent = serverName;
+    new bootstrap.Modal(document.getElementById('deleteModal')).show();
+}
+
+async function deleteServer(serverId) {
+    try {
+        const response = await adminFetch(\`/api/admin/servers/\${serverId}\`, { method: 'DELETE', headers: getAuthHeaders() });
+        if (!response.ok) throw new Error('删除服务器失败');
+        bootstrap.Modal.getInstance(document.getElementById('deleteModal')).hide();
+        loadServerList();
+        showAlert('success', '服务器删除成功');
+    } catch (error) {
+        console.error('删除服务器错误:', error);
+        showAlert('danger', '删除服务器失败，请稍后重试', 'serverAlert');
     }
 }
 
-function formatDataSize(bytes) {
-    if (typeof bytes !== 'number' || isNaN(bytes)) return '-';
-    if (bytes < 1024) {
-        return \`\${bytes.toFixed(1)} B\`;
-    } else if (bytes < 1024 * 1024) {
-        return \`\${(bytes / 1024).toFixed(1)} KB\`;
-    } else if (bytes < 1024 * 1024 * 1024) {
-        return \`\${(bytes / (1024 * 1024)).toFixed(1)} MB\`;
-    } else if (bytes < 1024 * 1024 * 1024 * 1024) {
-        return \`\${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB\`;
-    } else {
-        return \`\${(bytes / (1024 * 1024 * 1024 * 1024)).toFixed(1)} TB\`;
+async function moveSite(siteId, direction) {
+    try {
+        const response = await adminFetch(\`/api/admin/sites/\${siteId}/reorder\`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ direction })
+        });
+        if (!response.ok) throw new Error('移动网站失败');
+        await loadSiteList();
+        showAlert('success', '网站已成功' + (direction === 'up' ? '上移' : '下移'), 'siteAlert');
+    } catch (error) {
+        console.error('移动网站错误:', error);
+        showAlert('danger', \`移动网站失败: \${error.message}\`, 'siteAlert');
     }
 }
 
-function formatUptime(totalSeconds) {
-    if (typeof totalSeconds !== 'number' || isNaN(totalSeconds) || totalSeconds < 0) {
-        return '-';
-    }
-    const days = Math.floor(totalSeconds / (3600 * 24));
-    totalSeconds %= (3600 * 24);
-    const hours = Math.floor(totalSeconds / 3600);
-    totalSeconds %= 3600;
-    const minutes = Math.floor(totalSeconds / 60);
+function showPasswordModal() {
+    document.getElementById('passwordForm').reset();
+    document.getElementById('passwordAlert').classList.add('d-none');
+    new bootstrap.Modal(document.getElementById('passwordModal')).show();
+}
 
-    let uptimeString = '';
-    if (days > 0) {
-        uptimeString += \`\${days}天 \`;
+async function changePassword() {
+    const currentPassword = document.getElementById('currentPassword').value;
+    const newPassword = document.getElementById('newPassword').value;
+    const confirmPassword = document.getElementById('confirmPassword').value;
+    if (!currentPassword || !newPassword || !confirmPassword) {
+        showPasswordAlert('danger', '所有密码字段都必须填写');
+        return;
     }
-    if (hours > 0) {
-        uptimeString += \`\${hours}小时 \`;
+    if (newPassword !== confirmPassword) {
+        showPasswordAlert('danger', '新密码和确认密码不匹配');
+        return;
     }
-    if (minutes > 0 || (days === 0 && hours === 0)) {
-        uptimeString += \`\${minutes}分钟\`;
+    if (newPassword.length < 6) {
+        showPasswordAlert('danger', '新密码至少需要6位');
+        return;
+    }
+    try {
+        const response = await adminFetch('/api/auth/change-password', {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ current_password: currentPassword, new_password: newPassword })
+        });
+        if (response.ok) {
+            if (passwordChangeRequired) {
+                window.location.reload();
+                return;
+            }
+            bootstrap.Modal.getInstance(document.getElementById('passwordModal')).hide();
+            showAlert('success', '密码修改成功', 'serverAlert');
+        } else {
+            const data = await response.json();
+            showPasswordAlert('danger', data.message || '密码修改失败');
+        }
+    } catch (error) {
+        console.error('修改密码错误:', error);
+        showPasswordAlert('danger', '密码修改请求失败，请稍后重试');
     }
-    return uptimeString.trim() || '0分钟';
 }
 
+async function logout() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST', headers: getAuthHeaders() });
+    } catch (error) {
+        console.error('退出登录错误:', error);
+    }
+    localStorage.removeItem('auth_token');
+    window.location.href = 'login.html';
+}
 
-// --- Website Status Functions ---
-
-async function loadAllSiteStatuses() {
+async function loadSiteList() {
     try {
-        const response = await fetch('/api/sites/status');
-        if (!response.ok) {
-            throw new Error('Failed to get website status list');
-        }
+        const response = await adminFetch('/api/admin/sites', { headers: getAuthHeaders() });
+        if (!response.ok) throw new Error('获取监控网站列表失败');
         const data = await response.json();
-        const sites = data.sites || [];
-        const noSitesAlert = document.getElementById('noSites');
-        const siteStatusTableBody = document.getElementById('siteStatusTableBody');
-
-        if (sites.length === 0) {
-            noSitesAlert.classList.remove('d-none');
-            siteStatusTableBody.innerHTML = '<tr><td colspan="6" class="text-center">No websites are being monitored.</td></tr>';
-            return;
-        } else {
-            noSitesAlert.classList.add('d-none');
-        }
-        renderSiteStatusTable(sites);
+        siteList = data.sites || [];
+        renderSiteTable(siteList);
     } catch (error) {
-        console.error('Error loading website statuses:', error);
-        const siteStatusTableBody = document.getElementById('siteStatusTableBody');
-        siteStatusTableBody.innerHTML = '<tr><td colspan="6" class="text-center text-danger">Failed to load website status data. Please refresh the page.</td></tr>';
+        console.error('加载监控网站列表错误:', error);
+        showAlert('danger', \`加载监控网站列表失败: \${error.message}\`, 'siteAlert');
     }
 }
 
-async function renderSiteStatusTable(sites) {
-    const tableBody = document.getElementById('siteStatusTableBody');
+function renderSiteTable(sites) {
+    const tableBody = document.getElementById('siteTableBody');
     tableBody.innerHTML = '';
-
-    for (const site of sites) {
+    if (sites.length === 0) {
+        tableBody.innerHTML = '<tr><td colspan="10" class="text-center">暂无监控网站</td></tr>';
+        return;
+    }
+    sites.forEach((site, index) => {
         const row = document.createElement('tr');
         const statusInfo = getSiteStatusBadge(site.last_status);
         const lastCheckTime = site.last_checked ? new Date(site.last_checked * 1000).toLocaleString() : '从未';
         const responseTime = site.last_response_time_ms !== null ? \`\${site.last_response_time_ms} ms\` : '-';
-
-        const historyCell = document.createElement('td');
-        historyCell.innerHTML = '<div class="history-bar-container"></div>';
-
         row.innerHTML = \`
+             <td>
+                 <div class="btn-group btn-group-sm">
+                     <button class="btn btn-outline-secondary move-site-btn" data-id="\${site.id}" data-direction="up" \${index === 0 ? 'disabled' : ''} title="上移"><i class="bi bi-arrow-up"></i></button>
+                     <button class="btn btn-outline-secondary move-site-btn" data-id="\${site.id}" data-direction="down" \${index === sites.length - 1 ? 'disabled' : ''} title="下移"><i class="bi bi-arrow-down"></i></button>
+                </div>
+            </td>
             <td>\${site.name || '-'}</td>
-            <td><span class="badge \${statusInfo.class}">\${statusInfo.text}</span></td>
+            <td>\${getSiteTargetHtml(site)}</td>
+            <td><span class="badge \${statusInfo.class}">\${statusInfo.text}</span>\${getSiteLocationsHtml(site)}</td>
             <td>\${site.last_status_code || '-'}</td>
             <td>\${responseTime}</td>
+            <td>\${getCertificateBadgeHtml(site)}</td>
             <td>\${lastCheckTime}</td>
+            <td>
+                <div class="btn-group">
+                    <button class="btn btn-sm btn-outline-secondary site-chart-btn" data-id="\${site.id}" data-name="\${site.name || site.url}" title="响应时间"><i class="bi bi-graph-up"></i></button>
+                    \${site.monitor_type === 'dns' && !site.dns_expected_value && site.last_status === 'ASSERTION_FAILED' && site.dns_observed_answer ? \`<button class="btn btn-sm btn-outline-success accept-dns-btn" data-id="\${site.id}" title="接受当前解析结果: \${site.dns_observed_answer.split('\\n').join(', ').replace(/"/g, '&quot;')}"><i class="bi bi-check2-circle"></i></button>\` : ''}
+                    <button class="btn btn-sm btn-outline-primary edit-site-btn" data-id="\${site.id}" title="编辑"><i class="bi bi-pencil"></i></button>
+                    <button class="btn btn-sm btn-outline-danger delete-site-btn" data-id="\${site.id}" data-name="\${site.name || site.url}" data-url="\${site.url}" title="删除"><i class="bi bi-trash"></i></button>
+                </div>
+            </td>
         \`;
-        row.appendChild(historyCell);
         tableBody.appendChild(row);
-        fetchAndRenderSiteHistory(site.id, historyCell.querySelector('.history-bar-container'));
-    }
-}
-
-async function fetchAndRenderSiteHistory(siteId, containerElement) {
-    try {
-        const response = await fetch(\`/api/sites/\${siteId}/history\`);
-        if (!response.ok) {
-            console.warn(\`Failed to fetch history for site \${siteId}\`);
-            containerElement.innerHTML = '<small class="text-muted">Error fetching</small>';
-            return;
-        }
-        const data = await response.json();
-        const fetchedHistory = data.history || [];
-
-        let historyHtml = '';
-        const now = new Date();
-        
-        for (let i = 0; i < 24; i++) {
-            const slotTime = new Date(now);
-            slotTime.setHours(now.getHours() - i);
-
-            const slotStart = new Date(slotTime);
-            slotStart.setMinutes(0, 0, 0);
-
-            const slotEnd = new Date(slotTime);
-            slotEnd.setMinutes(59, 59, 999);
-
-            const slotStartTimestamp = Math.floor(slotStart.getTime() / 1000);
-            const slotEndTimestamp = Math.floor(slotEnd.getTime() / 1000);
-
-            const recordForHour = fetchedHistory.find(
-                r => r.timestamp >= slotStartTimestamp && r.timestamp <= slotEndTimestamp
-            );
-            let barClass = 'history-bar-pending';
-            let titleText = \`\${String(slotStart.getHours()).padStart(2, '0')}:00 - \${String((slotStart.getHours() + 1) % 24).padStart(2, '0')}:00: No record\`;
-            if (recordForHour) {
-                if (recordForHour.status === 'UP') {
-                    barClass = 'history-bar-up';
-                } else if (['DOWN', 'TIMEOUT', 'ERROR'].includes(recordForHour.status)) {
-                    barClass = 'history-bar-down';
-                }
-                const recordDate = new Date(recordForHour.timestamp * 1000);
-                titleText = \`\${recordDate.toLocaleString()}: \${recordForHour.status} (\${recordForHour.status_code || 'N/A'}), \${recordForHour.response_time_ms || '-'}\`;
-            }
-            historyHtml += \`<div class="history-bar \${barClass}" title="\${titleText}"></div>\`;
-        }
-        
-        if (!historyHtml) {
-             containerElement.innerHTML = '<small class="text-muted">No records for last 24h</small>';
-        } else {
-             containerElement.innerHTML = historyHtml;
-        }
-
-    } catch (error) {
-        console.error(\`Error fetching/rendering history for site \${siteId}:\`, error);
-        containerElement.innerHTML = '<small class="text-muted">Error rendering</small>';
-    }
-}
-
-function getSiteStatusBadge(status) {
-    switch (status) {
-        case 'UP': return { class: 'bg-success', text: '正常' };
-        case 'DOWN': return { class: 'bg-danger', text: '故障' };
-        case 'TIMEOUT': return { class: 'bg-warning text-dark', text: '超时' };
-        case 'ERROR': return { class: 'bg-danger', text: '错误' };
-        case 'PENDING': return { class: 'bg-secondary', text: '待检测' };
-        default: return { class: 'bg-secondary', text: '未知' };
-    }
-}
-`;
-}
-
-function getLoginJs() {
-  return `// login.js - 登录页面的JavaScript逻辑
-// --- Theme Management ---
-const THEME_KEY = 'themePreference';
-const LIGHT_THEME = 'light';
-const DARK_THEME = 'dark';
-function initializeTheme() {
-    const themeToggler = document.getElementById('themeToggler');
-    if (!themeToggler) return;
-    const storedTheme = localStorage.getItem(THEME_KEY) || LIGHT_THEME;
-    applyTheme(storedTheme);
-    themeToggler.addEventListener('click', () => {
-        const currentTheme = document.documentElement.getAttribute('data-bs-theme');
-        const newTheme = currentTheme === DARK_THEME ? LIGHT_THEME : DARK_THEME;
-        applyTheme(newTheme);
-        localStorage.setItem(THEME_KEY, newTheme);
     });
+    document.querySelectorAll('.site-chart-btn').forEach(btn => btn.addEventListener('click', function() { showSiteResponseChart(this.getAttribute('data-id'), this.getAttribute('data-name')); }));
+    document.querySelectorAll('.accept-dns-btn').forEach(btn => btn.addEventListener('click', function() { acceptDnsAnswer(this.getAttribute('data-id')); }));
+    document.querySelectorAll('.edit-site-btn').forEach(btn => btn.addEventListener('click', function() { editSite(this.getAttribute('data-id')); }));
+    document.querySelectorAll('.delete-site-btn').forEach(btn => btn.addEventListener('click', function() { showDeleteSiteConfirmation(this.getAttribute('data-id'), this.getAttribute('data-name'), this.getAttribute('data-url')); }));
+    document.querySelectorAll('.move-site-btn').forEach(btn => btn.addEventListener('click', function() { moveSite(this.getAttribute('data-id'), this.getAttribute('data-direction')); }));
 }
-function applyTheme(theme) {
-    document.title = \`Admin Panel - Theme: \${theme.toUpperCase()}\`;
-    document.documentElement.setAttribute('data-bs-theme', theme);
-    const themeTogglerIcon = document.querySelector('#themeToggler i');
-    if (themeTogglerIcon) {
-        if (theme === DARK_THEME) {
-            themeTogglerIcon.classList.remove('bi-moon-stars-fill');
-            themeTogglerIcon.classList.add('bi-sun-fill');
-        } else {
-            themeTogglerIcon.classList.remove('bi-sun-fill');
-            themeTogglerIcon.classList.add('bi-moon-stars-fill');
-        }
-    }
-}
-// --- End Theme Management ---
-
-document.addEventListener('DOMContentLoaded', function() {
-    initializeTheme();
-    const loginForm = document.getElementById('loginForm');
-    const loginAlert = document.getElementById('loginAlert');
-    
-    loginForm.addEventListener('submit', function(e) {
-        e.preventDefault();
-        const username = document.getElementById('username').value.trim();
-        const password = document.getElementById('password').value.trim();
-        if (!username || !password) {
-            showLoginError('请输入用户名和密码');
-            return;
-        }
-        login(username, password);
-    });
-    checkLoginStatus();
-});
-
-async function checkLoginStatus() {
-    try {
-        const token = localStorage.getItem('auth_token');
-        if (!token) return;
-        const response = await fetch('/api/auth/status', {
-            headers: { 'Authorization': \`Bearer \${token}\` }
-        });
-        if (response.ok) {
-            const data = await response.json();
-            if (data.authenticated) {
-                window.location.href = 'admin.html';
-            }
-        }
-    } catch (error) {
-        console.error('检查登录状态错误:', error);
+
+function showSiteResponseChart(siteId, siteName) {
+    siteChartSiteId = siteId;
+    document.getElementById('siteResponseChartName').textContent = siteName;
+    if (siteResponseChart) {
+        siteResponseChart.destroy();
+        siteResponseChart = null;
     }
+    new bootstrap.Modal(document.getElementById('siteResponseChartModal')).show();
 }
 
-async function login(username, password) {
+function handleSiteChartRangeClick(event) {
+    const button = event.target.closest('button[data-range]');
+    if (!button) return;
+    document.querySelectorAll('#siteChartRangeSelector button').forEach(btn => btn.classList.remove('active'));
+    button.classList.add('active');
+    siteChartRange = button.getAttribute('data-range');
+    loadSiteResponseChart();
+}
+
+async function loadSiteResponseChart() {
+    const siteId = siteChartSiteId;
     try {
-        const submitBtn = loginForm.querySelector('button[type="submit"]');
-        const originalBtnText = submitBtn.innerHTML;
-        submitBtn.disabled = true;
-        submitBtn.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> 登录中...';
-        const response = await fetch('/api/auth/login', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ username, password })
-        });
-        submitBtn.disabled = false;
-        submitBtn.innerHTML = originalBtnText;
-        if (response.ok) {
-            const data = await response.json();
-            localStorage.setItem('auth_token', data.token);
-            window.location.href = 'admin.html';
-        } else {
-            const data = await response.json();
-            showLoginError(data.message || '用户名或密码错误');
+        const response = await fetch(\`/api/sites/\${siteId}/response-times?range=\${siteChartRange}\`);
+        if (!response.ok) throw new Error('获取响应时间失败');
+        const data = await response.json();
+        if (siteId !== siteChartSiteId) {
+            return;
         }
+        if (siteResponseChart) {
+            siteResponseChart.destroy();
+        }
+        siteResponseChart = createSiteResponseChart(document.getElementById('siteResponseChartCanvas'), data);
     } catch (error) {
-        console.error('登录错误:', error);
-        showLoginError('登录请求失败，请稍后重试');
+        console.error('加载响应时间错误:', error);
+        showAlert('danger', \`加载响应时间失败: \${error.message}\`, 'siteAlert');
     }
 }
 
-function showLoginError(message) {
-    const loginAlert = document.getElementById('loginAlert');
-    loginAlert.textContent = message;
-    loginAlert.classList.remove('d-none');
-    setTimeout(() => {
-        loginAlert.classList.add('d-none');
-    }, 5000);
-}`;
+function formatSiteChartLabel(timestamp, step) {
+    const date = new Date(timestamp * 1000);
+    const time = \`\${String(date.getHours()).padStart(2, '0')}:\${String(date.getMinutes()).padStart(2, '0')}\`;
+    return step >= 3600 ? \`\${date.getMonth() + 1}/\${date.getDate()} \${time}\` : time;
 }
 
-function getAdminJs() {
-  return `// admin.js - 管理后台的JavaScript逻辑
-// --- Theme Management ---
-const THEME_KEY = 'themePreference';
-const LIGHT_THEME = 'light';
-const DARK_THEME = 'dark';
-function initializeTheme() {
-    const themeToggler = document.getElementById('themeToggler');
-    if (!themeToggler) return;
-    const storedTheme = localStorage.getItem(THEME_KEY) || LIGHT_THEME;
-    applyTheme(storedTheme);
-    themeToggler.addEventListener('click', () => {
-        const currentTheme = document.documentElement.getAttribute('data-bs-theme');
-        const newTheme = currentTheme === DARK_THEME ? LIGHT_THEME : DARK_THEME;
-        applyTheme(newTheme);
-        localStorage.setItem(THEME_KEY, newTheme);
+// 绘制网站响应时间图表 (平均值、P95，设置了阈值时同时绘制阈值线)
+function createSiteResponseChart(canvas, data) {
+    const points = data.points || [];
+    const datasets = [
+        { label: '平均', data: points.map(point => point.avg_response_ms), color: '#0d6efd' },
+        { label: 'P95', data: points.map(point => point.p95_response_ms), color: '#fd7e14', dashed: true }
+    ];
+    if (data.degraded_threshold_ms) {
+        datasets.push({ label: '缓慢阈值', data: points.map(() => data.degraded_threshold_ms), color: '#dc3545', dashed: true });
+    }
+    return new Chart(canvas, {
+        type: 'line',
+        data: {
+            labels: points.map(point => formatSiteChartLabel(point.timestamp, data.step)),
+            datasets: datasets.map(ds => ({
+                label: ds.label,
+                data: ds.data,
+                borderColor: ds.color,
+                backgroundColor: ds.color,
+                borderDash: ds.dashed ? [4, 4] : [],
+                borderWidth: 1.5,
+                pointRadius: 0,
+                tension: 0.2
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: { mode: 'index', intersect: false },
+            scales: {
+                x: { ticks: { maxTicksLimit: 8, autoSkip: true } },
+                y: { beginAtZero: true, ticks: { callback: (value) => \`\${value} ms\` } }
+            },
+            plugins: {
+                tooltip: { callbacks: { label: (item) => \`\${item.dataset.label}: \${item.parsed.y} ms\` } }
+            }
+        }
     });
 }
-function applyTheme(theme) {
-    document.documentElement.setAttribute('data-bs-theme', theme);
-    const themeTogglerIcon = document.querySelector('#themeToggler i');
-    if (themeTogglerIcon) {
-        if (theme === DARK_THEME) {
-            themeTogglerIcon.classList.remove('bi-moon-stars-fill');
-            themeTogglerIcon.classList.add('bi-sun-fill');
+
+function getSiteTargetHtml(site) {
+    if (site.monitor_type === 'tcp') {
+        return \`<span class="badge bg-secondary me-1">TCP</span>\${site.url}\`;
+    }
+    if (site.monitor_type === 'heartbeat') {
+        const lastPing = site.last_ping_at ? \`最近心跳: \${new Date(site.last_ping_at * 1000).toLocaleString()}\` : '尚未收到心跳';
+        return \`<span class="badge bg-secondary me-1">心跳</span><code title="\${lastPing}">\${getHeartbeatPushUrl(site)}</code>\`;
+    }
+    if (site.monitor_type === 'dns') {
+        const answer = (site.dns_last_answer || '').replace(/"/g, '&quot;');
+        return \`<span class="badge bg-secondary me-1">DNS \${site.dns_record_type}</span><span title="\${answer}">\${site.url}</span>\`;
+    }
+    return \`<a href="\${site.url}" target="_blank" rel="noopener noreferrer">\${site.url}</a>\`;
+}
+
+function getSiteLocationsHtml(site) {
+    if (!site.locations || site.locations.length === 0) {
+        return '';
+    }
+    return '<div class="mt-1">' + site.locations.map(location => {
+        const info = getSiteStatusBadge(location.status);
+        const checkedAt = new Date(location.checked_at * 1000).toLocaleString();
+        const title = \`\${location.name}: \${info.text} (\${checkedAt})\${location.detail ? ' - ' + location.detail : ''}\`.replace(/"/g, '&quot;');
+        return \`<span class="badge \${info.class} me-1" title="\${title}">\${location.name}</span>\`;
+    }).join('') + '</div>';
+}
+
+function getCertificateBadgeHtml(site) {
+    if (!site.cert_expires_at) {
+        return site.cert_error ? \`<span class="text-muted" title="\${site.cert_error.replace(/"/g, '&quot;')}">未知</span>\` : '-';
+    }
+    const daysLeft = Math.floor((site.cert_expires_at * 1000 - Date.now()) / 86400000);
+    const expiryText = new Date(site.cert_expires_at * 1000).toLocaleString();
+    if (daysLeft < 0) {
+        return \`<span class="badge bg-danger" title="\${expiryText}">已过期</span>\`;
+    }
+    const badgeClass = daysLeft <= 7 ? 'bg-danger' : (daysLeft <= 30 ? 'bg-warning text-dark' : 'bg-success');
+    return \`<span class="badge \${badgeClass}" title="\${expiryText}">\${daysLeft} 天</span>\`;
+}
+
+function getSiteStatusBadge(status) {
+    switch (status) {
+        case 'UP': return { class: 'bg-success', text: '正常' };
+        case 'DEGRADED': return { class: 'bg-orange text-dark', text: '响应缓慢' };
+        case 'DOWN': return { class: 'bg-danger', text: '故障' };
+        case 'TIMEOUT': return { class: 'bg-warning text-dark', text: '超时' };
+        case 'ERROR': return { class: 'bg-danger', text: '错误' };
+        case 'ASSERTION_FAILED': return { class: 'bg-danger', text: '内容异常' };
+        case 'PENDING': return { class: 'bg-secondary', text: '待检测' };
+        default: return { class: 'bg-secondary', text: '未知' };
+    }
+}
+
+function showSiteModal(siteIdToEdit = null) {
+    document.getElementById('siteForm').reset();
+    const modalTitle = document.getElementById('siteModalTitle');
+    const siteIdInput = document.getElementById('siteId');
+    if (siteIdToEdit) {
+        const site = siteList.find(s => s.id === siteIdToEdit);
+        if (site) {
+            modalTitle.textContent = '编辑监控网站';
+            siteIdInput.value = site.id;
+            document.getElementById('siteName').value = site.name || '';
+            document.getElementById('siteUrl').value = site.url;
+            document.getElementById('siteMonitorType').value = site.monitor_type || 'http';
+            document.getElementById('siteDnsRecordType').value = site.dns_record_type || 'A';
+            document.getElementById('siteDnsExpectedValue').value = site.dns_expected_value || '';
+            document.getElementById('siteHeartbeatPeriod').value = Math.round((site.heartbeat_period_seconds || 86400) / 60);
+            document.getElementById('siteHeartbeatGrace').value = Math.round((site.heartbeat_grace_seconds ?? 3600) / 60);
+            document.getElementById('siteHeartbeatUrl').value = site.monitor_type === 'heartbeat' ? getHeartbeatPushUrl(site) : '';
+            renderNotificationRoutePicker(document.getElementById('siteNotificationRoutePicker'), site.notification_channels, '使用默认路由');
+            document.getElementById('siteNotificationRepeat').value = secondsToMinutesInput(site.notification_repeat_seconds);
+            document.getElementById('siteCheckInterval').value = secondsToMinutesInput(site.check_interval_seconds);
+            document.getElementById('siteDegradedThreshold').value = site.degraded_threshold_ms || '';
+            renderSiteAgentServerOptions(site.agent_server_ids || []);
+            document.getElementById('siteAgentQuorum').value = site.agent_quorum || '';
+            document.getElementById('siteFailureThreshold').value = site.failure_threshold || 1;
+            document.getElementById('siteRecoveryThreshold').value = site.recovery_threshold || 1;
+            document.getElementById('siteCheckMethod').value = site.check_method || 'HEAD';
+            document.getElementById('siteTimeoutSeconds').value = site.timeout_seconds || 15;
+            document.getElementById('siteRedirectPolicy').value = site.redirect_policy || 'follow';
+            document.getElementById('siteAcceptedStatusCodes').value = site.accepted_status_codes || '';
+            document.getElementById('siteCheckHeaders').value = site.check_headers ? JSON.stringify(site.check_headers, null, 2) : '';
+            document.getElementById('siteCheckBody').value = site.check_body || '';
+            document.getElementById('siteAuthUsername').value = site.auth_username || '';
+            document.getElementById('siteAuthPassword').value = site.auth_password || '';
+            renderSiteAssertions(site.assertions || []);
         } else {
-            themeTogglerIcon.classList.remove('bi-sun-fill');
-            themeTogglerIcon.classList.add('bi-moon-stars-fill');
+            showAlert('danger', '未找到要编辑的网站信息。', 'siteAlert');
+            return;
         }
+    } else {
+        modalTitle.textContent = '添加监控网站';
+        siteIdInput.value = '';
+        renderSiteAssertions([]);
+        renderSiteAgentServerOptions([]);
+        renderNotificationRoutePicker(document.getElementById('siteNotificationRoutePicker'), null, '使用默认路由');
     }
+    updateSiteMonitorTypeFields();
+    new bootstrap.Modal(document.getElementById('siteModal')).show();
 }
-// --- End Theme Management ---
 
-let currentServerId = null;
-let currentSiteId = null;
-let serverList = [];
-let siteList = [];
+const SITE_MONITOR_TYPE_FIELDS = {
+    http: { label: '网站URL', placeholder: 'https://example.com' },
+    tcp: { label: '主机和端口', placeholder: 'example.com:22' },
+    dns: { label: '域名', placeholder: 'example.com' },
+    heartbeat: { label: '推送地址', placeholder: '' }
+};
 
-document.addEventListener('DOMContentLoaded', function() {
-    initializeTheme();
-    checkLoginStatus();
-    initEventListeners();
-    loadServerList();
-    loadSiteList();
-    loadTelegramSettings();
-    loadGlobalSettings();
-});
+function getHeartbeatPushUrl(site) {
+    return window.location.origin + site.url;
+}
 
-async function checkLoginStatus() {
-    try {
-        const token = localStorage.getItem('auth_token');
-        if (!token) {
-            window.location.href = 'login.html';
+// 按监控类型切换地址输入提示，HTTP 检查设置和 DNS 设置只在对应类型下显示
+function updateSiteMonitorTypeFields() {
+    const monitorType = document.getElementById('siteMonitorType').value;
+    document.getElementById('siteUrlLabel').textContent = SITE_MONITOR_TYPE_FIELDS[monitorType].label;
+    document.getElementById('siteUrl').placeholder = SITE_MONITOR_TYPE_FIELDS[monitorType].placeholder;
+    document.getElementById('siteHttpOptions').classList.toggle('d-none', monitorType !== 'http');
+    document.getElementById('siteDnsOptions').classList.toggle('d-none', monitorType !== 'dns');
+    document.getElementById('siteHeartbeatOptions').classList.toggle('d-none', monitorType !== 'heartbeat');
+    document.getElementById('siteUrlGroup').classList.toggle('d-none', monitorType === 'heartbeat');
+    document.getElementById('siteAgentOptions').classList.toggle('d-none', monitorType !== 'http' && monitorType !== 'tcp');
+    document.getElementById('siteDegradedOptions').classList.toggle('d-none', monitorType === 'heartbeat');
+}
+
+const SITE_ASSERTION_LABELS = { contains: '包含关键字', not_contains: '不包含关键字', regex: '匹配正则', json_path: 'JSON 路径等于' };
+
+function addSiteAssertionRow(assertion = { type: 'contains', value: '' }) {
+    const row = document.createElement('div');
+    row.className = 'input-group input-group-sm mb-2 site-assertion-row';
+    row.innerHTML = \`
+        <select class="form-select assertion-type" style="max-width: 140px;">
+            \${Object.entries(SITE_ASSERTION_LABELS).map(([type, label]) => \`<option value="\${type}">\${label}</option>\`).join('')}
+        </select>
+        <input type="text" class="form-control assertion-path" placeholder="status">
+        <input type="text" class="form-control assertion-value">
+        <button type="button" class="btn btn-outline-danger remove-assertion-btn"><i class="bi bi-x"></i></button>
+    \`;
+    const typeSelect = row.querySelector('.assertion-type');
+    typeSelect.value = assertion.type;
+    row.querySelector('.assertion-path').value = assertion.path || '';
+    const value = assertion.value === undefined ? '' : assertion.value;
+    row.querySelector('.assertion-value').value = assertion.type === 'json_path' ? JSON.stringify(value) : value;
+    const togglePath = () => {
+        const isJson = typeSelect.value === 'json_path';
+        row.querySelector('.assertion-path').classList.toggle('d-none', !isJson);
+        row.querySelector('.assertion-value').placeholder = isJson ? '"ok"' : (typeSelect.value === 'regex' ? '正则表达式' : '关键字');
+    };
+    typeSelect.addEventListener('change', togglePath);
+    row.querySelector('.remove-assertion-btn').addEventListener('click', () => row.remove());
+    togglePath();
+    document.getElementById('siteAssertionList').appendChild(row);
+}
+
+function renderSiteAssertions(assertions) {
+    document.getElementById('siteAssertionList').innerHTML = '';
+    assertions.forEach(assertion => addSiteAssertionRow(assertion));
+}
+
+function getSiteAssertionsFromForm() {
+    return Array.from(document.querySelectorAll('#siteAssertionList .site-assertion-row')).map(row => {
+        const type = row.querySelector('.assertion-type').value;
+        const rawValue = row.querySelector('.assertion-value').value;
+        if (type !== 'json_path') {
+            return { type, value: rawValue };
+        }
+        let value = rawValue;
+        try {
+            value = JSON.parse(rawValue);
+        } catch (e) {}
+        return { type, path: row.querySelector('.assertion-path').value.trim(), value };
+    });
+}
+
+function editSite(siteId) {
+    showSiteModal(siteId);
+}
+
+async function saveSite() {
+    const siteId = document.getElementById('siteId').value;
+    const siteName = document.getElementById('siteName').value.trim();
+    const siteUrl = document.getElementById('siteUrl').value.trim();
+    const monitorType = document.getElementById('siteMonitorType').value;
+    if (!siteUrl && monitorType !== 'heartbeat') {
+        showAlert('warning', \`请输入\${SITE_MONITOR_TYPE_FIELDS[monitorType].label}\`, 'siteAlert');
+        return;
+    }
+    if (monitorType === 'tcp' && !/^(\\[[0-9a-fA-F:.]+\\]|[A-Za-z0-9.-]+):\\d{1,5}$/.test(siteUrl)) {
+        showAlert('warning', '地址格式应为 host:port，例如 example.com:22', 'siteAlert');
+        return;
+    }
+    if (monitorType === 'dns' && siteUrl.includes('/')) {
+        showAlert('warning', '请输入域名，不需要 http:// 前缀', 'siteAlert');
+        return;
+    }
+    if (monitorType === 'http' && !siteUrl.startsWith('http://') && !siteUrl.startsWith('https://')) {
+         showAlert('warning', 'URL必须以 http:// 或 https:// 开头', 'siteAlert');
+        return;
+    }
+    const headersText = document.getElementById('siteCheckHeaders').value.trim();
+    let checkHeaders = null;
+    if (headersText) {
+        try {
+            checkHeaders = JSON.parse(headersText);
+        } catch (e) {
+            showAlert('warning', '请求头必须是有效的 JSON 对象', 'siteAlert');
             return;
         }
-        const response = await fetch('/api/auth/status', {
-            headers: { 'Authorization': \`Bearer \${token}\` }
+    }
+    const requestBody = {
+        url: monitorType === 'heartbeat' ? undefined : siteUrl,
+        name: siteName,
+        monitor_type: monitorType,
+        notification_channels: getNotificationRouteFromPicker(document.getElementById('siteNotificationRoutePicker')),
+        notification_repeat_seconds: minutesInputToSeconds(document.getElementById('siteNotificationRepeat').value),
+        check_interval_seconds: minutesInputToSeconds(document.getElementById('siteCheckInterval').value),
+        agent_server_ids: monitorType === 'http' || monitorType === 'tcp'
+            ? Array.from(document.querySelectorAll('.site-agent-server-checkbox:checked')).map(cb => cb.value)
+            : null,
+        agent_quorum: parseInt(document.getElementById('siteAgentQuorum').value, 10) || null,
+        degraded_threshold_ms: monitorType !== 'heartbeat' ? parseInt(document.getElementById('siteDegradedThreshold').value, 10) || null : null,
+        failure_threshold: parseInt(document.getElementById('siteFailureThreshold').value, 10) || 1,
+        recovery_threshold: parseInt(document.getElementById('siteRecoveryThreshold').value, 10) || 1,
+        check_method: document.getElementById('siteCheckMethod').value,
+        timeout_seconds: parseInt(document.getElementById('siteTimeoutSeconds').value, 10) || 15,
+        redirect_policy: document.getElementById('siteRedirectPolicy').value,
+        accepted_status_codes: document.getElementById('siteAcceptedStatusCodes').value.trim(),
+        check_headers: checkHeaders,
+        check_body: document.getElementById('siteCheckBody').value,
+        auth_username: document.getElementById('siteAuthUsername').value.trim(),
+        auth_password: document.getElementById('siteAuthPassword').value,
+        assertions: getSiteAssertionsFromForm(),
+        dns_record_type: document.getElementById('siteDnsRecordType').value,
+        dns_expected_value: document.getElementById('siteDnsExpectedValue').value,
+        heartbeat_period_seconds: minutesInputToSeconds(document.getElementById('siteHeartbeatPeriod').value),
+        heartbeat_grace_seconds: minutesInputToSeconds(document.getElementById('siteHeartbeatGrace').value)
+    };
+    let apiUrl = '/api/admin/sites';
+    let method = 'POST';
+    if (siteId) {
+        apiUrl = \`/api/admin/sites/\${siteId}\`;
+        method = 'PUT';
+    }
+    try {
+        const response = await adminFetch(apiUrl, {
+            method: method,
+            headers: getAuthHeaders(),
+            body: JSON.stringify(requestBody)
         });
-        if (response.ok) {
-            const data = await response.json();
-            if (!data.authenticated) {
-                window.location.href = 'login.html';
-            }
-        } else {
-            window.location.href = 'login.html';
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || \`\${siteId ? '更新' : '添加'}网站失败\`);
         }
+        bootstrap.Modal.getInstance(document.getElementById('siteModal')).hide();
+        await loadSiteList();
+        showAlert('success', \`监控网站\${siteId ? '更新' : '添加'}成功\`, 'siteAlert');
     } catch (error) {
-        console.error('检查登录状态错误:', error);
-        window.location.href = 'login.html';
+        console.error('保存网站错误:', error);
+        showAlert('danger', \`保存网站失败: \${error.message}\`, 'siteAlert');
     }
 }
 
-function initEventListeners() {
-    document.getElementById('addServerBtn').addEventListener('click', function() { showServerModal(); });
-    document.getElementById('saveServerBtn').addEventListener('click', function() { saveServer(); });
-    document.getElementById('copyApiKeyBtn').addEventListener('click', function() { copyToClipboard(document.getElementById('apiKey').value, this); });
-    document.getElementById('copyServerIdBtn').addEventListener('click', function() { copyToClipboard(document.getElementById('serverIdDisplay').value, this); });
-    document.getElementById('copyWorkerUrlBtn').addEventListener('click', function() { copyToClipboard(document.getElementById('workerUrlDisplay').value, this); });
-    document.getElementById('confirmDeleteBtn').addEventListener('click', function() { if (currentServerId) deleteServer(currentServerId); });
-    document.getElementById('changePasswordBtn').addEventListener('click', function() { showPasswordModal(); });
-    document.getElementById('savePasswordBtn').addEventListener('click', function() { changePassword(); });
-    document.getElementById('logoutBtn').addEventListener('click', function() { logout(); });
-    document.getElementById('addSiteBtn').addEventListener('click', function() { showSiteModal(); });
-    document.getElementById('saveSiteBtn').addEventListener('click', function() { saveSite(); });
-    document.getElementById('confirmDeleteSiteBtn').addEventListener('click', function() { if (currentSiteId) deleteSite(currentSiteId); });
-    document.getElementById('saveTelegramSettingsBtn').addEventListener('click', function() { saveTelegramSettings(); });
-    document.getElementById('saveVpsReportIntervalBtn').addEventListener('click', function() { saveVpsReportInterval(); });
+function showDeleteSiteConfirmation(siteId, siteName, siteUrl) {
+    currentSiteId = siteId;
+    document.getElementById('deleteSiteName').textContent = siteName;
+    document.getElementById('deleteSiteUrl').textContent = siteUrl;
+    new bootstrap.Modal(document.getElementById('deleteSiteModal')).show();
 }
 
-function copyToClipboard(textToCopy, buttonElement) {
-    navigator.clipboard.writeText(textToCopy).then(() => {
-        const originalHtml = buttonElement.innerHTML;
-        buttonElement.innerHTML = '<i class="bi bi-check-lg"></i>';
-        buttonElement.classList.add('btn-success');
-        buttonElement.classList.remove('btn-outline-secondary');
-        setTimeout(() => {
-            buttonElement.innerHTML = originalHtml;
-            buttonElement.classList.remove('btn-success');
-            buttonElement.classList.add('btn-outline-secondary');
-        }, 2000);
-    }).catch(err => {
-        console.error('Failed to copy text: ', err);
-        const originalHtml = buttonElement.innerHTML;
-        buttonElement.innerHTML = '<i class="bi bi-x-lg"></i>';
-        buttonElement.classList.add('btn-danger');
-        buttonElement.classList.remove('btn-outline-secondary');
-        setTimeout(() => {
-            buttonElement.innerHTML = originalHtml;
-            buttonElement.classList.remove('btn-danger');
-            buttonElement.classList.add('btn-outline-secondary');
-        }, 2000);
-    });
+async function deleteSite(siteId) {
+    try {
+        const response = await adminFetch(\`/api/admin/sites/\${siteId}\`, { method: 'DELETE', headers: getAuthHeaders() });
+        if (!response.ok) throw new Error('删除网站失败');
+        bootstrap.Modal.getInstance(document.getElementById('deleteSiteModal')).hide();
+        await loadSiteList();
+        showAlert('success', '网站监控已删除', 'siteAlert');
+        currentSiteId = null;
+    } catch (error) {
+        console.error('删除网站错误:', error);
+        showAlert('danger', \`删除网站失败: \${error.message}\`, 'siteAlert');
+    }
 }
 
-function getAuthHeaders() {
-    const token = localStorage.getItem('auth_token');
-    return {
-        'Content-Type': 'application/json',
-        'Authorization': \`Bearer \${token}\`
-    };
+// 接受 DNS 监控当前的解析结果：清除比较基准，下次检查记录新结果并恢复正常
+async function acceptDnsAnswer(siteId) {
+    const site = siteList.find(s => s.id === siteId);
+    if (!site || !site.dns_observed_answer) return;
+    if (!confirm(\`将以下解析结果作为 \${site.url} 的新基准？\\n\\n\${site.dns_observed_answer}\`)) return;
+    try {
+        const response = await adminFetch(\`/api/admin/sites/\${siteId}/dns-baseline\`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ answer: site.dns_observed_answer })
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || '更新解析基准失败');
+        }
+        await loadSiteList();
+        showAlert('success', '已接受当前解析结果，下次检查后恢复正常', 'siteAlert');
+    } catch (error) {
+        console.error('接受 DNS 解析结果错误:', error);
+        showAlert('danger', \`接受解析结果失败: \${error.message}\`, 'siteAlert');
+    }
 }
 
-async function loadServerList() {
+// --- Alert Rules ---
+
+const ALERT_RULE_METRIC_LABELS = {
+    cpu: 'CPU使用率',
+    memory: '内存使用率',
+    disk: '硬盘使用率',
+    ping_cu: '联通丢包率',
+    ping_ct: '电信丢包率',
+    ping_cm: '移动丢包率',
+    ping_max: '任意线路丢包率'
+};
+
+async function loadAlertRules() {
     try {
-        const response = await fetch('/api/admin/servers', { headers: getAuthHeaders() });
-        if (!response.ok) throw new Error('获取服务器列表失败');
+        const response = await adminFetch('/api/admin/alert-rules', { headers: getAuthHeaders() });
+        if (!response.ok) throw new Error('获取告警规则失败');
         const data = await response.json();
-        serverList = data.servers || [];
-        renderServerTable(serverList);
+        alertRuleList = data.rules || [];
+        renderAlertRuleTable(alertRuleList);
     } catch (error) {
-        console.error('加载服务器列表错误:', error);
-        showAlert('danger', '加载服务器列表失败，请刷新页面重试。', 'serverAlert');
+        console.error('加载告警规则错误:', error);
+        showAlert('danger', \`加载告警规则失败: \${error.message}\`, 'alertRuleAlert');
     }
 }
 
-function renderServerTable(servers) {
-    const tableBody = document.getElementById('serverTableBody');
+function renderAlertRuleTable(rules) {
+    const tableBody = document.getElementById('alertRuleTableBody');
     tableBody.innerHTML = '';
-    if (servers.length === 0) {
-        tableBody.innerHTML = '<tr><td colspan="9" class="text-center">暂无服务器数据</td></tr>';
+    if (rules.length === 0) {
+        tableBody.innerHTML = '<tr><td colspan="6" class="text-center">暂无告警规则</td></tr>';
         return;
     }
-    
-    servers.forEach((server, index) => {
+    rules.forEach(rule => {
         const row = document.createElement('tr');
-        let lastUpdateText = '从未';
-        let statusBadge = '<span class="badge bg-secondary">未知</span>';
-        if (server.last_report) {
-            const lastUpdate = new Date(server.last_report * 1000);
-            lastUpdateText = lastUpdate.toLocaleString();
-            const now = new Date();
-            const diffMinutes = (now - lastUpdate) / (1000 * 60);
-            if (diffMinutes <= 5) {
-                statusBadge = '<span class="badge bg-success">在线</span>';
-            } else {
-                statusBadge = '<span class="badge bg-danger">离线</span>';
-            }
+        const durationMinutes = Math.round(rule.duration_seconds / 60);
+        const durationText = rule.duration_seconds > 0 ? \`\${durationMinutes} 分钟\` : '立即';
+        let scopeText = '所有服务器';
+        if (rule.server_ids && rule.server_ids.length > 0) {
+            scopeText = rule.server_ids.map(id => {
+                const server = serverList.find(s => s.id === id);
+                return server ? server.name : id;
+            }).join(', ');
+        }
+        let statusBadge = '<span class="badge bg-secondary">已停用</span>';
+        if (rule.enabled) {
+            statusBadge = rule.firing_count > 0
+                ? \`<span class="badge bg-danger">告警中 (\${rule.firing_count})</span>\`
+                : '<span class="badge bg-success">正常</span>';
         }
-        
         row.innerHTML = \`
-            <td>
-                <div class="btn-group">
-                     <button class="btn btn-sm btn-outline-secondary move-server-btn" data-id="\${server.id}" data-direction="up" \${index === 0 ? 'disabled' : ''}><i class="bi bi-arrow-up"></i></button>
-                     <button class="btn btn-sm btn-outline-secondary move-server-btn" data-id="\${server.id}" data-direction="down" \${index === servers.length - 1 ? 'disabled' : ''}><i class="bi bi-arrow-down"></i></button>
-                </div>
-            </td>
-            <td>\${server.id}</td>
-            <td>\${server.name}</td>
-            <td>\${server.description || '-'}</td>
+            <td>\${rule.name}</td>
+            <td>\${ALERT_RULE_METRIC_LABELS[rule.metric] || rule.metric} \${rule.operator} \${rule.threshold}%</td>
+            <td>\${durationText}</td>
+            <td>\${scopeText}</td>
             <td>\${statusBadge}</td>
-            <td>\${lastUpdateText}</td>
-            <td>
-                <button class="btn btn-sm btn-outline-secondary view-key-btn" data-id="\${server.id}"><i class="bi bi-key"></i> 查看密钥</button>
-            </td>
-            <td>
-                <button class="btn btn-sm btn-outline-info copy-vps-script-btn" data-id="\${server.id}" data-name="\${server.name}" title="复制VPS安装脚本"><i class="bi bi-clipboard-plus"></i> 复制脚本</button>
-            </td>
             <td>
                 <div class="btn-group">
-                    <button class="btn btn-sm btn-outline-primary edit-server-btn" data-id="\${server.id}"><i class="bi bi-pencil"></i></button>
-                    <button class="btn btn-sm btn-outline-danger delete-server-btn" data-id="\${server.id}" data-name="\${server.name}"><i class="bi bi-trash"></i></button>
+                    <button class="btn btn-sm btn-outline-primary edit-alert-rule-btn" data-id="\${rule.id}" title="编辑"><i class="bi bi-pencil"></i></button>
+                    <button class="btn btn-sm btn-outline-danger delete-alert-rule-btn" data-id="\${rule.id}" data-name="\${rule.name}" title="删除"><i class="bi bi-trash"></i></button>
                 </div>
             </td>
         \`;
         tableBody.appendChild(row);
     });
-    
-    document.querySelectorAll('.view-key-btn').forEach(btn => btn.addEventListener('click', function() { viewApiKey(this.getAttribute('data-id')); }));
-    document.querySelectorAll('.edit-server-btn').forEach(btn => btn.addEventListener('click', function() { editServer(this.getAttribute('data-id')); }));
-    document.querySelectorAll('.delete-server-btn').forEach(btn => btn.addEventListener('click', function() { showDeleteConfirmation(this.getAttribute('data-id'), this.getAttribute('data-name')); }));
-    document.querySelectorAll('.move-server-btn').forEach(btn => btn.addEventListener('click', function() { moveServer(this.getAttribute('data-id'), this.getAttribute('data-direction')); }));
-    document.querySelectorAll('.copy-vps-script-btn').forEach(btn => btn.addEventListener('click', function() { copyVpsInstallScript(this.getAttribute('data-id'), this.getAttribute('data-name'), this); }));
+    document.querySelectorAll('.edit-alert-rule-btn').forEach(btn => btn.addEventListener('click', function() { showAlertRuleModal(this.getAttribute('data-id')); }));
+    document.querySelectorAll('.delete-alert-rule-btn').forEach(btn => btn.addEventListener('click', function() { showDeleteAlertRuleConfirmation(this.getAttribute('data-id'), this.getAttribute('data-name')); }));
 }
 
-async function copyVpsInstallScript(serverId, serverName, buttonElement) {
-    const originalButtonHtml = buttonElement.innerHTML;
-    buttonElement.disabled = true;
-    buttonElement.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> 获取中...';
-    try {
-        const apiKeyResponse = await fetch(\`/api/admin/servers/\${serverId}/key\`, { headers: getAuthHeaders() });
-        if (!apiKeyResponse.ok) throw new Error('获取API密钥失败');
-        const apiKeyData = await apiKeyResponse.json();
-        const apiKey = apiKeyData.api_key;
-        if (!apiKey) throw new Error('未能获取到API密钥');
-
-        let vpsReportInterval = 60;
-        try {
-            const intervalResponse = await fetch('/api/admin/settings/vps-report-interval', { headers: getAuthHeaders() });
-            if (intervalResponse.ok) {
-                const intervalData = await intervalResponse.json();
-                if (intervalData && typeof intervalData.interval === 'number' && intervalData.interval > 0) {
-                    vpsReportInterval = intervalData.interval;
-                }
-            }
-        } catch (e) {}
-        
-        const workerUrl = window.location.origin;
-        const scriptCommand = \`curl -fsSL "\${workerUrl}/install.sh" -o install.sh && chmod +x install.sh && sudo ./install.sh -k \${apiKey} -s \${serverId} -u \${workerUrl}\`;
-        
-        await navigator.clipboard.writeText(scriptCommand);
-        buttonElement.innerHTML = '<i class="bi bi-check-lg"></i> 已复制!';
-        buttonElement.classList.remove('btn-outline-info');
-        buttonElement.classList.add('btn-success');
-        showAlert('success', \`服务器 "\${serverName}" 的安装脚本已复制到剪贴板。\`, 'serverAlert');
-    } catch (error) {
-        console.error('复制VPS安装脚本错误:', error);
-        showAlert('danger', \`复制脚本失败: \${error.message}\`, 'serverAlert');
-        buttonElement.innerHTML = '<i class="bi bi-x-lg"></i> 复制失败';
-        buttonElement.classList.remove('btn-outline-info');
-        buttonElement.classList.add('btn-danger');
-    } finally {
-        setTimeout(() => {
-            buttonElement.disabled = false;
-            buttonElement.innerHTML = originalButtonHtml;
-            buttonElement.classList.remove('btn-success', 'btn-danger');
-            buttonElement.classList.add('btn-outline-info');
-        }, 3000);
+function renderSiteAgentServerOptions(selectedIds) {
+    const container = document.getElementById('siteAgentServerList');
+    if (serverList.length === 0) {
+        container.innerHTML = '<small class="text-muted">暂无服务器</small>';
+        return;
     }
+    container.innerHTML = serverList.map(server => \`
+        <div class="form-check">
+            <input class="form-check-input site-agent-server-checkbox" type="checkbox" value="\${server.id}" id="siteAgentServer_\${server.id}" \${selectedIds.includes(server.id) ? 'checked' : ''}>
+            <label class="form-check-label" for="siteAgentServer_\${server.id}">\${server.name}</label>
+        </div>
+    \`).join('');
 }
 
-async function moveServer(serverId, direction) {
-    try {
-        const response = await fetch(\`/api/admin/servers/\${serverId}/reorder\`, {
-            method: 'POST',
-            headers: getAuthHeaders(),
-            body: JSON.stringify({ direction })
-        });
-        if (!response.ok) throw new Error('移动服务器失败');
-        await loadServerList();
-        showAlert('success', '服务器已成功' + (direction === 'up' ? '上移' : '下移'));
-    } catch (error) {
-        console.error('移动服务器错误:', error);
-        showAlert('danger', \`移动服务器失败: \${error.message}\`, 'serverAlert');
+function renderAlertRuleServerOptions(selectedIds) {
+    const container = document.getElementById('alertRuleServerList');
+    if (serverList.length === 0) {
+        container.innerHTML = '<small class="text-muted">暂无服务器</small>';
+        return;
     }
+    container.innerHTML = serverList.map(server => \`
+        <div class="form-check">
+            <input class="form-check-input alert-rule-server-checkbox" type="checkbox" value="\${server.id}" id="alertRuleServer_\${server.id}" \${selectedIds.includes(server.id) ? 'checked' : ''}>
+            <label class="form-check-label" for="alertRuleServer_\${server.id}">\${server.name}</label>
+        </div>
+    \`).join('');
 }
 
-function showServerModal() {
-    document.getElementById('serverForm').reset();
-    document.getElementById('serverId').value = '';
-    document.getElementById('apiKeyGroup').classList.add('d-none');
-    document.getElementById('serverIdDisplayGroup').classList.add('d-none');
-    document.getElementById('workerUrlDisplayGroup').classList.add('d-none');
-    document.getElementById('serverModalTitle').textContent = '添加服务器';
-    new bootstrap.Modal(document.getElementById('serverModal')).show();
-}
-
-function editServer(serverId) {
-    const server = serverList.find(s => s.id === serverId);
-    if (!server) return;
-    document.getElementById('serverId').value = server.id;
-    document.getElementById('serverName').value = server.name;
-    document.getElementById('serverDescription').value = server.description || '';
-    document.getElementById('apiKeyGroup').classList.add('d-none');
-    document.getElementById('serverIdDisplayGroup').classList.add('d-none');
-    document.getElementById('workerUrlDisplayGroup').classList.add('d-none');
-    document.getElementById('serverModalTitle').textContent = '编辑服务器';
-    new bootstrap.Modal(document.getElementById('serverModal')).show();
+function showAlertRuleModal(ruleIdToEdit = null) {
+    document.getElementById('alertRuleForm').reset();
+    const modalTitle = document.getElementById('alertRuleModalTitle');
+    let selectedServerIds = [];
+    if (ruleIdToEdit) {
+        const rule = alertRuleList.find(r => r.id === ruleIdToEdit);
+        if (!rule) {
+            showAlert('danger', '未找到要编辑的告警规则。', 'alertRuleAlert');
+            return;
+        }
+        modalTitle.textContent = '编辑告警规则';
+        document.getElementById('alertRuleId').value = rule.id;
+        document.getElementById('alertRuleName').value = rule.name;
+        document.getElementById('alertRuleMetric').value = rule.metric;
+        document.getElementById('alertRuleOperator').value = rule.operator;
+        document.getElementById('alertRuleThreshold').value = rule.threshold;
+        document.getElementById('alertRuleDuration').value = Math.round(rule.duration_seconds / 60);
+        document.getElementById('alertRuleEnabled').checked = !!rule.enabled;
+        selectedServerIds = rule.server_ids || [];
+    } else {
+        modalTitle.textContent = '添加告警规则';
+        document.getElementById('alertRuleId').value = '';
+    }
+    document.getElementById('alertRuleAllServers').checked = selectedServerIds.length === 0;
+    document.getElementById('alertRuleServerList').classList.toggle('d-none', selectedServerIds.length === 0);
+    renderAlertRuleServerOptions(selectedServerIds);
+    new bootstrap.Modal(document.getElementById('alertRuleModal')).show();
 }
 
-async function saveServer() {
-    const serverId = document.getElementById('serverId').value;
-    const serverName = document.getElementById('serverName').value.trim();
-    const serverDescription = document.getElementById('serverDescription').value.trim();
-    if (!serverName) {
-        showAlert('danger', '服务器名称不能为空', 'serverAlert');
+async function saveAlertRule() {
+    const ruleId = document.getElementById('alertRuleId').value;
+    const name = document.getElementById('alertRuleName').value.trim();
+    const threshold = parseFloat(document.getElementById('alertRuleThreshold').value);
+    const durationMinutes = parseInt(document.getElementById('alertRuleDuration').value, 10) || 0;
+    if (!name) {
+        showAlert('warning', '请输入规则名称', 'alertRuleAlert');
         return;
     }
-    try {
-        let response;
-        if (serverId) {
-            response = await fetch(\`/api/admin/servers/\${serverId}\`, {
-                method: 'PUT',
-                headers: getAuthHeaders(),
-                body: JSON.stringify({ name: serverName, description: serverDescription })
-            });
-        } else {
-            response = await fetch('/api/admin/servers', {
-                method: 'POST',
-                headers: getAuthHeaders(),
-                body: JSON.stringify({ name: serverName, description: serverDescription })
-            });
-        }
-        if (!response.ok) throw new Error('保存服务器失败');
-        const data = await response.json();
-        bootstrap.Modal.getInstance(document.getElementById('serverModal')).hide();
-        if (!serverId && data.server && data.server.api_key) {
-            showApiKey(data.server);
-        } else {
-            loadServerList();
-            showAlert('success', serverId ? '服务器更新成功' : '服务器添加成功');
+    if (isNaN(threshold)) {
+        showAlert('warning', '请输入有效的阈值', 'alertRuleAlert');
+        return;
+    }
+    let serverIds = null;
+    if (!document.getElementById('alertRuleAllServers').checked) {
+        serverIds = Array.from(document.querySelectorAll('.alert-rule-server-checkbox:checked')).map(cb => cb.value);
+        if (serverIds.length === 0) {
+            showAlert('warning', '请至少选择一台服务器，或勾选适用于所有服务器', 'alertRuleAlert');
+            return;
         }
-    } catch (error) {
-        console.error('保存服务器错误:', error);
-        showAlert('danger', '保存服务器失败，请稍后重试', 'serverAlert');
     }
-}
-
-async function viewApiKey(serverId) {
+    const requestBody = {
+        name,
+        metric: document.getElementById('alertRuleMetric').value,
+        operator: document.getElementById('alertRuleOperator').value,
+        threshold,
+        duration_seconds: Math.max(0, durationMinutes) * 60,
+        server_ids: serverIds,
+        enabled: document.getElementById('alertRuleEnabled').checked
+    };
     try {
-        const response = await fetch(\`/api/admin/servers/\${serverId}/key\`, { headers: getAuthHeaders() });
-        if (!response.ok) throw new Error('获取API密钥失败');
-        const data = await response.json();
-        if (data.api_key) {
-            const server = serverList.find(s => s.id === serverId);
-            if (server) showApiKey({ ...server, api_key: data.api_key });
-            else showAlert('danger', '未找到服务器信息', 'serverAlert');
-        } else {
-            showAlert('danger', '获取API密钥失败', 'serverAlert');
+        const response = await adminFetch(ruleId ? \`/api/admin/alert-rules/\${ruleId}\` : '/api/admin/alert-rules', {
+            method: ruleId ? 'PUT' : 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(requestBody)
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || \`\${ruleId ? '更新' : '添加'}告警规则失败\`);
         }
+        bootstrap.Modal.getInstance(document.getElementById('alertRuleModal')).hide();
+        await loadAlertRules();
+        showAlert('success', \`告警规则\${ruleId ? '更新' : '添加'}成功\`, 'alertRuleAlert');
     } catch (error) {
-        console.error('查看API密钥错误:', error);
-        showAlert('danger', '获取API密钥失败，请稍后重试', 'serverAlert');
+        console.error('保存告警规则错误:', error);
+        showAlert('danger', \`保存告警规则失败: \${error.message}\`, 'alertRuleAlert');
     }
 }
 
-function showApiKey(server) {
-    document.getElementById('serverId').value = server.id;
-    document.getElementById('serverName').value = server.name;
-    document.getElementById('serverDescription').value = server.description || '';
-    document.getElementById('apiKey').value = server.api_key;
-    document.getElementById('apiKeyGroup').classList.remove('d-none');
-    document.getElementById('serverIdDisplay').value = server.id;
-    document.getElementById('serverIdDisplayGroup').classList.remove('d-none');
-    document.getElementById('workerUrlDisplay').value = window.location.origin;
-    document.getElementById('workerUrlDisplayGroup').classList.remove('d-none');
-    document.getElementById('serverModalTitle').textContent = '服务器详细信息与密钥';
-    new bootstrap.Modal(document.getElementById('serverModal')).show();
-}
-
-function showDeleteConfirmation(serverId, serverName) {
-    currentServerId = serverId;
-    document.getElementById('deleteServerName').textContent = serverName;
-    new bootstrap.Modal(document.getElementById('deleteModal')).show();
+function showDeleteAlertRuleConfirmation(ruleId, ruleName) {
+    currentAlertRuleId = ruleId;
+    document.getElementById('deleteAlertRuleName').textContent = ruleName;
+    new bootstrap.Modal(document.getElementById('deleteAlertRuleModal')).show();
 }
 
-async function deleteServer(serverId) {
+async function deleteAlertRule(ruleId) {
     try {
-        const response = await fetch(\`/api/admin/servers/\${serverId}\`, { method: 'DELETE', headers: getAuthHeaders() });
-        if (!response.ok) throw new Error('删除服务器失败');
-        bootstrap.Modal.getInstance(document.getElementById('deleteModal')).hide();
-        loadServerList();
-        showAlert('success', '服务器删除成功');
+        const response = await adminFetch(\`/api/admin/alert-rules/\${ruleId}\`, { method: 'DELETE', headers: getAuthHeaders() });
+        if (!response.ok) throw new Error('删除告警规则失败');
+        bootstrap.Modal.getInstance(document.getElementById('deleteAlertRuleModal')).hide();
+        await loadAlertRules();
+        showAlert('success', '告警规则已删除', 'alertRuleAlert');
+        currentAlertRuleId = null;
     } catch (error) {
-        console.error('删除服务器错误:', error);
-        showAlert('danger', '删除服务器失败，请稍后重试', 'serverAlert');
+        console.error('删除告警规则错误:', error);
+        showAlert('danger', \`删除告警规则失败: \${error.message}\`, 'alertRuleAlert');
     }
 }
 
-async function moveSite(siteId, direction) {
-    try {
-        const response = await fetch(\`/api/admin/sites/\${siteId}/reorder\`, {
-            method: 'POST',
-            headers: getAuthHeaders(),
-            body: JSON.stringify({ direction })
-        });
-        if (!response.ok) throw new Error('移动网站失败');
-        await loadSiteList();
-        showAlert('success', '网站已成功' + (direction === 'up' ? '上移' : '下移'), 'siteAlert');
-    } catch (error) {
-        console.error('移动网站错误:', error);
-        showAlert('danger', \`移动网站失败: \${error.message}\`, 'siteAlert');
-    }
-}
+// --- Maintenance Windows ---
 
-function showPasswordModal() {
-    document.getElementById('passwordForm').reset();
-    document.getElementById('passwordAlert').classList.add('d-none');
-    new bootstrap.Modal(document.getElementById('passwordModal')).show();
-}
+const WEEKDAY_LABELS = ['日', '一', '二', '三', '四', '五', '六'];
 
-async function changePassword() {
-    const currentPassword = document.getElementById('currentPassword').value;
-    const newPassword = document.getElementById('newPassword').value;
-    const confirmPassword = document.getElementById('confirmPassword').value;
-    if (!currentPassword || !newPassword || !confirmPassword) {
-        showPasswordAlert('danger', '所有密码字段都必须填写');
-        return;
-    }
-    if (newPassword !== confirmPassword) {
-        showPasswordAlert('danger', '新密码和确认密码不匹配');
-        return;
-    }
-    try {
-        const response = await fetch('/api/auth/change-password', {
-            method: 'POST',
-            headers: getAuthHeaders(),
-            body: JSON.stringify({ current_password: currentPassword, new_password: newPassword })
-        });
-        if (response.ok) {
-            bootstrap.Modal.getInstance(document.getElementById('passwordModal')).hide();
-            showAlert('success', '密码修改成功', 'serverAlert');
-        } else {
-            const data = await response.json();
-            showPasswordAlert('danger', data.message || '密码修改失败');
-        }
-    } catch (error) {
-        console.error('修改密码错误:', error);
-        showPasswordAlert('danger', '密码修改请求失败，请稍后重试');
+function toDateTimeLocalValue(timestamp) {
+    const date = new Date(timestamp * 1000);
+    const pad = (n) => String(n).padStart(2, '0');
+    return \`\${date.getFullYear()}-\${pad(date.getMonth() + 1)}-\${pad(date.getDate())}T\${pad(date.getHours())}:\${pad(date.getMinutes())}\`;
+}
+
+function describeMaintenanceScope(maintenanceWindow) {
+    if (maintenanceWindow.scope_type === 'server') {
+        const server = serverList.find(s => s.id === maintenanceWindow.scope_id);
+        return \`服务器: \${server ? server.name : maintenanceWindow.scope_id + ' (已删除)'}\`;
+    }
+    if (maintenanceWindow.scope_type === 'site') {
+        const site = siteList.find(s => s.id === maintenanceWindow.scope_id);
+        return \`网站: \${site ? (site.name || site.url) : maintenanceWindow.scope_id + ' (已删除)'}\`;
     }
+    return '全部';
 }
 
-function logout() {
-    localStorage.removeItem('auth_token');
-    window.location.href = 'login.html';
+function describeMaintenanceSchedule(maintenanceWindow) {
+    if (maintenanceWindow.schedule_type === 'once') {
+        return \`\${new Date(maintenanceWindow.start_at * 1000).toLocaleString()} ~ \${new Date(maintenanceWindow.end_at * 1000).toLocaleString()}\`;
+    }
+    if (maintenanceWindow.schedule_type === 'weekly') {
+        const days = (maintenanceWindow.weekdays || []).map(day => WEEKDAY_LABELS[day]).join('、');
+        return \`每周\${days} \${maintenanceWindow.start_time} 起 \${maintenanceWindow.duration_minutes} 分钟\`;
+    }
+    return \`<code>\${maintenanceWindow.cron_expression}</code> 起 \${maintenanceWindow.duration_minutes} 分钟\`;
 }
 
-async function loadSiteList() {
+async function loadMaintenanceWindows() {
     try {
-        const response = await fetch('/api/admin/sites', { headers: getAuthHeaders() });
-        if (!response.ok) throw new Error('获取监控网站列表失败');
+        const response = await adminFetch('/api/admin/maintenance-windows', { headers: getAuthHeaders() });
+        if (!response.ok) throw new Error('获取维护窗口失败');
         const data = await response.json();
-        siteList = data.sites || [];
-        renderSiteTable(siteList);
+        maintenanceWindowList = data.windows || [];
+        renderMaintenanceTable(maintenanceWindowList);
     } catch (error) {
-        console.error('加载监控网站列表错误:', error);
-        showAlert('danger', \`加载监控网站列表失败: \${error.message}\`, 'siteAlert');
+        console.error('加载维护窗口错误:', error);
+        showAlert('danger', \`加载维护窗口失败: \${error.message}\`, 'maintenanceAlert');
     }
 }
 
-function renderSiteTable(sites) {
-    const tableBody = document.getElementById('siteTableBody');
+function renderMaintenanceTable(windows) {
+    const tableBody = document.getElementById('maintenanceTableBody');
     tableBody.innerHTML = '';
-    if (sites.length === 0) {
-        tableBody.innerHTML = '<tr><td colspan="10" class="text-center">暂无监控网站</td></tr>';
+    if (windows.length === 0) {
+        tableBody.innerHTML = '<tr><td colspan="5" class="text-center">暂无维护窗口</td></tr>';
         return;
     }
-    sites.forEach((site, index) => {
+    windows.forEach(maintenanceWindow => {
+        let statusBadge = '<span class="badge bg-secondary">已停用</span>';
+        if (maintenanceWindow.enabled) {
+            statusBadge = maintenanceWindow.active ? '<span class="badge bg-info text-dark">维护中</span>' : '<span class="badge bg-light text-dark">未生效</span>';
+        }
         const row = document.createElement('tr');
-        const statusInfo = getSiteStatusBadge(site.last_status);
-        const lastCheckTime = site.last_checked ? new Date(site.last_checked * 1000).toLocaleString() : '从未';
-        const responseTime = site.last_response_time_ms !== null ? \`\${site.last_response_time_ms} ms\` : '-';
         row.innerHTML = \`
-             <td>
-                 <div class="btn-group btn-group-sm">
-                     <button class="btn btn-outline-secondary move-site-btn" data-id="\${site.id}" data-direction="up" \${index === 0 ? 'disabled' : ''} title="上移"><i class="bi bi-arrow-up"></i></button>
-                     <button class="btn btn-outline-secondary move-site-btn" data-id="\${site.id}" data-direction="down" \${index === sites.length - 1 ? 'disabled' : ''} title="下移"><i class="bi bi-arrow-down"></i></button>
-                </div>
-            </td>
-            <td>\${site.name || '-'}</td>
-            <td><a href="\${site.url}" target="_blank" rel="noopener noreferrer">\${site.url}</a></td>
-            <td><span class="badge \${statusInfo.class}">\${statusInfo.text}</span></td>
-            <td>\${site.last_status_code || '-'}</td>
-            <td>\${responseTime}</td>
-            <td>\${lastCheckTime}</td>
+            <td>\${maintenanceWindow.name}</td>
+            <td>\${describeMaintenanceScope(maintenanceWindow)}</td>
+            <td>\${describeMaintenanceSchedule(maintenanceWindow)}</td>
+            <td>\${statusBadge}</td>
             <td>
                 <div class="btn-group">
-                    <button class="btn btn-sm btn-outline-primary edit-site-btn" data-id="\${site.id}" title="编辑"><i class="bi bi-pencil"></i></button>
-                    <button class="btn btn-sm btn-outline-danger delete-site-btn" data-id="\${site.id}" data-name="\${site.name || site.url}" data-url="\${site.url}" title="删除"><i class="bi bi-trash"></i></button>
+                    <button class="btn btn-sm btn-outline-primary edit-maintenance-btn" data-id="\${maintenanceWindow.id}" title="编辑"><i class="bi bi-pencil"></i></button>
+                    <button class="btn btn-sm btn-outline-danger delete-maintenance-btn" data-id="\${maintenanceWindow.id}" data-name="\${maintenanceWindow.name}" title="删除"><i class="bi bi-trash"></i></button>
                 </div>
             </td>
         \`;
         tableBody.appendChild(row);
     });
-    document.querySelectorAll('.edit-site-btn').forEach(btn => btn.addEventListener('click', function() { editSite(this.getAttribute('data-id')); }));
-    document.querySelectorAll('.delete-site-btn').forEach(btn => btn.addEventListener('click', function() { showDeleteSiteConfirmation(this.getAttribute('data-id'), this.getAttribute('data-name'), this.getAttribute('data-url')); }));
-    document.querySelectorAll('.move-site-btn').forEach(btn => btn.addEventListener('click', function() { moveSite(this.getAttribute('data-id'), this.getAttribute('data-direction')); }));
+    document.querySelectorAll('.edit-maintenance-btn').forEach(btn => btn.addEventListener('click', function() { showMaintenanceModal(this.getAttribute('data-id')); }));
+    document.querySelectorAll('.delete-maintenance-btn').forEach(btn => btn.addEventListener('click', function() { showDeleteMaintenanceConfirmation(this.getAttribute('data-id'), this.getAttribute('data-name')); }));
 }
 
-function getSiteStatusBadge(status) {
-    switch (status) {
-        case 'UP': return { class: 'bg-success', text: '正常' };
-        case 'DOWN': return { class: 'bg-danger', text: '故障' };
-        case 'TIMEOUT': return { class: 'bg-warning text-dark', text: '超时' };
-        case 'ERROR': return { class: 'bg-danger', text: '错误' };
-        case 'PENDING': return { class: 'bg-secondary', text: '待检测' };
-        default: return { class: 'bg-secondary', text: '未知' };
+function updateMaintenanceScopeOptions(selectedId = null) {
+    const scopeType = document.getElementById('maintenanceScopeType').value;
+    const scopeIdSelect = document.getElementById('maintenanceScopeId');
+    document.getElementById('maintenanceScopeIdGroup').classList.toggle('d-none', scopeType === 'all');
+    const targets = scopeType === 'server'
+        ? serverList.map(s => ({ id: s.id, label: s.name }))
+        : scopeType === 'site' ? siteList.map(s => ({ id: s.id, label: s.name || s.url })) : [];
+    scopeIdSelect.innerHTML = targets.map(t => \`<option value="\${t.id}">\${t.label}</option>\`).join('');
+    if (selectedId) {
+        scopeIdSelect.value = selectedId;
     }
 }
 
-function showSiteModal(siteIdToEdit = null) {
-    document.getElementById('siteForm').reset();
-    const modalTitle = document.getElementById('siteModalTitle');
-    const siteIdInput = document.getElementById('siteId');
-    if (siteIdToEdit) {
-        const site = siteList.find(s => s.id === siteIdToEdit);
-        if (site) {
-            modalTitle.textContent = '编辑监控网站';
-            siteIdInput.value = site.id;
-            document.getElementById('siteName').value = site.name || '';
-            document.getElementById('siteUrl').value = site.url;
-        } else {
-            showAlert('danger', '未找到要编辑的网站信息。', 'siteAlert');
+function toggleMaintenanceScheduleFields(scheduleType) {
+    document.querySelectorAll('.maintenance-schedule-fields').forEach(group => {
+        group.classList.toggle('d-none', group.getAttribute('data-schedule-type') !== scheduleType);
+    });
+    document.getElementById('maintenanceDurationGroup').classList.toggle('d-none', scheduleType === 'once');
+}
+
+function showMaintenanceModal(windowIdToEdit = null) {
+    document.getElementById('maintenanceForm').reset();
+    document.getElementById('maintenanceWeekdays').innerHTML = WEEKDAY_LABELS.map((label, day) => \`
+        <div class="form-check form-check-inline">
+            <input class="form-check-input maintenance-weekday" type="checkbox" value="\${day}" id="maintenanceWeekday\${day}">
+            <label class="form-check-label" for="maintenanceWeekday\${day}">周\${label}</label>
+        </div>
+    \`).join('');
+    let maintenanceWindow = null;
+    if (windowIdToEdit) {
+        maintenanceWindow = maintenanceWindowList.find(w => w.id === windowIdToEdit);
+        if (!maintenanceWindow) {
+            showAlert('danger', '未找到要编辑的维护窗口。', 'maintenanceAlert');
             return;
         }
-    } else {
-        modalTitle.textContent = '添加监控网站';
-        siteIdInput.value = '';
     }
-    new bootstrap.Modal(document.getElementById('siteModal')).show();
-}
-
-function editSite(siteId) {
-    showSiteModal(siteId);
+    document.getElementById('maintenanceModalTitle').textContent = maintenanceWindow ? '编辑维护窗口' : '添加维护窗口';
+    document.getElementById('maintenanceId').value = maintenanceWindow ? maintenanceWindow.id : '';
+    if (maintenanceWindow) {
+        document.getElementById('maintenanceName').value = maintenanceWindow.name;
+        document.getElementById('maintenanceScopeType').value = maintenanceWindow.scope_type;
+        document.getElementById('maintenanceScheduleType').value = maintenanceWindow.schedule_type;
+        document.getElementById('maintenanceEnabled').checked = !!maintenanceWindow.enabled;
+        if (maintenanceWindow.schedule_type === 'once') {
+            document.getElementById('maintenanceStartAt').value = toDateTimeLocalValue(maintenanceWindow.start_at);
+            document.getElementById('maintenanceEndAt').value = toDateTimeLocalValue(maintenanceWindow.end_at);
+        } else {
+            document.getElementById('maintenanceDuration').value = maintenanceWindow.duration_minutes;
+        }
+        if (maintenanceWindow.schedule_type === 'weekly') {
+            document.getElementById('maintenanceStartTime').value = maintenanceWindow.start_time;
+            (maintenanceWindow.weekdays || []).forEach(day => {
+                const checkbox = document.getElementById(\`maintenanceWeekday\${day}\`);
+                if (checkbox) checkbox.checked = true;
+            });
+        }
+        if (maintenanceWindow.schedule_type === 'cron') {
+            document.getElementById('maintenanceCronExpression').value = maintenanceWindow.cron_expression;
+        }
+    }
+    updateMaintenanceScopeOptions(maintenanceWindow ? maintenanceWindow.scope_id : null);
+    toggleMaintenanceScheduleFields(document.getElementById('maintenanceScheduleType').value);
+    new bootstrap.Modal(document.getElementById('maintenanceModal')).show();
 }
 
-async function saveSite() {
-    const siteId = document.getElementById('siteId').value;
-    const siteName = document.getElementById('siteName').value.trim();
-    const siteUrl = document.getElementById('siteUrl').value.trim();
-    if (!siteUrl) {
-        showAlert('warning', '请输入网站URL', 'siteAlert');
-        return;
-    }
-    if (!siteUrl.startsWith('http://') && !siteUrl.startsWith('https://')) {
-         showAlert('warning', 'URL必须以 http:// 或 https:// 开头', 'siteAlert');
+async function saveMaintenanceWindow() {
+    const windowId = document.getElementById('maintenanceId').value;
+    const scheduleType = document.getElementById('maintenanceScheduleType').value;
+    const scopeType = document.getElementById('maintenanceScopeType').value;
+    const requestBody = {
+        name: document.getElementById('maintenanceName').value.trim(),
+        scope_type: scopeType,
+        scope_id: scopeType === 'all' ? null : document.getElementById('maintenanceScopeId').value,
+        schedule_type: scheduleType,
+        timezone_offset_minutes: -new Date().getTimezoneOffset(),
+        enabled: document.getElementById('maintenanceEnabled').checked
+    };
+    if (!requestBody.name) {
+        showAlert('warning', '请输入维护窗口名称', 'maintenanceAlert');
         return;
     }
-    const requestBody = { url: siteUrl, name: siteName };
-    let apiUrl = '/api/admin/sites';
-    let method = 'POST';
-    if (siteId) {
-        apiUrl = \`/api/admin/sites/\${siteId}\`;
-        method = 'PUT';
+    if (scheduleType === 'once') {
+        const startValue = document.getElementById('maintenanceStartAt').value;
+        const endValue = document.getElementById('maintenanceEndAt').value;
+        if (!startValue || !endValue) {
+            showAlert('warning', '请填写开始和结束时间', 'maintenanceAlert');
+            return;
+        }
+        requestBody.start_at = Math.floor(new Date(startValue).getTime() / 1000);
+        requestBody.end_at = Math.floor(new Date(endValue).getTime() / 1000);
+    } else {
+        requestBody.duration_minutes = parseInt(document.getElementById('maintenanceDuration').value, 10);
+        if (scheduleType === 'weekly') {
+            requestBody.weekdays = Array.from(document.querySelectorAll('.maintenance-weekday:checked')).map(cb => parseInt(cb.value, 10));
+            requestBody.start_time = document.getElementById('maintenanceStartTime').value;
+        } else {
+            requestBody.cron_expression = document.getElementById('maintenanceCronExpression').value.trim();
+        }
     }
     try {
-        const response = await fetch(apiUrl, {
-            method: method,
+        const response = await adminFetch(windowId ? \`/api/admin/maintenance-windows/\${windowId}\` : '/api/admin/maintenance-windows', {
+            method: windowId ? 'PUT' : 'POST',
             headers: getAuthHeaders(),
             body: JSON.stringify(requestBody)
         });
-        if (!response.ok) throw new Error(\`\${siteId ? '更新' : '添加'}网站失败\`);
-        bootstrap.Modal.getInstance(document.getElementById('siteModal')).hide();
-        await loadSiteList();
-        showAlert('success', \`监控网站\${siteId ? '更新' : '添加'}成功\`, 'siteAlert');
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || \`\${windowId ? '更新' : '添加'}维护窗口失败\`);
+        }
+        bootstrap.Modal.getInstance(document.getElementById('maintenanceModal')).hide();
+        await loadMaintenanceWindows();
+        showAlert('success', \`维护窗口\${windowId ? '更新' : '添加'}成功\`, 'maintenanceAlert');
     } catch (error) {
-        console.error('保存网站错误:', error);
-        showAlert('danger', \`保存网站失败: \${error.message}\`, 'siteAlert');
+        console.error('保存维护窗口错误:', error);
+        showAlert('danger', \`保存维护窗口失败: \${error.message}\`, 'maintenanceAlert');
     }
 }
 
-function showDeleteSiteConfirmation(siteId, siteName, siteUrl) {
-    currentSiteId = siteId;
-    document.getElementById('deleteSiteName').textContent = siteName;
-    document.getElementById('deleteSiteUrl').textContent = siteUrl;
-    new bootstrap.Modal(document.getElementById('deleteSiteModal')).show();
+function showDeleteMaintenanceConfirmation(windowId, windowName) {
+    currentMaintenanceId = windowId;
+    document.getElementById('deleteMaintenanceName').textContent = windowName;
+    new bootstrap.Modal(document.getElementById('deleteMaintenanceModal')).show();
 }
 
-async function deleteSite(siteId) {
+async function deleteMaintenanceWindow(windowId) {
     try {
-        const response = await fetch(\`/api/admin/sites/\${siteId}\`, { method: 'DELETE', headers: getAuthHeaders() });
-        if (!response.ok) throw new Error('删除网站失败');
-        bootstrap.Modal.getInstance(document.getElementById('deleteSiteModal')).hide();
-        await loadSiteList();
-        showAlert('success', '网站监控已删除', 'siteAlert');
-        currentSiteId = null;
+        const response = await adminFetch(\`/api/admin/maintenance-windows/\${windowId}\`, { method: 'DELETE', headers: getAuthHeaders() });
+        if (!response.ok) throw new Error('删除维护窗口失败');
+        bootstrap.Modal.getInstance(document.getElementById('deleteMaintenanceModal')).hide();
+        await loadMaintenanceWindows();
+        showAlert('success', '维护窗口已删除', 'maintenanceAlert');
+        currentMaintenanceId = null;
     } catch (error) {
-        console.error('删除网站错误:', error);
-        showAlert('danger', \`删除网站失败: \${error.message}\`, 'siteAlert');
+        console.error('删除维护窗口错误:', error);
+        showAlert('danger', \`删除维护窗口失败: \${error.message}\`, 'maintenanceAlert');
     }
 }
 
@@ -3627,7 +9693,7 @@ function showPasswordAlert(type, message) {
 
 async function loadTelegramSettings() {
     try {
-        const response = await fetch('/api/admin/telegram-settings', { headers: getAuthHeaders() });
+        const response = await adminFetch('/api/admin/telegram-settings', { headers: getAuthHeaders() });
         if (!response.ok) throw new Error('获取Telegram设置失败');
         const settings = await response.json();
         if (settings) {
@@ -3655,7 +9721,7 @@ async function saveTelegramSettings() {
     }
 
     try {
-        const response = await fetch('/api/admin/telegram-settings', {
+        const response = await adminFetch('/api/admin/telegram-settings', {
             method: 'POST',
             headers: getAuthHeaders(),
             body: JSON.stringify({
@@ -3672,9 +9738,258 @@ async function saveTelegramSettings() {
     }
 }
 
+// --- Notification Channels ---
+
+function getNotificationChannelTypeLabel(type) {
+    const option = document.querySelector(\`#notificationChannelType option[value="\${type}"]\`);
+    return option ? option.textContent : type;
+}
+
+async function loadNotificationChannels() {
+    try {
+        const response = await adminFetch('/api/admin/notification-channels', { headers: getAuthHeaders() });
+        if (!response.ok) throw new Error('获取通知渠道失败');
+        const data = await response.json();
+        notificationChannelList = data.channels || [];
+        renderNotificationChannelTable(notificationChannelList);
+
+        const routeResponse = await adminFetch('/api/admin/settings/notification-route', { headers: getAuthHeaders() });
+        if (!routeResponse.ok) throw new Error('获取默认通知路由失败');
+        defaultNotificationRoute = (await routeResponse.json()).route;
+        renderNotificationRoutePicker(document.getElementById('defaultNotificationRoutePicker'), defaultNotificationRoute, '发送到全部渠道');
+    } catch (error) {
+        console.error('加载通知渠道错误:', error);
+        showAlert('danger', \`加载通知渠道失败: \${error.message}\`, 'notificationChannelAlert');
+    }
+}
+
+function renderNotificationChannelTable(channels) {
+    const tableBody = document.getElementById('notificationChannelTableBody');
+    tableBody.innerHTML = '';
+    if (channels.length === 0) {
+        tableBody.innerHTML = '<tr><td colspan="5" class="text-center">暂无通知渠道</td></tr>';
+        return;
+    }
+    channels.forEach(channel => {
+        const row = document.createElement('tr');
+        row.innerHTML = \`
+            <td>\${channel.name}</td>
+            <td>\${getNotificationChannelTypeLabel(channel.type)}</td>
+            <td>\${channel.group_name || '-'}</td>
+            <td>\${channel.enabled ? '<span class="badge bg-success">已启用</span>' : '<span class="badge bg-secondary">已停用</span>'}</td>
+            <td>
+                <div class="btn-group">
+                    <button class="btn btn-sm btn-outline-primary edit-channel-btn" data-id="\${channel.id}" title="编辑"><i class="bi bi-pencil"></i></button>
+                    <button class="btn btn-sm btn-outline-success test-channel-btn" data-id="\${channel.id}" title="发送测试消息"><i class="bi bi-send"></i></button>
+                    <button class="btn btn-sm btn-outline-danger delete-channel-btn" data-id="\${channel.id}" data-name="\${channel.name}" title="删除"><i class="bi bi-trash"></i></button>
+                </div>
+            </td>
+        \`;
+        tableBody.appendChild(row);
+    });
+    document.querySelectorAll('.edit-channel-btn').forEach(btn => btn.addEventListener('click', function() { showNotificationChannelModal(this.getAttribute('data-id')); }));
+    document.querySelectorAll('.test-channel-btn').forEach(btn => btn.addEventListener('click', function() { testNotificationChannel(this.getAttribute('data-id'), this); }));
+    document.querySelectorAll('.delete-channel-btn').forEach(btn => btn.addEventListener('click', function() { showDeleteNotificationChannelConfirmation(this.getAttribute('data-id'), this.getAttribute('data-name')); }));
+}
+
+// 渲染通知路由选择器: route 为 null 时选中第一个选项 (默认路由 / 全部渠道)，数组时为指定渠道
+function renderNotificationRoutePicker(container, route, nullLabel) {
+    const groups = [...new Set(notificationChannelList.map(c => c.group_name).filter(Boolean))];
+    const options = [
+        { value: 'telegram', label: 'Telegram' },
+        ...groups.map(group => ({ value: \`group:\${group}\`, label: \`分组: \${group}\` })),
+        ...notificationChannelList.map(c => ({ value: c.id, label: \`\${c.name} (\${getNotificationChannelTypeLabel(c.type)})\` }))
+    ];
+    const isCustom = Array.isArray(route);
+    const radioName = \`\${container.id}Mode\`;
+    container.innerHTML = \`
+        <div class="form-check form-check-inline">
+            <input class="form-check-input route-mode" type="radio" name="\${radioName}" id="\${radioName}Default" value="default" \${isCustom ? '' : 'checked'}>
+            <label class="form-check-label" for="\${radioName}Default">\${nullLabel}</label>
+        </div>
+        <div class="form-check form-check-inline">
+            <input class="form-check-input route-mode" type="radio" name="\${radioName}" id="\${radioName}Custom" value="custom" \${isCustom ? 'checked' : ''}>
+            <label class="form-check-label" for="\${radioName}Custom">指定渠道</label>
+        </div>
+        <div class="route-options border rounded p-2 mt-2 \${isCustom ? '' : 'd-none'}">
+            \${options.map((option, index) => \`
+                <div class="form-check">
+                    <input class="form-check-input route-option" type="checkbox" value="\${option.value}" id="\${container.id}Option\${index}" \${isCustom && route.includes(option.value) ? 'checked' : ''}>
+                    <label class="form-check-label" for="\${container.id}Option\${index}">\${option.label}</label>
+                </div>
+            \`).join('')}
+            <small class="text-muted">不勾选任何渠道表示不发送通知。</small>
+        </div>
+    \`;
+    container.querySelectorAll('.route-mode').forEach(radio => radio.addEventListener('change', function() {
+        container.querySelector('.route-options').classList.toggle('d-none', container.querySelector('.route-mode:checked').value !== 'custom');
+    }));
+}
+
+function getNotificationRouteFromPicker(container) {
+    const mode = container.querySelector('.route-mode:checked');
+    if (!mode || mode.value !== 'custom') {
+        return null;
+    }
+    return Array.from(container.querySelectorAll('.route-option:checked')).map(cb => cb.value);
+}
+
+async function saveDefaultNotificationRoute() {
+    const route = getNotificationRouteFromPicker(document.getElementById('defaultNotificationRoutePicker'));
+    try {
+        const response = await adminFetch('/api/admin/settings/notification-route', {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ route })
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || '保存默认通知路由失败');
+        }
+        defaultNotificationRoute = route;
+        showAlert('success', '默认通知路由已保存', 'notificationChannelAlert');
+    } catch (error) {
+        console.error('保存默认通知路由错误:', error);
+        showAlert('danger', \`保存默认通知路由失败: \${error.message}\`, 'notificationChannelAlert');
+    }
+}
+
+function toggleChannelConfigFields(type) {
+    document.querySelectorAll('.channel-config-fields').forEach(group => {
+        group.classList.toggle('d-none', group.getAttribute('data-channel-type') !== type);
+    });
+}
+
+// 读取当前渠道类型对应的配置字段 (data-config-key)，JSON 字段解析失败时抛出错误
+function getChannelConfigFromForm(type) {
+    const config = {};
+    document.querySelectorAll(\`.channel-config-fields[data-channel-type="\${type}"] [data-config-key]\`).forEach(input => {
+        const key = input.getAttribute('data-config-key');
+        let value = input.type === 'checkbox' ? input.checked : input.value.trim();
+        if (input.getAttribute('data-config-format') === 'json' && typeof value === 'string') {
+            try {
+                value = value ? JSON.parse(value) : null;
+            } catch (e) {
+                throw new Error(\`\${key} 不是有效的 JSON\`);
+            }
+        }
+        config[key] = value;
+    });
+    return config;
+}
+
+function fillChannelConfigForm(type, config) {
+    document.querySelectorAll(\`.channel-config-fields[data-channel-type="\${type}"] [data-config-key]\`).forEach(input => {
+        const value = config[input.getAttribute('data-config-key')];
+        if (input.type === 'checkbox') {
+            input.checked = !!value;
+        } else if (input.getAttribute('data-config-format') === 'json') {
+            input.value = value && Object.keys(value).length > 0 ? JSON.stringify(value, null, 2) : '';
+        } else if (Array.isArray(value)) {
+            input.value = value.join(', ');
+        } else {
+            input.value = value === undefined || value === null ? '' : value;
+        }
+    });
+}
+
+function showNotificationChannelModal(channelIdToEdit = null) {
+    document.getElementById('notificationChannelForm').reset();
+    const modalTitle = document.getElementById('notificationChannelModalTitle');
+    const typeSelect = document.getElementById('notificationChannelType');
+    if (channelIdToEdit) {
+        const channel = notificationChannelList.find(c => c.id === channelIdToEdit);
+        if (!channel) {
+            showAlert('danger', '未找到要编辑的通知渠道。', 'notificationChannelAlert');
+            return;
+        }
+        modalTitle.textContent = '编辑通知渠道';
+        document.getElementById('notificationChannelId').value = channel.id;
+        document.getElementById('notificationChannelName').value = channel.name;
+        document.getElementById('notificationChannelGroup').value = channel.group_name || '';
+        document.getElementById('notificationChannelEnabled').checked = !!channel.enabled;
+        typeSelect.value = channel.type;
+        fillChannelConfigForm(channel.type, channel.config || {});
+    } else {
+        modalTitle.textContent = '添加通知渠道';
+        document.getElementById('notificationChannelId').value = '';
+    }
+    toggleChannelConfigFields(typeSelect.value);
+    new bootstrap.Modal(document.getElementById('notificationChannelModal')).show();
+}
+
+async function saveNotificationChannel() {
+    const channelId = document.getElementById('notificationChannelId').value;
+    const name = document.getElementById('notificationChannelName').value.trim();
+    const type = document.getElementById('notificationChannelType').value;
+    if (!name) {
+        showAlert('warning', '请输入渠道名称', 'notificationChannelAlert');
+        return;
+    }
+    try {
+        const requestBody = {
+            name,
+            type,
+            group_name: document.getElementById('notificationChannelGroup').value.trim() || null,
+            config: getChannelConfigFromForm(type),
+            enabled: document.getElementById('notificationChannelEnabled').checked
+        };
+        const response = await adminFetch(channelId ? \`/api/admin/notification-channels/\${channelId}\` : '/api/admin/notification-channels', {
+            method: channelId ? 'PUT' : 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(requestBody)
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || \`\${channelId ? '更新' : '添加'}通知渠道失败\`);
+        }
+        bootstrap.Modal.getInstance(document.getElementById('notificationChannelModal')).hide();
+        await loadNotificationChannels();
+        showAlert('success', \`通知渠道\${channelId ? '更新' : '添加'}成功\`, 'notificationChannelAlert');
+    } catch (error) {
+        console.error('保存通知渠道错误:', error);
+        showAlert('danger', \`保存通知渠道失败: \${error.message}\`, 'notificationChannelAlert');
+    }
+}
+
+async function testNotificationChannel(channelId, button) {
+    button.disabled = true;
+    try {
+        const response = await adminFetch(\`/api/admin/notification-channels/\${channelId}/test\`, { method: 'POST', headers: getAuthHeaders() });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.message || '发送测试消息失败');
+        showAlert('success', '测试消息已发送，请检查是否收到。', 'notificationChannelAlert');
+    } catch (error) {
+        console.error('发送测试消息错误:', error);
+        showAlert('danger', \`发送测试消息失败: \${error.message}\`, 'notificationChannelAlert');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function showDeleteNotificationChannelConfirmation(channelId, channelName) {
+    currentNotificationChannelId = channelId;
+    document.getElementById('deleteNotificationChannelName').textContent = channelName;
+    new bootstrap.Modal(document.getElementById('deleteNotificationChannelModal')).show();
+}
+
+async function deleteNotificationChannel(channelId) {
+    try {
+        const response = await adminFetch(\`/api/admin/notification-channels/\${channelId}\`, { method: 'DELETE', headers: getAuthHeaders() });
+        if (!response.ok) throw new Error('删除通知渠道失败');
+        bootstrap.Modal.getInstance(document.getElementById('deleteNotificationChannelModal')).hide();
+        await loadNotificationChannels();
+        showAlert('success', '通知渠道已删除', 'notificationChannelAlert');
+        currentNotificationChannelId = null;
+    } catch (error) {
+        console.error('删除通知渠道错误:', error);
+        showAlert('danger', \`删除通知渠道失败: \${error.message}\`, 'notificationChannelAlert');
+    }
+}
+
 async function loadGlobalSettings() {
     try {
-        const response = await fetch('/api/admin/settings/vps-report-interval', { headers: getAuthHeaders() });
+        const response = await adminFetch('/api/admin/settings/vps-report-interval', { headers: getAuthHeaders() });
         if (!response.ok) throw new Error('获取VPS报告间隔失败');
         const settings = await response.json();
         if (settings && typeof settings.interval === 'number') {
@@ -3687,6 +10002,35 @@ async function loadGlobalSettings() {
         showAlert('danger', \`加载VPS报告间隔失败: \${error.message}\`, 'serverAlert');
         document.getElementById('vpsReportInterval').value = 60;
     }
+    try {
+        const response = await adminFetch('/api/admin/settings', { headers: getAuthHeaders() });
+        if (!response.ok) throw new Error('获取通知设置失败');
+        const settings = await response.json();
+        const staleInput = document.getElementById('vpsStaleThreshold');
+        staleInput.value = settings.vps_stale_threshold_seconds || '';
+        staleInput.placeholder = \`自动 (\${settings.effective_vps_stale_threshold_seconds})\`;
+        document.getElementById('notificationRepeatMinutes').value = secondsToMinutesInput(settings.notification_repeat_interval_seconds);
+        document.getElementById('certSource').value = settings.cert_source;
+        document.getElementById('certSourceUrl').value = settings.cert_source_url || '';
+        document.getElementById('certWarningDays').value = settings.cert_warning_days.join(',');
+        document.getElementById('dnsResolverUrl').value = settings.dns_resolver_url;
+        document.getElementById('siteCheckIntervalMinutes').value = secondsToMinutesInput(settings.site_check_interval_seconds);
+        document.getElementById('siteCheckConcurrency').value = settings.site_check_concurrency;
+        document.getElementById('siteHistoryRetentionDays').value = settings.site_history_retention_days;
+    } catch (error) {
+        console.error('加载通知设置错误:', error);
+        showAlert('danger', \`加载通知设置失败: \${error.message}\`, 'serverAlert');
+    }
+    try {
+        const response = await adminFetch('/api/admin/settings/metrics-retention', { headers: getAuthHeaders() });
+        if (!response.ok) throw new Error('获取历史数据保留天数失败');
+        const settings = await response.json();
+        document.getElementById('metricsRetentionDays').value = (settings && typeof settings.days === 'number') ? settings.days : 7;
+    } catch (error) {
+        console.error('加载历史数据保留天数错误:', error);
+        showAlert('danger', \`加载历史数据保留天数失败: \${error.message}\`, 'serverAlert');
+        document.getElementById('metricsRetentionDays').value = 7;
+    }
 }
 
 async function saveVpsReportInterval() {
@@ -3697,7 +10041,7 @@ async function saveVpsReportInterval() {
         return;
     }
     try {
-        const response = await fetch('/api/admin/settings/vps-report-interval', {
+        const response = await adminFetch('/api/admin/settings/vps-report-interval', {
             method: 'POST',
             headers: getAuthHeaders(),
             body: JSON.stringify({ interval: interval })
@@ -3708,5 +10052,120 @@ async function saveVpsReportInterval() {
         console.error('保存VPS报告间隔错误:', error);
         showAlert('danger', \`保存VPS报告间隔失败: \${error.message}\`, 'serverAlert');
     }
+}
+
+function secondsToMinutesInput(seconds) {
+    return seconds === null || seconds === undefined ? '' : Math.round(seconds / 60);
+}
+
+// 空输入返回 null (使用全局设置)
+function minutesInputToSeconds(value) {
+    const trimmed = String(value).trim();
+    return trimmed === '' ? null : parseInt(trimmed, 10) * 60;
+}
+
+async function saveGlobalSettings(settings, alertId, label) {
+    try {
+        const response = await adminFetch('/api/admin/settings', {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(settings)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.message || \`保存\${label}失败\`);
+        showAlert('success', \`\${label}已成功保存。\`, alertId);
+        return data;
+    } catch (error) {
+        console.error(\`保存\${label}错误:\`, error);
+        showAlert('danger', \`保存\${label}失败: \${error.message}\`, alertId);
+        return null;
+    }
+}
+
+async function saveVpsStaleThreshold() {
+    const value = document.getElementById('vpsStaleThreshold').value.trim();
+    const threshold = value === '' ? null : parseInt(value, 10);
+    if (threshold !== null && (isNaN(threshold) || threshold < 1)) {
+        showAlert('warning', '离线判定阈值必须是一个大于或等于1的数字，留空表示自动。', 'serverAlert');
+        return;
+    }
+    const data = await saveGlobalSettings({ vps_stale_threshold_seconds: threshold }, 'serverAlert', '离线判定阈值');
+    if (data) {
+        document.getElementById('vpsStaleThreshold').placeholder = \`自动 (\${data.effective_vps_stale_threshold_seconds})\`;
+    }
+}
+
+async function saveNotificationRepeatInterval() {
+    const minutes = parseInt(document.getElementById('notificationRepeatMinutes').value, 10);
+    if (isNaN(minutes) || minutes < 0) {
+        showAlert('warning', '重复通知间隔必须是一个大于或等于0的数字。', 'notificationChannelAlert');
+        return;
+    }
+    await saveGlobalSettings({ notification_repeat_interval_seconds: minutes * 60 }, 'notificationChannelAlert', '重复通知间隔');
+}
+
+async function saveSiteCheckSettings() {
+    const minutes = parseInt(document.getElementById('siteCheckIntervalMinutes').value, 10);
+    const concurrency = parseInt(document.getElementById('siteCheckConcurrency').value, 10);
+    const retentionDays = parseInt(document.getElementById('siteHistoryRetentionDays').value, 10);
+    if (isNaN(minutes) || minutes < 1 || isNaN(concurrency) || concurrency < 1 || concurrency > 50) {
+        showAlert('warning', '检查间隔必须大于或等于1分钟，同时检查数量必须在1到50之间。', 'siteAlert');
+        return;
+    }
+    if (isNaN(retentionDays) || retentionDays < 2) {
+        showAlert('warning', '原始记录至少需要保留2天。', 'siteAlert');
+        return;
+    }
+    await saveGlobalSettings({
+        site_check_interval_seconds: minutes * 60,
+        site_check_concurrency: concurrency,
+        site_history_retention_days: retentionDays
+    }, 'siteAlert', '检查频率与历史记录');
+}
+
+async function saveDnsResolverUrl() {
+    const resolverUrl = document.getElementById('dnsResolverUrl').value.trim();
+    const data = await saveGlobalSettings({ dns_resolver_url: resolverUrl || null }, 'siteAlert', 'DNS 解析服务器');
+    if (data) {
+        document.getElementById('dnsResolverUrl').value = data.dns_resolver_url;
+    }
+}
+
+async function saveCertificateSettings() {
+    const source = document.getElementById('certSource').value;
+    const sourceUrl = document.getElementById('certSourceUrl').value.trim();
+    if (source === 'custom' && !sourceUrl) {
+        showAlert('warning', '使用自定义接口时必须填写接口地址。', 'siteAlert');
+        return;
+    }
+    const data = await saveGlobalSettings({
+        cert_source: source,
+        cert_source_url: sourceUrl || null,
+        cert_warning_days: document.getElementById('certWarningDays').value.trim() || null
+    }, 'siteAlert', '证书监控设置');
+    if (data) {
+        document.getElementById('certWarningDays').value = data.cert_warning_days.join(',');
+    }
+}
+
+async function saveMetricsRetention() {
+    const daysInput = document.getElementById('metricsRetentionDays');
+    const days = parseInt(daysInput.value, 10);
+    if (isNaN(days) || days < 1) {
+        showAlert('warning', '历史数据保留天数必须是一个大于或等于1的数字。', 'serverAlert');
+        return;
+    }
+    try {
+        const response = await adminFetch('/api/admin/settings/metrics-retention', {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ days: days })
+        });
+        if (!response.ok) throw new Error('保存历史数据保留天数失败');
+        showAlert('success', '历史数据保留天数已成功保存。', 'serverAlert');
+    } catch (error) {
+        console.error('保存历史数据保留天数错误:', error);
+        showAlert('danger', \`保存历史数据保留天数失败: \${error.message}\`, 'serverAlert');
+    }
 }`;
 }